@@ -0,0 +1,214 @@
+/**
+ * Archive Format Check
+ *
+ * Round-trips sample data through the archive format (pack, ZIP, read,
+ * validate, unpack) and checks that validateArchive rejects broken
+ * archives. Run with `npm run check:archive`.
+ *
+ * Builds the archive the way src/data/archive.js does, without the
+ * persistence layer, so it runs in plain Node.
+ */
+
+import assert from "node:assert/strict";
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_FORMAT_VERSION,
+  ARCHIVE_COLLECTIONS,
+  MANIFEST_PATH,
+  LocalCollections,
+  collectionPath,
+  countCollection,
+  packAssets,
+  unpackAssets,
+  validateArchive,
+} from "../src/data/persistence/archiveFormat.js";
+import { DataTypes, SCHEMA_VERSION } from "../src/data/persistence/interface.js";
+import { createZip, readZip } from "../src/data/zip.js";
+
+// 1x1 transparent PNG
+const PIXEL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+
+const SAMPLE = {
+  [DataTypes.ENTRIES]: {
+    "2024-01": [
+      { date: "2024-01-01", domains: { sleep: 0.8 }, notes: "New year" },
+      { date: "2024-01-02", domains: { sleep: 0.6, mood: 4 }, notes: "" },
+    ],
+  },
+  [DataTypes.WINS]: [{ id: "w1", date: "2024-01-01", text: "Ran 5k" }],
+  [DataTypes.REFLECTIONS]: [{ id: "r1", date: "2024-01-07", answers: {} }],
+  [DataTypes.SETTINGS]: { domains: { sleep: { type: "percentage" } } },
+  [DataTypes.BOARD_CARDS]: [
+    { id: "c1", type: "image", content: PIXEL },
+    { id: "c2", type: "image", content: "https://example.com/a.png" },
+    { id: "c3", type: "text", content: "Keep going" },
+  ],
+  [DataTypes.BOARD_SETTINGS]: { layout: "grid" },
+  [LocalCollections.REFLECTION_PROMPTS]: [
+    { promptId: "p1", text: "What went well?" },
+  ],
+  [LocalCollections.MEMORY_CACHE]: { lastShown: "2024-01-01" },
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Build archive files from collections, as buildArchive does
+ * @param {Object} collections - Collection name -> value
+ * @returns {Map<string, Uint8Array>} path -> contents
+ */
+function buildFiles(collections) {
+  const { cards, assets } = packAssets(collections[DataTypes.BOARD_CARDS]);
+  const packed = { ...collections, [DataTypes.BOARD_CARDS]: cards };
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: {},
+    assets: assets.map(({ path, cardId, mediaType, data }) => ({
+      path,
+      cardId,
+      mediaType,
+      size: data.length,
+    })),
+  };
+  const files = new Map();
+
+  ARCHIVE_COLLECTIONS.forEach((name) => {
+    manifest.collections[name] = {
+      file: collectionPath(name),
+      count: countCollection(name, packed[name]),
+    };
+    files.set(collectionPath(name), encodeJson(packed[name]));
+  });
+  assets.forEach(({ path, data }) => files.set(path, data));
+  files.set(MANIFEST_PATH, encodeJson(manifest));
+
+  return files;
+}
+
+function encodeJson(value) {
+  return encoder.encode(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Copy of an archive with its manifest changed
+ */
+function withManifest(files, change) {
+  const manifest = JSON.parse(new TextDecoder().decode(files.get(MANIFEST_PATH)));
+  change(manifest);
+  return new Map(files).set(MANIFEST_PATH, encodeJson(manifest));
+}
+
+/**
+ * Assert validateArchive rejects an archive with a matching error
+ */
+function assertRejected(label, files, pattern) {
+  const { valid, errors } = validateArchive(files);
+  assert.equal(valid, false, `${label}: should be rejected`);
+  assert.ok(
+    errors.some((error) => pattern.test(error)),
+    `${label}: expected an error matching ${pattern}, got ${JSON.stringify(errors)}`,
+  );
+  console.log(`  ok - rejects ${label}`);
+}
+
+async function main() {
+  console.log("[Archive Check] Round trip");
+
+  const files = buildFiles(SAMPLE);
+  const zipped = createZip(
+    [...files].map(([path, data]) => ({ path, data })),
+  );
+  const read = await readZip(zipped);
+
+  const { valid, errors, collections, manifest } = validateArchive(read);
+  assert.deepEqual(errors, []);
+  assert.equal(valid, true);
+  assert.equal(manifest.assets.length, 1);
+  console.log("  ok - built archive validates");
+
+  collections[DataTypes.BOARD_CARDS] = unpackAssets(
+    collections[DataTypes.BOARD_CARDS],
+    manifest.assets,
+    read,
+  );
+  assert.deepEqual(collections, SAMPLE);
+  console.log("  ok - collections and board images come back unchanged");
+
+  console.log("[Archive Check] Validation");
+
+  assertRejected(
+    "a missing manifest",
+    new Map([...files].filter(([path]) => path !== MANIFEST_PATH)),
+    /manifest\.json is missing/,
+  );
+  assertRejected(
+    "another format",
+    withManifest(files, (m) => (m.format = "something-else")),
+    /Not a LifeLab archive/,
+  );
+  assertRejected(
+    "a newer format version",
+    withManifest(files, (m) => (m.formatVersion = ARCHIVE_FORMAT_VERSION + 1)),
+    /newer than this version/,
+  );
+  assertRejected(
+    "a newer schema version",
+    withManifest(files, (m) => (m.schemaVersion = SCHEMA_VERSION + 1)),
+    /reads up to/,
+  );
+  assertRejected(
+    "an unknown collection",
+    withManifest(files, (m) => {
+      m.collections.unknown = { file: collectionPath("unknown"), count: 0 };
+    }),
+    /Unknown collection: unknown/,
+  );
+  assertRejected(
+    "a wrong record count",
+    withManifest(files, (m) => (m.collections[DataTypes.WINS].count = 5)),
+    /wins: manifest lists 5, file has 1/,
+  );
+  assertRejected(
+    "an unreadable collection file",
+    new Map(files).set(
+      collectionPath(DataTypes.WINS),
+      encoder.encode("{ not json"),
+    ),
+    /wins\.json is not valid JSON/,
+  );
+  assertRejected(
+    "a malformed collection",
+    new Map(files).set(
+      collectionPath(DataTypes.BOARD_CARDS),
+      encodeJson([{ content: "no id" }]),
+    ),
+    /board_cards: Card 0: missing id/,
+  );
+  assertRejected(
+    "a missing image",
+    new Map([...files].filter(([path]) => !path.startsWith("assets/"))),
+    /file missing/,
+  );
+  assertRejected(
+    "an image of the wrong size",
+    withManifest(files, (m) => (m.assets[0].size += 1)),
+    /size does not match/,
+  );
+  assertRejected(
+    "a card image not in the manifest",
+    withManifest(files, (m) => (m.assets = [])),
+    /Card c1: image not listed/,
+  );
+
+  console.log("[Archive Check] All checks passed");
+}
+
+main().catch((error) => {
+  console.error("[Archive Check] Failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,159 @@
+/**
+ * Schema Migration Check
+ *
+ * Runs the pure upgrade steps in src/data/persistence/schemaMigrations.js
+ * against sample data from each older schema version and checks the
+ * output, that steps are idempotent and that inputs are left untouched.
+ * Run with `npm run check:migrations`.
+ */
+
+import assert from "node:assert/strict";
+import {
+  SCHEMA_MIGRATIONS,
+  upgradeData,
+} from "../src/data/persistence/schemaMigrations.js";
+import { DataTypes, SCHEMA_VERSION } from "../src/data/persistence/interface.js";
+
+/**
+ * Version 1: domains are booleans, days may sit under the wrong month
+ * or be saved twice
+ */
+const V1_DATA = {
+  [DataTypes.SETTINGS]: {
+    theme: "dark",
+    domains: {
+      sleep: true,
+      reading: false,
+      mood: { enabled: true, type: "rating", min: 1, max: 5 },
+    },
+  },
+  [DataTypes.ENTRIES]: {
+    "2024-02": [
+      { date: "2024-02-03", domains: { sleep: 0.9 }, notes: "" },
+      { date: "2024-01-31", domains: { sleep: 0.5 }, notes: "misfiled" },
+    ],
+    "2024-01": [
+      {
+        date: "2024-01-02",
+        domains: { sleep: 0.4 },
+        notes: "older",
+        updatedAt: "2024-01-02T08:00:00.000Z",
+      },
+      { date: "2024-01-01", domains: { sleep: 0.8 }, notes: "" },
+      {
+        date: "2024-01-02",
+        domains: { sleep: 0.6 },
+        notes: "newer",
+        updatedAt: "2024-01-02T20:00:00.000Z",
+      },
+      { domains: { sleep: 1 }, notes: "no date" },
+    ],
+  },
+  [DataTypes.WINS]: [{ date: "2024-01-01", text: "Ran 5k" }],
+};
+
+const V3_ENTRIES = {
+  "2024-01": [
+    { date: "2024-01-01", domains: { sleep: 0.8 }, notes: "" },
+    {
+      date: "2024-01-02",
+      domains: { sleep: 0.6 },
+      notes: "newer",
+      updatedAt: "2024-01-02T20:00:00.000Z",
+    },
+    { date: "2024-01-31", domains: { sleep: 0.5 }, notes: "misfiled" },
+  ],
+  "2024-02": [{ date: "2024-02-03", domains: { sleep: 0.9 }, notes: "" }],
+};
+
+/**
+ * Run one named check and report it
+ */
+function check(label, fn) {
+  fn();
+  console.log(`  ok - ${label}`);
+}
+
+function step(version) {
+  return SCHEMA_MIGRATIONS.find((migration) => migration.version === version);
+}
+
+console.log("[Migration Check] Registry");
+
+check("one step per version from 2 to SCHEMA_VERSION", () => {
+  assert.deepEqual(
+    SCHEMA_MIGRATIONS.map((migration) => migration.version),
+    Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => i + 2),
+  );
+});
+
+console.log("[Migration Check] v1 -> v2");
+
+check("boolean domains become typed configs", () => {
+  const { domains } = step(2).upgrade(structuredClone(V1_DATA))[
+    DataTypes.SETTINGS
+  ];
+  assert.equal(domains.sleep.enabled, true);
+  assert.equal(domains.sleep.type, "percentage");
+  assert.equal(domains.reading.enabled, false);
+  assert.deepEqual(domains.mood, V1_DATA[DataTypes.SETTINGS].domains.mood);
+});
+
+check("other settings and types are kept", () => {
+  const upgraded = step(2).upgrade(structuredClone(V1_DATA));
+  assert.equal(upgraded[DataTypes.SETTINGS].theme, "dark");
+  assert.deepEqual(upgraded[DataTypes.ENTRIES], V1_DATA[DataTypes.ENTRIES]);
+  assert.deepEqual(upgraded[DataTypes.WINS], V1_DATA[DataTypes.WINS]);
+});
+
+console.log("[Migration Check] v2 -> v3");
+
+check("days are re-filed by month, deduplicated and sorted", () => {
+  const upgraded = step(3).upgrade(structuredClone(V1_DATA));
+  assert.deepEqual(upgraded[DataTypes.ENTRIES], V3_ENTRIES);
+});
+
+check("data without entries passes through", () => {
+  const settingsOnly = { [DataTypes.SETTINGS]: { theme: "light" } };
+  assert.deepEqual(step(3).upgrade(settingsOnly), settingsOnly);
+});
+
+console.log("[Migration Check] Full upgrade");
+
+check("v1 data upgrades to the current schema", () => {
+  const { data, version, applied } = upgradeData(V1_DATA, 1);
+  assert.equal(version, SCHEMA_VERSION);
+  assert.deepEqual(applied, [2, 3]);
+  assert.deepEqual(data[DataTypes.ENTRIES], V3_ENTRIES);
+  assert.equal(data[DataTypes.SETTINGS].domains.sleep.type, "percentage");
+});
+
+check("the input is not changed", () => {
+  const before = structuredClone(V1_DATA);
+  upgradeData(V1_DATA, 1);
+  SCHEMA_MIGRATIONS.forEach((migration) => migration.upgrade(V1_DATA));
+  assert.deepEqual(V1_DATA, before);
+});
+
+check("every step is idempotent", () => {
+  let data = structuredClone(V1_DATA);
+  SCHEMA_MIGRATIONS.forEach((migration) => {
+    const once = migration.upgrade(structuredClone(data));
+    const twice = migration.upgrade(structuredClone(once));
+    assert.deepEqual(twice, once, `v${migration.version} changed its output`);
+    data = once;
+  });
+});
+
+check("current data is left as it is", () => {
+  const { data } = upgradeData(V1_DATA, 1);
+  const again = upgradeData(data, SCHEMA_VERSION);
+  assert.deepEqual(again.applied, []);
+  assert.deepEqual(again.data, data);
+});
+
+check("newer data is rejected", () => {
+  assert.throws(() => upgradeData({}, SCHEMA_VERSION + 1), /reads up to/);
+});
+
+console.log("[Migration Check] All checks passed");
@@ -0,0 +1,31 @@
+/**
+ * App Shortcuts
+ *
+ * Home-screen shortcuts (web app manifest) open a page with
+ * ?action=... - pages check for their action once on load.
+ *
+ * Keep these in sync with the shortcuts in vite.config.js.
+ */
+
+export const ShortcutAction = {
+  QUICK_ENTRY: "quick-entry",
+  TODAYS_WIN: "todays-win",
+  NEW_REFLECTION: "new-reflection",
+};
+
+/**
+ * Check whether the page was opened for an action, and consume it
+ * The parameter is removed so a reload doesn't repeat the action.
+ * @param {string} action - Action from ShortcutAction
+ * @returns {boolean} True if the page was opened for this action
+ */
+export function consumeLaunchAction(action) {
+  const url = new URL(window.location.href);
+  if (url.searchParams.get("action") !== action) {
+    return false;
+  }
+
+  url.searchParams.delete("action");
+  window.history.replaceState(null, "", url.pathname + url.search + url.hash);
+  return true;
+}
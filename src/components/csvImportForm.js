@@ -0,0 +1,374 @@
+/**
+ * CSV Import Form
+ *
+ * Mapping step for spreadsheet imports: pick the date column and format,
+ * map columns to existing or new domains, pick the notes column.
+ * New domains get their target or scale here, before rows are checked.
+ * Rows are checked live; only rows without errors are imported.
+ */
+
+import {
+  DateFormat,
+  parseCSV,
+  suggestMapping,
+  buildDayRecords,
+} from "../data/csvImport.js";
+import {
+  DomainType,
+  DomainTypeLabels,
+  getTypeDefaults,
+} from "../data/domainTypes.js";
+import {
+  loadSettings,
+  saveSettings,
+  getAllDomainConfigs,
+  mergeDayRecords,
+} from "../data/storage.js";
+import { persistence, SnapshotReason } from "../data/persistence/manager.js";
+
+/**
+ * Row errors listed before "and N more"
+ */
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * Show the mapping form for a CSV file
+ * @param {HTMLElement} container - Where the form goes
+ * @param {File} file - CSV file
+ * @param {Function} onImported - Called after rows are imported
+ */
+export async function renderCsvImport(container, file, onImported = null) {
+  const { headers, rows, lines } = parseCSV(await file.text());
+
+  if (headers.length === 0 || rows.length === 0) {
+    container.innerHTML = "";
+    alert("That CSV file has no rows to import.");
+    return;
+  }
+
+  const domainConfigs = getAllDomainConfigs();
+  const suggested = suggestMapping(headers, rows, domainConfigs);
+  const domainFor = new Map(
+    suggested.columns.map(({ column, domain, type }) => [
+      column,
+      { domain, type },
+    ]),
+  );
+
+  const headerOptions = headers
+    .map(
+      (header, column) =>
+        `<option value="${column}">${escapeHtml(header || `Column ${column + 1}`)}</option>`,
+    )
+    .join("");
+
+  const typeOptions = Object.values(DomainType)
+    .map(
+      (type) => `<option value="${type}">${DomainTypeLabels[type]}</option>`,
+    )
+    .join("");
+
+  const columnRows = headers
+    .map((header, column) => {
+      const mapped = domainFor.get(column) || { domain: "", type: "" };
+      return `
+        <tr data-csv-column="${column}">
+          <td>${escapeHtml(header || `Column ${column + 1}`)}</td>
+          <td class="csv-import-sample">${escapeHtml(rows[0][column] || "")}</td>
+          <td>
+            <input type="text" class="csv-domain" list="csv-domain-list"
+              value="${escapeHtml(mapped.domain)}" placeholder="Skip"
+              aria-label="Domain for ${escapeHtml(header)}" />
+          </td>
+          <td>
+            <select class="csv-type" aria-label="Type for ${escapeHtml(header)}">
+              ${typeOptions}
+            </select>
+          </td>
+          <td class="csv-scale"></td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <div class="import-preview csv-import">
+      <h3>CSV Import · ${escapeHtml(file.name)}</h3>
+      <p class="preference-description">${rows.length} rows. Map each column to a domain, or clear it to skip. Imported values replace that day's value for the domain; other domains and notes are kept.</p>
+
+      <div class="csv-import-fields">
+        <label class="import-mode">
+          <span>Date column</span>
+          <select id="csv-date-column">${headerOptions}</select>
+        </label>
+        <label class="import-mode">
+          <span>Date format</span>
+          <select id="csv-date-format">
+            ${Object.values(DateFormat)
+              .map((format) => `<option value="${format}">${format}</option>`)
+              .join("")}
+          </select>
+        </label>
+        <label class="import-mode">
+          <span>Notes column</span>
+          <select id="csv-notes-column">
+            <option value="-1">None</option>
+            ${headerOptions}
+          </select>
+        </label>
+      </div>
+
+      <datalist id="csv-domain-list">
+        ${Object.keys(domainConfigs)
+          .map((domain) => `<option value="${escapeHtml(domain)}"></option>`)
+          .join("")}
+      </datalist>
+
+      <table class="sync-conflict-fields csv-import-columns">
+        <thead>
+          <tr><th>Column</th><th>First row</th><th>Domain</th><th>Type</th><th>Target / scale</th></tr>
+        </thead>
+        <tbody>${columnRows}</tbody>
+      </table>
+
+      <div id="csv-import-summary"></div>
+
+      <div class="export-import-actions">
+        <button class="btn btn-primary" id="csv-import-btn">Import</button>
+        <button class="btn btn-secondary" id="csv-cancel-btn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  container.querySelector("#csv-date-column").value = suggested.dateColumn;
+  container.querySelector("#csv-date-format").value = suggested.dateFormat;
+  container.querySelector("#csv-notes-column").value = suggested.notesColumn;
+  container.querySelectorAll("[data-csv-column]").forEach((row) => {
+    const mapped = domainFor.get(Number(row.dataset.csvColumn));
+    row.querySelector(".csv-type").value =
+      (mapped && mapped.type) || DomainType.PERCENTAGE;
+  });
+
+  let result = null;
+  const update = () => {
+    const mapping = readMapping(container, domainConfigs);
+    result = buildDayRecords(rows, mapping, domainConfigs, lines);
+    renderSummary(container.querySelector("#csv-import-summary"), result);
+  };
+
+  container.querySelector(".csv-import").addEventListener("input", update);
+  container.querySelector(".csv-import").addEventListener("change", update);
+  update();
+
+  container.querySelector("#csv-cancel-btn").addEventListener("click", () => {
+    container.innerHTML = "";
+  });
+
+  container
+    .querySelector("#csv-import-btn")
+    .addEventListener("click", async () => {
+      if (result.days.length === 0) {
+        alert("No rows are ready to import.");
+        return;
+      }
+
+      if (
+        result.errors.length > 0 &&
+        !confirm(
+          `${result.errors.length} rows have errors and will be skipped.\n\nImport the other ${result.days.length}?`,
+        )
+      ) {
+        return;
+      }
+
+      const imported = await importDays(result);
+      if (!imported.success) {
+        alert(`Import failed: ${imported.error}`);
+        return;
+      }
+
+      container.innerHTML = "";
+      alert(`Imported ${result.days.length} days.`);
+      if (onImported) onImported();
+    });
+}
+
+/**
+ * Read the mapping from the form
+ * Existing domains keep their configured type and scale.
+ * @param {HTMLElement} container - Form container
+ * @param {Object} domainConfigs - Existing domain configs
+ * @returns {Object} Mapping for buildDayRecords
+ */
+function readMapping(container, domainConfigs) {
+  const dateColumn = Number(container.querySelector("#csv-date-column").value);
+  const notesColumn = Number(
+    container.querySelector("#csv-notes-column").value,
+  );
+  const columns = [];
+
+  container.querySelectorAll("[data-csv-column]").forEach((row) => {
+    const column = Number(row.dataset.csvColumn);
+    const domain = row.querySelector(".csv-domain").value.trim().toLowerCase();
+    const typeSelect = row.querySelector(".csv-type");
+    const existing = domainConfigs[domain];
+    const skipped = !domain || column === dateColumn || column === notesColumn;
+
+    row.classList.toggle("csv-import-skipped", skipped);
+    typeSelect.disabled = skipped || Boolean(existing);
+    if (existing) {
+      typeSelect.value = existing.type || DomainType.PERCENTAGE;
+    }
+
+    // Scale fields only for new domains; redrawn when the type changes
+    const scaleCell = row.querySelector(".csv-scale");
+    const scaleType = skipped || existing ? "" : typeSelect.value;
+    if (scaleCell.dataset.type !== scaleType) {
+      scaleCell.dataset.type = scaleType;
+      scaleCell.innerHTML = scaleType ? renderScaleFields(scaleType) : "";
+    }
+
+    if (!skipped) {
+      columns.push({
+        column,
+        domain,
+        type: typeSelect.value,
+        ...(existing ? {} : { scale: readScale(scaleCell) }),
+      });
+    }
+  });
+
+  return {
+    dateColumn,
+    dateFormat: container.querySelector("#csv-date-format").value,
+    notesColumn,
+    columns,
+  };
+}
+
+/**
+ * Render target or scale fields for a new domain's type
+ * @param {string} type - DomainType value
+ * @returns {string} HTML string
+ */
+function renderScaleFields(type) {
+  const scale = getTypeDefaults(type);
+
+  switch (type) {
+    case DomainType.COUNT:
+    case DomainType.DURATION:
+      return `
+        <label>Target${type === DomainType.DURATION ? " (min)" : ""}
+          <input type="number" data-option="target" min="1" step="1" value="${scale.target}" />
+        </label>`;
+    case DomainType.RATING:
+      return `
+        <label>1 to
+          <input type="number" data-option="max" min="2" max="10" step="1" value="${scale.max}" />
+        </label>`;
+    case DomainType.NUMERIC:
+      return `
+        <label>Min
+          <input type="number" data-option="min" step="any" value="${scale.min}" />
+        </label>
+        <label>Max
+          <input type="number" data-option="max" step="any" value="${scale.max}" />
+        </label>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Read the scale fields of a new domain
+ * Empty or invalid fields fall back to the type defaults.
+ * @param {HTMLElement} scaleCell - Cell from renderScaleFields
+ * @returns {Object} Overrides for createDomainConfig
+ */
+function readScale(scaleCell) {
+  const scale = {};
+  scaleCell.querySelectorAll("[data-option]").forEach((input) => {
+    const value = Number(input.value);
+    if (input.value.trim() !== "" && Number.isFinite(value)) {
+      scale[input.dataset.option] = value;
+    }
+  });
+
+  const defaults = getTypeDefaults(scaleCell.dataset.type);
+  if ((scale.max ?? defaults.max) <= (scale.min ?? defaults.min)) {
+    delete scale.min;
+    delete scale.max;
+  }
+  return scale;
+}
+
+/**
+ * Show how many rows are ready and what's wrong with the rest
+ * @param {HTMLElement} summaryEl - Summary element
+ * @param {Object} result - From buildDayRecords
+ */
+function renderSummary(summaryEl, result) {
+  const newDomains = Object.keys(result.newDomains);
+  const errors = result.errors
+    .slice(0, MAX_LISTED_ERRORS)
+    .map(
+      ({ line, message }) =>
+        `<li>Line ${line}: ${escapeHtml(message)}</li>`,
+    )
+    .join("");
+  const more = result.errors.length - MAX_LISTED_ERRORS;
+
+  summaryEl.innerHTML = `
+    <p class="status-message ${result.errors.length ? "status-error" : "status-success"}">
+      ${result.days.length} rows ready${result.errors.length ? `, ${result.errors.length} with errors` : ""}.
+      ${newDomains.length ? `New domains: ${escapeHtml(newDomains.join(", "))}.` : ""}
+    </p>
+    ${
+      errors
+        ? `<ul class="csv-import-errors">${errors}${more > 0 ? `<li>…and ${more} more</li>` : ""}</ul>`
+        : ""
+    }
+  `;
+}
+
+/**
+ * Add new domains and merge the rows into entries
+ * Current data is snapshotted first, so the import can be undone.
+ * @param {Object} result - From buildDayRecords
+ * @returns {Promise<Object>} { success, error }
+ */
+async function importDays(result) {
+  const safety = await persistence.takeSnapshot(SnapshotReason.IMPORT);
+  if (!safety.success) {
+    return {
+      success: false,
+      error: `Could not snapshot current data first: ${safety.error}`,
+    };
+  }
+
+  const usedDomains = new Set(
+    result.days.flatMap((day) => Object.keys(day.domains)),
+  );
+  const settings = loadSettings();
+  Object.entries(result.newDomains).forEach(([domain, config]) => {
+    if (usedDomains.has(domain) && !settings.domains[domain]) {
+      settings.domains[domain] = config;
+    }
+  });
+
+  if (!(await saveSettings(settings))) {
+    return { success: false, error: "Could not save the new domains" };
+  }
+  if (!(await mergeDayRecords(result.days))) {
+    return { success: false, error: "Could not save entries" };
+  }
+
+  console.log(`[CSV Import] Imported ${result.days.length} days`);
+  return { success: true };
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,62 @@
+/**
+ * Graph Export Actions
+ *
+ * Small toolbar under a graph for downloading it as SVG or PNG.
+ * The SVG is looked up when clicked, so graphs can re-render freely.
+ */
+
+import { exportSvg, exportPng, PNG_SCALES } from "../graphs/svgExport.js";
+
+/**
+ * Render the export actions
+ * @param {HTMLElement} container - Container element for the toolbar
+ * @param {HTMLElement} graph - Element the graph renders its SVG into
+ * @param {Function} getFilename - Returns the file name (no extension) at click time
+ */
+export function renderGraphExport(container, graph, getFilename) {
+  container.innerHTML = `
+    <div class="graph-export">
+      <button type="button" class="btn-secondary graph-export-svg">Export SVG</button>
+      <select class="graph-export-scale" aria-label="PNG scale">
+        ${PNG_SCALES.map(
+          (scale) =>
+            `<option value="${scale}"${scale === 2 ? " selected" : ""}>${scale}x</option>`,
+        ).join("")}
+      </select>
+      <button type="button" class="btn-secondary graph-export-png">Export PNG</button>
+    </div>
+  `;
+
+  const findSvg = () => {
+    const svg = graph.querySelector("svg");
+    if (!svg) alert("Nothing to export yet: this graph has no data.");
+    return svg;
+  };
+
+  container
+    .querySelector(".graph-export-svg")
+    .addEventListener("click", () => {
+      const svg = findSvg();
+      if (!svg) return;
+
+      const result = exportSvg(svg, getFilename());
+      if (!result.success) {
+        alert(`Export failed: ${result.error}`);
+      }
+    });
+
+  container
+    .querySelector(".graph-export-png")
+    .addEventListener("click", async () => {
+      const svg = findSvg();
+      if (!svg) return;
+
+      const scale = Number(
+        container.querySelector(".graph-export-scale").value,
+      );
+      const result = await exportPng(svg, getFilename(), scale);
+      if (!result.success) {
+        alert(`Export failed: ${result.error}`);
+      }
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ * Lock Screen
+ *
+ * Every page that shows journal data waits on requireUnlock() before
+ * rendering. With the app lock off it resolves immediately.
+ *
+ * RULES:
+ * - Nothing is read or rendered until the passcode is accepted
+ * - The key is kept in memory only, so every page load asks again
+ * - Hidden pages forget the key; coming back from the back/forward
+ *   cache reloads into the lock screen
+ * - Locking reloads the page, so no decrypted text stays on screen
+ *
+ * @see src/data/appLock.js
+ */
+
+import {
+  isAppLockEnabled,
+  resumeSession,
+  unlockApp,
+  lockApp,
+  forgetKey,
+  recordActivity,
+  isSessionExpired,
+} from "../data/appLock.js";
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "scroll", "touchstart"];
+
+/**
+ * Activity is written at most this often (ms)
+ */
+const ACTIVITY_THROTTLE = 15 * 1000;
+
+/**
+ * How often the inactivity timeout is checked (ms)
+ */
+const IDLE_CHECK_INTERVAL = 15 * 1000;
+
+let watching = false;
+
+/**
+ * Wait until local data is unlocked
+ * @returns {Promise<void>} Resolves once the page may read data
+ */
+export async function requireUnlock() {
+  if (!isAppLockEnabled()) return;
+
+  if (!(await resumeSession())) {
+    await showLockScreen();
+  }
+
+  watchForInactivity();
+}
+
+/**
+ * Lock every page now
+ * @returns {Promise<void>}
+ */
+export async function lockNow() {
+  await lockApp();
+  window.location.reload();
+}
+
+/**
+ * Show the passcode prompt
+ * @returns {Promise<void>} Resolves when the right passcode is entered
+ */
+function showLockScreen() {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "app-lock";
+    overlay.setAttribute("role", "dialog");
+    overlay.setAttribute("aria-modal", "true");
+    overlay.setAttribute("aria-labelledby", "app-lock-title");
+    overlay.innerHTML = `
+      <form class="app-lock-form">
+        <h2 id="app-lock-title">LifeLab is locked</h2>
+        <p class="app-lock-hint">Enter your passcode to open your journal.</p>
+        <input
+          type="password"
+          id="app-lock-passcode"
+          aria-label="Passcode"
+          autocomplete="current-password"
+          required
+        />
+        <p class="app-lock-error" role="alert"></p>
+        <button type="submit" class="btn-primary">Unlock</button>
+        <p class="app-lock-note">Forgotten passcodes can't be recovered. Data synced to your account can be restored by clearing this browser's site data and signing in again.</p>
+      </form>
+    `;
+
+    document.body.appendChild(overlay);
+    document.body.classList.add("app-locked");
+
+    const form = overlay.querySelector("form");
+    const input = overlay.querySelector("#app-lock-passcode");
+    const error = overlay.querySelector(".app-lock-error");
+    const button = overlay.querySelector("button");
+    input.focus();
+
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+      error.textContent = "";
+
+      const result = await unlockApp(input.value);
+      if (!result.success) {
+        error.textContent = result.error;
+        button.disabled = false;
+        input.select();
+        return;
+      }
+
+      overlay.remove();
+      document.body.classList.remove("app-locked");
+      resolve();
+    });
+  });
+}
+
+/**
+ * Track activity and lock once the timeout passes or the page is left
+ */
+function watchForInactivity() {
+  if (watching) return;
+  watching = true;
+
+  let lastRecorded = 0;
+  const onActivity = () => {
+    const now = Date.now();
+    if (now - lastRecorded < ACTIVITY_THROTTLE) return;
+    lastRecorded = now;
+    recordActivity();
+  };
+
+  ACTIVITY_EVENTS.forEach((type) =>
+    window.addEventListener(type, onActivity, { passive: true }),
+  );
+
+  setInterval(() => {
+    if (isAppLockEnabled() && isSessionExpired()) {
+      lockNow();
+    }
+  }, IDLE_CHECK_INTERVAL);
+
+  window.addEventListener("pagehide", () => forgetKey());
+  window.addEventListener("pageshow", (event) => {
+    if (event.persisted) window.location.reload();
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * Markdown Export Options
+ *
+ * Small form for downloading reflections and wins as Markdown.
+ * Shared by the reflection page and settings.
+ */
+
+import { exportMarkdown, MarkdownPeriod } from "../data/markdownJournal.js";
+
+/**
+ * Render the export options
+ * @param {HTMLElement} container - Container element
+ */
+export function renderMarkdownExport(container) {
+  container.innerHTML = `
+    <details class="markdown-export">
+      <summary>Export as Markdown</summary>
+      <div class="markdown-export-options">
+        <label>
+          <span>One file per</span>
+          <select class="markdown-export-period">
+            <option value="${MarkdownPeriod.MONTH}">Month</option>
+            <option value="${MarkdownPeriod.YEAR}">Year</option>
+          </select>
+        </label>
+        <label class="markdown-export-notes">
+          <input type="checkbox" class="markdown-export-include-notes" />
+          <span>Include daily notes</span>
+        </label>
+        <button type="button" class="btn btn-secondary markdown-export-btn">Download</button>
+      </div>
+      <p class="preference-description">Reflections and wins as readable files with a table of contents, ready for a notes vault. Import them back from Settings → Import Data.</p>
+    </details>
+  `;
+
+  container
+    .querySelector(".markdown-export-btn")
+    .addEventListener("click", async () => {
+      const period = container.querySelector(".markdown-export-period").value;
+      const includeNotes = container.querySelector(
+        ".markdown-export-include-notes",
+      ).checked;
+
+      const result = await exportMarkdown(period, includeNotes);
+      if (!result.success) {
+        alert(`Export failed: ${result.error}`);
+      }
+    });
+}
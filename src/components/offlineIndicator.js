@@ -11,8 +11,10 @@
  * - Small toast at bottom of screen
  * - Appears when offline
  * - Shows queue status when operations are pending
+ *   (the stored queue, so the count survives reloads)
  * - Disappears automatically when online
- * - No user interaction required
+ * - No user interaction required, except a Retry button for writes that
+ *   gave up retrying on their own
  *
  * @see docs/AUTHENTICATION.md - Phase 9
  */
@@ -43,7 +45,7 @@ export function initOfflineIndicator() {
  * @param {Object} state - Queue state
  */
 function updateIndicator(indicator, state) {
-  const { isOnline, queueSize, isProcessing } = state;
+  const { isOnline, queueSize, failedCount = 0, isProcessing } = state;
 
   if (!isOnline) {
     // Offline - show indicator
@@ -79,6 +81,31 @@ function updateIndicator(indicator, state) {
       </svg>
       <span>Syncing ${queueSize} ${queueSize === 1 ? "change" : "changes"}...</span>
     `;
+  } else if (failedCount > 0) {
+    // Some writes gave up - the user decides when to try again
+    indicator.style.display = "flex";
+    indicator.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"/>
+        <line x1="12" y1="8" x2="12" y2="12"/>
+        <line x1="12" y1="16" x2="12.01" y2="16"/>
+      </svg>
+      <span>${failedCount} ${failedCount === 1 ? "change" : "changes"} couldn't sync</span>
+      <button type="button" class="offline-indicator-retry">Retry</button>
+    `;
+    indicator
+      .querySelector(".offline-indicator-retry")
+      .addEventListener("click", () => offlineQueue.retryFailed());
+  } else if (queueSize > 0) {
+    // Online but a write is backing off or waiting for sign-in
+    indicator.style.display = "flex";
+    indicator.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"/>
+        <polyline points="12 6 12 12 16 14"/>
+      </svg>
+      <span>${queueSize} ${queueSize === 1 ? "change" : "changes"} waiting to sync – will retry automatically</span>
+    `;
   } else if (
     !isProcessing &&
     queueSize === 0 &&
@@ -0,0 +1,28 @@
+/**
+ * Site Navigation
+ *
+ * Builds the page links shown at the foot of every page from the page
+ * registry. The build injects the result into each page's
+ * <nav class="nav-links" data-site-nav> element, so the navigation is
+ * plain HTML and works before any script runs.
+ *
+ * @see src/pages/registry.js
+ */
+
+import { PAGES } from "../pages/registry.js";
+
+/**
+ * Render the navigation links for a page
+ * The current page is left out; other pages link home with a back arrow.
+ * @param {string} currentFile - HTML file being rendered (e.g. "wins.html")
+ * @returns {string} HTML for the links
+ */
+export function renderNavLinks(currentFile) {
+  return PAGES.filter((page) => page.nav && page.file !== currentFile)
+    .map((page) => {
+      const label =
+        page.file === "index.html" ? `← ${page.label}` : page.label;
+      return `<a href="./${page.file}">${label}</a>`;
+    })
+    .join("\n");
+}
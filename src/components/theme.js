@@ -0,0 +1,106 @@
+/**
+ * Theme - light, dark or follow the system
+ *
+ * DESIGN:
+ * =======
+ * - The preference is `settings.theme`, saved with saveSettings
+ * - The resolved theme is set as data-theme on <html>; base.css swaps the
+ *   color custom properties for [data-theme="dark"]
+ * - An inline script added by the build (themePlugin in vite.config.js)
+ *   sets it before first paint; keep it in step with resolveTheme
+ * - Graphs colored in JS (heatmap cells) subscribe with onThemeChange and
+ *   re-render; everything else follows the CSS variables
+ */
+
+import { loadSettings } from "../data/storage.js";
+
+export const Theme = {
+  LIGHT: "light",
+  DARK: "dark",
+  SYSTEM: "system",
+};
+
+export const DEFAULT_THEME = Theme.LIGHT;
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+const subscribers = [];
+let initialized = false;
+
+/**
+ * Saved theme preference
+ * @returns {string} Theme from Theme
+ */
+export function getThemePreference() {
+  const { theme } = loadSettings();
+  return Object.values(Theme).includes(theme) ? theme : DEFAULT_THEME;
+}
+
+/**
+ * Theme the page is currently shown in
+ * @returns {string} Theme.LIGHT or Theme.DARK
+ */
+export function getActiveTheme() {
+  return document.documentElement.dataset.theme === Theme.DARK
+    ? Theme.DARK
+    : Theme.LIGHT;
+}
+
+/**
+ * Apply a theme preference to the page
+ * @param {string} preference - Theme from Theme, defaults to the saved one
+ */
+export function applyTheme(preference = getThemePreference()) {
+  const resolved = resolveTheme(preference);
+  if (document.documentElement.dataset.theme === resolved) return;
+
+  document.documentElement.dataset.theme = resolved;
+  subscribers.forEach((callback) => {
+    try {
+      callback(resolved);
+    } catch (error) {
+      console.error("[Theme] Subscriber failed:", error);
+    }
+  });
+}
+
+/**
+ * Apply the saved theme and keep it current
+ * Follows system changes in system mode, and changes saved in other tabs.
+ */
+export function initTheme() {
+  applyTheme();
+  if (initialized) return;
+  initialized = true;
+
+  window.matchMedia(DARK_QUERY).addEventListener("change", () => {
+    if (getThemePreference() === Theme.SYSTEM) applyTheme(Theme.SYSTEM);
+  });
+  window.addEventListener("storage", () => applyTheme());
+}
+
+/**
+ * Subscribe to theme changes
+ * @param {Function} callback - Called with the new resolved theme
+ * @returns {Function} Unsubscribe function
+ */
+export function onThemeChange(callback) {
+  subscribers.push(callback);
+
+  return () => {
+    const index = subscribers.indexOf(callback);
+    if (index > -1) {
+      subscribers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Helper: Light or dark for a preference
+ */
+function resolveTheme(preference) {
+  if (preference === Theme.SYSTEM) {
+    return window.matchMedia(DARK_QUERY).matches ? Theme.DARK : Theme.LIGHT;
+  }
+  return preference === Theme.DARK ? Theme.DARK : Theme.LIGHT;
+}
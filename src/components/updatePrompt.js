@@ -0,0 +1,111 @@
+/**
+ * Service Worker Registration & Update Prompt
+ *
+ * PHILOSOPHY:
+ * ===========
+ * Offline should just work. Updates should never surprise anyone.
+ *
+ * DESIGN:
+ * =======
+ * - Registers sw.js in production builds only (dev server stays uncached)
+ * - A new build waits until the user presses "Update"
+ * - Pending offline changes are mentioned, never lost: the offline queue
+ *   is stored durably and replays after the reload
+ *
+ * @see src/sw.js
+ */
+
+import { offlineQueue } from "../data/persistence/offlineQueue.js";
+
+let reloading = false;
+
+/**
+ * Register the service worker and watch for new versions
+ * @returns {Promise<void>}
+ */
+export async function initServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) {
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(
+      `${import.meta.env.BASE_URL}sw.js`,
+    );
+
+    // A new version finished installing while this tab was closed
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener("statechange", () => {
+        // No controller means first install - nothing to update from
+        if (
+          worker.state === "installed" &&
+          navigator.serviceWorker.controller
+        ) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+  } catch (error) {
+    console.error("[Service Worker] Registration failed:", error);
+  }
+}
+
+/**
+ * Show the update toast
+ * @param {ServiceWorker} worker - Installed, waiting worker
+ */
+function showUpdatePrompt(worker) {
+  if (document.getElementById("update-prompt")) return;
+
+  const { queueSize } = offlineQueue.getState();
+  const pendingNote =
+    queueSize > 0
+      ? `<span class="update-prompt-note">${queueSize} unsynced ${
+          queueSize === 1 ? "change is" : "changes are"
+        } saved and will sync after updating.</span>`
+      : "";
+
+  const prompt = document.createElement("div");
+  prompt.id = "update-prompt";
+  prompt.className = "update-prompt";
+  prompt.setAttribute("role", "status");
+  prompt.innerHTML = `
+    <div class="update-prompt-text">
+      <span>A new version of LifeLab is ready.</span>
+      ${pendingNote}
+    </div>
+    <div class="update-prompt-actions">
+      <button class="btn-primary" id="update-prompt-accept">Update</button>
+      <button class="btn-secondary" id="update-prompt-dismiss">Later</button>
+    </div>
+  `;
+
+  document.body.appendChild(prompt);
+
+  prompt
+    .querySelector("#update-prompt-accept")
+    .addEventListener("click", () => {
+      prompt.querySelector("#update-prompt-accept").disabled = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+
+  prompt
+    .querySelector("#update-prompt-dismiss")
+    .addEventListener("click", () => {
+      // The new version activates on its own once every tab is closed
+      prompt.remove();
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Year Summary Blocks
+ * Stat cards, monthly bars, domain trends and insights for one year.
+ * Shared by the Year Review page and the printable year report.
+ *
+ * @see src/insights/yearReview.js for the numbers
+ */
+
+/**
+ * Render year statistics
+ * @param {HTMLElement} container - Stats grid element
+ * @param {Object} stats - From calculateYearStats
+ */
+export function renderYearStats(container, stats) {
+  if (stats.totalDays === 0) {
+    container.innerHTML = '<p class="empty-state">No data available</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="stat-card">
+      <div class="stat-value">${stats.totalDays}</div>
+      <div class="stat-label">Days Tracked</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${(stats.coverage * 100).toFixed(0)}%</div>
+      <div class="stat-label">Coverage</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${stats.avgScore.toFixed(2)}</div>
+      <div class="stat-label">Average Score</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${stats.bestMonth}</div>
+      <div class="stat-label">Best Month</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${stats.longestStreak}</div>
+      <div class="stat-label">Longest Streak</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${stats.topDomain}</div>
+      <div class="stat-label">Top Domain</div>
+    </div>
+  `;
+}
+
+/**
+ * Render monthly comparison bars
+ * @param {HTMLElement} container - Container element
+ * @param {Array} monthlyData - From calculateMonthlyComparison
+ */
+export function renderMonthlyComparison(container, monthlyData) {
+  if (monthlyData.length === 0) {
+    container.innerHTML = '<p class="empty-state">No monthly data</p>';
+    return;
+  }
+
+  const maxAvg = Math.max(...monthlyData.map((m) => m.avg));
+
+  container.innerHTML = `
+    <div class="monthly-bars">
+      ${monthlyData
+        .map(
+          (m) => `
+        <div class="month-bar">
+          <div class="bar-fill" style="height: ${
+            maxAvg > 0 ? (m.avg / maxAvg) * 100 : 0
+          }%"></div>
+          <div class="bar-label">${m.label}</div>
+          <div class="bar-value">${m.avg.toFixed(2)}</div>
+        </div>
+      `,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render domain trends
+ * @param {HTMLElement} container - Container element
+ * @param {Array} domainStats - From calculateDomainTrends
+ */
+export function renderDomainTrends(container, domainStats) {
+  if (domainStats.length === 0) {
+    container.innerHTML = '<p class="empty-state">No domain data</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="domain-trends-list">
+      ${domainStats
+        .map(
+          (d) => `
+        <div class="domain-trend-item">
+          <div class="domain-name">${capitalizeFirst(d.domain)}</div>
+          <div class="domain-bar">
+            <div class="domain-bar-fill" style="width: ${d.avg * 100}%"></div>
+          </div>
+          <div class="domain-avg">${d.avg.toFixed(2)}</div>
+          <div class="domain-trend ${
+            d.trend > 0 ? "positive" : d.trend < 0 ? "negative" : "neutral"
+          }">
+            ${d.trend > 0 ? "↗" : d.trend < 0 ? "↘" : "→"} ${Math.abs(
+              d.trend * 100,
+            ).toFixed(1)}%
+          </div>
+        </div>
+      `,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Render year insights
+ * @param {HTMLElement} container - List element
+ * @param {Array<string>} insights - From generateYearInsights (null when no data)
+ */
+export function renderYearInsights(container, insights) {
+  if (!insights) {
+    container.innerHTML = "<li>No data to analyze</li>";
+    return;
+  }
+
+  container.innerHTML = insights
+    .map((insight) => `<li>${insight}</li>`)
+    .join("");
+}
+
+function capitalizeFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
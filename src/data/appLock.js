@@ -0,0 +1,289 @@
+/**
+ * App Lock
+ *
+ * PHILOSOPHY:
+ * ===========
+ * A journal on a shared computer should close like a notebook.
+ * Optional, local to this browser, and never in the way when it's off.
+ *
+ * DESIGN:
+ * =======
+ * - A passcode derives the key local data is encrypted with
+ *   (localStorage via secureStorage, IndexedDB records via its provider,
+ *   snapshots via the snapshot store)
+ * - The passcode is never stored; a key check verifies it
+ * - The unlocked key lives only in the page's memory: each page load asks
+ *   for the passcode, and pages lock after the configured minutes without
+ *   activity or when they are hidden for the back/forward cache
+ *
+ * There is no recovery: without the passcode, local data can't be read.
+ *
+ * @see src/data/secureStorage.js
+ * @see src/components/lockScreen.js
+ */
+
+import {
+  createKey,
+  unlockKey,
+  clearDeviceKey,
+} from "./persistence/encryption.js";
+import { RecordKeys } from "./persistence/interface.js";
+import { persistence } from "./persistence/manager.js";
+import {
+  loadAllSnapshots,
+  saveAllSnapshots,
+} from "./persistence/snapshotStore.js";
+import { secureStorage, APP_LOCK_KEY } from "./secureStorage.js";
+
+/**
+ * Slot in the device key store older versions kept the unlocked session in
+ * (account keys are stored by uid, which never starts with "__").
+ * Only cleared now: a stored session key would bypass the passcode.
+ */
+const LEGACY_SESSION_KEY_ID = "__app_lock";
+
+/**
+ * localStorage key with the time of the last user activity (ms)
+ */
+const ACTIVITY_KEY = "lifelab_app_lock_activity";
+
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60];
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+export const MIN_PASSCODE_LENGTH = 4;
+
+/**
+ * Read the lock configuration (key check + auto-lock minutes)
+ * @returns {Object|null} Configuration, or null if the lock is off
+ */
+function loadConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(APP_LOCK_KEY));
+  } catch (error) {
+    console.error("[App Lock] Failed to read configuration:", error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a passcode is set in this browser
+ * @returns {boolean} True if the lock is on
+ */
+export function isAppLockEnabled() {
+  return secureStorage.isLockEnabled();
+}
+
+/**
+ * Check whether local data is readable right now
+ * @returns {boolean} True if unlocked (or the lock is off)
+ */
+export function isAppUnlocked() {
+  return !isAppLockEnabled() || Boolean(secureStorage.getLocalKey());
+}
+
+/**
+ * Minutes without activity before locking
+ * @returns {number} Minutes
+ */
+export function getAutoLockMinutes() {
+  return loadConfig()?.autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * Change the inactivity timeout
+ * @param {number} minutes - Minutes without activity before locking
+ * @returns {boolean} Success status
+ */
+export function setAutoLockMinutes(minutes) {
+  const config = loadConfig();
+  if (!config) return false;
+
+  localStorage.setItem(
+    APP_LOCK_KEY,
+    JSON.stringify({ ...config, autoLockMinutes: minutes }),
+  );
+  return true;
+}
+
+/**
+ * Note user activity (keeps every open page unlocked)
+ */
+export function recordActivity() {
+  localStorage.setItem(ACTIVITY_KEY, String(Date.now()));
+}
+
+/**
+ * Check whether the inactivity timeout has passed
+ * @returns {boolean} True if it's time to lock
+ */
+export function isSessionExpired() {
+  const lastActive = Number(localStorage.getItem(ACTIVITY_KEY));
+  return (
+    !lastActive || Date.now() - lastActive > getAutoLockMinutes() * 60 * 1000
+  );
+}
+
+/**
+ * Check whether this page is already unlocked
+ * Removes a session key left on disk by older versions.
+ * @returns {Promise<boolean>} True if unlocked (or the lock is off)
+ */
+export async function resumeSession() {
+  if (isAppUnlocked()) return true;
+
+  await clearDeviceKey(LEGACY_SESSION_KEY_ID);
+  return false;
+}
+
+/**
+ * Unlock with the passcode
+ * @param {string} passcode - Passcode
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function unlockApp(passcode) {
+  const config = loadConfig();
+  if (!config) {
+    return { success: true };
+  }
+
+  const key = await unlockKey(passcode, config);
+  if (!key) {
+    return { success: false, error: "Incorrect passcode" };
+  }
+
+  try {
+    await secureStorage.unlock({ kid: config.kid, key });
+  } catch (error) {
+    console.error("[App Lock] Failed to decrypt local data:", error);
+    return { success: false, error: "Local data could not be decrypted" };
+  }
+
+  recordActivity();
+  console.log("[App Lock] Unlocked");
+  return { success: true };
+}
+
+/**
+ * Lock now: forget the key in memory
+ * @returns {Promise<void>}
+ */
+export async function lockApp() {
+  await secureStorage.flush();
+  secureStorage.lock();
+  localStorage.removeItem(ACTIVITY_KEY);
+  await clearDeviceKey(LEGACY_SESSION_KEY_ID);
+  console.log("[App Lock] Locked");
+}
+
+/**
+ * Forget the key on this page only (other open pages stay unlocked)
+ * @returns {Promise<void>}
+ */
+export async function forgetKey() {
+  await secureStorage.flush();
+  secureStorage.lock();
+}
+
+/**
+ * Turn the lock on and encrypt everything stored in this browser
+ * @param {string} passcode - New passcode
+ * @param {number} autoLockMinutes - Inactivity timeout
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function enableAppLock(passcode, autoLockMinutes) {
+  if (isAppLockEnabled()) {
+    return { success: false, error: "The lock is already on" };
+  }
+
+  try {
+    const local = await persistence.getLocalProvider();
+    const records = await readLocalRecords(local);
+    const snapshots = await loadAllSnapshots();
+
+    const { key, keyCheck } = await createKey(passcode);
+    localStorage.setItem(
+      APP_LOCK_KEY,
+      JSON.stringify({ ...keyCheck, autoLockMinutes }),
+    );
+
+    const activeKey = { kid: keyCheck.kid, key };
+    await secureStorage.unlock(activeKey);
+    await writeLocalRecords(local, records);
+    await saveAllSnapshots(snapshots);
+
+    recordActivity();
+    console.log("[App Lock] Enabled");
+    return { success: true };
+  } catch (error) {
+    console.error("[App Lock] Failed to enable:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Turn the lock off and store local data as plaintext again
+ * @param {string} passcode - Current passcode
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function disableAppLock(passcode) {
+  const config = loadConfig();
+  if (!config) {
+    return { success: true };
+  }
+
+  const key = await unlockKey(passcode, config);
+  if (!key) {
+    return { success: false, error: "Incorrect passcode" };
+  }
+
+  try {
+    if (!secureStorage.getLocalKey()) {
+      await secureStorage.unlock({ kid: config.kid, key });
+    }
+
+    const local = await persistence.getLocalProvider();
+    const records = await readLocalRecords(local);
+    const snapshots = await loadAllSnapshots();
+
+    localStorage.removeItem(APP_LOCK_KEY);
+    await secureStorage.decryptAll();
+    await writeLocalRecords(local, records);
+    await saveAllSnapshots(snapshots);
+
+    localStorage.removeItem(ACTIVITY_KEY);
+    await clearDeviceKey(LEGACY_SESSION_KEY_ID);
+    console.log("[App Lock] Disabled");
+    return { success: true };
+  } catch (error) {
+    console.error("[App Lock] Failed to disable:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Read every record type from the local provider
+ * @param {PersistenceProvider} local - Ready local provider
+ * @returns {Promise<Object>} type -> collection
+ */
+async function readLocalRecords(local) {
+  const records = {};
+  for (const type of Object.keys(RecordKeys)) {
+    const data = await local.fetch(type);
+    if (data) records[type] = data;
+  }
+  return records;
+}
+
+/**
+ * Write record types back, re-encrypting (or decrypting) them
+ * @param {PersistenceProvider} local - Ready local provider
+ * @param {Object} records - type -> collection
+ * @returns {Promise<void>}
+ * @throws {Error} If a type can't be written
+ */
+async function writeLocalRecords(local, records) {
+  for (const [type, data] of Object.entries(records)) {
+    if (!(await local.save(type, data))) {
+      throw new Error(`Failed to rewrite ${type}`);
+    }
+  }
+}
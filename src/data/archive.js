@@ -0,0 +1,146 @@
+/**
+ * Full Archive Export
+ *
+ * Builds and reads LifeLab archives (see persistence/archiveFormat.js and
+ * docs/ARCHIVE_FORMAT.md). One archive holds every piece of user data:
+ * synced collections, board images, reflection prompts and memory state.
+ */
+
+import { persistence, DataTypes } from "./persistence/manager.js";
+import { SCHEMA_VERSION } from "./persistence/interface.js";
+import { upgradeData } from "./persistence/schemaMigrations.js";
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_FORMAT_VERSION,
+  ARCHIVE_COLLECTIONS,
+  MANIFEST_PATH,
+  LocalCollections,
+  collectionPath,
+  countCollection,
+  packAssets,
+  unpackAssets,
+  validateArchive,
+} from "./persistence/archiveFormat.js";
+import { createZip } from "./zip.js";
+import { getPrompts, replacePrompts } from "./reflectionPrompts.js";
+import { getMemoryCache, replaceMemoryCache } from "./memoryQuery.js";
+
+/**
+ * Build an archive of all current data
+ * @returns {Promise<Uint8Array>} ZIP bytes
+ */
+export async function buildArchive() {
+  const data = await persistence.readAllData();
+  const collections = {
+    ...data,
+    [LocalCollections.REFLECTION_PROMPTS]: getPrompts(),
+    [LocalCollections.MEMORY_CACHE]: getMemoryCache(),
+  };
+
+  const { cards, assets } = packAssets(collections[DataTypes.BOARD_CARDS] || []);
+  if (collections[DataTypes.BOARD_CARDS]) {
+    collections[DataTypes.BOARD_CARDS] = cards;
+  }
+
+  const encoder = new TextEncoder();
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: {},
+    assets: assets.map(({ path, cardId, mediaType, data: bytes }) => ({
+      path,
+      cardId,
+      mediaType,
+      size: bytes.length,
+    })),
+  };
+  const files = [];
+
+  ARCHIVE_COLLECTIONS.forEach((name) => {
+    const value = collections[name];
+    if (value === undefined || value === null) return;
+
+    manifest.collections[name] = {
+      file: collectionPath(name),
+      count: countCollection(name, value),
+    };
+    files.push({
+      path: collectionPath(name),
+      data: encoder.encode(JSON.stringify(value, null, 2)),
+    });
+  });
+
+  files.unshift({
+    path: MANIFEST_PATH,
+    data: encoder.encode(JSON.stringify(manifest, null, 2)),
+  });
+  assets.forEach(({ path, data: bytes }) => files.push({ path, data: bytes }));
+
+  console.log(
+    `[Archive] Built archive with ${files.length - 1} files, ${assets.length} images`,
+  );
+  return createZip(files);
+}
+
+/**
+ * Read an archive into import data on the current schema
+ * @param {Map<string, Uint8Array>} files - Files from readZip
+ * @returns {Object} type -> value, local collections included
+ * @throws {Error} If the archive fails validation
+ */
+export function readArchive(files) {
+  const { valid, errors, manifest, collections } = validateArchive(files);
+
+  if (!valid) {
+    console.warn("[Archive] Invalid archive:", errors);
+    throw new Error(`Invalid archive: ${errors.join("; ")}`);
+  }
+
+  if (collections[DataTypes.BOARD_CARDS]) {
+    collections[DataTypes.BOARD_CARDS] = unpackAssets(
+      collections[DataTypes.BOARD_CARDS],
+      manifest.assets || [],
+      files,
+    );
+  }
+
+  return upgradeData(collections, manifest.schemaVersion).data;
+}
+
+/**
+ * Take the localStorage-only collections out of import data
+ * @param {Object} data - type -> value (modified in place)
+ * @returns {Object} name -> value for local collections
+ */
+export function extractLocalCollections(data) {
+  const local = {};
+  Object.values(LocalCollections).forEach((name) => {
+    if (name in data) {
+      local[name] = data[name];
+      delete data[name];
+    }
+  });
+  return local;
+}
+
+/**
+ * Write localStorage-only collections from an archive
+ * @param {Object} local - From extractLocalCollections
+ * @returns {number} Collections written
+ */
+export function restoreLocalCollections(local) {
+  let restored = 0;
+
+  if (local[LocalCollections.REFLECTION_PROMPTS]) {
+    replacePrompts(local[LocalCollections.REFLECTION_PROMPTS]);
+    restored++;
+  }
+  if (LocalCollections.MEMORY_CACHE in local) {
+    replaceMemoryCache(local[LocalCollections.MEMORY_CACHE]);
+    restored++;
+  }
+
+  return restored;
+}
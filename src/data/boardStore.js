@@ -7,10 +7,10 @@
  * @see docs/VISUALIZATION_BOARD_PHILOSOPHY.md
  */
 
-import { persistence } from "./persistence/manager.js";
+import { persistence, DataTypes } from "./persistence/manager.js";
 
-const CARDS_COLLECTION = "board_cards";
-const SETTINGS_COLLECTION = "board_settings";
+const CARDS_COLLECTION = DataTypes.BOARD_CARDS;
+const SETTINGS_COLLECTION = DataTypes.BOARD_SETTINGS;
 
 let initialized = false;
 
@@ -50,12 +50,6 @@ export async function saveCard(card) {
   }
 
   try {
-    // Load all cards
-    const cards = await loadCards();
-
-    // Find existing card or add new one
-    const existingIndex = cards.findIndex((c) => c.id === card.id);
-
     const cardData = {
       id: card.id,
       type: card.type,
@@ -64,18 +58,11 @@ export async function saveCard(card) {
         x: card.position.x,
         y: card.position.y,
       },
+      updatedAt: new Date().toISOString(),
     };
 
-    if (existingIndex >= 0) {
-      // Update existing card
-      cards[existingIndex] = cardData;
-    } else {
-      // Add new card
-      cards.push(cardData);
-    }
-
-    // Persistence manager handles localStorage vs Firebase based on auth
-    const success = await persistence.save(CARDS_COLLECTION, cards);
+    // Creates or replaces just this card
+    const success = await persistence.put(CARDS_COLLECTION, cardData);
 
     if (success) {
       console.log(`[Board Store] Card ${card.id} saved`);
@@ -128,14 +115,7 @@ export async function deleteCard(cardId) {
   }
 
   try {
-    // Load all cards
-    const cards = await loadCards();
-
-    // Filter out the deleted card
-    const updatedCards = cards.filter((card) => card.id !== cardId);
-
-    // Save updated array
-    const success = await persistence.save(CARDS_COLLECTION, updatedCards);
+    const success = await persistence.delete(CARDS_COLLECTION, cardId);
 
     if (success) {
       console.log(`[Board Store] Card ${cardId} deleted`);
@@ -179,6 +159,7 @@ export async function saveStarterDismissed() {
     const settings = (await persistence.fetch(SETTINGS_COLLECTION)) || {};
     settings.starter_template_dismissed = true;
     settings.dismissedAt = new Date().toISOString();
+    settings.updatedAt = settings.dismissedAt;
 
     const success = await persistence.save(SETTINGS_COLLECTION, settings);
 
@@ -207,11 +188,7 @@ export async function updateCardPosition(cardId, position) {
   }
 
   try {
-    // Load all cards
-    const cards = await loadCards();
-
-    // Find and update the card
-    const card = cards.find((c) => c.id === cardId);
+    const card = await persistence.get(CARDS_COLLECTION, cardId);
     if (!card) {
       console.warn(
         `[Board Store] Card ${cardId} not found for position update`,
@@ -221,9 +198,9 @@ export async function updateCardPosition(cardId, position) {
 
     // Update position
     card.position = { x: position.x, y: position.y };
+    card.updatedAt = new Date().toISOString();
 
-    // Save updated array
-    const success = await persistence.save(CARDS_COLLECTION, cards);
+    const success = await persistence.put(CARDS_COLLECTION, card);
 
     if (success) {
       console.log(`[Board Store] Card ${cardId} position updated`);
@@ -0,0 +1,350 @@
+/**
+ * CSV Import
+ *
+ * Turns a spreadsheet export into day records using a column mapping:
+ * which column holds the date (and its format), which hold domain values
+ * and which holds notes.
+ *
+ * RULES:
+ * - Nothing is written here; rows are only parsed and validated
+ * - Every row is checked with isValidDayRecord - bad rows are reported
+ *   with their line number and never imported
+ * - Empty cells are left out of the day (not recorded as zero)
+ */
+
+import { isValidDayRecord } from "./schema.js";
+import {
+  DomainType,
+  createDomainConfig,
+  isValidDomainValue,
+  parseValue,
+} from "./domainTypes.js";
+
+/**
+ * Date layouts a date column may use
+ */
+export const DateFormat = {
+  ISO: "YYYY-MM-DD",
+  DAY_FIRST: "DD/MM/YYYY",
+  MONTH_FIRST: "MM/DD/YYYY",
+};
+
+const DELIMITERS = [",", ";", "\t"];
+const CHECKBOX_VALUES = ["true", "false", "yes", "no", "y", "n", "x", "✓", ""];
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, CRLF, comma/semicolon/tab)
+ * @param {string} text - File contents
+ * @returns {Object} { headers, rows, lines } - rows are arrays of cell strings,
+ *   lines[i] is the file line rows[i] starts on
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  const starts = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  // Quoted cells can span lines, so count them as we go
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n" || (char === "\r" && source[i + 1] !== "\n")) {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      starts.push(start);
+      record = [];
+      cell = "";
+      line++;
+      start = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+    starts.push(start);
+  }
+
+  const nonEmpty = records
+    .map((row, index) => ({ row, line: starts[index] }))
+    .filter(({ row }) => row.some((value) => value.trim()));
+  const [header, ...rest] = nonEmpty;
+  return {
+    headers: header ? header.row.map((value) => value.trim()) : [],
+    rows: rest.map(({ row }) => row),
+    lines: rest.map(({ line: rowLine }) => rowLine),
+  };
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} line - First line
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(line = "") {
+  return DELIMITERS.reduce((best, delimiter) =>
+    line.split(delimiter).length > line.split(best).length ? delimiter : best,
+  );
+}
+
+/**
+ * Parse a date cell into YYYY-MM-DD
+ * @param {string} raw - Cell value
+ * @param {string} format - DateFormat value
+ * @returns {string|null} ISO date, or null if it isn't a real date
+ */
+export function parseDate(raw, format) {
+  const parts = String(raw).trim().split(/[-/.]/);
+  if (parts.length !== 3 || parts.some((part) => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  let year;
+  let month;
+  let day;
+  if (format === DateFormat.ISO) {
+    [year, month, day] = parts.map(Number);
+  } else if (format === DateFormat.MONTH_FIRST) {
+    [month, day, year] = parts.map(Number);
+  } else {
+    [day, month, year] = parts.map(Number);
+  }
+  if (year < 100) year += 2000;
+
+  // Reject dates like 31/02 that Date would roll over
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Guess the date format from a column's values
+ * @param {Array<string>} values - Date cells
+ * @returns {string} DateFormat value
+ */
+export function guessDateFormat(values) {
+  const filled = values.map((value) => value.trim()).filter(Boolean);
+  if (filled.every((value) => /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(value))) {
+    return DateFormat.ISO;
+  }
+
+  const parts = filled.map((value) => value.split(/[-/.]/).map(Number));
+  if (parts.some(([, second]) => second > 12)) {
+    return DateFormat.MONTH_FIRST;
+  }
+  return DateFormat.DAY_FIRST;
+}
+
+/**
+ * Guess a domain type from a column's values
+ * @param {Array<string>} values - Cells
+ * @returns {string} DomainType value
+ */
+export function guessDomainType(values) {
+  const filled = values.map((value) => value.trim()).filter(Boolean);
+  if (filled.length === 0) return DomainType.PERCENTAGE;
+
+  if (
+    filled.every((value) => CHECKBOX_VALUES.includes(value.toLowerCase())) ||
+    filled.every((value) => value === "0" || value === "1")
+  ) {
+    return DomainType.CHECKBOX;
+  }
+
+  if (filled.every((value) => value.endsWith("%"))) {
+    return DomainType.PERCENTAGE;
+  }
+
+  const numbers = filled.map(Number);
+  if (numbers.some((number) => !Number.isFinite(number))) {
+    return DomainType.NUMERIC;
+  }
+  if (numbers.every((number) => number >= 0 && number <= 1)) {
+    return DomainType.PERCENTAGE;
+  }
+  if (numbers.every((number) => Number.isInteger(number) && number >= 0)) {
+    return DomainType.COUNT;
+  }
+  return DomainType.NUMERIC;
+}
+
+/**
+ * Suggest a mapping for a file
+ * Columns named after an existing domain map to it; other columns
+ * become new domains with a guessed type.
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Object} domainConfigs - Existing domain configs
+ * @returns {Object} Mapping (see buildDayRecords)
+ */
+export function suggestMapping(headers, rows, domainConfigs = {}) {
+  const names = headers.map((header) => header.toLowerCase());
+  const dateColumn = Math.max(
+    names.findIndex((name) => name === "date" || name === "day"),
+    0,
+  );
+  const notesColumn = names.findIndex(
+    (name) => name === "notes" || name === "note",
+  );
+
+  const columns = headers
+    .map((header, column) => ({ header, column }))
+    .filter(({ column }) => column !== dateColumn && column !== notesColumn)
+    .map(({ header, column }) => {
+      const domain = header.trim().toLowerCase();
+      const existing = domainConfigs[domain];
+      return {
+        column,
+        domain,
+        type: existing
+          ? existing.type || DomainType.PERCENTAGE
+          : guessDomainType(rows.map((row) => row[column] || "")),
+      };
+    });
+
+  return {
+    dateColumn,
+    dateFormat: guessDateFormat(rows.map((row) => row[dateColumn] || "")),
+    notesColumn,
+    columns,
+  };
+}
+
+/**
+ * Parse one cell for a domain, reporting what's wrong with it
+ * @param {string} raw - Cell value (not empty)
+ * @param {string} type - DomainType value
+ * @param {Object} config - Domain config
+ * @returns {Object} { value, error }
+ */
+function parseCell(raw, type, config) {
+  const text = raw.trim();
+
+  if (type === DomainType.CHECKBOX) {
+    if (!CHECKBOX_VALUES.includes(text.toLowerCase()) && !/^[01]$/.test(text)) {
+      return { error: `"${text}" is not yes/no` };
+    }
+    return { value: parseValue(text, type, config) };
+  }
+
+  const isPercent = text.endsWith("%");
+  const number = Number(isPercent ? text.slice(0, -1) : text);
+  if (text === "" || !Number.isFinite(number)) {
+    return { error: `"${text}" is not a number` };
+  }
+
+  // Spreadsheets often hold percentages as 75 or 75%
+  const value =
+    type === DomainType.PERCENTAGE && (isPercent || number > 1)
+      ? number / 100
+      : number;
+
+  if (!isValidDomainValue(value, type, config)) {
+    return { error: `${text} is out of range` };
+  }
+  return { value };
+}
+
+/**
+ * Build day records from rows
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {Object} mapping - { dateColumn, dateFormat, notesColumn, columns: [{ column, domain, type, scale }] }
+ *   scale holds target/min/max for new domains
+ * @param {Object} domainConfigs - Existing domain configs
+ * @param {Array<number>} lines - File line of each row, from parseCSV
+ * @returns {Object} { days, errors: [{ line, message }], newDomains } - newDomains maps name -> config
+ */
+export function buildDayRecords(rows, mapping, domainConfigs = {}, lines = []) {
+  const newDomains = {};
+  mapping.columns.forEach(({ domain, type, scale }) => {
+    if (!domainConfigs[domain] && !newDomains[domain]) {
+      newDomains[domain] = createDomainConfig(type, scale);
+    }
+  });
+  const configs = { ...domainConfigs, ...newDomains };
+
+  const days = [];
+  const errors = [];
+  const seen = new Map();
+
+  rows.forEach((row, index) => {
+    const line = lines[index] ?? index + 2; // header is line 1
+    const rowErrors = [];
+
+    const date = parseDate(row[mapping.dateColumn] || "", mapping.dateFormat);
+    if (!date) {
+      rowErrors.push(
+        `date "${row[mapping.dateColumn] || ""}" doesn't match ${mapping.dateFormat}`,
+      );
+    } else if (seen.has(date)) {
+      rowErrors.push(`${date} is also on line ${seen.get(date)}`);
+    }
+
+    const domains = {};
+    mapping.columns.forEach(({ column, domain }) => {
+      const raw = row[column] || "";
+      if (!raw.trim()) return;
+
+      const config = configs[domain];
+      const { value, error } = parseCell(
+        raw,
+        config.type || DomainType.PERCENTAGE,
+        config,
+      );
+      if (error) {
+        rowErrors.push(`${domain}: ${error}`);
+      } else {
+        domains[domain] = value;
+      }
+    });
+
+    const notes =
+      mapping.notesColumn >= 0 ? (row[mapping.notesColumn] || "").trim() : "";
+    const day = { date, domains, notes };
+
+    if (rowErrors.length === 0 && !isValidDayRecord(day, configs)) {
+      rowErrors.push("values don't fit the domain settings");
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, message: rowErrors.join("; ") });
+      return;
+    }
+
+    seen.set(date, line);
+    days.push(day);
+  });
+
+  return { days, errors, newDomains };
+}
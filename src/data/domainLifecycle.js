@@ -0,0 +1,232 @@
+/**
+ * Domain Lifecycle
+ *
+ * Rename, merge and archive domains. Day records key values by domain
+ * name, so renaming or merging rewrites every stored month.
+ *
+ * RULES:
+ * - A safety snapshot is taken before any history rewrite
+ * - All months are rewritten in memory and saved in one write; if that
+ *   or the settings save fails, the old entries and settings are put back
+ * - Synced entries are written in batches that can't be undone as one, so
+ *   a failed put-back is reported with a pointer to the snapshot
+ * - Merging keeps the target's value when both domains have one that day
+ * - Archiving only hides a domain; its history is untouched
+ */
+
+import { persistence, SnapshotReason } from "./persistence/manager.js";
+import {
+  loadSettings,
+  saveSettings,
+  loadFromLocalStorage,
+  saveToLocalStorage,
+} from "./storage.js";
+
+/**
+ * Move one domain's values to another name across all months
+ * @param {Object} entries - Month key → day records
+ * @param {string} from - Domain whose values move
+ * @param {string} to - Domain that receives them
+ * @returns {Object} { entries, changedDays, droppedValues }
+ */
+export function rewriteDomainHistory(entries, from, to) {
+  const updatedAt = new Date().toISOString();
+  const rewritten = {};
+  let changedDays = 0;
+  let droppedValues = 0;
+
+  Object.entries(entries).forEach(([key, days]) => {
+    rewritten[key] = days.map((day) => {
+      if (!day.domains || !(from in day.domains)) return day;
+
+      const { [from]: value, ...domains } = day.domains;
+      if (to in domains) {
+        droppedValues++;
+      } else {
+        domains[to] = value;
+      }
+
+      changedDays++;
+      return { ...day, domains, updatedAt };
+    });
+  });
+
+  return { entries: rewritten, changedDays, droppedValues };
+}
+
+/**
+ * Rename a domain, keeping its settings and history
+ * @param {string} oldName - Current domain name
+ * @param {string} newName - New domain name
+ * @returns {Promise<Object>} { success, changedDays, error }
+ */
+export async function renameDomain(oldName, newName) {
+  const name = normalizeName(newName);
+  const settings = loadSettings();
+
+  if (!settings.domains[oldName]) {
+    return { success: false, error: `Unknown domain "${oldName}"` };
+  }
+  if (!name) {
+    return { success: false, error: "Please enter a domain name" };
+  }
+  if (name === oldName) {
+    return { success: true, changedDays: 0 };
+  }
+  if (settings.domains[name] !== undefined) {
+    return {
+      success: false,
+      error: `"${name}" already exists - merge into it instead`,
+    };
+  }
+
+  // Rebuild so the renamed domain keeps its place in the list
+  const domains = {};
+  Object.entries(settings.domains).forEach(([domain, config]) => {
+    domains[domain === oldName ? name : domain] = config;
+  });
+
+  const result = await rewriteHistory(oldName, name, { ...settings, domains });
+  if (result.success) {
+    console.log(
+      `[Domains] Renamed ${oldName} to ${name} (${result.changedDays} days)`,
+    );
+  }
+  return result;
+}
+
+/**
+ * Merge one domain into another and remove the source
+ * @param {string} source - Domain to fold in
+ * @param {string} target - Domain that remains
+ * @returns {Promise<Object>} { success, changedDays, droppedValues, error }
+ */
+export async function mergeDomains(source, target) {
+  const settings = loadSettings();
+  const sourceConfig = settings.domains[source];
+  const targetConfig = settings.domains[target];
+
+  if (!sourceConfig || !targetConfig) {
+    return { success: false, error: "Both domains must exist" };
+  }
+  if (source === target) {
+    return { success: false, error: "Can't merge a domain into itself" };
+  }
+  if (sourceConfig.type !== targetConfig.type) {
+    return {
+      success: false,
+      error: `"${source}" and "${target}" record different kinds of values`,
+    };
+  }
+
+  const { [source]: _, ...domains } = settings.domains;
+
+  const result = await rewriteHistory(source, target, { ...settings, domains });
+  if (result.success) {
+    console.log(
+      `[Domains] Merged ${source} into ${target} (${result.changedDays} days)`,
+    );
+  }
+  return result;
+}
+
+/**
+ * Archive or restore a domain
+ * Archived domains are hidden from entry and visualizations but keep
+ * their history; restoring turns them back on.
+ * @param {string} domain - Domain name
+ * @param {boolean} archived - Archive (true) or restore (false)
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function setDomainArchived(domain, archived = true) {
+  const settings = loadSettings();
+  const config = settings.domains[domain];
+
+  if (!config) {
+    return { success: false, error: `Unknown domain "${domain}"` };
+  }
+
+  settings.domains[domain] = { ...config, archived, enabled: !archived };
+
+  if (!(await saveSettings(settings))) {
+    return { success: false, error: "Could not save settings" };
+  }
+
+  console.log(`[Domains] ${archived ? "Archived" : "Restored"} ${domain}`);
+  return { success: true };
+}
+
+/**
+ * Snapshot, rewrite every month, then save the new settings
+ * @param {string} from - Domain whose values move
+ * @param {string} to - Domain that receives them
+ * @param {Object} settings - Settings to save once entries are rewritten
+ * @returns {Promise<Object>} { success, changedDays, droppedValues, error }
+ */
+async function rewriteHistory(from, to, settings) {
+  const safety = await persistence.takeSnapshot(SnapshotReason.DOMAIN_CHANGE);
+  if (!safety.success) {
+    return {
+      success: false,
+      error: `Could not snapshot current data first: ${safety.error}`,
+    };
+  }
+
+  const previous = loadFromLocalStorage();
+  const previousSettings = loadSettings();
+  const { entries, changedDays, droppedValues } = rewriteDomainHistory(
+    previous,
+    from,
+    to,
+  );
+
+  // A failed save may already have rewritten the local copy and some
+  // of the synced batches
+  if (changedDays > 0 && !(await saveToLocalStorage(entries))) {
+    return putBack(previous, null, "Could not save entries");
+  }
+
+  if (!(await saveSettings(settings))) {
+    return putBack(
+      changedDays > 0 ? previous : null,
+      previousSettings,
+      "Could not save settings",
+    );
+  }
+
+  return { success: true, changedDays, droppedValues };
+}
+
+/**
+ * Put the entries and settings from before a failed rewrite back
+ * @param {Object|null} entries - Entries to restore, or null to keep
+ * @param {Object|null} settings - Settings to restore, or null to keep
+ * @param {string} error - What failed
+ * @returns {Promise<Object>} { success: false, error }
+ */
+async function putBack(entries, settings, error) {
+  const restored =
+    (!entries || (await saveToLocalStorage(entries))) &&
+    (!settings || (await saveSettings(settings)));
+  if (restored) {
+    return { success: false, error };
+  }
+
+  console.error("[Domains] Could not put the previous data back");
+  return {
+    success: false,
+    error:
+      `${error}, and the previous data could not be put back. ` +
+      "Some days may be partly changed: restore the snapshot " +
+      '"Before renaming or merging a domain" in Settings.',
+  };
+}
+
+/**
+ * Helper: Domain names are stored trimmed and lowercase
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
@@ -7,10 +7,10 @@
  * - Single Source of Truth: Domain metadata stored in settings
  *
  * ARCHITECTURE:
- * Settings: domain → {enabled: boolean, type: 'percentage' | 'checkbox'}
- * Data: domain → number (0-1) | boolean
+ * Settings: domain → {enabled: boolean, type: DomainType, ...type options}
+ * Data: domain → number (0-1) | boolean | raw number (count, minutes, rating, unit value)
  * UI: Renders appropriate input based on type
- * Viz: Normalizes values for display
+ * Viz: Normalizes values for display using per-domain target or min/max
  */
 
 /**
@@ -19,55 +19,183 @@
 export const DomainType = {
   PERCENTAGE: "percentage", // 0-1 scale (health, skills, etc.)
   CHECKBOX: "checkbox", // boolean (did task or not)
+  COUNT: "count", // whole number toward a target (pages read, glasses of water)
+  DURATION: "duration", // minutes toward a target (sleep, practice)
+  RATING: "rating", // integer 1-N (mood, energy)
+  NUMERIC: "numeric", // free number with a unit between min and max
+};
+
+/**
+ * Human-readable labels for each domain type (settings UI)
+ */
+export const DomainTypeLabels = {
+  [DomainType.PERCENTAGE]: "Percentage (0-100%)",
+  [DomainType.CHECKBOX]: "Checkbox (Done/Not Done)",
+  [DomainType.COUNT]: "Count (toward a target)",
+  [DomainType.DURATION]: "Duration (minutes)",
+  [DomainType.RATING]: "Rating (1-N)",
+  [DomainType.NUMERIC]: "Number (with unit)",
 };
 
 /**
  * Domain configuration metadata
  * @typedef {Object} DomainConfig
  * @property {boolean} enabled - Whether domain is active
- * @property {string} type - Domain type (percentage | checkbox)
+ * @property {string} type - Domain type (see DomainType)
+ * @property {number} [target] - Value that counts as "full" (count, duration)
+ * @property {number} [min] - Lowest value on the scale (rating, numeric)
+ * @property {number} [max] - Highest value on the scale (rating, numeric)
+ * @property {string} [unit] - Display unit (numeric)
+ * @property {number} weight - Relative weight in the daily score
+ * @property {boolean} includeInScore - Whether the domain counts toward the daily score
+ * @property {boolean} [archived] - Hidden everywhere but settings; history is kept
+ * @property {string} [label] - Display name (defaults to the capitalized key)
+ * @property {string} [color] - Hex color for swatches and series
+ * @property {string} [icon] - Short emoji or symbol shown before the label
+ * @property {string} [description] - What the domain tracks (shown as a tooltip)
+ */
+
+/**
+ * Display metadata for a domain, with fallbacks for unset fields
+ * @param {string} domain - Domain name (settings key)
+ * @param {Object} config - Domain config
+ * @returns {Object} {label, color, icon, description}
+ */
+export function getDomainDisplay(domain, config = {}) {
+  const { label, color, icon, description } = config || {};
+  return {
+    label:
+      (label && label.trim()) ||
+      domain.charAt(0).toUpperCase() + domain.slice(1),
+    color: color || null,
+    icon: icon || "",
+    description: description || "",
+  };
+}
+
+/**
+ * Get the type-specific options a new domain starts with
+ * @param {string} type - Domain type
+ * @returns {Object} Default options for the type
  */
+export function getTypeDefaults(type) {
+  switch (type) {
+    case DomainType.COUNT:
+      return { target: 10 };
+    case DomainType.DURATION:
+      return { target: 60 };
+    case DomainType.RATING:
+      return { min: 1, max: 5 };
+    case DomainType.NUMERIC:
+      return { min: 0, max: 100, unit: "" };
+    default:
+      return {};
+  }
+}
 
 /**
  * Create default domain configuration
  * @param {string} type - Domain type
+ * @param {Object} options - Type-specific overrides (target, min, max, unit)
  * @returns {DomainConfig}
  */
-export function createDomainConfig(type = DomainType.PERCENTAGE) {
+export function createDomainConfig(type = DomainType.PERCENTAGE, options = {}) {
   return {
     enabled: true,
     type,
+    weight: 1,
+    includeInScore: true,
+    ...getTypeDefaults(type),
+    ...options,
   };
 }
 
+/**
+ * Resolve a config's scale, falling back to the type defaults
+ * @param {string} type - Domain type
+ * @param {Object} config - Domain config (may be partial)
+ * @returns {Object} {target, min, max, unit}
+ */
+function resolveScale(type, config = {}) {
+  return { ...getTypeDefaults(type), ...(config || {}) };
+}
+
 /**
  * Validate domain value based on type
  * @param {*} value - Value to validate
  * @param {string} type - Domain type
+ * @param {Object} config - Domain config (for rating bounds)
  * @returns {boolean}
  */
-export function isValidDomainValue(value, type) {
+export function isValidDomainValue(value, type, config = {}) {
+  const isNumber = typeof value === "number" && Number.isFinite(value);
+
   switch (type) {
     case DomainType.PERCENTAGE:
-      return typeof value === "number" && value >= 0 && value <= 1;
+      return isNumber && value >= 0 && value <= 1;
     case DomainType.CHECKBOX:
       return typeof value === "boolean";
+    case DomainType.COUNT:
+      return isNumber && Number.isInteger(value) && value >= 0;
+    case DomainType.DURATION:
+      return isNumber && value >= 0;
+    case DomainType.RATING: {
+      const { min, max } = resolveScale(type, config);
+      return isNumber && Number.isInteger(value) && value >= min && value <= max;
+    }
+    case DomainType.NUMERIC:
+      return isNumber;
     default:
       return false;
   }
 }
 
+/**
+ * Check a domain's type-specific options (target, scale)
+ * @param {string} type - Domain type
+ * @param {Object} options - Options merged into the config
+ * @returns {string|null} What's wrong, or null if they're usable
+ */
+export function getTypeOptionsError(type, options = {}) {
+  const { target, min, max } = resolveScale(type, options);
+
+  switch (type) {
+    case DomainType.COUNT:
+    case DomainType.DURATION:
+      return Number.isFinite(target) && target >= 1
+        ? null
+        : "Target must be at least 1";
+    case DomainType.RATING:
+      return Number.isInteger(max) && max >= 2 && max <= 10
+        ? null
+        : "Rating scale must go from 1 to a whole number between 2 and 10";
+    case DomainType.NUMERIC:
+      return Number.isFinite(min) && Number.isFinite(max) && min < max
+        ? null
+        : "Min must be lower than max";
+    default:
+      return null;
+  }
+}
+
 /**
  * Get default value for domain type
  * @param {string} type - Domain type
+ * @param {Object} config - Domain config (for rating/numeric bounds)
  * @returns {number|boolean}
  */
-export function getDefaultValue(type) {
+export function getDefaultValue(type, config = {}) {
   switch (type) {
     case DomainType.PERCENTAGE:
       return 0;
     case DomainType.CHECKBOX:
       return false;
+    case DomainType.COUNT:
+    case DomainType.DURATION:
+      return 0;
+    case DomainType.RATING:
+    case DomainType.NUMERIC:
+      return resolveScale(type, config).min;
     default:
       return 0;
   }
@@ -78,14 +206,29 @@ export function getDefaultValue(type) {
  * (Needed for graphs/heatmaps to handle mixed types)
  * @param {*} value - Domain value
  * @param {string} type - Domain type
+ * @param {Object} config - Domain config (target or min/max)
  * @returns {number} Normalized 0-1 value
  */
-export function normalizeValue(value, type) {
+export function normalizeValue(value, type, config = {}) {
+  if (type === DomainType.CHECKBOX) {
+    return value === true ? 1 : 0;
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return 0;
+  }
+
+  const { target, min, max } = resolveScale(type, config);
+
   switch (type) {
     case DomainType.PERCENTAGE:
-      return typeof value === "number" ? value : 0;
-    case DomainType.CHECKBOX:
-      return value === true ? 1 : 0;
+      return clamp01(value);
+    case DomainType.COUNT:
+    case DomainType.DURATION:
+      return target > 0 ? clamp01(value / target) : 0;
+    case DomainType.RATING:
+    case DomainType.NUMERIC:
+      return max > min ? clamp01((value - min) / (max - min)) : 0;
     default:
       return 0;
   }
@@ -95,19 +238,90 @@ export function normalizeValue(value, type) {
  * Format value for display
  * @param {*} value - Domain value
  * @param {string} type - Domain type
+ * @param {Object} config - Domain config (rating max, numeric unit)
  * @returns {string}
  */
-export function formatValue(value, type) {
+export function formatValue(value, type, config = {}) {
+  if (type === DomainType.CHECKBOX) {
+    return value === true ? "✓" : "—";
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return "—";
+  }
+
+  const { max, unit } = resolveScale(type, config);
+
   switch (type) {
     case DomainType.PERCENTAGE:
-      return typeof value === "number" ? value.toFixed(2) : "—";
-    case DomainType.CHECKBOX:
-      return value === true ? "✓" : "—";
+      return value.toFixed(2);
+    case DomainType.COUNT:
+      return String(value);
+    case DomainType.DURATION:
+      return formatMinutes(value);
+    case DomainType.RATING:
+      return `${value}/${max}`;
+    case DomainType.NUMERIC: {
+      const rounded = Number.isInteger(value) ? value : value.toFixed(1);
+      return unit ? `${rounded} ${unit}` : String(rounded);
+    }
     default:
       return "—";
   }
 }
 
+/**
+ * Parse a raw input value (form field, CSV cell) into a domain value
+ * @param {string|number|boolean} raw - Raw input
+ * @param {string} type - Domain type
+ * @param {Object} config - Domain config (rating bounds)
+ * @returns {number|boolean}
+ */
+export function parseValue(raw, type, config = {}) {
+  if (type === DomainType.CHECKBOX) {
+    if (typeof raw === "boolean") return raw;
+    return ["true", "1", "yes", "y", "x", "✓"].includes(
+      String(raw).trim().toLowerCase()
+    );
+  }
+
+  const number = typeof raw === "number" ? raw : parseFloat(raw);
+  if (!Number.isFinite(number)) {
+    return getDefaultValue(type, config);
+  }
+
+  switch (type) {
+    case DomainType.COUNT:
+      return Math.max(0, Math.round(number));
+    case DomainType.DURATION:
+      return Math.max(0, number);
+    case DomainType.RATING: {
+      const { min, max } = resolveScale(type, config);
+      return Math.min(Math.max(Math.round(number), min), max);
+    }
+    default:
+      return number;
+  }
+}
+
+/**
+ * Helper: Clamp a number to the 0-1 range
+ */
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Helper: Format minutes as "1h 30m" / "45m"
+ */
+function formatMinutes(minutes) {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const mins = total % 60;
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
 /**
  * Migrate old domain settings to new format
  * Converts: {domain: boolean} → {domain: {enabled: boolean, type: 'percentage'}}
@@ -9,7 +9,12 @@ import {
   getDomainConfig,
   getAllDomainConfigs,
 } from "./storage.js";
-import { DomainType, getDefaultValue } from "./domainTypes.js";
+import {
+  DomainType,
+  getDefaultValue,
+  getDomainDisplay,
+  parseValue,
+} from "./domainTypes.js";
 
 /**
  * Renders a data entry form for a specific date
@@ -37,7 +42,7 @@ export function renderDataEntryForm(
       </div>
       
       <div class="domains-section">
-        <h4>Domain Scores (0.0 - 1.0)</h4>
+        <h4>Domains</h4>
         ${renderDomainInputs(data.domains)}
       </div>
       
@@ -70,7 +75,7 @@ export function renderDataEntryForm(
 }
 
 /**
- * Renders domain input fields (percentage or checkbox based on type)
+ * Renders domain input fields (input kind based on domain type)
  */
 function renderDomainInputs(domains) {
   const enabledDomains = getEnabledDomains();
@@ -93,15 +98,22 @@ function renderDomainInputs(domains) {
             name="${domain}"
             ${value === true ? "checked" : ""}
           />
-          <span>${capitalizeFirst(domain)}</span>
+          <span>${renderDomainLabel(domain, config)}</span>
         </label>
       </div>
+    `;
+      } else if (config.type !== DomainType.PERCENTAGE) {
+        return `
+      <div class="domain-input">
+        <label for="domain-${domain}">${renderDomainLabel(domain, config)}</label>
+        ${renderNumberInput(`domain-${domain}`, domain, value, config)}
+      </div>
     `;
       } else {
         // Percentage type
         return `
       <div class="domain-input">
-        <label for="domain-${domain}">${capitalizeFirst(domain)}</label>
+        <label for="domain-${domain}">${renderDomainLabel(domain, config)}</label>
         <input 
           type="number" 
           id="domain-${domain}" 
@@ -118,6 +130,49 @@ function renderDomainInputs(domains) {
     .join("");
 }
 
+/**
+ * Renders a number input for count, duration, rating and numeric domains
+ * @param {string} id - Input element ID
+ * @param {string} domain - Domain name
+ * @param {*} value - Current value
+ * @param {Object} config - Domain config
+ * @returns {string} HTML string
+ */
+function renderNumberInput(id, domain, value, config) {
+  const current =
+    typeof value === "number" ? value : getDefaultValue(config.type, config);
+
+  let attrs = 'min="0" step="1"';
+  let suffix = "";
+
+  switch (config.type) {
+    case DomainType.DURATION:
+      attrs = 'min="0" step="5"';
+      suffix = "min";
+      break;
+    case DomainType.RATING:
+      attrs = `min="${config.min ?? 1}" max="${config.max ?? 5}" step="1"`;
+      suffix = `of ${config.max ?? 5}`;
+      break;
+    case DomainType.NUMERIC:
+      attrs = 'step="any"';
+      suffix = config.unit || "";
+      break;
+    default:
+      suffix = config.target ? `/ ${config.target}` : "";
+  }
+
+  return `
+        <input 
+          type="number" 
+          id="${id}" 
+          name="${domain}"
+          ${attrs}
+          value="${current}"
+        />
+        ${suffix ? `<span class="domain-input-unit">${suffix}</span>` : ""}`;
+}
+
 /**
  * Collects data from the form
  */
@@ -134,7 +189,7 @@ function collectFormData() {
     if (config.type === DomainType.CHECKBOX) {
       domains[domain] = input.checked;
     } else {
-      domains[domain] = parseFloat(input.value) || 0;
+      domains[domain] = parseValue(input.value, config.type, config);
     }
   });
 
@@ -167,15 +222,22 @@ export function renderQuickEntry(container, onSave) {
           <div class="quick-domain-checkbox">
             <label class="checkbox-label-large">
               <input type="checkbox" id="quick-${domain}" />
-              <span>${capitalizeFirst(domain)}</span>
+              <span>${renderDomainLabel(domain, config)}</span>
             </label>
           </div>
+        `;
+            } else if (config.type !== DomainType.PERCENTAGE) {
+              return `
+          <div class="quick-domain-number">
+            <label for="quick-${domain}">${renderDomainLabel(domain, config)}</label>
+            ${renderNumberInput(`quick-${domain}`, domain, null, config)}
+          </div>
         `;
             } else {
               return `
           <div class="quick-domain-slider">
             <div class="slider-label">
-              <label>${capitalizeFirst(domain)}</label>
+              <label>${renderDomainLabel(domain, config)}</label>
               <span class="slider-value" id="value-${domain}">50%</span>
             </div>
             <div class="slider-track-wrapper">
@@ -246,6 +308,17 @@ export function renderQuickEntry(container, onSave) {
         domains[domain] = checkbox.checked;
       });
 
+    // Collect count, duration, rating and numeric domains
+    container
+      .querySelectorAll('.quick-domain-number input[type="number"]')
+      .forEach((input) => {
+        const domain = input.id.replace("quick-", "");
+        const config = domainConfigs[domain] || {
+          type: DomainType.PERCENTAGE,
+        };
+        domains[domain] = parseValue(input.value, config.type, config);
+      });
+
     // Collect percentage domains
     container
       .querySelectorAll('.quick-domain-slider input[type="range"]')
@@ -273,8 +346,28 @@ function formatDate(dateStr) {
 }
 
 /**
- * Helper: Capitalize first letter
+ * Helper: Domain label with its icon, description as tooltip
+ */
+function renderDomainLabel(domain, config) {
+  const { label, icon, description } = getDomainDisplay(domain, config);
+  const text = escapeHtml(icon ? `${icon} ${label}` : label);
+  return description
+    ? `<span title="${escapeAttr(description)}">${text}</span>`
+    : text;
+}
+
+/**
+ * Helper: Escape text for HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Helper: Escape text for a double-quoted attribute
  */
-function capitalizeFirst(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
 }
@@ -3,32 +3,79 @@
  *
  * Provides UI for exporting and restoring data.
  * This is the exit strategy - never be locked into Firebase.
+ *
+ * Exports are full archives (see archive.js). Imports accept archives,
+ * Markdown journals (markdownJournal.js) and every older JSON export.
  */
 
-import { persistence } from "../data/persistence/manager.js";
+import { persistence, DataTypes } from "../data/persistence/manager.js";
+import {
+  ImportMode,
+  ConflictChoice,
+  PREVIEW_TYPES,
+  parseImportFile,
+  planImport,
+  conflictFields,
+  resolveImport,
+} from "../data/persistence/importPlan.js";
+import {
+  LocalCollections,
+  MANIFEST_PATH,
+} from "../data/persistence/archiveFormat.js";
+import {
+  buildArchive,
+  readArchive,
+  extractLocalCollections,
+  restoreLocalCollections,
+} from "../data/archive.js";
+import { isZip, readZip } from "../data/zip.js";
+import {
+  parseMarkdownJournal,
+  markdownToImportData,
+} from "../data/markdownJournal.js";
+import { renderCsvImport } from "../components/csvImportForm.js";
+import { renderMarkdownExport } from "../components/markdownExportForm.js";
+
+/**
+ * Collection names in the import preview
+ */
+const IMPORT_TYPE_LABELS = {
+  [DataTypes.ENTRIES]: "Notebook entries",
+  [DataTypes.WINS]: "Wins",
+  [DataTypes.REFLECTIONS]: "Reflections",
+  [DataTypes.SETTINGS]: "settings",
+  [DataTypes.BOARD_CARDS]: "board cards",
+  [DataTypes.BOARD_SETTINGS]: "board settings",
+  [LocalCollections.REFLECTION_PROMPTS]: "reflection prompts",
+  [LocalCollections.MEMORY_CACHE]: "memory card state",
+};
+
+/**
+ * Markdown journal files
+ */
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
 
 /**
- * Export all data to JSON file
+ * Longest value shown in a conflict row
+ */
+const MAX_PREVIEW_VALUE_LENGTH = 80;
+
+/**
+ * Export all data to an archive file
  */
 export async function exportToFile() {
   try {
-    const exportData = await persistence.export();
+    const archive = await buildArchive();
 
-    if (!exportData) {
-      throw new Error("Failed to export data");
-    }
-
-    // Create downloadable JSON file
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-      type: "application/json",
-    });
+    // Create downloadable ZIP file
+    const blob = new Blob([archive], { type: "application/zip" });
 
     const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
     link.href = url;
-    link.download = `lifelab-export-${
+    link.download = `lifelab-archive-${
       new Date().toISOString().split("T")[0]
-    }.json`;
+    }.zip`;
 
     document.body.appendChild(link);
     link.click();
@@ -49,28 +96,22 @@ export async function exportToFile() {
 }
 
 /**
- * Import data from JSON file
- * @param {File} file - JSON file to import
+ * Read an import file and compare it with current data
+ * Nothing is written.
+ * @param {File} file - Archive (.zip), Markdown journal (.md or .zip) or older JSON export
+ * @returns {Promise<Object>} { success, preview: { imported, current, plan }, error }
  */
-export async function importFromFile(file) {
+export async function previewImportFile(file) {
   try {
-    const text = await file.text();
-    const importData = JSON.parse(text);
+    const current = await persistence.readAllData();
+    const imported = await readImportFile(file, current);
 
-    // Restore to localStorage
-    const result = await persistence.restore(importData);
-
-    if (result.success) {
-      return {
-        success: true,
-        message: `Restored ${result.itemsRestored} data collections`,
-        itemsRestored: result.itemsRestored,
-      };
-    } else {
-      throw new Error(result.error || "Restore failed");
-    }
+    return {
+      success: true,
+      preview: { imported, current, plan: planImport(imported, current) },
+    };
   } catch (error) {
-    console.error("[Import] Failed:", error);
+    console.error("[Import] Failed to read file:", error);
     return {
       success: false,
       error: error.message,
@@ -78,6 +119,79 @@ export async function importFromFile(file) {
   }
 }
 
+/**
+ * Parse any file LifeLab can import
+ * @param {File} file - Selected file
+ * @param {Object} current - type -> value now (Markdown notes merge into it)
+ * @returns {Promise<Object>} type -> value
+ */
+async function readImportFile(file, current) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+
+  if (isZip(bytes)) {
+    const files = await readZip(bytes);
+    if (files.has(MANIFEST_PATH)) {
+      return readArchive(files);
+    }
+
+    const decoder = new TextDecoder();
+    const texts = [...files.entries()]
+      .filter(([path]) => MARKDOWN_FILE.test(path))
+      .map(([, data]) => decoder.decode(data));
+    return markdownToImportData(parseMarkdownJournal(texts), current);
+  }
+
+  const text = new TextDecoder().decode(bytes);
+  if (MARKDOWN_FILE.test(file.name)) {
+    return markdownToImportData(parseMarkdownJournal([text]), current);
+  }
+  return parseImportFile(text);
+}
+
+/**
+ * Write a previewed import
+ * @param {Object} preview - From previewImportFile
+ * @param {string} mode - ImportMode value
+ * @param {Object} choices - "type:id" -> ConflictChoice, overriding the mode
+ * @returns {Promise<Object>} { success, message, error }
+ */
+export async function applyImportPreview(preview, mode, choices = {}) {
+  const data = resolveImport(
+    preview.plan,
+    preview.imported,
+    preview.current,
+    mode,
+    choices,
+  );
+  const local = extractLocalCollections(data);
+
+  if (Object.keys(data).length === 0 && Object.keys(local).length === 0) {
+    return {
+      success: true,
+      message: "Nothing to change - your data already matches",
+      itemsRestored: 0,
+    };
+  }
+
+  const result = await persistence.applyImport(data);
+  if (!result.success) {
+    console.error("[Import] Failed:", result.error);
+    return {
+      success: false,
+      error: result.error || "Import failed",
+    };
+  }
+
+  const itemsRestored =
+    result.itemsRestored + restoreLocalCollections(local);
+
+  return {
+    success: true,
+    message: `Imported into ${itemsRestored} data collections`,
+    itemsRestored,
+  };
+}
+
 /**
  * Render export/import UI in settings
  * @param {HTMLElement} container - Container element
@@ -86,7 +200,7 @@ export function renderExportImportUI(container) {
   container.innerHTML = `
     <div class="export-import-section">
       <h3>Data Backup & Restore</h3>
-      <p>Export your data for backup or transfer. Import to restore from a previous export.</p>
+      <p>Export everything - journal, wins, reflections, board images and settings - as one archive for backup or transfer. Import shows what would change before anything is written.</p>
       
       <div class="export-import-actions">
         <button id="export-data-btn" class="btn btn-primary">
@@ -106,14 +220,24 @@ export function renderExportImportUI(container) {
           </svg>
           Import Data
         </button>
+
+        <button id="import-csv-btn" class="btn btn-secondary">
+          Import CSV
+        </button>
       </div>
       
-      <input type="file" id="import-file-input" accept=".json" style="display: none;" />
+      <input type="file" id="import-file-input" accept=".zip,.json,.md" style="display: none;" />
+      <input type="file" id="import-csv-input" accept=".csv,text/csv" style="display: none;" />
       
+      <div id="markdown-export"></div>
+      <div id="import-preview"></div>
+      <div id="csv-import"></div>
       <div id="export-import-status" class="status-message"></div>
     </div>
   `;
 
+  renderMarkdownExport(container.querySelector("#markdown-export"));
+
   // Export button
   const exportBtn = container.querySelector("#export-data-btn");
   exportBtn.addEventListener("click", async () => {
@@ -150,19 +274,15 @@ export function renderExportImportUI(container) {
     if (!file) return;
 
     const statusEl = container.querySelector("#export-import-status");
-    statusEl.textContent = "Importing...";
+    statusEl.textContent = "Reading file...";
     statusEl.className = "status-message status-info";
 
-    const result = await importFromFile(file);
+    const result = await previewImportFile(file);
 
     if (result.success) {
-      statusEl.textContent = result.message;
-      statusEl.className = "status-message status-success";
-
-      // Reload page after successful import
-      setTimeout(() => {
-        window.location.reload();
-      }, 2000);
+      statusEl.textContent = "";
+      statusEl.className = "status-message";
+      renderImportPreview(container, result.preview);
     } else {
       statusEl.textContent = `Import failed: ${result.error}`;
       statusEl.className = "status-message status-error";
@@ -171,4 +291,183 @@ export function renderExportImportUI(container) {
     // Reset file input
     fileInput.value = "";
   });
+
+  // CSV import (day entries from spreadsheets and other trackers)
+  const csvInput = container.querySelector("#import-csv-input");
+
+  container.querySelector("#import-csv-btn").addEventListener("click", () => {
+    csvInput.click();
+  });
+
+  csvInput.addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    await renderCsvImport(container.querySelector("#csv-import"), file, () =>
+      window.location.reload(),
+    );
+    csvInput.value = "";
+  });
+}
+
+/**
+ * Show what an import would change and let the user decide
+ * @param {HTMLElement} container - Export/import container
+ * @param {Object} preview - From previewImportFile
+ */
+function renderImportPreview(container, preview) {
+  const previewEl = container.querySelector("#import-preview");
+  const { plan } = preview;
+
+  const rows = PREVIEW_TYPES.map((type) => {
+    const typePlan = plan.types[type];
+    return `
+      <tr>
+        <td>${IMPORT_TYPE_LABELS[type]}</td>
+        <td>${typePlan.added.length}</td>
+        <td>${typePlan.identical.length}</td>
+        <td>${typePlan.conflicts.length}</td>
+        <td>${typePlan.existingOnly}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const conflicts = PREVIEW_TYPES.flatMap((type) =>
+    plan.types[type].conflicts.map((conflict) =>
+      renderImportConflict(type, conflict),
+    ),
+  ).join("");
+
+  const otherTypes = plan.otherTypes
+    .map((type) => IMPORT_TYPE_LABELS[type] || type)
+    .join(", ");
+
+  previewEl.innerHTML = `
+    <div class="import-preview">
+      <h3>Import Preview</h3>
+      <table class="sync-conflict-fields">
+        <thead>
+          <tr><th></th><th>New</th><th>Identical</th><th>Conflicting</th><th>Only here</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+
+      <label class="import-mode">
+        <span>How to import</span>
+        <select id="import-mode-select">
+          <option value="${ImportMode.KEEP_EXISTING}">Merge - keep existing on conflict</option>
+          <option value="${ImportMode.PREFER_IMPORT}">Merge - prefer the file on conflict</option>
+          <option value="${ImportMode.REPLACE}">Replace - use the file, drop records only here</option>
+        </select>
+      </label>
+      ${
+        otherTypes
+          ? `<p class="preference-description">The file also has ${otherTypes}. Those are only imported with Replace.</p>`
+          : ""
+      }
+
+      ${
+        conflicts
+          ? `<div class="import-conflict-list">${conflicts}</div>`
+          : ""
+      }
+
+      <div class="export-import-actions">
+        <button class="btn btn-primary" id="apply-import-btn">Import</button>
+        <button class="btn btn-secondary" id="cancel-import-btn">Cancel</button>
+      </div>
+      <p class="preference-description">A snapshot of your current data is taken first (Settings → Snapshots).</p>
+    </div>
+  `;
+
+  previewEl
+    .querySelector("#cancel-import-btn")
+    .addEventListener("click", () => {
+      previewEl.innerHTML = "";
+    });
+
+  previewEl
+    .querySelector("#apply-import-btn")
+    .addEventListener("click", async () => {
+      const mode = previewEl.querySelector("#import-mode-select").value;
+      const choices = {};
+      previewEl.querySelectorAll("[data-import-choice]").forEach((select) => {
+        if (select.value) choices[select.dataset.importChoice] = select.value;
+      });
+
+      const statusEl = container.querySelector("#export-import-status");
+      statusEl.textContent = "Importing...";
+      statusEl.className = "status-message status-info";
+
+      const result = await applyImportPreview(preview, mode, choices);
+
+      if (result.success) {
+        previewEl.innerHTML = "";
+        statusEl.textContent = result.message;
+        statusEl.className = "status-message status-success";
+
+        // Reload page after successful import
+        if (result.itemsRestored > 0) {
+          setTimeout(() => {
+            window.location.reload();
+          }, 2000);
+        }
+      } else {
+        statusEl.textContent = `Import failed: ${result.error}`;
+        statusEl.className = "status-message status-error";
+      }
+    });
+}
+
+/**
+ * Render one conflicting record with a per-record choice
+ * @param {string} type - Data type
+ * @param {Object} conflict - { id, existing, imported }
+ * @returns {string} HTML
+ */
+function renderImportConflict(type, conflict) {
+  const fields = conflictFields(conflict)
+    .map(
+      (field) => `
+        <tr>
+          <td>${escapeHtml(field)}</td>
+          <td>${escapeHtml(formatPreviewValue(conflict.existing[field]))}</td>
+          <td>${escapeHtml(formatPreviewValue(conflict.imported[field]))}</td>
+        </tr>
+      `,
+    )
+    .join("");
+
+  return `
+    <div class="sync-conflict-item">
+      <div class="sync-conflict-header">
+        <strong>${IMPORT_TYPE_LABELS[type]} · ${escapeHtml(conflict.id)}</strong>
+        <select data-import-choice="${escapeHtml(`${type}:${conflict.id}`)}" aria-label="Version to keep">
+          <option value="">Follow the choice above</option>
+          <option value="${ConflictChoice.EXISTING}">Keep existing</option>
+          <option value="${ConflictChoice.IMPORTED}">Use the file's</option>
+        </select>
+      </div>
+      <table class="sync-conflict-fields">
+        <thead>
+          <tr><th>Field</th><th>Existing</th><th>In file</th></tr>
+        </thead>
+        <tbody>${fields}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function formatPreviewValue(value) {
+  if (value === undefined || value === null) return "—";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.length > MAX_PREVIEW_VALUE_LENGTH
+    ? `${text.slice(0, MAX_PREVIEW_VALUE_LENGTH)}…`
+    : text;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
 }
@@ -0,0 +1,449 @@
+/**
+ * Markdown Journal Export/Import
+ *
+ * Writes reflections, wins and (optionally) daily notes as readable
+ * Markdown - one file per month or year - so the journal can live in a
+ * notes vault, and reads those files back.
+ *
+ * FILE LAYOUT:
+ * - YAML front-matter describing the file (type, period, export date)
+ * - A table of contents linking to every entry
+ * - One "## heading" section per entry, wrapped in
+ *   <!-- lifelab-entry ... --> ... <!-- /lifelab-entry -->
+ *   The opening comment holds the entry's front-matter (type, date,
+ *   prompt, id...) as "key: value" lines, so it stays out of the reading view.
+ *
+ * Only text between the markers is imported; headings and the table of
+ * contents are regenerated on every export.
+ */
+
+import { listReflections } from "./reflectionStore.js";
+import { getAllWins } from "./winLedger.js";
+import { getPrompts } from "./reflectionPrompts.js";
+import { loadAllData } from "./storage.js";
+import { DataTypes, collectionToRecords } from "./persistence/interface.js";
+import { createZip } from "./zip.js";
+
+/**
+ * How entries are grouped into files
+ */
+export const MarkdownPeriod = {
+  MONTH: "month",
+  YEAR: "year",
+};
+
+/**
+ * Entry kinds, in the order they appear within a day
+ */
+export const MarkdownEntryType = {
+  NOTES: "notes",
+  WIN: "win",
+  REFLECTION: "reflection",
+};
+
+const ENTRY_START = "<!-- lifelab-entry";
+const ENTRY_END = "<!-- /lifelab-entry -->";
+const ENTRY_PATTERN =
+  /<!-- lifelab-entry\n([\s\S]*?)\n-->\n([\s\S]*?)\n?<!-- \/lifelab-entry -->/g;
+
+const TYPE_ORDER = Object.values(MarkdownEntryType);
+
+/**
+ * Build Markdown files from journal data
+ * @param {Object} journal - { reflections, wins, days, prompts }
+ * @param {string} period - MarkdownPeriod value
+ * @param {boolean} includeNotes - Include daily notes from entries
+ * @returns {Array<Object>} [{ path, text }] sorted by period
+ */
+export function buildMarkdownFiles(journal, period, includeNotes = false) {
+  const promptText = new Map(
+    (journal.prompts || []).map((prompt) => [prompt.promptId, prompt.text]),
+  );
+
+  const entries = [
+    ...(journal.reflections || []).map((reflection) => ({
+      type: MarkdownEntryType.REFLECTION,
+      day: localDate(reflection.createdAt),
+      sortKey: reflection.createdAt,
+      record: reflection,
+    })),
+    ...(journal.wins || []).map((win) => ({
+      type: MarkdownEntryType.WIN,
+      day: win.date,
+      sortKey: win.date,
+      record: win,
+    })),
+    ...(includeNotes ? journal.days || [] : [])
+      .filter((day) => day.notes && day.notes.trim())
+      .map((day) => ({
+        type: MarkdownEntryType.NOTES,
+        day: day.date,
+        sortKey: day.date,
+        record: day,
+      })),
+  ].sort(
+    (a, b) =>
+      a.day.localeCompare(b.day) ||
+      TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) ||
+      a.sortKey.localeCompare(b.sortKey),
+  );
+
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key =
+      period === MarkdownPeriod.YEAR ? entry.day.slice(0, 4) : entry.day.slice(0, 7);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return [...groups.entries()].map(([key, group]) => ({
+    path: `${key}.md`,
+    text: renderFile(key, group, promptText),
+  }));
+}
+
+/**
+ * Render one Markdown file
+ * @param {string} key - "YYYY" or "YYYY-MM"
+ * @param {Array<Object>} entries - Entries in order
+ * @param {Map<string, string>} promptText - promptId -> text
+ * @returns {string} Markdown
+ */
+function renderFile(key, entries, promptText) {
+  const title = formatPeriod(key);
+  const slugs = new Map();
+  const sections = entries.map((entry) => {
+    const heading = entryHeading(entry);
+    return { heading, anchor: uniqueSlug(heading, slugs), entry };
+  });
+
+  const contents = sections
+    .map(({ heading, anchor }) => `- [${heading}](#${anchor})`)
+    .join("\n");
+
+  const body = sections
+    .map(({ heading, entry }) =>
+      [
+        `## ${heading}`,
+        "",
+        ENTRY_START,
+        ...Object.entries(entryMeta(entry, promptText)).map(
+          ([field, value]) => `${field}: ${formatMetaValue(value)}`,
+        ),
+        "-->",
+        entryBody(entry, promptText),
+        ENTRY_END,
+      ].join("\n"),
+    )
+    .join("\n\n");
+
+  return [
+    "---",
+    `title: ${formatMetaValue(`LifeLab journal · ${title}`)}`,
+    "type: lifelab-journal",
+    `period: ${formatMetaValue(key)}`,
+    `exportedAt: ${formatMetaValue(new Date().toISOString())}`,
+    "---",
+    "",
+    `# ${title}`,
+    "",
+    "## Contents",
+    "",
+    contents,
+    "",
+    body,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Heading shown for an entry
+ * @param {Object} entry - Entry
+ * @returns {string} Heading text (no #)
+ */
+function entryHeading({ type, day, record }) {
+  const date = formatDay(day);
+  if (type === MarkdownEntryType.WIN) return `${date} · Win`;
+  if (type === MarkdownEntryType.NOTES) return `${date} · Daily notes`;
+  return `${date} · ${record.title || "Reflection"}`;
+}
+
+/**
+ * Front-matter for an entry
+ * @param {Object} entry - Entry
+ * @param {Map<string, string>} promptText - promptId -> text
+ * @returns {Object} field -> value (empty fields left out)
+ */
+function entryMeta({ type, record }, promptText) {
+  let meta;
+  if (type === MarkdownEntryType.REFLECTION) {
+    meta = {
+      type,
+      date: record.createdAt,
+      id: record.id,
+      title: record.title,
+      promptId: record.promptId,
+      prompt: record.promptId ? promptText.get(record.promptId) : null,
+      updatedAt: record.updatedAt,
+    };
+  } else if (type === MarkdownEntryType.WIN) {
+    meta = {
+      type,
+      date: record.date,
+      id: record.id,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+    };
+  } else {
+    meta = { type, date: record.date };
+  }
+
+  return Object.fromEntries(
+    Object.entries(meta).filter(
+      ([, value]) => value !== undefined && value !== null && value !== "",
+    ),
+  );
+}
+
+/**
+ * Text of an entry (reflections lead with their prompt as a quote)
+ * @param {Object} entry - Entry
+ * @param {Map<string, string>} promptText - promptId -> text
+ * @returns {string} Markdown body
+ */
+function entryBody({ type, record }, promptText) {
+  if (type === MarkdownEntryType.WIN) return record.text;
+  if (type === MarkdownEntryType.NOTES) return record.notes;
+
+  const prompt = record.promptId && promptText.get(record.promptId);
+  return prompt ? `${quote(prompt)}\n\n${record.content}` : record.content;
+}
+
+/**
+ * Read entries back from Markdown files
+ * @param {Array<string>} texts - File contents
+ * @returns {Object} { reflections, wins, notes: [{ date, notes }] }
+ */
+export function parseMarkdownJournal(texts) {
+  const journal = { reflections: [], wins: [], notes: [] };
+
+  texts.forEach((text) => {
+    const normalized = text.replace(/\r\n/g, "\n");
+    for (const [, metaText, rawBody] of normalized.matchAll(ENTRY_PATTERN)) {
+      const meta = parseMeta(metaText);
+      const body = rawBody.trim();
+      if (!meta.date || !body) continue;
+
+      if (meta.type === MarkdownEntryType.REFLECTION) {
+        const prefix = meta.prompt ? `${quote(meta.prompt)}\n\n` : null;
+        journal.reflections.push(
+          withoutEmpty({
+            id: meta.id || generateId("reflection"),
+            title: meta.title || null,
+            content: prefix && body.startsWith(prefix)
+              ? body.slice(prefix.length).trim()
+              : body,
+            promptId: meta.promptId || null,
+            createdAt: meta.date,
+            updatedAt: meta.updatedAt,
+          }),
+        );
+      } else if (meta.type === MarkdownEntryType.WIN) {
+        journal.wins.push(
+          withoutEmpty({
+            id: meta.id || generateId("win"),
+            date: meta.date,
+            text: body,
+            createdAt: meta.createdAt || meta.date,
+            updatedAt: meta.updatedAt,
+          }),
+        );
+      } else if (meta.type === MarkdownEntryType.NOTES) {
+        journal.notes.push({ date: meta.date, notes: body });
+      }
+    }
+  });
+
+  return journal;
+}
+
+/**
+ * Turn parsed Markdown into import data for the import preview
+ * Daily notes are applied to the current day records (other fields kept).
+ * @param {Object} journal - From parseMarkdownJournal
+ * @param {Object} current - type -> value now
+ * @returns {Object} type -> value
+ */
+export function markdownToImportData(journal, current) {
+  const data = {};
+  if (journal.reflections.length > 0) {
+    data[DataTypes.REFLECTIONS] = journal.reflections;
+  }
+  if (journal.wins.length > 0) {
+    data[DataTypes.WINS] = journal.wins;
+  }
+
+  if (journal.notes.length > 0) {
+    const days = new Map(
+      collectionToRecords(DataTypes.ENTRIES, current[DataTypes.ENTRIES]).map(
+        (day) => [day.date, day],
+      ),
+    );
+    journal.notes.forEach(({ date, notes }) => {
+      days.set(date, { date, domains: {}, ...days.get(date), notes });
+    });
+
+    const entries = {};
+    [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach((day) => {
+        const key = day.date.slice(0, 7);
+        entries[key] = [...(entries[key] || []), day];
+      });
+    data[DataTypes.ENTRIES] = entries;
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw new Error("No LifeLab entries found in the Markdown");
+  }
+  return data;
+}
+
+/**
+ * Download the journal as Markdown
+ * One file downloads as .md; several come as a .zip.
+ * @param {string} period - MarkdownPeriod value
+ * @param {boolean} includeNotes - Include daily notes from entries
+ * @returns {Promise<Object>} { success, files, error }
+ */
+export async function exportMarkdown(period, includeNotes = false) {
+  try {
+    const allData = includeNotes ? await loadAllData() : {};
+    const files = buildMarkdownFiles(
+      {
+        reflections: await listReflections(),
+        wins: await getAllWins(),
+        days: collectionToRecords(DataTypes.ENTRIES, allData),
+        prompts: getPrompts(),
+      },
+      period,
+      includeNotes,
+    );
+
+    if (files.length === 0) {
+      return { success: false, error: "Nothing to export yet" };
+    }
+
+    const blob =
+      files.length === 1
+        ? new Blob([files[0].text], { type: "text/markdown" })
+        : new Blob(
+            [
+              createZip(
+                files.map(({ path, text }) => ({
+                  path,
+                  data: new TextEncoder().encode(text),
+                })),
+              ),
+            ],
+            { type: "application/zip" },
+          );
+    const filename =
+      files.length === 1
+        ? `lifelab-journal-${files[0].path}`
+        : `lifelab-journal-${new Date().toISOString().split("T")[0]}.zip`;
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    console.log(`[Markdown] Exported ${files.length} files`);
+    return { success: true, files: files.length };
+  } catch (error) {
+    console.error("[Markdown] Export failed:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Parse an entry's "key: value" lines
+ * Values are JSON strings as exported, but plain text is accepted too
+ * so entries written by hand in a vault still import.
+ */
+function parseMeta(text) {
+  const meta = {};
+  text.split("\n").forEach((line) => {
+    const match = line.match(/^\s*(\w+):\s*(.*)$/);
+    if (!match) return;
+    try {
+      meta[match[1]] = JSON.parse(match[2]);
+    } catch (error) {
+      meta[match[1]] = match[2].trim();
+    }
+  });
+  return meta;
+}
+
+/**
+ * Quote a front-matter value; "-->" is escaped so it can't end the comment
+ */
+function formatMetaValue(value) {
+  return JSON.stringify(value).replace(/-->/g, "--\\u003e");
+}
+
+function quote(text) {
+  return text
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+function withoutEmpty(record) {
+  return Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * GitHub-style heading anchor, numbered when repeated
+ */
+function uniqueSlug(heading, used) {
+  const base = heading
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s/g, "-");
+  const count = used.get(base) || 0;
+  used.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+function localDate(isoString) {
+  const date = new Date(isoString);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function formatDay(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function formatPeriod(key) {
+  if (key.length === 4) return key;
+  return new Date(`${key}-01T00:00:00`).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+  });
+}
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
@@ -11,6 +11,7 @@
 import { selectMemory } from "./memorySelection.js";
 import { listReflections } from "./reflectionStore.js";
 import { loadFromLocalStorage } from "./storage.js";
+import { secureStorage } from "./secureStorage.js";
 
 const CACHE_KEY = "lifelab_memory_cache";
 
@@ -125,7 +126,7 @@ async function fetchAndSelectMemory(today) {
  */
 function getCache() {
   try {
-    const cached = localStorage.getItem(CACHE_KEY);
+    const cached = secureStorage.getItem(CACHE_KEY);
     return cached ? JSON.parse(cached) : null;
   } catch (error) {
     return null;
@@ -138,17 +139,37 @@ function getCache() {
  */
 function setCache(cache) {
   try {
-    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    secureStorage.setItem(CACHE_KEY, JSON.stringify(cache));
   } catch (error) {
     console.warn("Failed to cache memory:", error);
   }
 }
 
+/**
+ * Read the memory cache (for archive export)
+ * @returns {Object|null}
+ */
+export function getMemoryCache() {
+  return getCache();
+}
+
+/**
+ * Replace the memory cache (when restoring an archive)
+ * @param {Object|null} cache
+ */
+export function replaceMemoryCache(cache) {
+  if (cache) {
+    setCache(cache);
+  } else {
+    clearMemoryCache();
+  }
+}
+
 /**
  * Clear memory cache (useful for testing)
  */
 export function clearMemoryCache() {
-  localStorage.removeItem(CACHE_KEY);
+  secureStorage.removeItem(CACHE_KEY);
 }
 
 /**
@@ -28,7 +28,7 @@ export async function migrateMonthFromJSON(year, month) {
     }
 
     // Save to LocalStorage
-    saveMonth(parseInt(year), parseInt(month), data);
+    await saveMonth(parseInt(year), parseInt(month), data);
     console.log(`Migrated ${data.length} entries for ${year}-${month}`);
     return true;
   } catch (error) {
@@ -0,0 +1,325 @@
+/**
+ * Archive Format
+ *
+ * Definition and validator for LifeLab archives: a ZIP holding a
+ * manifest, one JSON file per collection and board image assets.
+ * Documented in docs/ARCHIVE_FORMAT.md.
+ *
+ * RULES:
+ * - Pure: no storage, no DOM - the importer and tests share this file
+ * - Bump ARCHIVE_FORMAT_VERSION when the layout changes (not the data;
+ *   data changes bump SCHEMA_VERSION and get a schema migration)
+ * - Round-trips losslessly: packAssets + unpackAssets returns the same cards
+ */
+
+import {
+  DataTypes,
+  SCHEMA_VERSION,
+  isRecordType,
+  collectionToRecords,
+  validateData,
+} from "./interface.js";
+
+export const ARCHIVE_FORMAT = "lifelab-archive";
+export const ARCHIVE_FORMAT_VERSION = 1;
+export const MANIFEST_PATH = "manifest.json";
+
+/**
+ * Board card content pointing at a file in the archive
+ */
+export const ASSET_PREFIX = "lifelab-asset:";
+
+/**
+ * Collections kept only in this browser's localStorage
+ * (not part of PersistenceManager, never synced)
+ */
+export const LocalCollections = {
+  REFLECTION_PROMPTS: "reflection_prompts",
+  MEMORY_CACHE: "memory_cache",
+};
+
+/**
+ * Every collection an archive may hold, in manifest order
+ */
+export const ARCHIVE_COLLECTIONS = [
+  DataTypes.ENTRIES,
+  DataTypes.WINS,
+  DataTypes.REFLECTIONS,
+  DataTypes.SETTINGS,
+  DataTypes.BOARD_CARDS,
+  DataTypes.BOARD_SETTINGS,
+  LocalCollections.REFLECTION_PROMPTS,
+  LocalCollections.MEMORY_CACHE,
+];
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/avif": "avif",
+};
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,([\s\S]*)$/;
+
+/**
+ * Path of a collection's file inside the archive
+ * @param {string} name - Collection name
+ * @returns {string} Path
+ */
+export function collectionPath(name) {
+  return `collections/${name}.json`;
+}
+
+/**
+ * Number of records in a collection, as listed in the manifest
+ * @param {string} name - Collection name
+ * @param {*} value - Collection value
+ * @returns {number} Records (1 for settings-like collections)
+ */
+export function countCollection(name, value) {
+  if (isRecordType(name)) {
+    return collectionToRecords(name, value).length;
+  }
+  return Array.isArray(value) ? value.length : 1;
+}
+
+/**
+ * Move embedded board images (base64 data URLs) out into asset files
+ * Remote image URLs are left as they are.
+ * @param {Array<Object>} cards - Board cards
+ * @returns {Object} { cards, assets: [{ path, cardId, mediaType, data }] }
+ */
+export function packAssets(cards) {
+  const assets = [];
+
+  const packed = cards.map((card) => {
+    const match =
+      typeof card.content === "string" && card.content.match(DATA_URL_PATTERN);
+    if (!match) return card;
+
+    const mediaType = match[1];
+    const extension = IMAGE_EXTENSIONS[mediaType] || "bin";
+    const path = `assets/board/${encodeURIComponent(card.id)}.${extension}`;
+    assets.push({
+      path,
+      cardId: card.id,
+      mediaType,
+      data: base64ToBytes(match[2]),
+    });
+
+    return { ...card, content: `${ASSET_PREFIX}${path}` };
+  });
+
+  return { cards: packed, assets };
+}
+
+/**
+ * Put asset files back into board cards as data URLs
+ * @param {Array<Object>} cards - Board cards from the archive
+ * @param {Array<Object>} assets - Manifest asset entries
+ * @param {Map<string, Uint8Array>} files - Archive files
+ * @returns {Array<Object>} Cards as they were exported
+ */
+export function unpackAssets(cards, assets, files) {
+  const byPath = new Map(assets.map((asset) => [asset.path, asset]));
+
+  return cards.map((card) => {
+    if (
+      typeof card.content !== "string" ||
+      !card.content.startsWith(ASSET_PREFIX)
+    ) {
+      return card;
+    }
+
+    const path = card.content.slice(ASSET_PREFIX.length);
+    const asset = byPath.get(path);
+    return {
+      ...card,
+      content: `data:${asset.mediaType};base64,${bytesToBase64(files.get(path))}`,
+    };
+  });
+}
+
+/**
+ * Check an archive and parse its collections
+ * @param {Map<string, Uint8Array>} files - path -> contents, as read from the ZIP
+ * @returns {Object} { valid, errors, manifest, collections } - collections maps name -> value
+ */
+export function validateArchive(files) {
+  const errors = [];
+  const collections = {};
+
+  const manifest = parseJsonFile(files, MANIFEST_PATH, errors);
+  if (!manifest || typeof manifest !== "object") {
+    if (errors.length === 0) errors.push("manifest.json must be an object");
+    return { valid: false, errors, manifest: null, collections };
+  }
+
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    errors.push("Not a LifeLab archive");
+  }
+  if (
+    !Number.isInteger(manifest.formatVersion) ||
+    manifest.formatVersion < 1
+  ) {
+    errors.push("Missing or invalid formatVersion");
+  } else if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION) {
+    errors.push(
+      `Archive format v${manifest.formatVersion} is newer than this version of LifeLab reads (v${ARCHIVE_FORMAT_VERSION})`,
+    );
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    errors.push("Missing or invalid schemaVersion");
+  } else if (manifest.schemaVersion > SCHEMA_VERSION) {
+    errors.push(
+      `Data is schema v${manifest.schemaVersion}, this version of LifeLab reads up to v${SCHEMA_VERSION}`,
+    );
+  }
+  if (!manifest.collections || typeof manifest.collections !== "object") {
+    errors.push("Manifest has no collections");
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors, manifest, collections };
+  }
+
+  Object.entries(manifest.collections).forEach(([name, entry]) => {
+    if (!ARCHIVE_COLLECTIONS.includes(name)) {
+      errors.push(`Unknown collection: ${name}`);
+      return;
+    }
+    if (!entry || entry.file !== collectionPath(name)) {
+      errors.push(`${name}: expected file ${collectionPath(name)}`);
+      return;
+    }
+
+    const value = parseJsonFile(files, entry.file, errors);
+    if (value === undefined) return;
+
+    const shape = validateCollection(name, value);
+    if (!shape.valid) {
+      shape.errors.forEach((error) => errors.push(`${name}: ${error}`));
+      return;
+    }
+
+    const count = countCollection(name, value);
+    if (count !== entry.count) {
+      errors.push(`${name}: manifest lists ${entry.count}, file has ${count}`);
+    }
+
+    collections[name] = value;
+  });
+
+  validateAssets(manifest.assets, files, collections, errors);
+
+  return { valid: errors.length === 0, errors, manifest, collections };
+}
+
+/**
+ * Check manifest asset entries against the files and board cards
+ * @param {Array<Object>} assets - Manifest asset entries
+ * @param {Map<string, Uint8Array>} files - Archive files
+ * @param {Object} collections - Parsed collections
+ * @param {Array<string>} errors - Collects problems
+ */
+function validateAssets(assets = [], files, collections, errors) {
+  if (!Array.isArray(assets)) {
+    errors.push("Manifest assets must be an array");
+    return;
+  }
+
+  const listed = new Set();
+  assets.forEach((asset, idx) => {
+    if (!asset || typeof asset.path !== "string" || !asset.mediaType) {
+      errors.push(`Asset ${idx}: missing path or mediaType`);
+      return;
+    }
+    if (!files.has(asset.path)) {
+      errors.push(`Asset ${asset.path}: file missing`);
+    } else if (files.get(asset.path).length !== asset.size) {
+      errors.push(`Asset ${asset.path}: size does not match the manifest`);
+    }
+    listed.add(asset.path);
+  });
+
+  (collections[DataTypes.BOARD_CARDS] || []).forEach((card) => {
+    if (
+      typeof card.content === "string" &&
+      card.content.startsWith(ASSET_PREFIX) &&
+      !listed.has(card.content.slice(ASSET_PREFIX.length))
+    ) {
+      errors.push(`Card ${card.id}: image not listed in the manifest`);
+    }
+  });
+}
+
+/**
+ * Check one collection's shape
+ * @param {string} name - Collection name
+ * @param {*} value - Parsed value
+ * @returns {Object} { valid, errors }
+ */
+function validateCollection(name, value) {
+  switch (name) {
+    case LocalCollections.REFLECTION_PROMPTS: {
+      const errors = [];
+      if (!Array.isArray(value)) {
+        errors.push("Reflection prompts must be an array");
+      } else {
+        value.forEach((prompt, idx) => {
+          if (!prompt || !prompt.promptId || typeof prompt.text !== "string") {
+            errors.push(`Prompt ${idx}: missing promptId or text`);
+          }
+        });
+      }
+      return { valid: errors.length === 0, errors };
+    }
+
+    case LocalCollections.MEMORY_CACHE:
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? { valid: true, errors: [] }
+        : { valid: false, errors: ["Memory cache must be an object"] };
+
+    default:
+      return validateData(name, value);
+  }
+}
+
+/**
+ * Parse a JSON file from the archive
+ * @param {Map<string, Uint8Array>} files - Archive files
+ * @param {string} path - File path
+ * @param {Array<string>} errors - Collects problems
+ * @returns {*} Parsed value, or undefined on failure
+ */
+function parseJsonFile(files, path, errors) {
+  if (!files.has(path)) {
+    errors.push(`${path} is missing`);
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(files.get(path)));
+  } catch (error) {
+    errors.push(`${path} is not valid JSON`);
+    return undefined;
+  }
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
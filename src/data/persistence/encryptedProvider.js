@@ -0,0 +1,451 @@
+/**
+ * Encrypted Provider
+ *
+ * Optional end-to-end encryption layer between PersistenceManager and
+ * FirebaseProvider. Record content is encrypted before upload and
+ * decrypted after fetch, so Firestore only ever holds ciphertext.
+ *
+ * RULES:
+ * - Off until the user sets a passphrase (everything passes through)
+ * - Encrypted: entries (scores, notes), wins, reflections, board cards
+ * - Left readable: record ids, dates and timestamps (needed for sync and
+ *   date queries), settings and board settings
+ * - Locked (encryption on, no key on this device): writes throw so the
+ *   manager queues them; nothing is ever uploaded in plaintext by mistake
+ * - Plaintext records written before encryption was enabled still read fine
+ *
+ * @see src/data/persistence/encryption.js
+ */
+
+import {
+  PersistenceProvider,
+  DataTypes,
+  RecordKeys,
+  validateData,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  applyQuery,
+} from "./interface.js";
+import {
+  createKey,
+  unlockKey,
+  sealRecord,
+  openRecord,
+  loadDeviceKey,
+  saveDeviceKey,
+  clearDeviceKey,
+} from "./encryption.js";
+import { getCurrentUserId } from "./authState.js";
+
+/**
+ * Encryption states
+ */
+export const EncryptionStatus = {
+  OFF: "off",
+  LOCKED: "locked",
+  UNLOCKED: "unlocked",
+  UNKNOWN: "unknown", // Key check couldn't be read (offline)
+};
+
+/**
+ * Record types whose content is encrypted
+ */
+const ENCRYPTED_TYPES = [
+  DataTypes.ENTRIES,
+  DataTypes.WINS,
+  DataTypes.REFLECTIONS,
+  DataTypes.BOARD_CARDS,
+];
+
+/**
+ * Fields kept readable on every encrypted record (besides its id)
+ */
+const PLAIN_FIELDS = ["date", "createdAt", "updatedAt"];
+
+export class EncryptedProvider extends PersistenceProvider {
+  /**
+   * @param {FirebaseProvider} provider - Provider that stores the ciphertext
+   */
+  constructor(provider) {
+    super();
+    this.provider = provider;
+    this.uid = null;
+    this.keyCheck = undefined; // undefined = not loaded, null = encryption off
+    this.activeKey = null; // { kid, key }
+  }
+
+  async init() {
+    const ready = await this.provider.init();
+    if (ready) {
+      await this.loadKeyState();
+    }
+    return ready;
+  }
+
+  /**
+   * Load the key-check record and this device's key for the current user
+   */
+  async loadKeyState() {
+    const uid = getCurrentUserId();
+    if (uid !== this.uid) {
+      this.uid = uid;
+      this.keyCheck = undefined;
+      this.activeKey = null;
+    }
+    if (!uid) return;
+
+    try {
+      this.keyCheck = await this.provider.getKeyCheck();
+    } catch (error) {
+      console.warn("[Encryption] Could not read key check:", error);
+    }
+
+    const deviceKey = this.activeKey || (await loadDeviceKey(uid));
+    if (!deviceKey) return;
+
+    if (this.keyCheck === undefined || deviceKey.kid === this.keyCheck?.kid) {
+      // Offline: trust the remembered key until the key check says otherwise
+      this.activeKey = deviceKey;
+    } else {
+      // Encryption was turned off or the passphrase changed on another device
+      console.log("[Encryption] Device key is out of date, forgetting it");
+      this.activeKey = null;
+      await clearDeviceKey(uid);
+    }
+  }
+
+  /**
+   * Current encryption state for the signed-in user
+   * @returns {string} EncryptionStatus value
+   */
+  getEncryptionStatus() {
+    if (this.activeKey) return EncryptionStatus.UNLOCKED;
+    if (this.keyCheck === null) return EncryptionStatus.OFF;
+    if (this.keyCheck === undefined) return EncryptionStatus.UNKNOWN;
+    return EncryptionStatus.LOCKED;
+  }
+
+  /**
+   * Check whether data is known to be locked on this device
+   * @returns {boolean} True if encryption is on and the key is missing
+   */
+  isLocked() {
+    return this.getEncryptionStatus() === EncryptionStatus.LOCKED;
+  }
+
+  /**
+   * Turn encryption on and encrypt everything already in the cloud
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async enableEncryption(passphrase) {
+    await this.loadKeyState();
+    if (this.getEncryptionStatus() !== EncryptionStatus.OFF) {
+      return { success: false, error: "Encryption is already set up" };
+    }
+
+    const records = await this._readAll(null);
+    if (!records) {
+      return { success: false, error: "Could not read your cloud data" };
+    }
+
+    const { key, keyCheck } = await createKey(passphrase);
+
+    // Key check first: a half-finished upgrade leaves plaintext and
+    // ciphertext side by side, and both still read fine
+    if (!(await this.provider.saveKeyCheck(keyCheck))) {
+      return { success: false, error: "Could not save encryption settings" };
+    }
+    this.keyCheck = keyCheck;
+    this.activeKey = { kid: keyCheck.kid, key };
+    await saveDeviceKey(this.uid, keyCheck.kid, key);
+
+    if (!(await this._writeAll(records))) {
+      return {
+        success: false,
+        error:
+          "Encryption is on, but some records could not be re-uploaded. They will be encrypted the next time they change.",
+      };
+    }
+
+    console.log("[Encryption] Enabled");
+    return { success: true };
+  }
+
+  /**
+   * Unlock encrypted data on this device
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async unlock(passphrase) {
+    await this.loadKeyState();
+    if (!this.keyCheck) {
+      return { success: false, error: "Encryption is not set up" };
+    }
+
+    const key = await unlockKey(passphrase, this.keyCheck);
+    if (!key) {
+      return { success: false, error: "Incorrect passphrase" };
+    }
+
+    this.activeKey = { kid: this.keyCheck.kid, key };
+    await saveDeviceKey(this.uid, this.keyCheck.kid, key);
+    console.log("[Encryption] Unlocked on this device");
+    return { success: true };
+  }
+
+  /**
+   * Change the passphrase and re-encrypt every record with the new key
+   * @param {string} currentPassphrase - Current passphrase
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    await this.loadKeyState();
+    if (this.getEncryptionStatus() !== EncryptionStatus.UNLOCKED) {
+      return { success: false, error: "Unlock encryption first" };
+    }
+
+    const currentKey = await unlockKey(currentPassphrase, this.keyCheck);
+    if (!currentKey) {
+      return { success: false, error: "Current passphrase is incorrect" };
+    }
+    const previous = { kid: this.keyCheck.kid, key: currentKey };
+
+    const records = await this._readAll(previous);
+    if (!records) {
+      return { success: false, error: "Could not read your cloud data" };
+    }
+
+    const { key, keyCheck } = await createKey(newPassphrase);
+    this.activeKey = { kid: keyCheck.kid, key };
+
+    // Records first: until the new key check is saved, the old passphrase
+    // stays authoritative, so a failure can be rolled back cleanly
+    if (
+      !(await this._writeAll(records)) ||
+      !(await this.provider.saveKeyCheck(keyCheck))
+    ) {
+      this.activeKey = previous;
+      await this._writeAll(records);
+      return {
+        success: false,
+        error: "Could not re-encrypt your data. Your passphrase was not changed.",
+      };
+    }
+
+    this.keyCheck = keyCheck;
+    await saveDeviceKey(this.uid, keyCheck.kid, key);
+    console.log("[Encryption] Passphrase changed");
+    return { success: true };
+  }
+
+  /**
+   * Forget this device's key (sign out)
+   * @returns {Promise<boolean>} Success status
+   */
+  async forgetKey() {
+    const uid = this.uid || getCurrentUserId();
+    this.activeKey = null;
+    this.keyCheck = undefined;
+    return uid ? clearDeviceKey(uid) : true;
+  }
+
+  async save(type, data) {
+    if (!ENCRYPTED_TYPES.includes(type)) {
+      return this.provider.save(type, data);
+    }
+
+    // Validate the real content - the provider only sees ciphertext
+    const validation = validateData(type, data);
+    if (!validation.valid) {
+      console.error(
+        `[Encryption] Validation failed for ${type}:`,
+        validation.errors,
+      );
+      return false;
+    }
+
+    const sealed = await this._sealAll(type, collectionToRecords(type, data));
+    return this.provider.save(type, recordsToCollection(type, sealed));
+  }
+
+  async fetch(type, options = {}) {
+    const data = await this.provider.fetch(type, options);
+    if (!data || !ENCRYPTED_TYPES.includes(type)) {
+      return data;
+    }
+
+    const records = await this._openAll(collectionToRecords(type, data));
+    return records ? recordsToCollection(type, records) : null;
+  }
+
+  async get(type, id) {
+    const record = await this.provider.get(type, id);
+    if (!record || !ENCRYPTED_TYPES.includes(type)) {
+      return record;
+    }
+
+    const [opened] = (await this._openAll([record])) || [null];
+    return opened;
+  }
+
+  async put(type, record) {
+    if (!ENCRYPTED_TYPES.includes(type)) {
+      return this.provider.put(type, record);
+    }
+
+    const [sealed] = await this._sealAll(type, [record]);
+    return this.provider.put(type, sealed);
+  }
+
+  async delete(type, id) {
+    return this.provider.delete(type, id);
+  }
+
+  async query(type, options = {}) {
+    if (!ENCRYPTED_TYPES.includes(type)) {
+      return this.provider.query(type, options);
+    }
+
+    // Only dates are readable server-side; filter the rest after decrypting
+    const { from, to } = options;
+    const records = await this._openAll(
+      await this.provider.query(type, { from, to }),
+    );
+    return records ? applyQuery(records, options) : [];
+  }
+
+  async migrate(localData) {
+    if (this.getEncryptionStatus() !== EncryptionStatus.OFF) {
+      return {
+        success: false,
+        error: "Migration is not available while encryption is on",
+        itemsMigrated: 0,
+      };
+    }
+    return this.provider.migrate(localData);
+  }
+
+  async export() {
+    const exportData = await this.provider.export();
+    if (!exportData) return null;
+
+    for (const type of ENCRYPTED_TYPES) {
+      if (!exportData.data[type]) continue;
+
+      const records = await this._openAll(
+        collectionToRecords(type, exportData.data[type]),
+      );
+      if (!records) return null;
+      exportData.data[type] = recordsToCollection(type, records);
+    }
+
+    return exportData;
+  }
+
+  getName() {
+    return this.provider.getName();
+  }
+
+  isReady() {
+    return this.provider.isReady();
+  }
+
+  // Private helper methods
+
+  /**
+   * Encrypt records for upload
+   * @param {string} type - Record data type
+   * @param {Array} records - Plain records
+   * @returns {Promise<Array>} Records ready for the provider
+   * @throws {Error} If encryption is on but locked on this device
+   */
+  async _sealAll(type, records) {
+    if (this.keyCheck === undefined) {
+      await this.loadKeyState();
+    }
+
+    const status = this.getEncryptionStatus();
+    if (status === EncryptionStatus.OFF) {
+      return records;
+    }
+    if (status !== EncryptionStatus.UNLOCKED) {
+      throw new Error("Encrypted data is locked on this device");
+    }
+
+    const keep = [RecordKeys[type], ...PLAIN_FIELDS];
+    return Promise.all(
+      records.map((record) => sealRecord(this.activeKey, record, keep)),
+    );
+  }
+
+  /**
+   * Decrypt fetched records
+   * @param {Array} records - Records from the provider
+   * @param {Object} activeKey - { kid, key } to use (defaults to this device's)
+   * @returns {Promise<Array|null>} Plain records, or null if any can't be read
+   */
+  async _openAll(records, activeKey = this.activeKey) {
+    try {
+      return await Promise.all(
+        records.map((record) => openRecord(activeKey, record)),
+      );
+    } catch (error) {
+      // Never hand back partial data - sync would treat gaps as deletions
+      console.error("[Encryption] Failed to decrypt records:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Read every encrypted type in plain form
+   * @param {Object|null} activeKey - Key for existing ciphertext
+   * @returns {Promise<Object|null>} type -> plain records, or null on failure
+   */
+  async _readAll(activeKey) {
+    const all = {};
+
+    for (const type of ENCRYPTED_TYPES) {
+      const data = await this.provider.fetch(type);
+      if (data === null) return null;
+
+      const records = await this._openAll(
+        collectionToRecords(type, data),
+        activeKey,
+      );
+      if (!records) return null;
+      all[type] = records;
+    }
+
+    return all;
+  }
+
+  /**
+   * Re-upload plain records with the active key
+   * Timestamps are kept - re-encrypting isn't an edit.
+   * @param {Object} all - type -> plain records
+   * @returns {Promise<boolean>} Success status
+   */
+  async _writeAll(all) {
+    try {
+      for (const [type, records] of Object.entries(all)) {
+        const withIds = records.filter(
+          (record) => getRecordId(type, record) !== undefined,
+        );
+        if (withIds.length === 0) continue;
+
+        const sealed = await this._sealAll(type, withIds);
+        const payload = recordsToCollection(type, sealed);
+        if (!(await this.provider.save(type, payload))) {
+          return false;
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error("[Encryption] Failed to re-encrypt records:", error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * End-to-End Encryption
+ *
+ * PHILOSOPHY:
+ * ===========
+ * Identity exists to protect thought. Synced journal content should be
+ * unreadable to anyone but the person who wrote it - including the server.
+ *
+ * DESIGN:
+ * =======
+ * - Key derived from a passphrase with PBKDF2 (SHA-256), used for AES-GCM
+ * - The passphrase never leaves the browser and is never stored
+ * - A key-check record (salt, iterations, an encrypted known value) lets
+ *   other devices verify a passphrase before touching any data
+ * - Each device keeps its derived key in IndexedDB as a non-extractable
+ *   CryptoKey, so the passphrase is asked once per device, not per page
+ *
+ * THERE IS NO RECOVERY. A lost passphrase means the synced data is lost.
+ *
+ * @see src/data/persistence/encryptedProvider.js
+ */
+
+const KEY_CHECK_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Known plaintext stored encrypted in the key-check record
+ */
+const KEY_CHECK_PLAINTEXT = "lifelab-key-check";
+
+const KEY_DB_NAME = "lifelab_keys";
+const KEY_STORE = "keys";
+
+/**
+ * Key-check record (stored in the cloud, safe to be public)
+ * @typedef {Object} KeyCheck
+ * @property {number} version - Format version
+ * @property {string} kid - Key id, carried by every encrypted payload
+ * @property {string} salt - PBKDF2 salt (base64)
+ * @property {number} iterations - PBKDF2 iterations
+ * @property {Object} check - Encrypted KEY_CHECK_PLAINTEXT
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Encrypted payload
+ * @typedef {Object} EncryptedPayload
+ * @property {string} kid - Key id
+ * @property {string} iv - AES-GCM IV (base64)
+ * @property {string} data - Ciphertext (base64)
+ */
+
+/**
+ * Check whether this browser can encrypt
+ * @returns {boolean} True if WebCrypto and IndexedDB are available
+ */
+export function isEncryptionSupported() {
+  return (
+    typeof crypto !== "undefined" &&
+    Boolean(crypto.subtle) &&
+    typeof indexedDB !== "undefined"
+  );
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Salt (base64)
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: fromBase64(salt), iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} kid - Key id recorded with the payload
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<EncryptedPayload>} Encrypted payload
+ */
+export async function encryptValue(key, kid, value) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+
+  return { kid, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a payload made by encryptValue
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {EncryptedPayload} payload - Encrypted payload
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} If the key is wrong or the payload was tampered with
+ */
+export async function decryptValue(key, payload) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(payload.iv) },
+    key,
+    fromBase64(payload.data),
+  );
+
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Encrypt a record's content, keeping some fields readable
+ * @param {Object} activeKey - { kid, key }
+ * @param {Object} record - Plain record
+ * @param {Array<string>} plainFields - Fields left unencrypted (ids, dates)
+ * @returns {Promise<Object>} Readable fields plus an `encrypted` payload
+ */
+export async function sealRecord(activeKey, record, plainFields) {
+  const plain = {};
+  const secret = {};
+  Object.entries(record).forEach(([field, value]) => {
+    (plainFields.includes(field) ? plain : secret)[field] = value;
+  });
+  plain.encrypted = await encryptValue(activeKey.key, activeKey.kid, secret);
+  return plain;
+}
+
+/**
+ * Decrypt a record made by sealRecord (plain records pass through)
+ * @param {Object|null} activeKey - { kid, key }
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object>} Plain record
+ * @throws {Error} If the record was sealed with another key
+ */
+export async function openRecord(activeKey, record) {
+  if (!record.encrypted) return record;
+
+  if (!activeKey || record.encrypted.kid !== activeKey.kid) {
+    throw new Error("Record is encrypted with another key");
+  }
+
+  const { encrypted, ...plain } = record;
+  const secret = await decryptValue(activeKey.key, encrypted);
+  return { ...secret, ...plain };
+}
+
+/**
+ * Create a key and its key-check record from a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { key, keyCheck }
+ */
+export async function createKey(passphrase) {
+  const salt = toBase64(randomBytes(SALT_BYTES));
+  const kid = toBase64(randomBytes(9));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  const keyCheck = {
+    version: KEY_CHECK_VERSION,
+    kid,
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptValue(key, kid, KEY_CHECK_PLAINTEXT),
+    createdAt: new Date().toISOString(),
+  };
+
+  return { key, keyCheck };
+}
+
+/**
+ * Derive the key for a key-check record, verifying the passphrase
+ * @param {string} passphrase - Passphrase to try
+ * @param {KeyCheck} keyCheck - Stored key-check record
+ * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+ */
+export async function unlockKey(passphrase, keyCheck) {
+  const key = await deriveKey(passphrase, keyCheck.salt, keyCheck.iterations);
+
+  try {
+    const check = await decryptValue(key, keyCheck.check);
+    return check === KEY_CHECK_PLAINTEXT ? key : null;
+  } catch (error) {
+    // AES-GCM rejects the wrong key - that's the "wrong passphrase" case
+    return null;
+  }
+}
+
+/**
+ * Open the on-device key database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openKeyDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the key store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withKeyStore(mode, makeRequest) {
+  const db = await openKeyDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(
+        db.transaction(KEY_STORE, mode).objectStore(KEY_STORE),
+      );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the key this device remembered for a user
+ * @param {string} uid - User ID
+ * @returns {Promise<Object|null>} { kid, key } or null
+ */
+export async function loadDeviceKey(uid) {
+  try {
+    return (await withKeyStore("readonly", (store) => store.get(uid))) || null;
+  } catch (error) {
+    console.error("[Encryption] Failed to load device key:", error);
+    return null;
+  }
+}
+
+/**
+ * Remember a key on this device
+ * @param {string} uid - User ID
+ * @param {string} kid - Key id
+ * @param {CryptoKey} key - Non-extractable key
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveDeviceKey(uid, kid, key) {
+  try {
+    await withKeyStore("readwrite", (store) => store.put({ kid, key }, uid));
+    return true;
+  } catch (error) {
+    console.error("[Encryption] Failed to save device key:", error);
+    return false;
+  }
+}
+
+/**
+ * Forget a user's key on this device (sign out)
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearDeviceKey(uid) {
+  try {
+    await withKeyStore("readwrite", (store) => store.delete(uid));
+    return true;
+  } catch (error) {
+    console.error("[Encryption] Failed to clear device key:", error);
+    return false;
+  }
+}
@@ -17,6 +17,10 @@ import {
   getDoc,
   setDoc,
   getDocs,
+  deleteDoc,
+  query as buildQuery,
+  where,
+  writeBatch,
   serverTimestamp,
 } from "firebase/firestore";
 
@@ -26,15 +30,70 @@ import {
   SCHEMA_VERSION,
   MigrationState,
   validateData,
+  RecordKeys,
+  isRecordType,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  applyQuery,
 } from "./interface.js";
-import { initFirebase, getSharedDocId } from "./firebaseConfig.js";
+import { initFirebase } from "./firebaseConfig.js";
+import { getCurrentUserId } from "./authState.js";
+import {
+  USER_COLLECTIONS,
+  getUserBasePath,
+  getUserCollectionPath,
+} from "./userDataNamespace.js";
+
+/**
+ * Firestore collection (under users/{uid}/) for each record type
+ * One document per record, keyed by the record id.
+ */
+const RECORD_COLLECTIONS = {
+  [DataTypes.ENTRIES]: USER_COLLECTIONS.JOURNAL,
+  [DataTypes.WINS]: USER_COLLECTIONS.WINS,
+  [DataTypes.REFLECTIONS]: USER_COLLECTIONS.REFLECTIONS,
+  [DataTypes.BOARD_CARDS]: USER_COLLECTIONS.BOARD_CARDS,
+};
+
+/**
+ * Document paths (under users/{uid}/) for single-value types
+ */
+const VALUE_DOCS = {
+  [DataTypes.SETTINGS]: `${USER_COLLECTIONS.SETTINGS}/preferences`,
+  [DataTypes.META]: `${USER_COLLECTIONS.SETTINGS}/meta`,
+  [DataTypes.BOARD_SETTINGS]: USER_COLLECTIONS.BOARD_SETTINGS,
+};
+
+/**
+ * Document path (under users/{uid}/) of the encryption key-check record
+ */
+const KEY_CHECK_DOC = `${USER_COLLECTIONS.SETTINGS}/encryption`;
+
+/**
+ * Firestore batches are capped at 500 writes
+ */
+const BATCH_LIMIT = 500;
+
+/**
+ * Convert Firestore timestamps on a document to ISO strings
+ * @param {Object} data - Document data
+ * @returns {Object} Plain record
+ */
+function fromFirestore(data) {
+  return {
+    ...data,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt,
+  };
+}
 
 export class FirebaseProvider extends PersistenceProvider {
   constructor() {
     super();
     this.ready = false;
     this.db = null;
-    this.sharedId = null;
+    this.uid = null;
   }
 
   async init() {
@@ -48,9 +107,9 @@ export class FirebaseProvider extends PersistenceProvider {
       }
 
       this.db = db;
-      this.sharedId = getSharedDocId();
+      this.uid = getCurrentUserId();
       this.ready = true;
-      console.log("[Firebase] Provider ready (no auth)");
+      console.log("[Firebase] Provider ready");
       return true;
     } catch (error) {
       console.error("[Firebase] Initialization failed:", error);
@@ -76,19 +135,20 @@ export class FirebaseProvider extends PersistenceProvider {
     }
 
     try {
-      switch (type) {
-        case DataTypes.WINS:
-          return await this._saveWins(data);
-        case DataTypes.ENTRIES:
-          return await this._saveEntries(data);
-        case DataTypes.SETTINGS:
-          return await this._saveSettings(data);
-        case DataTypes.META:
-          return await this._saveMeta(data);
-        default:
-          console.error(`[Firebase] Unknown type: ${type}`);
-          return false;
+      if (this._isSupportedRecordType(type)) {
+        return await this._putMany(type, collectionToRecords(type, data));
+      }
+
+      if (VALUE_DOCS[type]) {
+        await setDoc(this._valueDoc(type), {
+          ...data,
+          updatedAt: data.updatedAt || serverTimestamp(),
+        });
+        return true;
       }
+
+      console.error(`[Firebase] Unknown type: ${type}`);
+      return false;
     } catch (error) {
       console.error(`[Firebase] Failed to save ${type}:`, error);
       return false;
@@ -102,26 +162,108 @@ export class FirebaseProvider extends PersistenceProvider {
     }
 
     try {
-      switch (type) {
-        case DataTypes.WINS:
-          return await this._fetchWins(options);
-        case DataTypes.ENTRIES:
-          return await this._fetchEntries(options);
-        case DataTypes.SETTINGS:
-          return await this._fetchSettings();
-        case DataTypes.META:
-          return await this._fetchMeta();
-        default:
-          console.error(`[Firebase] Unknown type: ${type}`);
-          return null;
+      if (this._isSupportedRecordType(type)) {
+        const snapshot = await getDocs(this._collection(type));
+        const records = snapshot.docs.map((d) => fromFirestore(d.data()));
+        return recordsToCollection(type, records);
+      }
+
+      if (VALUE_DOCS[type]) {
+        const valueDoc = await getDoc(this._valueDoc(type));
+        return valueDoc.exists() ? fromFirestore(valueDoc.data()) : null;
       }
+
+      console.error(`[Firebase] Unknown type: ${type}`);
+      return null;
     } catch (error) {
       console.error(`[Firebase] Failed to fetch ${type}:`, error);
       return null;
     }
   }
 
+  async get(type, id) {
+    if (!this._checkRecordType(type)) return null;
+
+    try {
+      const recordDoc = await getDoc(doc(this._collection(type), id));
+      return recordDoc.exists() ? fromFirestore(recordDoc.data()) : null;
+    } catch (error) {
+      console.error(`[Firebase] Failed to get ${type}/${id}:`, error);
+      return null;
+    }
+  }
+
+  async put(type, record) {
+    if (!this._checkRecordType(type)) return false;
+
+    const id = getRecordId(type, record);
+    if (id === undefined) {
+      console.error(`[Firebase] Cannot put ${type} record without an id`);
+      return false;
+    }
+
+    const validation = validateData(
+      type,
+      recordsToCollection(type, [record]),
+    );
+    if (!validation.valid) {
+      console.error(
+        `[Firebase] Validation failed for ${type}:`,
+        validation.errors,
+      );
+      return false;
+    }
+
+    try {
+      await setDoc(doc(this._collection(type), String(id)), {
+        ...record,
+        updatedAt: record.updatedAt || serverTimestamp(),
+      });
+      return true;
+    } catch (error) {
+      console.error(`[Firebase] Failed to put ${type}/${id}:`, error);
+      return false;
+    }
+  }
+
+  async delete(type, id) {
+    if (!this._checkRecordType(type)) return false;
+
+    try {
+      await deleteDoc(doc(this._collection(type), String(id)));
+      return true;
+    } catch (error) {
+      console.error(`[Firebase] Failed to delete ${type}/${id}:`, error);
+      return false;
+    }
+  }
+
+  async query(type, options = {}) {
+    if (!this._checkRecordType(type)) return [];
+
+    try {
+      // Let Firestore narrow date ranges; the rest is filtered locally
+      const constraints = [];
+      if (RecordKeys[type] === "date") {
+        if (options.from) constraints.push(where("date", ">=", options.from));
+        if (options.to) {
+          constraints.push(where("date", "<=", `${options.to}\uf8ff`));
+        }
+      }
+
+      const snapshot = await getDocs(
+        buildQuery(this._collection(type), ...constraints),
+      );
+      const records = snapshot.docs.map((d) => fromFirestore(d.data()));
+      return applyQuery(records, options);
+    } catch (error) {
+      console.error(`[Firebase] Failed to query ${type}:`, error);
+      return [];
+    }
+  }
+
   async migrate(localData) {
+    this.uid = getCurrentUserId();
     if (!this.ready || !this.uid) {
       return {
         success: false,
@@ -151,8 +293,29 @@ export class FirebaseProvider extends PersistenceProvider {
         itemsMigrated += 1;
       }
 
+      // Migrate reflections
+      if (localData.reflections) {
+        const reflections = collectionToRecords(
+          DataTypes.REFLECTIONS,
+          localData.reflections,
+        );
+        await this.save(DataTypes.REFLECTIONS, reflections);
+        itemsMigrated += reflections.length;
+      }
+
+      // Migrate board cards and board settings
+      if (localData.board_cards) {
+        await this.save(DataTypes.BOARD_CARDS, localData.board_cards);
+        itemsMigrated += localData.board_cards.length;
+      }
+
+      if (localData.board_settings) {
+        await this.save(DataTypes.BOARD_SETTINGS, localData.board_settings);
+        itemsMigrated += 1;
+      }
+
       // Update migration meta
-      await this._saveMeta({
+      await this.save(DataTypes.META, {
         migratedAt: new Date().toISOString(),
         migratedFrom: "localStorage",
         schemaVersion: SCHEMA_VERSION,
@@ -203,6 +366,31 @@ export class FirebaseProvider extends PersistenceProvider {
     }
   }
 
+  /**
+   * Read the encryption key-check record
+   * @returns {Promise<Object|null>} Key-check record, or null if encryption is off
+   * @throws {Error} If Firestore can't be reached (never mistake "offline" for "off")
+   */
+  async getKeyCheck() {
+    const keyCheckDoc = await getDoc(this._keyCheckDoc());
+    return keyCheckDoc.exists() ? keyCheckDoc.data() : null;
+  }
+
+  /**
+   * Write the encryption key-check record
+   * @param {Object} keyCheck - Key-check record (see encryption.js)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveKeyCheck(keyCheck) {
+    try {
+      await setDoc(this._keyCheckDoc(), keyCheck);
+      return true;
+    } catch (error) {
+      console.error("[Firebase] Failed to save key check:", error);
+      return false;
+    }
+  }
+
   getName() {
     return "firebase";
   }
@@ -213,106 +401,83 @@ export class FirebaseProvider extends PersistenceProvider {
 
   // Private helper methods
 
-  async _saveWins(wins) {
-    const winsRef = collection(this.db, "lifelab_data", this.sharedId, "wins");
+  _isSupportedRecordType(type) {
+    return isRecordType(type) && Boolean(RECORD_COLLECTIONS[type]);
+  }
 
-    // Convert wins object to array format if needed
-    const winsArray = Array.isArray(wins)
-      ? wins
-      : Object.entries(wins).map(([date, win]) => ({ ...win, date }));
+  _checkRecordType(type) {
+    if (!this.ready) {
+      console.error("[Firebase] Provider not ready");
+      return false;
+    }
 
-    for (const win of winsArray) {
-      const winRef = doc(winsRef, win.date);
-      await setDoc(winRef, {
-        ...win,
-        updatedAt: serverTimestamp(),
-      });
+    if (!this._isSupportedRecordType(type)) {
+      console.error(`[Firebase] ${type} is not a record type`);
+      return false;
     }
 
     return true;
   }
 
-  async _fetchWins(options) {
-    const winsRef = collection(this.db, "lifelab_data", this.sharedId, "wins");
-    const snapshot = await getDocs(winsRef);
-
-    const wins = {};
-    snapshot.forEach((doc) => {
-      const data = doc.data();
-      // Convert Firestore timestamps to ISO strings
-      wins[doc.id] = {
-        ...data,
-        createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
-        updatedAt: data.updatedAt?.toDate?.()?.toISOString() || data.updatedAt,
-      };
-    });
-
-    return wins;
-  }
-
-  async _saveEntries(entries) {
-    const entriesRef = collection(
+  /**
+   * Collection reference for a record type, scoped to the signed-in user
+   * @param {string} type - Record data type
+   * @returns {CollectionReference} users/{uid}/{collection}
+   * @throws {Error} If no user is signed in
+   */
+  _collection(type) {
+    return collection(
       this.db,
-      "lifelab_data",
-      this.sharedId,
-      "entries",
+      getUserCollectionPath(RECORD_COLLECTIONS[type], getCurrentUserId()),
     );
-
-    for (const [monthKey, monthData] of Object.entries(entries)) {
-      const entryRef = doc(entriesRef, monthKey);
-      await setDoc(entryRef, {
-        data: monthData,
-        updatedAt: serverTimestamp(),
-      });
-    }
-
-    return true;
   }
 
-  async _fetchEntries(options) {
-    const entriesRef = collection(
+  /**
+   * Document reference for a single-value type
+   * @param {string} type - SETTINGS, META or BOARD_SETTINGS
+   * @returns {DocumentReference} users/{uid}/{path}
+   */
+  _valueDoc(type) {
+    return doc(
       this.db,
-      "lifelab_data",
-      this.sharedId,
-      "entries",
+      `${getUserBasePath(getCurrentUserId())}/${VALUE_DOCS[type]}`,
     );
-    const snapshot = await getDocs(entriesRef);
-
-    const entries = {};
-    snapshot.forEach((doc) => {
-      entries[doc.id] = doc.data().data;
-    });
-
-    return entries;
   }
 
-  async _saveSettings(settings) {
-    const settingsRef = doc(this.db, "lifelab_data", this.sharedId, "settings");
-    await setDoc(settingsRef, {
-      ...settings,
-      updatedAt: serverTimestamp(),
-    });
-    return true;
+  /**
+   * Document reference for the encryption key-check record
+   * @returns {DocumentReference} users/{uid}/settings/encryption
+   */
+  _keyCheckDoc() {
+    return doc(
+      this.db,
+      `${getUserBasePath(getCurrentUserId())}/${KEY_CHECK_DOC}`,
+    );
   }
 
-  async _fetchSettings() {
-    const settingsRef = doc(this.db, "lifelab_data", this.sharedId, "settings");
-    const settingsDoc = await getDoc(settingsRef);
-    return settingsDoc.exists() ? settingsDoc.data() : null;
-  }
+  /**
+   * Write many records, one document each, in batches
+   * Not atomic: if a batch fails, the batches before it stay committed.
+   * @param {string} type - Record data type
+   * @param {Array} records - Records
+   * @returns {Promise<boolean>} Success status
+   */
+  async _putMany(type, records) {
+    const collectionRef = this._collection(type);
+
+    for (let i = 0; i < records.length; i += BATCH_LIMIT) {
+      const batch = writeBatch(this.db);
+      records.slice(i, i + BATCH_LIMIT).forEach((record) => {
+        const id = getRecordId(type, record);
+        if (id === undefined) return;
+        batch.set(doc(collectionRef, String(id)), {
+          ...record,
+          updatedAt: record.updatedAt || serverTimestamp(),
+        });
+      });
+      await batch.commit();
+    }
 
-  async _saveMeta(meta) {
-    const metaRef = doc(this.db, "lifelab_data", this.sharedId, "meta");
-    await setDoc(metaRef, {
-      ...meta,
-      updatedAt: serverTimestamp(),
-    });
     return true;
   }
-
-  async _fetchMeta() {
-    const metaRef = doc(this.db, "lifelab_data", this.sharedId, "meta");
-    const metaDoc = await getDoc(metaRef);
-    return metaDoc.exists() ? metaDoc.data() : null;
-  }
 }
@@ -0,0 +1,216 @@
+/**
+ * Import Planning
+ *
+ * Works out what an import would change before anything is written,
+ * so the user can choose how conflicting records are resolved.
+ *
+ * RULES:
+ * - Records are matched by id (or date for entries and wins)
+ * - Identical records (ignoring updatedAt) are never conflicts
+ * - Nothing here touches storage; PersistenceManager applies the result
+ *
+ * Accepts every file LifeLab has exported: full exports
+ * (persistence.export), month files (array of days) and the old
+ * full backup ({ version: "1.0", data: { "YYYY-MM": [days] } }).
+ */
+
+import {
+  DataTypes,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  isSameContent,
+} from "./interface.js";
+import { upgradeData } from "./schemaMigrations.js";
+
+/**
+ * How conflicts (and records only in this browser) are handled
+ */
+export const ImportMode = {
+  REPLACE: "replace",
+  KEEP_EXISTING: "keep-existing",
+  PREFER_IMPORT: "prefer-import",
+};
+
+/**
+ * Per-record choice for a conflict
+ */
+export const ConflictChoice = {
+  EXISTING: "existing",
+  IMPORTED: "imported",
+};
+
+/**
+ * Types previewed record by record
+ * Other types in the file (settings, board) are only written by REPLACE.
+ */
+export const PREVIEW_TYPES = [
+  DataTypes.ENTRIES,
+  DataTypes.WINS,
+  DataTypes.REFLECTIONS,
+];
+
+/**
+ * Parse an import file into current-schema data
+ * @param {string} text - File contents
+ * @returns {Object} type -> value
+ * @throws {Error} If the file isn't a LifeLab export
+ */
+export function parseImportFile(text) {
+  const parsed = JSON.parse(text);
+
+  // Month export: array of day records
+  if (Array.isArray(parsed)) {
+    if (!parsed.every((day) => day && day.date && day.domains)) {
+      throw new Error("Invalid day records found");
+    }
+    return upgradeData(
+      { [DataTypes.ENTRIES]: recordsToCollection(DataTypes.ENTRIES, parsed) },
+      1,
+    ).data;
+  }
+
+  if (!parsed || typeof parsed !== "object" || !parsed.data) {
+    throw new Error("Not a LifeLab export");
+  }
+
+  // Old full backup: entries grouped by month
+  if (parsed.version && parsed.schemaVersion === undefined) {
+    return upgradeData({ [DataTypes.ENTRIES]: parsed.data }, 1).data;
+  }
+
+  return upgradeData(parsed.data, parsed.schemaVersion || 1).data;
+}
+
+/**
+ * Index records by id
+ * @param {string} type - Record type
+ * @param {*} data - Collection
+ * @returns {Map<string, Object>} id -> record
+ */
+function indexById(type, data) {
+  return new Map(
+    collectionToRecords(type, data).map((record) => [
+      String(getRecordId(type, record)),
+      record,
+    ]),
+  );
+}
+
+/**
+ * Compare imported data with current data
+ * @param {Object} imported - type -> value from the file
+ * @param {Object} current - type -> value now
+ * @returns {Object} { types: { type -> { added, identical, conflicts, existingOnly } }, otherTypes }
+ */
+export function planImport(imported, current) {
+  const types = {};
+
+  PREVIEW_TYPES.forEach((type) => {
+    const existing = indexById(type, current[type]);
+    const plan = { added: [], identical: [], conflicts: [], existingOnly: 0 };
+
+    indexById(type, imported[type]).forEach((record, id) => {
+      if (!existing.has(id)) {
+        plan.added.push(record);
+      } else if (isSameContent(record, existing.get(id))) {
+        plan.identical.push(record);
+      } else {
+        plan.conflicts.push({
+          id,
+          existing: existing.get(id),
+          imported: record,
+        });
+      }
+      existing.delete(id);
+    });
+    plan.existingOnly = existing.size;
+
+    types[type] = plan;
+  });
+
+  return {
+    types,
+    otherTypes: Object.keys(imported).filter(
+      (type) => !PREVIEW_TYPES.includes(type) && type !== DataTypes.META,
+    ),
+  };
+}
+
+/**
+ * Fields whose values differ between two versions of a record
+ * @param {Object} conflict - { existing, imported }
+ * @returns {Array<string>} Field names
+ */
+export function conflictFields(conflict) {
+  const fields = new Set([
+    ...Object.keys(conflict.existing),
+    ...Object.keys(conflict.imported),
+  ]);
+  return [...fields].filter(
+    (field) =>
+      field !== "updatedAt" &&
+      !isSameContent(conflict.existing[field], conflict.imported[field]),
+  );
+}
+
+/**
+ * Build the data to write from a plan and the user's choices
+ * @param {Object} plan - From planImport
+ * @param {Object} imported - type -> value from the file
+ * @param {Object} current - type -> value now
+ * @param {string} mode - ImportMode value
+ * @param {Object} choices - "type:id" -> ConflictChoice, overriding the mode
+ * @returns {Object} type -> value for every type that changes
+ */
+export function resolveImport(plan, imported, current, mode, choices = {}) {
+  const result = {};
+  const preferred =
+    mode === ImportMode.KEEP_EXISTING
+      ? ConflictChoice.EXISTING
+      : ConflictChoice.IMPORTED;
+
+  PREVIEW_TYPES.forEach((type) => {
+    // Replacing never empties a collection the file doesn't include
+    if (mode === ImportMode.REPLACE && !imported[type]) return;
+
+    const typePlan = plan.types[type];
+    const records =
+      mode === ImportMode.REPLACE
+        ? new Map()
+        : indexById(type, current[type]);
+
+    [...typePlan.added, ...typePlan.identical].forEach((record) =>
+      records.set(String(getRecordId(type, record)), record),
+    );
+    typePlan.conflicts.forEach((conflict) => {
+      const choice = choices[`${type}:${conflict.id}`] || preferred;
+      records.set(
+        conflict.id,
+        choice === ConflictChoice.EXISTING
+          ? conflict.existing
+          : conflict.imported,
+      );
+    });
+
+    const unchanged =
+      typePlan.added.length === 0 &&
+      (mode !== ImportMode.REPLACE || typePlan.existingOnly === 0) &&
+      typePlan.conflicts.every(
+        (conflict) =>
+          (choices[`${type}:${conflict.id}`] || preferred) ===
+          ConflictChoice.EXISTING,
+      );
+    if (!unchanged) {
+      result[type] = recordsToCollection(type, [...records.values()]);
+    }
+  });
+
+  if (mode === ImportMode.REPLACE) {
+    plan.otherTypes.forEach((type) => {
+      if (imported[type]) result[type] = imported[type];
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,490 @@
+/**
+ * IndexedDB Persistence Provider
+ *
+ * Implements persistence interface using browser IndexedDB.
+ * Preferred over localStorage when available: no 5MB quota and
+ * one record per day/win/reflection/card instead of one big JSON string.
+ *
+ * RULES:
+ * - Callers still see the same shapes as localStorage
+ *   (entries grouped by month, wins/reflections/cards as arrays)
+ * - Existing localStorage data is copied in once, never deleted
+ * - Entries live here once imported; lifelab_data is no longer written
+ * - Record content is encrypted at rest while the app lock is on
+ */
+
+import {
+  PersistenceProvider,
+  DataTypes,
+  SCHEMA_VERSION,
+  validateData,
+  RecordKeys,
+  isRecordType,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  applyQuery,
+} from "./interface.js";
+import { sealRecord, openRecord } from "./encryption.js";
+import { secureStorage } from "../secureStorage.js";
+
+const DB_NAME = "lifelab";
+const DB_VERSION = 1;
+
+/**
+ * Store for whole-value types (settings, meta, board settings)
+ */
+const KV_STORE = "kv";
+
+/**
+ * KV key marking the one-time copy from localStorage as done
+ */
+const LOCAL_IMPORT_KEY = "__localStorageImported";
+
+/**
+ * KV key marking entries as taken over from lifelab_data
+ */
+const ENTRIES_IMPORT_KEY = "__entriesImported";
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Read and parse a localStorage key
+ * @param {string} key - localStorage key
+ * @returns {any} Parsed value or null
+ */
+function readLocalStorage(key) {
+  try {
+    const raw = secureStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`[IndexedDB] Could not read ${key} from localStorage:`, error);
+    return null;
+  }
+}
+
+export class IndexedDBProvider extends PersistenceProvider {
+  constructor() {
+    super();
+    this.ready = false;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.ready) return true;
+
+    try {
+      if (typeof indexedDB === "undefined") {
+        console.log("[IndexedDB] Not supported in this browser");
+        return false;
+      }
+
+      this.db = await this._open();
+      this.ready = true;
+
+      await this.importLocalData();
+
+      console.log("[IndexedDB] Provider initialized");
+      return true;
+    } catch (error) {
+      // Private browsing modes can refuse to open a database
+      console.error("[IndexedDB] Initialization failed:", error);
+      this.db = null;
+      this.ready = false;
+      return false;
+    }
+  }
+
+  async save(type, data) {
+    if (!this.ready) {
+      console.error("[IndexedDB] Provider not ready");
+      return false;
+    }
+
+    // Validate data shape
+    const validation = validateData(type, data);
+    if (!validation.valid) {
+      console.error(
+        `[IndexedDB] Validation failed for ${type}:`,
+        validation.errors,
+      );
+      // Log but don't block save for backward compatibility
+    }
+
+    try {
+      if (!isRecordType(type)) {
+        const tx = this.db.transaction(KV_STORE, "readwrite");
+        tx.objectStore(KV_STORE).put(data, type);
+        await transactionDone(tx);
+        return true;
+      }
+
+      // A single record is an upsert; a whole collection replaces the store
+      const single =
+        !Array.isArray(data) && getRecordId(type, data) !== undefined;
+      const records = await this._sealRecords(
+        type,
+        single
+          ? [data]
+          : collectionToRecords(type, data).filter(
+              (record) => getRecordId(type, record) !== undefined,
+            ),
+      );
+
+      // Seal first: awaiting inside a transaction would let it auto-commit
+      const tx = this.db.transaction(type, "readwrite");
+      const store = tx.objectStore(type);
+      if (!single) store.clear();
+      records.forEach((record) => store.put(record));
+
+      await transactionDone(tx);
+      return true;
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to save ${type}:`, error);
+      return false;
+    }
+  }
+
+  async fetch(type, options = {}) {
+    if (!this.ready) {
+      console.error("[IndexedDB] Provider not ready");
+      return null;
+    }
+
+    try {
+      if (!isRecordType(type)) {
+        const tx = this.db.transaction(KV_STORE, "readonly");
+        const value = await promisifyRequest(
+          tx.objectStore(KV_STORE).get(type),
+        );
+        return value === undefined ? null : value;
+      }
+
+      const tx = this.db.transaction(type, "readonly");
+      const records = await promisifyRequest(tx.objectStore(type).getAll());
+      if (records.length === 0) return null;
+
+      return recordsToCollection(type, await this._openRecords(records));
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to fetch ${type}:`, error);
+      return null;
+    }
+  }
+
+  async get(type, id) {
+    if (!this._checkRecordType(type)) return null;
+
+    try {
+      const tx = this.db.transaction(type, "readonly");
+      const record = await promisifyRequest(tx.objectStore(type).get(id));
+      if (record === undefined) return null;
+
+      const [opened] = await this._openRecords([record]);
+      return opened;
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to get ${type}/${id}:`, error);
+      return null;
+    }
+  }
+
+  async put(type, record) {
+    if (!this._checkRecordType(type)) return false;
+
+    if (getRecordId(type, record) === undefined) {
+      console.error(`[IndexedDB] Cannot put ${type} record without an id`);
+      return false;
+    }
+
+    try {
+      const [sealed] = await this._sealRecords(type, [record]);
+      const tx = this.db.transaction(type, "readwrite");
+      tx.objectStore(type).put(sealed);
+      await transactionDone(tx);
+      return true;
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to put ${type}:`, error);
+      return false;
+    }
+  }
+
+  async delete(type, id) {
+    if (!this._checkRecordType(type)) return false;
+
+    try {
+      const tx = this.db.transaction(type, "readwrite");
+      tx.objectStore(type).delete(id);
+      await transactionDone(tx);
+      return true;
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to delete ${type}/${id}:`, error);
+      return false;
+    }
+  }
+
+  async query(type, options = {}) {
+    if (!this._checkRecordType(type)) return [];
+
+    try {
+      const tx = this.db.transaction(type, "readonly");
+      const store = tx.objectStore(type);
+
+      // Entries and wins are keyed by date, so a date range is a key range
+      let range = null;
+      if (RecordKeys[type] === "date" && (options.from || options.to)) {
+        range = IDBKeyRange.bound(
+          options.from || "",
+          options.to ? `${options.to}\uffff` : "\uffff",
+        );
+      }
+
+      const records = await promisifyRequest(store.getAll(range));
+      return applyQuery(await this._openRecords(records), options);
+    } catch (error) {
+      console.error(`[IndexedDB] Failed to query ${type}:`, error);
+      return [];
+    }
+  }
+
+  async migrate(localData) {
+    if (!this.ready) {
+      return {
+        success: false,
+        error: "IndexedDB not ready",
+        itemsMigrated: 0,
+      };
+    }
+
+    let itemsMigrated = 0;
+    const errors = [];
+
+    for (const [type, data] of Object.entries(localData || {})) {
+      if (!data) continue;
+
+      const success = await this.save(type, data);
+      if (success) {
+        itemsMigrated++;
+      } else {
+        errors.push(`Failed to migrate ${type}`);
+      }
+    }
+
+    return {
+      success: errors.length === 0,
+      itemsMigrated,
+      errors,
+    };
+  }
+
+  async export() {
+    if (!this.ready) {
+      console.error("[IndexedDB] Provider not ready");
+      return null;
+    }
+
+    try {
+      const exportData = {
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        provider: this.getName(),
+        data: {},
+      };
+
+      // Export all data types
+      for (const type of Object.values(DataTypes)) {
+        const data = await this.fetch(type);
+        if (data) {
+          exportData.data[type] = data;
+        }
+      }
+
+      return exportData;
+    } catch (error) {
+      console.error("[IndexedDB] Export failed:", error);
+      return null;
+    }
+  }
+
+  getName() {
+    return "indexedDB";
+  }
+
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  _open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        Object.entries(RecordKeys).forEach(([storeName, keyPath]) => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath });
+          }
+        });
+
+        if (!db.objectStoreNames.contains(KV_STORE)) {
+          db.createObjectStore(KV_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        reject(new Error("Database upgrade blocked by another tab"));
+    });
+  }
+
+  _checkRecordType(type) {
+    if (!this.ready) {
+      console.error("[IndexedDB] Provider not ready");
+      return false;
+    }
+
+    if (!isRecordType(type)) {
+      console.error(`[IndexedDB] ${type} is not a record type`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Encrypt records before storing them, while the app lock is on
+   * Only the key field stays readable (IndexedDB needs it).
+   * @param {string} type - Record data type
+   * @param {Array} records - Plain records
+   * @returns {Promise<Array>} Records to store
+   * @throws {Error} If the lock is on but the app is locked
+   */
+  async _sealRecords(type, records) {
+    const key = secureStorage.getLocalKey();
+    if (!key) {
+      if (secureStorage.isLockEnabled()) {
+        throw new Error("LifeLab is locked");
+      }
+      return records;
+    }
+
+    return Promise.all(
+      records.map((record) => sealRecord(key, record, [RecordKeys[type]])),
+    );
+  }
+
+  /**
+   * Decrypt stored records (plain records pass through)
+   * @param {Array} records - Stored records
+   * @returns {Promise<Array>} Plain records
+   * @throws {Error} If a record is encrypted and the app is locked
+   */
+  async _openRecords(records) {
+    const key = secureStorage.getLocalKey();
+    return Promise.all(records.map((record) => openRecord(key, record)));
+  }
+
+  /**
+   * Run the one-time imports from localStorage
+   * Waits while the app is locked, since protected keys can't be read
+   * then; call again after unlocking.
+   * @returns {Promise<void>}
+   */
+  async importLocalData() {
+    if (!this.ready) return;
+    if (secureStorage.isLockEnabled() && !secureStorage.getLocalKey()) return;
+
+    await this._importFromLocalStorage();
+    await this._importLegacyEntries();
+  }
+
+  /**
+   * Copy existing localStorage data in, once per browser
+   * localStorage is left untouched so older builds keep working.
+   * Not marked done if a type fails, so the next load tries again.
+   * @returns {Promise<void>}
+   */
+  async _importFromLocalStorage() {
+    const tx = this.db.transaction(KV_STORE, "readonly");
+    const imported = await promisifyRequest(
+      tx.objectStore(KV_STORE).get(LOCAL_IMPORT_KEY),
+    );
+    if (imported) return;
+
+    let itemsImported = 0;
+
+    for (const type of Object.values(DataTypes)) {
+      // Entries come from lifelab_data (see _importLegacyEntries)
+      if (type === DataTypes.ENTRIES) continue;
+
+      const data = readLocalStorage(`lifelab_${type}`);
+      if (!data) continue;
+
+      if (!(await this.save(type, data))) {
+        console.warn(`[IndexedDB] Could not import ${type}, will retry`);
+        return;
+      }
+      itemsImported++;
+    }
+
+    const doneTx = this.db.transaction(KV_STORE, "readwrite");
+    doneTx.objectStore(KV_STORE).put(new Date().toISOString(), LOCAL_IMPORT_KEY);
+    await transactionDone(doneTx);
+
+    console.log(
+      `[IndexedDB] Imported ${itemsImported} data types from localStorage`,
+    );
+  }
+
+  /**
+   * Take over entries from lifelab_data, once per browser
+   * Until then storage.js kept the authoritative copy there (this store only
+   * saw writes made while signed out), so it replaces what's here.
+   * @returns {Promise<void>}
+   */
+  async _importLegacyEntries() {
+    const tx = this.db.transaction(KV_STORE, "readonly");
+    const imported = await promisifyRequest(
+      tx.objectStore(KV_STORE).get(ENTRIES_IMPORT_KEY),
+    );
+    if (imported) return;
+
+    const data = readLocalStorage("lifelab_data");
+    if (data && !(await this.save(DataTypes.ENTRIES, data))) return;
+
+    const doneTx = this.db.transaction(KV_STORE, "readwrite");
+    doneTx
+      .objectStore(KV_STORE)
+      .put(new Date().toISOString(), ENTRIES_IMPORT_KEY);
+    await transactionDone(doneTx);
+
+    console.log("[IndexedDB] Imported entries from localStorage");
+  }
+}
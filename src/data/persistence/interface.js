@@ -40,6 +40,46 @@ export class PersistenceProvider {
     throw new Error("fetch() must be implemented");
   }
 
+  /**
+   * Get a single record by id
+   * @param {string} type - Record data type (entries, wins, reflections, board_cards)
+   * @param {string} id - Record id (see RecordKeys)
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(type, id) {
+    throw new Error("get() must be implemented");
+  }
+
+  /**
+   * Create or replace a single record
+   * @param {string} type - Record data type
+   * @param {Object} record - Record carrying its own id (see RecordKeys)
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(type, record) {
+    throw new Error("put() must be implemented");
+  }
+
+  /**
+   * Delete a single record
+   * @param {string} type - Record data type
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} Success status (true if already gone)
+   */
+  async delete(type, id) {
+    throw new Error("delete() must be implemented");
+  }
+
+  /**
+   * List records matching a query
+   * @param {string} type - Record data type
+   * @param {Object} options - Query options (see applyQuery)
+   * @returns {Promise<Array>} Matching records
+   */
+  async query(type, options = {}) {
+    throw new Error("query() must be implemented");
+  }
+
   /**
    * Migrate local data to this provider
    * @param {Object} localData - All local data to migrate
@@ -83,12 +123,158 @@ export const DataTypes = {
   SETTINGS: "settings",
   META: "meta",
   REFLECTIONS: "reflections",
+  BOARD_CARDS: "board_cards",
+  BOARD_SETTINGS: "board_settings",
+};
+
+/**
+ * Data types stored as individual records, mapped to their id field
+ * Everything else (settings, meta, board settings) is a single value.
+ */
+export const RecordKeys = {
+  [DataTypes.ENTRIES]: "date",
+  [DataTypes.WINS]: "date",
+  [DataTypes.REFLECTIONS]: "id",
+  [DataTypes.BOARD_CARDS]: "id",
 };
 
+/**
+ * Check if a data type supports record-level operations
+ * @param {string} type - Data type
+ * @returns {boolean} True for record types
+ */
+export function isRecordType(type) {
+  return Object.prototype.hasOwnProperty.call(RecordKeys, type);
+}
+
+/**
+ * Get the id of a record
+ * @param {string} type - Record data type
+ * @param {Object} record - Record
+ * @returns {string|undefined} Record id
+ */
+export function getRecordId(type, record) {
+  return record ? record[RecordKeys[type]] : undefined;
+}
+
+/**
+ * Flatten a collection (as callers save it) into records
+ * @param {string} type - Record data type
+ * @param {Object|Array} data - Collection
+ * @returns {Array} Records
+ */
+export function collectionToRecords(type, data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== "object") return [];
+
+  // A single record on its own
+  if (getRecordId(type, data) !== undefined) return [data];
+
+  if (type === DataTypes.ENTRIES) {
+    // { "2024-01": [day, day, ...], ... }
+    return Object.values(data).flat();
+  }
+
+  if (type === DataTypes.WINS) {
+    // { "2024-01-05": win, ... }
+    return Object.entries(data).map(([date, win]) => ({ ...win, date }));
+  }
+
+  return Object.values(data);
+}
+
+/**
+ * Rebuild the collection shape callers expect from records
+ * Entries are grouped by month ("YYYY-MM"), everything else is an array.
+ * @param {string} type - Record data type
+ * @param {Array} records - Records
+ * @returns {Object|Array} Collection
+ */
+export function recordsToCollection(type, records) {
+  if (type !== DataTypes.ENTRIES) return records;
+
+  const byMonth = {};
+  records.forEach((day) => {
+    const monthKey = day.date.substring(0, 7);
+    if (!byMonth[monthKey]) {
+      byMonth[monthKey] = [];
+    }
+    byMonth[monthKey].push(day);
+  });
+
+  Object.values(byMonth).forEach((days) =>
+    days.sort((a, b) => a.date.localeCompare(b.date)),
+  );
+
+  return byMonth;
+}
+
+/**
+ * Sort keys and drop updatedAt so equal content compares equal
+ * @param {*} value - Any JSON value
+ * @returns {*} Comparable copy
+ */
+function comparable(value) {
+  if (Array.isArray(value)) return value.map(comparable);
+  if (value === null || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.keys(value)
+      .filter((key) => key !== "updatedAt")
+      .sort()
+      .map((key) => [key, comparable(value[key])]),
+  );
+}
+
+/**
+ * Check whether two records hold the same content
+ * Key order and updatedAt are ignored.
+ * @param {*} a - Record or value
+ * @param {*} b - Record or value
+ * @returns {boolean} True if equal
+ */
+export function isSameContent(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+/**
+ * Filter records by query options
+ * @param {Array} records - Records
+ * @param {Object} options - Query options
+ * @param {string} options.from - Earliest date (inclusive, YYYY-MM-DD)
+ * @param {string} options.to - Latest date (inclusive, YYYY-MM-DD)
+ * @param {Function} options.where - Predicate (record) => boolean
+ * @param {number} options.limit - Maximum number of records
+ * @returns {Array} Matching records, sorted by date when records have one
+ */
+export function applyQuery(records, options = {}) {
+  const { from, to, where, limit } = options;
+
+  let result = records.filter((record) => {
+    if (from && (!record.date || record.date < from)) return false;
+    if (to && (!record.date || record.date.substring(0, to.length) > to)) {
+      return false;
+    }
+    if (where && !where(record)) return false;
+    return true;
+  });
+
+  if (result.some((record) => record.date)) {
+    result = result.sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+  }
+
+  if (limit) {
+    result = result.slice(0, limit);
+  }
+
+  return result;
+}
+
 /**
  * Schema version
+ * Bump together with a new step in schemaMigrations.js
  */
-export const SCHEMA_VERSION = 1;
+export const SCHEMA_VERSION = 3;
 
 /**
  * Migration state constants
@@ -123,7 +309,8 @@ export function validateData(type, data) {
           if (!win.date || typeof win.date !== "string") {
             errors.push(`Win ${idx}: missing or invalid date`);
           }
-          if (!win.text || typeof win.text !== "string") {
+          // Encrypted wins carry their text inside the payload
+          if (!win.encrypted && (!win.text || typeof win.text !== "string")) {
             errors.push(`Win ${idx}: missing or invalid text`);
           }
         });
@@ -154,6 +341,35 @@ export function validateData(type, data) {
       }
       break;
 
+    case DataTypes.REFLECTIONS: {
+      // Saved one at a time or as a full list
+      const reflections = Array.isArray(data) ? data : [data];
+      reflections.forEach((reflection, idx) => {
+        if (!reflection.id || typeof reflection.id !== "string") {
+          errors.push(`Reflection ${idx}: missing or invalid id`);
+        }
+      });
+      break;
+    }
+
+    case DataTypes.BOARD_CARDS:
+      if (!Array.isArray(data)) {
+        errors.push("Board cards must be an array");
+      } else {
+        data.forEach((card, idx) => {
+          if (!card.id) {
+            errors.push(`Card ${idx}: missing id`);
+          }
+        });
+      }
+      break;
+
+    case DataTypes.BOARD_SETTINGS:
+      if (typeof data !== "object") {
+        errors.push("Board settings must be an object");
+      }
+      break;
+
     default:
       errors.push(`Unknown data type: ${type}`);
   }
@@ -11,7 +11,13 @@ import {
   SCHEMA_VERSION,
   MigrationState,
   validateData,
+  isRecordType,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  applyQuery,
 } from "./interface.js";
+import { secureStorage } from "../secureStorage.js";
 
 export class LocalStorageProvider extends PersistenceProvider {
   constructor() {
@@ -52,7 +58,7 @@ export class LocalStorageProvider extends PersistenceProvider {
 
     try {
       const key = this._getKey(type);
-      localStorage.setItem(key, JSON.stringify(data));
+      secureStorage.setItem(key, JSON.stringify(data));
       return true;
     } catch (error) {
       console.error(`[LocalStorage] Failed to save ${type}:`, error);
@@ -68,7 +74,7 @@ export class LocalStorageProvider extends PersistenceProvider {
 
     try {
       const key = this._getKey(type);
-      const data = localStorage.getItem(key);
+      const data = secureStorage.getItem(key);
       return data ? JSON.parse(data) : null;
     } catch (error) {
       console.error(`[LocalStorage] Failed to fetch ${type}:`, error);
@@ -76,6 +82,45 @@ export class LocalStorageProvider extends PersistenceProvider {
     }
   }
 
+  async get(type, id) {
+    const records = await this._loadRecords(type);
+    if (!records) return null;
+    return records.find((record) => getRecordId(type, record) === id) || null;
+  }
+
+  async put(type, record) {
+    const records = await this._loadRecords(type);
+    const id = getRecordId(type, record);
+    if (!records || id === undefined) {
+      console.error(`[LocalStorage] Cannot put ${type} record without an id`);
+      return false;
+    }
+
+    const index = records.findIndex((r) => getRecordId(type, r) === id);
+    if (index >= 0) {
+      records[index] = record;
+    } else {
+      records.push(record);
+    }
+
+    return this._storeRecords(type, records);
+  }
+
+  async delete(type, id) {
+    const records = await this._loadRecords(type);
+    if (!records) return false;
+
+    const remaining = records.filter((r) => getRecordId(type, r) !== id);
+    if (remaining.length === records.length) return true;
+
+    return this._storeRecords(type, remaining);
+  }
+
+  async query(type, options = {}) {
+    const records = await this._loadRecords(type);
+    return records ? applyQuery(records, options) : [];
+  }
+
   async migrate(localData) {
     // LocalStorage IS the local data - no migration needed
     return {
@@ -126,6 +171,32 @@ export class LocalStorageProvider extends PersistenceProvider {
     return `lifelab_${type}`;
   }
 
+  /**
+   * Load a record type as a flat list
+   * localStorage holds one string per type, so record operations
+   * read and rewrite that string - deletes still really remove data.
+   * @param {string} type - Record data type
+   * @returns {Promise<Array|null>} Records or null if not a record type
+   */
+  async _loadRecords(type) {
+    if (!this.ready) {
+      console.error("[LocalStorage] Provider not ready");
+      return null;
+    }
+
+    if (!isRecordType(type)) {
+      console.error(`[LocalStorage] ${type} is not a record type`);
+      return null;
+    }
+
+    const data = await this.fetch(type);
+    return collectionToRecords(type, data);
+  }
+
+  async _storeRecords(type, records) {
+    return this.save(type, recordsToCollection(type, records));
+  }
+
   /**
    * Get migration state
    * @returns {Promise<string>} Migration state
@@ -160,33 +231,4 @@ export class LocalStorageProvider extends PersistenceProvider {
       return false;
     }
   }
-
-  /**
-   * Get schema version
-   * @returns {Promise<number>} Schema version
-   */
-  async getSchemaVersion() {
-    try {
-      const version = localStorage.getItem("lifelab_schema_version");
-      return version ? parseInt(version, 10) : SCHEMA_VERSION;
-    } catch (error) {
-      console.error("[LocalStorage] Failed to get schema version:", error);
-      return SCHEMA_VERSION;
-    }
-  }
-
-  /**
-   * Set schema version
-   * @param {number} version - Schema version
-   * @returns {Promise<boolean>} Success status
-   */
-  async setSchemaVersion(version) {
-    try {
-      localStorage.setItem("lifelab_schema_version", version.toString());
-      return true;
-    } catch (error) {
-      console.error("[LocalStorage] Failed to set schema version:", error);
-      return false;
-    }
-  }
 }
@@ -4,7 +4,7 @@
  * Manages storage provider selection and switching.
  *
  * RULES:
- * - Default to localStorage
+ * - Default to local storage (IndexedDB when available, else localStorage)
  * - Switch to Firebase only after successful auth
  * - Never oscillate between providers
  * - App works WITHOUT Firebase
@@ -16,24 +16,103 @@
  */
 
 import { LocalStorageProvider } from "./localStorageProvider.js";
+import { IndexedDBProvider } from "./indexedDBProvider.js";
 import { FirebaseProvider } from "./firebaseProvider.js";
-import { DataTypes, MigrationState, validateData } from "./interface.js";
+import { EncryptedProvider, EncryptionStatus } from "./encryptedProvider.js";
+import {
+  DataTypes,
+  MigrationState,
+  validateData,
+  isRecordType,
+  getRecordId,
+  collectionToRecords,
+  recordsToCollection,
+  SCHEMA_VERSION,
+} from "./interface.js";
+import { upgradeData } from "./schemaMigrations.js";
+import {
+  SnapshotReason,
+  SNAPSHOT_TYPES,
+  saveSnapshot,
+  loadSnapshot,
+  hasDailySnapshot,
+  diffSnapshot,
+} from "./snapshotStore.js";
+import {
+  SYNCED_TYPES,
+  DEFAULT_CONFLICT_POLICY,
+  planSync,
+  addConflicts,
+  getLastSyncedAt,
+  setLastSyncedAt,
+  recordTombstone,
+  loadTombstones,
+  clearTombstones,
+} from "./syncEngine.js";
 import {
   isAuthenticated,
   onAuthStateChange,
   getCurrentUserId,
 } from "./authState.js";
 import { offlineQueue } from "./offlineQueue.js";
+import { secureStorage } from "../secureStorage.js";
+
+/**
+ * localStorage keys storage.js reads synchronously
+ * Entries only use theirs when IndexedDB isn't available; otherwise it is
+ * just where older builds kept them (see loadEntries).
+ */
+const LOCAL_MIRRORS = {
+  [DataTypes.ENTRIES]: "lifelab_data",
+  [DataTypes.SETTINGS]: "lifelab_settings",
+};
+
+/**
+ * Where older builds recorded the schema version of restored backups
+ */
+const LEGACY_SCHEMA_VERSION_KEY = "lifelab_schema_version";
+
 class PersistenceManager {
   constructor() {
     this.currentProvider = null;
     this.providers = {
       localStorage: new LocalStorageProvider(),
-      firebase: new FirebaseProvider(),
+      indexedDB: new IndexedDBProvider(),
+      // Pass-through until the user turns on end-to-end encryption
+      firebase: new EncryptedProvider(new FirebaseProvider()),
     };
     this.initialized = false;
     this.authUnsubscribe = null;
     this.isSyncing = false; // Prevent concurrent sync operations
+    this.upgradePromise = null; // Schema upgrade runs once per page load
+    this.entries = null; // IndexedDB entries in memory, set by loadEntries
+
+    // Queued writes are replayed only into the account that made them,
+    // and wait while encrypted data is locked on this device
+    offlineQueue.setExecutor(
+      (operation) => this._replay(operation),
+      (operation) =>
+        this.isUsingFirebase() &&
+        operation.uid === getCurrentUserId() &&
+        !this.providers.firebase.isLocked(),
+    );
+  }
+
+  /**
+   * Initialize the preferred on-device provider
+   * IndexedDB when the browser allows it, localStorage otherwise.
+   * localStorage is always initialized too - it holds migration flags.
+   * @returns {Promise<PersistenceProvider|null>} Ready local provider
+   */
+  async getLocalProvider() {
+    const localReady = await this.providers.localStorage.init();
+
+    const indexedDBReady = await this.providers.indexedDB.init();
+    if (indexedDBReady) {
+      return this.providers.indexedDB;
+    }
+
+    return localReady ? this.providers.localStorage : null;
   }
 
   /**
@@ -48,6 +127,9 @@ class PersistenceManager {
       return this.currentProvider.getName();
     }
 
+    // Bring data in this browser up to the current schema first
+    await this.upgradeLocalData();
+
     // Set up auth state listener
     this.authUnsubscribe = onAuthStateChange((authState) => {
       this.handleAuthStateChange(authState);
@@ -61,6 +143,10 @@ class PersistenceManager {
         this.currentProvider = this.providers.firebase;
         this.initialized = true;
         console.log("[Persistence] Using Firebase (authenticated)");
+
+        // Replay writes left over from a previous session
+        offlineQueue.processQueue();
+        this._takeDailySnapshot();
         return "firebase";
       }
       console.log(
@@ -68,18 +154,381 @@ class PersistenceManager {
       );
     }
 
-    // Fallback to localStorage (unauthenticated or Firebase unavailable)
-    const localReady = await this.providers.localStorage.init();
-    if (localReady) {
-      this.currentProvider = this.providers.localStorage;
+    // Fallback to local storage (unauthenticated or Firebase unavailable)
+    const localProvider = await this.getLocalProvider();
+    if (localProvider) {
+      this.currentProvider = localProvider;
       this.initialized = true;
-      console.log("[Persistence] Using localStorage (unauthenticated)");
-      return "localStorage";
+      console.log(
+        `[Persistence] Using ${localProvider.getName()} (unauthenticated)`,
+      );
+      this._takeDailySnapshot();
+      return localProvider.getName();
     }
 
     throw new Error("No persistence provider available");
   }
 
+  /**
+   * Upgrade data in this browser to SCHEMA_VERSION (once per page load)
+   * @returns {Promise<Object>} { success, applied, error }
+   */
+  upgradeLocalData() {
+    if (!this.upgradePromise) {
+      this.upgradePromise = this._upgradeLocalData();
+    }
+    return this.upgradePromise;
+  }
+
+  /**
+   * Run pending schema migrations against the local provider and mirrors
+   * The data from before the upgrade is kept as a snapshot
+   * (saveSnapshot(SnapshotReason.UPGRADE, ...) in snapshotStore.js).
+   * @returns {Promise<Object>} { success, applied, error }
+   */
+  async _upgradeLocalData() {
+    const localProvider = await this.getLocalProvider();
+    if (!localProvider) {
+      return { success: false, applied: [], error: "No local storage" };
+    }
+
+    const meta = (await localProvider.fetch(DataTypes.META)) || {};
+    const storedVersion =
+      meta.schemaVersion ||
+      parseInt(localStorage.getItem(LEGACY_SCHEMA_VERSION_KEY), 10) ||
+      1;
+
+    if (storedVersion === SCHEMA_VERSION) {
+      return { success: true, applied: [] };
+    }
+
+    // Written by a newer build - leave it alone rather than guess
+    if (storedVersion > SCHEMA_VERSION) {
+      console.warn(
+        `[Persistence] Local data is schema v${storedVersion}, newer than v${SCHEMA_VERSION}`,
+      );
+      return {
+        success: false,
+        applied: [],
+        error: "Local data was written by a newer version",
+      };
+    }
+
+    try {
+      const data = await this._readData([localProvider]);
+      const upgraded = upgradeData(data, storedVersion);
+
+      if (Object.keys(data).length > 0) {
+        // Never upgrade without a way back
+        await saveSnapshot(SnapshotReason.UPGRADE, data, storedVersion);
+        await this._writeLocalData(localProvider, upgraded.data);
+      }
+
+      await localProvider.save(DataTypes.META, {
+        ...meta,
+        schemaVersion: SCHEMA_VERSION,
+        upgradedAt: new Date().toISOString(),
+      });
+      localStorage.removeItem(LEGACY_SCHEMA_VERSION_KEY);
+
+      console.log(
+        `[Persistence] Upgraded local data v${storedVersion} -> v${SCHEMA_VERSION}`,
+      );
+      return { success: true, applied: upgraded.applied };
+    } catch (error) {
+      console.error("[Persistence] Schema upgrade failed:", error);
+      return { success: false, applied: [], error: error.message };
+    }
+  }
+
+  /**
+   * Load entries into memory for storage.js's synchronous reads
+   * With IndexedDB, entries are read and written there and lifelab_data is
+   * only copied in once. Call after requireUnlock(), before reading entries.
+   * @returns {Promise<Object>} Entries grouped by month
+   */
+  async loadEntries() {
+    await this.upgradeLocalData();
+
+    const localProvider = await this.getLocalProvider();
+    if (localProvider === this.providers.indexedDB) {
+      await localProvider.importLocalData();
+      this.entries = (await localProvider.fetch(DataTypes.ENTRIES)) || {};
+    }
+
+    return this.getEntries();
+  }
+
+  /**
+   * Entries on this device, for synchronous reads
+   * @returns {Object} Entries grouped by month (a copy, safe to change)
+   */
+  getEntries() {
+    return structuredClone(this._readMirror(DataTypes.ENTRIES) || {});
+  }
+
+  /**
+   * Whether entries on this device live in IndexedDB
+   * @returns {boolean} False when only localStorage is available
+   */
+  _entriesInIndexedDB() {
+    return this.providers.indexedDB.isReady();
+  }
+
+  /**
+   * Read the copy of a type that storage.js reads synchronously
+   * @param {string} type - Data type
+   * @returns {*} Value, or null if there is none (or it isn't loaded)
+   */
+  _readMirror(type) {
+    if (type === DataTypes.ENTRIES && this._entriesInIndexedDB()) {
+      return this.entries;
+    }
+    if (!LOCAL_MIRRORS[type]) return null;
+
+    const mirrored = secureStorage.getItem(LOCAL_MIRRORS[type]);
+    return mirrored ? JSON.parse(mirrored) : null;
+  }
+
+  /**
+   * Apply a write to the copy of a type that storage.js reads synchronously
+   * Entries also go to IndexedDB when another provider took the write, so
+   * this device keeps every entry while signed in.
+   * @param {string} operation - save, put or delete
+   * @param {string} type - Data type
+   * @param {*} data - Whole value, a record, or { id } for delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async _writeMirror(operation, type, data) {
+    if (!LOCAL_MIRRORS[type]) return true;
+
+    if (type !== DataTypes.ENTRIES) {
+      if (operation === "save") {
+        secureStorage.setItem(LOCAL_MIRRORS[type], JSON.stringify(data));
+      }
+      return true;
+    }
+
+    const localProvider = this.providers.indexedDB;
+    const inIndexedDB = this._entriesInIndexedDB();
+    if (inIndexedDB && this.entries === null) {
+      this.entries = (await localProvider.fetch(type)) || {};
+    }
+
+    const single =
+      operation !== "save" ||
+      (!Array.isArray(data) && getRecordId(type, data) !== undefined);
+    let days = single
+      ? collectionToRecords(type, this._readMirror(type))
+      : collectionToRecords(type, data);
+    if (single) {
+      const id = operation === "delete" ? data.id : getRecordId(type, data);
+      days = days.filter((day) => day.date !== id);
+      if (operation !== "delete") days.push(data);
+    }
+    const entries = recordsToCollection(type, days);
+
+    if (!inIndexedDB) {
+      secureStorage.setItem(LOCAL_MIRRORS[type], JSON.stringify(entries));
+      return true;
+    }
+
+    if (this.currentProvider !== localProvider) {
+      const written =
+        operation === "delete"
+          ? await localProvider.delete(type, data.id)
+          : await localProvider[operation](type, data);
+      if (!written) return false;
+    }
+    this.entries = entries;
+    return true;
+  }
+
+  /**
+   * Read every snapshot type
+   * The copies storage.js reads are what pages show, so they take
+   * precedence; otherwise the first provider with a value wins.
+   * @param {Array<PersistenceProvider>} providers - Ready providers, in order
+   * @returns {Promise<Object>} type -> value
+   */
+  async _readData(providers) {
+    const data = {};
+
+    for (const type of SNAPSHOT_TYPES) {
+      let value = this._readMirror(type);
+
+      for (const provider of providers) {
+        if (value) break;
+        value = await provider.fetch(type).catch(() => null);
+      }
+
+      if (value) data[type] = value;
+    }
+
+    return data;
+  }
+
+  /**
+   * Read all current data (active provider, falling back to this browser)
+   * @returns {Promise<Object>} type -> value
+   */
+  async readAllData() {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const localProvider = await this.getLocalProvider();
+    return this._readData(
+      [this.currentProvider, localProvider].filter(
+        (provider, index, list) => provider && list.indexOf(provider) === index,
+      ),
+    );
+  }
+
+  /**
+   * Take a snapshot of all current data
+   * @param {string} reason - SnapshotReason value
+   * @returns {Promise<Object>} { success, snapshot, error }
+   */
+  async takeSnapshot(reason) {
+    try {
+      const snapshot = await saveSnapshot(reason, await this.readAllData());
+      return { success: true, snapshot };
+    } catch (error) {
+      console.error(`[Persistence] Failed to take ${reason} snapshot:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Take the first snapshot of the day (runs in the background)
+   */
+  async _takeDailySnapshot() {
+    try {
+      if (!(await hasDailySnapshot())) {
+        await this.takeSnapshot(SnapshotReason.DAILY);
+      }
+    } catch (error) {
+      console.error("[Persistence] Daily snapshot failed:", error);
+    }
+  }
+
+  /**
+   * Compare a snapshot with current data
+   * @param {string} snapshotId - Snapshot id
+   * @returns {Promise<Object>} { success, diff, error }
+   */
+  async compareSnapshot(snapshotId) {
+    try {
+      const snapshot = await loadSnapshot(snapshotId);
+      if (!snapshot) {
+        return { success: false, error: "Snapshot not found" };
+      }
+
+      const { data } = upgradeData(snapshot.data, snapshot.schemaVersion);
+      return {
+        success: true,
+        diff: diffSnapshot(data, await this.readAllData()),
+      };
+    } catch (error) {
+      console.error("[Persistence] Failed to compare snapshot:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Put data back the way it was in a snapshot
+   * Current data is snapshotted first, so a restore can be undone too.
+   * @param {string} snapshotId - Snapshot id
+   * @param {Array<string>} types - Types to restore (default: all)
+   * @returns {Promise<Object>} { success, itemsRestored, error }
+   */
+  async restoreSnapshot(snapshotId, types = SNAPSHOT_TYPES) {
+    try {
+      const snapshot = await loadSnapshot(snapshotId);
+      if (!snapshot) {
+        return { success: false, error: "Snapshot not found" };
+      }
+      const { data } = upgradeData(snapshot.data, snapshot.schemaVersion);
+
+      const safety = await this.takeSnapshot(SnapshotReason.RESTORE);
+      if (!safety.success) {
+        return {
+          success: false,
+          error: `Could not snapshot current data first: ${safety.error}`,
+        };
+      }
+
+      let itemsRestored = 0;
+      for (const type of types) {
+        // Settings-like types missing from the snapshot are left alone
+        if (!data[type] && !isRecordType(type)) continue;
+
+        await this._replaceData(
+          type,
+          data[type] || recordsToCollection(type, []),
+        );
+        itemsRestored++;
+      }
+
+      console.log(`[Persistence] Restored snapshot ${snapshotId}`);
+      return { success: true, itemsRestored };
+    } catch (error) {
+      console.error("[Persistence] Snapshot restore failed:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace a whole type through the active provider
+   * Records that aren't in `value` are deleted, so synced copies go too.
+   * @param {string} type - Data type
+   * @param {*} value - New value
+   * @returns {Promise<void>}
+   * @throws {Error} If the write fails
+   */
+  async _replaceData(type, value) {
+    if (isRecordType(type)) {
+      const keep = new Set(
+        collectionToRecords(type, value).map((record) =>
+          String(getRecordId(type, record)),
+        ),
+      );
+      const current = collectionToRecords(type, await this.fetch(type));
+
+      for (const record of current) {
+        const id = getRecordId(type, record);
+        if (!keep.has(String(id))) {
+          await this.delete(type, id);
+        }
+      }
+    }
+
+    if (!(await this.save(type, value))) {
+      throw new Error(`Failed to restore ${type}`);
+    }
+  }
+
+  /**
+   * Write upgraded data to the local provider and mirrors
+   * @param {PersistenceProvider} localProvider - Ready local provider
+   * @param {Object} data - type -> value
+   * @returns {Promise<void>}
+   * @throws {Error} If a type can't be written
+   */
+  async _writeLocalData(localProvider, data) {
+    for (const [type, value] of Object.entries(data)) {
+      if (!(await localProvider.save(type, value))) {
+        throw new Error(`Failed to write upgraded ${type}`);
+      }
+      if (type === DataTypes.ENTRIES && this._entriesInIndexedDB()) {
+        this.entries = value;
+      } else if (LOCAL_MIRRORS[type]) {
+        secureStorage.setItem(LOCAL_MIRRORS[type], JSON.stringify(value));
+      }
+    }
+  }
+
   /**
    * Handle authentication state changes
    * Switch providers and sync data when user logs in/out
@@ -126,25 +575,27 @@ class PersistenceManager {
     // Switch provider
     this.currentProvider = this.providers.firebase;
     console.log("[Persistence] Switched to Firebase");
+
+    offlineQueue.processQueue();
     return true;
   }
 
   /**
-   * Switch to localStorage provider
+   * Switch to local provider (IndexedDB or localStorage)
    * @returns {Promise<boolean>} Success status
    */
   async switchToLocalStorage() {
-    const localReady = await this.providers.localStorage.init();
-    if (!localReady) {
+    const localProvider = await this.getLocalProvider();
+    if (!localProvider) {
       console.warn(
-        "[Persistence] Cannot switch to localStorage - not available",
+        "[Persistence] Cannot switch to local storage - not available",
       );
       return false;
     }
 
     // Switch provider (no data copy on logout for privacy)
-    this.currentProvider = this.providers.localStorage;
-    console.log("[Persistence] Switched to localStorage");
+    this.currentProvider = localProvider;
+    console.log(`[Persistence] Switched to ${localProvider.getName()}`);
     return true;
   }
 
@@ -162,35 +613,20 @@ class PersistenceManager {
 
     try {
       // Get local data
-      const localReady = await this.providers.localStorage.init();
-      if (!localReady) {
-        return { success: false, error: "localStorage not available" };
-      }
-
-      const localExport = await this.providers.localStorage.export();
-      if (!localExport || !localExport.data) {
-        console.log("[Persistence] No local data to sync");
-        return { success: true, itemsSynced: 0 };
-      }
-
-      // Check if there's actually data to sync
-      const hasData = Object.values(localExport.data).some(
-        (typeData) => typeData && Object.keys(typeData).length > 0,
-      );
-
-      if (!hasData) {
-        console.log("[Persistence] No local data to sync");
-        return { success: true, itemsSynced: 0 };
+      const localProvider = await this.getLocalProvider();
+      if (!localProvider) {
+        return { success: false, error: "Local storage not available" };
       }
 
-      console.log("[Persistence] Syncing local data to Firebase...");
+      console.log("[Persistence] Syncing local data with Firebase...");
 
-      // Migrate to Firebase (this copies data without deleting local copy)
-      const result = await this.providers.firebase.migrate(localExport.data);
+      // Merge both sides record by record (never a wholesale overwrite)
+      const result = await this.reconcile(localProvider);
 
       if (result.success) {
         console.log(
-          `[Persistence] Synced ${result.itemsMigrated || 0} items to Firebase`,
+          `[Persistence] Synced ${result.itemsSynced} items ` +
+            `(${result.conflicts} conflicts)`,
         );
       }
 
@@ -203,6 +639,228 @@ class PersistenceManager {
     }
   }
 
+  /**
+   * Reconcile local data with Firebase using the sync engine
+   * Non-conflicting changes flow both ways; conflicts are resolved by the
+   * policy in settings and recorded for review. Local data is snapshotted
+   * first, like every other path that can overwrite or delete it.
+   * @param {PersistenceProvider} localProvider - Ready local provider
+   * @returns {Promise<Object>} { success, itemsSynced, conflicts }
+   */
+  async reconcile(localProvider) {
+    const firebase = this.providers.firebase;
+    const uid = getCurrentUserId();
+    if (!uid) {
+      return { success: false, error: "Not signed in", itemsSynced: 0 };
+    }
+
+    const encryption = firebase.getEncryptionStatus();
+    if (
+      encryption === EncryptionStatus.LOCKED ||
+      encryption === EncryptionStatus.UNKNOWN
+    ) {
+      return {
+        success: false,
+        error: "Encrypted data is locked - enter your passphrase in Settings",
+        itemsSynced: 0,
+      };
+    }
+
+    const safety = await this.takeSnapshot(SnapshotReason.SYNC);
+    if (!safety.success) {
+      return {
+        success: false,
+        error: `Could not snapshot current data first: ${safety.error}`,
+        itemsSynced: 0,
+      };
+    }
+
+    const localSettings = await localProvider.fetch(DataTypes.SETTINGS);
+    const options = {
+      policy: localSettings?.syncConflictPolicy || DEFAULT_CONFLICT_POLICY,
+      lastSyncedAt: getLastSyncedAt(uid),
+    };
+    const startedAt = new Date().toISOString();
+
+    let itemsSynced = 0;
+    const conflicts = [];
+
+    for (const type of SYNCED_TYPES) {
+      const recordType = isRecordType(type);
+      const toList = (data) =>
+        recordType ? collectionToRecords(type, data) : data;
+
+      const localData = toList(await localProvider.fetch(type));
+      const remoteRaw = await firebase.fetch(type);
+      if (recordType && remoteRaw === null) {
+        // A failed read is not an empty collection - don't push over it
+        return { success: false, error: `Failed to read ${type}` };
+      }
+      const remoteData = toList(remoteRaw);
+      const plan = planSync(type, localData, remoteData, {
+        ...options,
+        tombstones: loadTombstones(type),
+      });
+
+      if (plan.toRemote.length > 0) {
+        const payload = recordType
+          ? recordsToCollection(type, plan.toRemote)
+          : plan.toRemote[0];
+        if (!(await firebase.save(type, payload))) {
+          return { success: false, error: `Failed to sync ${type}` };
+        }
+      }
+
+      // A failed local write stops the sync before lastSyncedAt moves on,
+      // or the next sync would take the missing record as deleted
+      const failedLocally = {
+        success: false,
+        error: `Failed to save ${type} on this device`,
+      };
+
+      if (plan.toLocal.length > 0) {
+        const written = [];
+        for (const record of plan.toLocal) {
+          const saved = recordType
+            ? await localProvider.put(type, record)
+            : await localProvider.save(type, record);
+          if (!saved) break;
+          written.push(record);
+        }
+        if (written.length > 0) {
+          this._updateLocalMirror(type, written);
+        }
+        if (written.length < plan.toLocal.length) return failedLocally;
+      }
+
+      for (const id of plan.deleteRemote) {
+        if (!(await firebase.delete(type, id))) {
+          return { success: false, error: `Failed to sync ${type}` };
+        }
+      }
+      const deleted = [];
+      for (const id of plan.deleteLocal) {
+        if (!(await localProvider.delete(type, id))) break;
+        deleted.push(id);
+      }
+      if (deleted.length > 0) {
+        this._updateLocalMirror(type, [], deleted);
+      }
+      if (deleted.length < plan.deleteLocal.length) return failedLocally;
+
+      itemsSynced +=
+        plan.toRemote.length +
+        plan.toLocal.length +
+        plan.deleteRemote.length +
+        plan.deleteLocal.length;
+      conflicts.push(...plan.conflicts);
+    }
+
+    addConflicts(conflicts);
+    setLastSyncedAt(uid, startedAt);
+    clearTombstones(startedAt);
+
+    return { success: true, itemsSynced, conflicts: conflicts.length };
+  }
+
+  /**
+   * Get the end-to-end encryption state for the signed-in user
+   * @returns {Promise<string>} EncryptionStatus value
+   */
+  async getEncryptionStatus() {
+    if (!(await this.providers.firebase.init())) {
+      return EncryptionStatus.UNKNOWN;
+    }
+    return this.providers.firebase.getEncryptionStatus();
+  }
+
+  /**
+   * Turn on end-to-end encryption with a new passphrase
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async enableEncryption(passphrase) {
+    if (!(await this.providers.firebase.init())) {
+      return { success: false, error: "Firebase not available" };
+    }
+    return this.providers.firebase.enableEncryption(passphrase);
+  }
+
+  /**
+   * Unlock encrypted data on this device, then catch up on syncing
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async unlockEncryption(passphrase) {
+    if (!(await this.providers.firebase.init())) {
+      return { success: false, error: "Firebase not available" };
+    }
+
+    const result = await this.providers.firebase.unlock(passphrase);
+    if (result.success) {
+      await this.syncLocalToFirebase();
+      offlineQueue.processQueue();
+    }
+    return result;
+  }
+
+  /**
+   * Change the encryption passphrase (re-encrypts all cloud data)
+   * @param {string} currentPassphrase - Current passphrase
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<Object>} { success, error }
+   */
+  async changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    if (!(await this.providers.firebase.init())) {
+      return { success: false, error: "Firebase not available" };
+    }
+    return this.providers.firebase.changePassphrase(
+      currentPassphrase,
+      newPassphrase,
+    );
+  }
+
+  /**
+   * Forget this device's encryption key (call before signing out)
+   * @returns {Promise<boolean>} Success status
+   */
+  async forgetEncryptionKey() {
+    return this.providers.firebase.forgetKey();
+  }
+
+  /**
+   * Keep storage.js's synchronous copies in step with synced data
+   * Entries and settings are read from these copies on page load.
+   * @param {string} type - Data type
+   * @param {Array} records - Records (or single value) written locally
+   * @param {Array<string>} deletedIds - Records deleted locally
+   */
+  _updateLocalMirror(type, records, deletedIds = []) {
+    if (!LOCAL_MIRRORS[type]) return;
+
+    try {
+      if (type === DataTypes.ENTRIES) {
+        // Not loaded yet - loadEntries will read what was just written
+        if (this._entriesInIndexedDB() && this.entries === null) return;
+
+        const days = collectionToRecords(type, this._readMirror(type));
+        const byDate = new Map(days.map((day) => [day.date, day]));
+        records.forEach((day) => byDate.set(day.date, day));
+        deletedIds.forEach((date) => byDate.delete(date));
+        const merged = recordsToCollection(type, [...byDate.values()]);
+        if (this._entriesInIndexedDB()) {
+          this.entries = merged;
+        } else {
+          secureStorage.setItem(LOCAL_MIRRORS[type], JSON.stringify(merged));
+        }
+      } else {
+        secureStorage.setItem(LOCAL_MIRRORS[type], JSON.stringify(records[0]));
+      }
+    } catch (error) {
+      console.error(`[Persistence] Failed to update local ${type}:`, error);
+    }
+  }
+
   /**
    * Save data (with offline queue support)
    * @param {string} type - Data type
@@ -210,47 +868,170 @@ class PersistenceManager {
    * @returns {Promise<boolean>} Success status
    */
   async save(type, data) {
+    return this._write("save", type, data, () =>
+      this.currentProvider.save(type, data),
+    );
+  }
+
+  /**
+   * Fetch data
+   * @param {string} type - Data type
+   * @param {Object} options - Optional filters
+   * @returns {Promise<Object>} Retrieved data
+   */
+  async fetch(type, options = {}) {
+    if (!this.initialized) {
+      await this.init();
+    }
+    return this.currentProvider.fetch(type, options);
+  }
+
+  /**
+   * Get a single record by id
+   * @param {string} type - Record data type
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async get(type, id) {
+    if (!this.initialized) {
+      await this.init();
+    }
+    return this.currentProvider.get(type, id);
+  }
+
+  /**
+   * Create or replace a single record (with offline queue support)
+   * @param {string} type - Record data type
+   * @param {Object} record - Record carrying its own id
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(type, record) {
+    return this._write(
+      "put",
+      type,
+      record,
+      () => this.currentProvider.put(type, record),
+      getRecordId(type, record),
+    );
+  }
+
+  /**
+   * Delete a single record (with offline queue support)
+   * @param {string} type - Record data type
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(type, id) {
+    // So the next sync deletes the other copy instead of restoring it
+    recordTombstone(type, id);
+
+    return this._write(
+      "delete",
+      type,
+      { id },
+      () => this.currentProvider.delete(type, id),
+      id,
+    );
+  }
+
+  /**
+   * List records matching a query
+   * @param {string} type - Record data type
+   * @param {Object} options - { from, to, where, limit }
+   * @returns {Promise<Array>} Matching records
+   */
+  async query(type, options = {}) {
+    if (!this.initialized) {
+      await this.init();
+    }
+    return this.currentProvider.query(type, options);
+  }
+
+  /**
+   * Run a write, queueing it when Firebase can't take it right now
+   * Then applies it to the copy storage.js reads (see _writeMirror).
+   * @param {string} operation - Operation name (save, put, delete)
+   * @param {string} type - Data type
+   * @param {Object} data - Operation payload (for the queue)
+   * @param {Function} executor - Performs the write on the current provider
+   * @param {string|null} recordId - Record written (null for whole collections)
+   * @returns {Promise<boolean>} Success status
+   */
+  async _write(operation, type, data, executor, recordId = null) {
     if (!this.initialized) {
       await this.init();
     }
 
+    const written = await this._writeProvider(
+      operation,
+      type,
+      data,
+      executor,
+      recordId,
+    );
+    // This device's copy keeps the change even if Firebase refused it, so
+    // nothing typed is lost; a failed local write changes nothing
+    if (!written && !this.isUsingFirebase()) return false;
+
+    const mirrored = await this._writeMirror(operation, type, data);
+    return written && mirrored;
+  }
+
+  /**
+   * Run a write on the current provider, queueing it for Firebase
+   * @returns {Promise<boolean>} Success status (true once queued)
+   * @throws {Error} If a local provider throws
+   */
+  async _writeProvider(operation, type, data, executor, recordId) {
     // If using Firebase and offline, queue the operation
     if (this.isUsingFirebase() && !navigator.onLine) {
-      console.log(`[Persistence] Offline - queueing save for ${type}`);
-
-      return offlineQueue.enqueue("save", type, data, () =>
-        this.currentProvider.save(type, data),
-      );
+      console.log(`[Persistence] Offline - queueing ${operation} for ${type}`);
+      return offlineQueue.enqueue(operation, type, data, {
+        recordId,
+        uid: getCurrentUserId(),
+      });
     }
 
     // Execute immediately
     try {
-      return await this.currentProvider.save(type, data);
+      return await executor();
     } catch (error) {
-      // If save fails and we're using Firebase, queue it
+      // If the write fails and we're using Firebase, queue it
       if (this.isUsingFirebase()) {
-        console.warn(`[Persistence] Save failed, queueing for retry:`, error);
-        return offlineQueue.enqueue("save", type, data, () =>
-          this.currentProvider.save(type, data),
+        console.warn(
+          `[Persistence] ${operation} failed, queueing for retry:`,
+          error,
         );
+        return offlineQueue.enqueue(operation, type, data, {
+          recordId,
+          uid: getCurrentUserId(),
+        });
       }
 
-      // For localStorage, just fail
+      // For local providers, just fail
       throw error;
     }
   }
 
   /**
-   * Fetch data
-   * @param {string} type - Data type
-   * @param {Object} options - Optional filters
-   * @returns {Promise<Object>} Retrieved data
+   * Replay a queued operation through the active provider
+   * @param {Object} operation - Queued operation (type, collection, data)
+   * @returns {Promise<boolean>} Success status
    */
-  async fetch(type, options = {}) {
-    if (!this.initialized) {
-      await this.init();
+  async _replay(operation) {
+    const { type, collection, data } = operation;
+
+    switch (type) {
+      case "save":
+        return this.currentProvider.save(collection, data);
+      case "put":
+        return this.currentProvider.put(collection, data);
+      case "delete":
+        return this.currentProvider.delete(collection, data.id);
+      default:
+        console.error(`[Persistence] Unknown queued operation: ${type}`);
+        return true; // Drop it rather than block the queue forever
     }
-    return this.currentProvider.fetch(type, options);
   }
 
   /**
@@ -268,8 +1049,8 @@ class PersistenceManager {
     }
 
     // Get all local data
-    const localReady = await this.providers.localStorage.init();
-    if (!localReady) {
+    const localProvider = await this.getLocalProvider();
+    if (!localProvider) {
       return {
         success: false,
         error: "Cannot access localStorage",
@@ -291,7 +1072,7 @@ class PersistenceManager {
       MigrationState.MIGRATING,
     );
 
-    const localData = await this.providers.localStorage.export();
+    const localData = await localProvider.export();
     if (!localData || !localData.data) {
       await this.providers.localStorage.setMigrationState(
         MigrationState.NOT_MIGRATED,
@@ -302,8 +1083,9 @@ class PersistenceManager {
       };
     }
 
-    // Migrate to Firebase
-    const result = await this.providers.firebase.migrate(localData.data);
+    // Merge into Firebase (snapshotted first; conflicts go to review)
+    const synced = await this.reconcile(localProvider);
+    const result = { ...synced, itemsMigrated: synced.itemsSynced || 0 };
 
     if (result.success) {
       // Mark as migrated
@@ -361,8 +1143,8 @@ class PersistenceManager {
     }
 
     // Check if local data exists
-    const localReady = await this.providers.localStorage.init();
-    if (!localReady) {
+    const localProvider = await this.getLocalProvider();
+    if (!localProvider) {
       return false;
     }
 
@@ -373,7 +1155,7 @@ class PersistenceManager {
       return false;
     }
 
-    const localExport = await this.providers.localStorage.export();
+    const localExport = await localProvider.export();
     const hasLocalData =
       localExport &&
       localExport.data &&
@@ -386,7 +1168,7 @@ class PersistenceManager {
   }
 
   /**
-   * Restore data from export (always to localStorage)
+   * Restore data from export, replacing what's there
    * @param {Object} exportData - Export data object
    * @returns {Promise<Object>} Restore result
    */
@@ -398,31 +1180,47 @@ class PersistenceManager {
       };
     }
 
-    // Validate schema version
-    const currentVersion = await this.providers.localStorage.getSchemaVersion();
-    if (exportData.schemaVersion > currentVersion) {
+    // Bring older backups up to the current schema
+    let upgraded;
+    try {
+      upgraded = upgradeData(exportData.data, exportData.schemaVersion || 1);
+    } catch (error) {
       return {
         success: false,
-        error: `Schema version mismatch: export is v${exportData.schemaVersion}, current is v${currentVersion}`,
+        error: error.message,
       };
     }
 
-    // Restore to localStorage only (safety measure)
-    const localReady = await this.providers.localStorage.init();
-    if (!localReady) {
+    // META describes this browser, not the backup
+    const data = { ...upgraded.data };
+    delete data[DataTypes.META];
+    return this.applyImport(data);
+  }
+
+  /**
+   * Write imported data (see importPlan.js for merging and previews)
+   * Current data is snapshotted first, so an import can be undone.
+   * @param {Object} data - type -> value, each replacing what's there
+   * @returns {Promise<Object>} { success, itemsRestored, error }
+   */
+  async applyImport(data) {
+    // Existing data must be on the current schema before mixing in the backup
+    await this.upgradeLocalData();
+
+    const safety = await this.takeSnapshot(SnapshotReason.IMPORT);
+    if (!safety.success) {
       return {
         success: false,
-        error: "Cannot access localStorage",
+        error: `Could not snapshot current data first: ${safety.error}`,
       };
     }
 
     try {
       let itemsRestored = 0;
 
-      // Restore each data type
-      for (const [type, data] of Object.entries(exportData.data)) {
+      for (const [type, value] of Object.entries(data)) {
         // Validate before restoring
-        const validation = validateData(type, data);
+        const validation = validateData(type, value);
         if (!validation.valid) {
           console.warn(
             `[Persistence] Skipping invalid ${type}:`,
@@ -431,23 +1229,16 @@ class PersistenceManager {
           continue;
         }
 
-        const success = await this.providers.localStorage.save(type, data);
-        if (success) {
-          itemsRestored++;
-        }
+        await this._replaceData(type, value);
+        itemsRestored++;
       }
 
-      // Update schema version
-      await this.providers.localStorage.setSchemaVersion(
-        exportData.schemaVersion,
-      );
-
       return {
         success: true,
         itemsRestored,
       };
     } catch (error) {
-      console.error("[Persistence] Restore failed:", error);
+      console.error("[Persistence] Import failed:", error);
       return {
         success: false,
         error: error.message,
@@ -483,4 +1274,4 @@ class PersistenceManager {
 
 // Singleton instance
 export const persistence = new PersistenceManager();
-export { DataTypes };
+export { DataTypes, EncryptionStatus, SnapshotReason };
@@ -10,32 +10,74 @@
  * ======
  * - Silent retries (no error modals)
  * - Operations queue when offline
- * - Auto-retry on reconnect
+ * - Queue survives reloads (stored in localStorage, replayed on startup)
+ * - Stored through secureStorage: it holds record copies, so it is
+ *   encrypted while the app lock is on and only read once unlocked
+ * - One pending operation per record - a newer write replaces an older one
+ * - Auto-retry on reconnect, with exponential backoff
+ * - After MAX_RETRIES an operation is marked failed and kept for the user
+ *   to retry; it no longer holds up the rest of the queue
+ * - A failing write only delays writes it could be reordered with
  * - Clear but non-blocking offline indicator
  *
+ * Operations are plain data (type, collection, payload). The persistence
+ * manager registers the executor that replays them through the active provider.
+ *
  * @see docs/AUTHENTICATION.md - Phase 9
  */
 
+import { secureStorage } from "../secureStorage.js";
+
+const QUEUE_STORAGE_KEY = "lifelab_offline_queue";
+
+/**
+ * Attempts before an operation is marked failed
+ * With the backoff this is roughly ten minutes of retrying.
+ */
+const MAX_RETRIES = 8;
+
 /**
  * Queued operation
  * @typedef {Object} QueuedOperation
  * @property {string} id - Unique operation ID
- * @property {string} type - Operation type (save, delete, etc.)
+ * @property {string} type - Operation type (save, put, delete)
  * @property {string} collection - Collection name
- * @property {Object} data - Operation data
+ * @property {Object} data - Operation payload
+ * @property {string} key - Dedupe key (collection + record id, or "*" for whole collections)
+ * @property {string|null} uid - User the write belongs to
  * @property {number} timestamp - When operation was queued
- * @property {number} retryCount - Number of retry attempts
- * @property {Function} resolve - Promise resolve function
- * @property {Function} reject - Promise reject function
+ * @property {number} retryCount - Number of failed attempts
+ * @property {number} nextAttemptAt - Earliest time to try again (ms)
+ * @property {boolean} [failed] - Gave up after MAX_RETRIES (see retryFailed)
  */
 
+/**
+ * Check whether running one operation before another could reorder writes
+ * Only writes to the same record, or a whole-collection write and anything
+ * else in that collection, have to keep their order.
+ * @param {QueuedOperation} a - Operation
+ * @param {QueuedOperation} b - Operation
+ * @returns {boolean} True if they must run in queue order
+ */
+function mustKeepOrder(a, b) {
+  return (
+    a.collection === b.collection &&
+    (a.key === b.key || a.key.endsWith(":*") || b.key.endsWith(":*"))
+  );
+}
+
 class OfflineQueueManager {
   constructor() {
     this.queue = [];
+    this.loaded = false; // Stays false until the stored queue can be read
+    this.ensureLoaded();
     this.isOnline = navigator.onLine;
     this.isProcessing = false;
-    this.maxRetries = 3;
     this.retryDelay = 1000; // Start with 1 second
+    this.maxRetryDelay = 5 * 60 * 1000; // Back off to at most 5 minutes
+    this.retryTimer = null;
+    this.executor = null;
+    this.canRun = () => true;
     this.subscribers = [];
 
     // Set up online/offline listeners
@@ -58,6 +100,24 @@ class OfflineQueueManager {
       this.isOnline = false;
       this.notifySubscribers({ isOnline: false, queueSize: this.queue.length });
     });
+
+    // Another tab changed the queue
+    window.addEventListener("storage", async (event) => {
+      if (event.key !== QUEUE_STORAGE_KEY || !this.loaded) return;
+      await secureStorage.refreshed();
+      this.queue = this.loadQueue();
+      this.notifySubscribers({ queueSize: this.queue.length });
+    });
+  }
+
+  /**
+   * Register how queued operations are replayed
+   * @param {Function} executor - (operation) => Promise<boolean>
+   * @param {Function} canRun - (operation) => boolean, false keeps it waiting
+   */
+  setExecutor(executor, canRun = () => true) {
+    this.executor = executor;
+    this.canRun = canRun;
   }
 
   /**
@@ -72,6 +132,7 @@ class OfflineQueueManager {
     callback({
       isOnline: this.isOnline,
       queueSize: this.queue.length,
+      failedCount: this.getFailedCount(),
       isProcessing: this.isProcessing,
     });
 
@@ -91,6 +152,7 @@ class OfflineQueueManager {
     const fullState = {
       isOnline: this.isOnline,
       queueSize: this.queue.length,
+      failedCount: this.getFailedCount(),
       isProcessing: this.isProcessing,
       ...state,
     };
@@ -106,45 +168,73 @@ class OfflineQueueManager {
 
   /**
    * Add operation to queue
-   * @param {string} type - Operation type
+   * Resolves once the operation is stored durably, not when it reaches
+   * the server - the write is safe from that point on.
+   * @param {string} type - Operation type (save, put, delete)
    * @param {string} collection - Collection name
-   * @param {Object} data - Operation data
-   * @param {Function} executor - Function to execute (returns Promise)
-   * @returns {Promise} Promise that resolves when operation completes
+   * @param {Object} data - Operation payload
+   * @param {Object} options - { recordId, uid }
+   * @returns {Promise<boolean>} True once queued
    */
-  enqueue(type, collection, data, executor) {
-    return new Promise((resolve, reject) => {
-      const operation = {
-        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        type,
-        collection,
-        data,
-        timestamp: Date.now(),
-        retryCount: 0,
-        executor,
-        resolve,
-        reject,
-      };
-
-      this.queue.push(operation);
-      console.log(
-        `[Offline Queue] Queued ${type} operation for ${collection} (queue size: ${this.queue.length})`,
-      );
+  async enqueue(type, collection, data, options = {}) {
+    // Never write over a stored queue that hasn't been read yet
+    if (!this.ensureLoaded()) {
+      console.error("[Offline Queue] Cannot queue while LifeLab is locked");
+      return false;
+    }
 
-      this.notifySubscribers({ queueSize: this.queue.length });
+    const { recordId = null, uid = null } = options;
+    const key = `${collection}:${recordId ?? "*"}`;
 
-      // Try to process immediately if online
-      if (this.isOnline && !this.isProcessing) {
-        this.processQueue();
-      }
-    });
+    // A newer write to the same record replaces the pending one.
+    // It goes to the back so it still runs after anything queued in between.
+    const replaced = this.queue.filter(
+      (op) => op.key === key && op.uid === uid,
+    );
+    this.queue = this.queue.filter((op) => !replaced.includes(op));
+
+    const operation = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      collection,
+      data,
+      key,
+      uid,
+      timestamp: Date.now(),
+      retryCount: 0,
+      nextAttemptAt: 0,
+    };
+
+    this.queue.push(operation);
+    const stored = this.persistQueue();
+
+    console.log(
+      `[Offline Queue] Queued ${type} operation for ${collection} (queue size: ${this.queue.length}${replaced.length ? ", replaced older write" : ""})`,
+    );
+
+    this.notifySubscribers({ queueSize: this.queue.length });
+
+    // Try to process immediately if online
+    if (this.isOnline && !this.isProcessing) {
+      this.processQueue();
+    }
+
+    return stored;
   }
 
   /**
-   * Process queued operations
+   * Process queued operations in order
+   * An operation that fails or is backing off only holds up the operations
+   * it must stay ordered with (see mustKeepOrder); the rest carry on.
    */
   async processQueue() {
-    if (this.isProcessing || this.queue.length === 0 || !this.isOnline) {
+    if (
+      !this.ensureLoaded() ||
+      this.isProcessing ||
+      this.queue.length === 0 ||
+      !this.isOnline ||
+      !this.executor
+    ) {
       return;
     }
 
@@ -155,52 +245,85 @@ class OfflineQueueManager {
       `[Offline Queue] Processing ${this.queue.length} queued operations...`,
     );
 
-    while (this.queue.length > 0 && this.isOnline) {
-      const operation = this.queue[0];
+    const tried = new Set(); // Operations already run (or waiting) this pass
+    let retryIn = null;
+
+    while (this.isOnline) {
+      const runnable = this.queue.filter(
+        (op) => !op.failed && this.canRun(op),
+      );
+      const operation = runnable.find(
+        (op, index) =>
+          !tried.has(op.id) &&
+          !runnable
+            .slice(0, index)
+            .some((earlier) => mustKeepOrder(op, earlier)),
+      );
+      if (!operation) break;
+      tried.add(operation.id);
+
+      const waitMs = operation.nextAttemptAt - Date.now();
+      if (waitMs > 0) {
+        retryIn = Math.min(retryIn ?? waitMs, waitMs);
+        continue;
+      }
 
+      let succeeded = false;
       try {
-        // Execute the operation
-        const result = await operation.executor();
+        succeeded = (await this.executor(operation)) !== false;
+        if (!succeeded) {
+          console.error(
+            `[Offline Queue] ✗ Failed ${operation.type} for ${operation.collection}`,
+          );
+        }
+      } catch (error) {
+        console.error(
+          `[Offline Queue] ✗ Failed ${operation.type} for ${operation.collection}:`,
+          error,
+        );
+      }
 
-        // Success - remove from queue and resolve
-        this.queue.shift();
-        operation.resolve(result);
+      if (succeeded) {
+        // Success - remove from queue
+        this.queue = this.queue.filter((op) => op.id !== operation.id);
+        this.persistQueue();
 
         console.log(
           `[Offline Queue] ✓ Completed ${operation.type} for ${operation.collection}`,
         );
         this.notifySubscribers({ queueSize: this.queue.length });
-      } catch (error) {
+        continue;
+      }
+
+      operation.retryCount++;
+      if (operation.retryCount >= MAX_RETRIES) {
+        // Stop retrying - kept (and shown) until the user retries it
+        operation.failed = true;
+        this.persistQueue();
+
         console.error(
-          `[Offline Queue] ✗ Failed ${operation.type} for ${operation.collection}:`,
-          error,
+          `[Offline Queue] Gave up on ${operation.type} for ${operation.collection} after ${operation.retryCount} attempts`,
         );
+        this.notifySubscribers({});
+        continue;
+      }
 
-        operation.retryCount++;
+      // Retry with exponential backoff (capped)
+      const delay = Math.min(
+        this.retryDelay * Math.pow(2, operation.retryCount - 1),
+        this.maxRetryDelay,
+      );
+      operation.nextAttemptAt = Date.now() + delay;
+      this.persistQueue();
 
-        // Check if we should retry
-        if (operation.retryCount >= this.maxRetries) {
-          // Max retries reached - remove and reject
-          console.warn(
-            `[Offline Queue] Max retries reached for ${operation.type}, giving up`,
-          );
-          this.queue.shift();
-          operation.reject(
-            new Error(
-              `Operation failed after ${this.maxRetries} retries: ${error.message}`,
-            ),
-          );
-          this.notifySubscribers({ queueSize: this.queue.length });
-        } else {
-          // Retry with exponential backoff
-          const delay = this.retryDelay * Math.pow(2, operation.retryCount - 1);
-          console.log(
-            `[Offline Queue] Retrying in ${delay}ms (attempt ${operation.retryCount}/${this.maxRetries})`,
-          );
+      console.log(
+        `[Offline Queue] Retrying in ${delay}ms (attempt ${operation.retryCount})`,
+      );
+      retryIn = Math.min(retryIn ?? delay, delay);
+    }
 
-          await new Promise((resolve) => setTimeout(resolve, delay));
-        }
-      }
+    if (retryIn !== null) {
+      this.scheduleRetry(retryIn);
     }
 
     this.isProcessing = false;
@@ -211,6 +334,88 @@ class OfflineQueueManager {
     }
   }
 
+  /**
+   * Number of operations that gave up retrying
+   * @returns {number} Failed operation count
+   */
+  getFailedCount() {
+    return this.queue.filter((op) => op.failed).length;
+  }
+
+  /**
+   * Try failed operations again, with a fresh set of retries
+   */
+  retryFailed() {
+    if (!this.ensureLoaded()) return;
+
+    this.queue.forEach((op) => {
+      if (!op.failed) return;
+      op.failed = false;
+      op.retryCount = 0;
+      op.nextAttemptAt = 0;
+    });
+    this.persistQueue();
+    this.notifySubscribers({});
+    this.processQueue();
+  }
+
+  /**
+   * Run the queue again after a delay
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleRetry(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.processQueue(), delay);
+  }
+
+  /**
+   * Read the stored queue the first time it can be read
+   * While the app is locked it is encrypted, so it waits for the unlock.
+   * @returns {boolean} True once the queue is loaded
+   */
+  ensureLoaded() {
+    if (this.loaded) return true;
+    if (secureStorage.isLockEnabled() && !secureStorage.getLocalKey()) {
+      return false;
+    }
+
+    this.queue = this.loadQueue();
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Read the stored queue
+   * @returns {Array<QueuedOperation>} Stored operations
+   */
+  loadQueue() {
+    try {
+      const stored = secureStorage.getItem(QUEUE_STORAGE_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error("[Offline Queue] Failed to load stored queue:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the queue to storage
+   * @returns {boolean} Success status
+   */
+  persistQueue() {
+    try {
+      if (this.queue.length === 0) {
+        secureStorage.removeItem(QUEUE_STORAGE_KEY);
+      } else {
+        secureStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(this.queue));
+      }
+      return true;
+    } catch (error) {
+      console.error("[Offline Queue] Failed to store queue:", error);
+      return false;
+    }
+  }
+
   /**
    * Get current queue state
    * @returns {Object} Queue state
@@ -219,6 +424,7 @@ class OfflineQueueManager {
     return {
       isOnline: this.isOnline,
       queueSize: this.queue.length,
+      failedCount: this.getFailedCount(),
       isProcessing: this.isProcessing,
       operations: this.queue.map((op) => ({
         id: op.id,
@@ -226,6 +432,7 @@ class OfflineQueueManager {
         collection: op.collection,
         timestamp: op.timestamp,
         retryCount: op.retryCount,
+        failed: Boolean(op.failed),
       })),
     };
   }
@@ -235,8 +442,9 @@ class OfflineQueueManager {
    */
   clear() {
     const count = this.queue.length;
-    this.queue.forEach((op) => op.reject(new Error("Queue cleared")));
     this.queue = [];
+    this.persistQueue();
+    clearTimeout(this.retryTimer);
     console.log(`[Offline Queue] Cleared ${count} operations`);
     this.notifySubscribers({ queueSize: 0 });
   }
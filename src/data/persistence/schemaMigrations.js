@@ -0,0 +1,137 @@
+/**
+ * Schema Migrations
+ *
+ * Ordered registry of steps that upgrade stored data to SCHEMA_VERSION.
+ * The same steps run on startup (data in this browser) and on import
+ * (backups made by older versions).
+ *
+ * RULES:
+ * - One step per version, numbered from 2 (version 1 is the original schema)
+ * - Steps are pure: (data) => data, no storage access, no clock, no randomness
+ * - Steps must tolerate missing types - a backup may hold only some of them
+ * - Never edit a released step; fix mistakes with a new one
+ *
+ * ADDING A STEP:
+ * ==============
+ * 1. Append { version, description, upgrade } below
+ * 2. Bump SCHEMA_VERSION in interface.js to the same number
+ * 3. Add sample input and expected output to
+ *    scripts/check-schema-migrations.js and run `npm run check:migrations`
+ *
+ * PersistenceManager applies the result, records the version in META and
+ * keeps a copy of the data from before the upgrade.
+ */
+
+import { DataTypes, SCHEMA_VERSION } from "./interface.js";
+import { migrateDomainSettings } from "../domainTypes.js";
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Upgrade step
+ * @typedef {Object} SchemaMigration
+ * @property {number} version - Schema version the step produces
+ * @property {string} description - What changes, for logs
+ * @property {Function} upgrade - (data) => data, where data maps type -> value
+ */
+
+/**
+ * @type {Array<SchemaMigration>}
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: "Domain settings become typed configs instead of booleans",
+    upgrade(data) {
+      const settings = data[DataTypes.SETTINGS];
+      if (!settings || !settings.domains) return data;
+
+      return {
+        ...data,
+        [DataTypes.SETTINGS]: {
+          ...settings,
+          domains: migrateDomainSettings(settings.domains),
+        },
+      };
+    },
+  },
+  {
+    version: 3,
+    description:
+      "Day records are filed under their own month, one per date, in date order",
+    upgrade(data) {
+      const entries = data[DataTypes.ENTRIES];
+      if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+        return data;
+      }
+
+      return { ...data, [DataTypes.ENTRIES]: normalizeEntries(entries) };
+    },
+  },
+];
+
+/**
+ * Re-file day records by the month of their date
+ * Older versions could file a day under the wrong month or save a date
+ * twice; the copy with the newest updatedAt (or the later one) is kept.
+ * Days without a valid date can't be stored as records and are dropped
+ * (the pre-upgrade snapshot still has them).
+ * @param {Object} entries - Month key -> day records
+ * @returns {Object} Month key -> day records sorted by date
+ */
+function normalizeEntries(entries) {
+  const byDate = new Map();
+
+  Object.values(entries).forEach((days) => {
+    if (!Array.isArray(days)) return;
+
+    days.forEach((day) => {
+      if (!day || !ISO_DATE_PATTERN.test(day.date)) return;
+
+      const kept = byDate.get(day.date);
+      if (!kept || (day.updatedAt || "") >= (kept.updatedAt || "")) {
+        byDate.set(day.date, day);
+      }
+    });
+  });
+
+  const normalized = {};
+  [...byDate.keys()].sort().forEach((date) => {
+    const monthKey = date.substring(0, 7);
+    if (!normalized[monthKey]) normalized[monthKey] = [];
+    normalized[monthKey].push(byDate.get(date));
+  });
+  return normalized;
+}
+
+/**
+ * Upgrade data from an older schema version to SCHEMA_VERSION
+ * @param {Object} data - type -> value (the `data` of an export)
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} { data, version, applied } - applied lists step versions
+ * @throws {Error} If the data is newer than this app or a step is missing
+ */
+export function upgradeData(data, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Data is schema v${fromVersion}, this version of LifeLab reads up to v${SCHEMA_VERSION}`,
+    );
+  }
+
+  let upgraded = structuredClone(data);
+  const applied = [];
+
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    const step = SCHEMA_MIGRATIONS.find(
+      (migration) => migration.version === version,
+    );
+    if (!step) {
+      throw new Error(`No schema migration to v${version}`);
+    }
+
+    upgraded = step.upgrade(upgraded);
+    applied.push(version);
+  }
+
+  return { data: upgraded, version: SCHEMA_VERSION, applied };
+}
@@ -0,0 +1,315 @@
+/**
+ * Snapshot Store
+ *
+ * Rolling copies of all journal data, kept in their own IndexedDB
+ * database so a bad import, upgrade or "clear everything" can be undone.
+ *
+ * RULES:
+ * - Snapshots stay in this browser - they are never synced
+ * - Content is encrypted at rest while the app lock is on
+ * - Snapshots older than SNAPSHOT_RETENTION_DAYS are pruned,
+ *   but the newest few are always kept
+ * - Diffing is pure; PersistenceManager takes and restores snapshots
+ */
+
+import {
+  DataTypes,
+  SCHEMA_VERSION,
+  isRecordType,
+  getRecordId,
+  collectionToRecords,
+  isSameContent,
+} from "./interface.js";
+import { sealRecord, openRecord } from "./encryption.js";
+import { secureStorage } from "../secureStorage.js";
+
+const SNAPSHOT_DB_NAME = "lifelab_snapshots";
+const SNAPSHOT_STORE = "snapshots";
+
+export const SNAPSHOT_RETENTION_DAYS = 30;
+const MIN_SNAPSHOTS_KEPT = 3;
+
+/**
+ * Why a snapshot was taken
+ */
+export const SnapshotReason = {
+  DAILY: "daily",
+  MANUAL: "manual",
+  CLEAR: "clear",
+  IMPORT: "import",
+  UPGRADE: "upgrade",
+  RESTORE: "restore",
+  DELETE_ACCOUNT: "delete-account",
+  DOMAIN_CHANGE: "domain-change",
+  SYNC: "sync",
+};
+
+/**
+ * Data types captured in a snapshot
+ */
+export const SNAPSHOT_TYPES = [
+  DataTypes.ENTRIES,
+  DataTypes.WINS,
+  DataTypes.REFLECTIONS,
+  DataTypes.SETTINGS,
+  DataTypes.BOARD_CARDS,
+  DataTypes.BOARD_SETTINGS,
+];
+
+/**
+ * Fields readable without the app lock key (everything but `data`)
+ */
+const PLAIN_FIELDS = ["id", "takenAt", "reason", "schemaVersion", "counts"];
+
+/**
+ * Snapshot
+ * @typedef {Object} Snapshot
+ * @property {string} id - Unique id
+ * @property {string} takenAt - ISO timestamp
+ * @property {string} reason - SnapshotReason value
+ * @property {number} schemaVersion - Schema version of `data`
+ * @property {Object} counts - type -> number of records
+ * @property {Object} data - type -> value, as PersistenceManager saves it
+ */
+
+/**
+ * Open the snapshot database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openSnapshotDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: "id" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the snapshot store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withSnapshotStore(mode, makeRequest) {
+  const db = await openSnapshotDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(
+        db.transaction(SNAPSHOT_STORE, mode).objectStore(SNAPSHOT_STORE),
+      );
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Encrypt a snapshot's data while the app lock is on
+ * @param {Snapshot} snapshot - Plain snapshot
+ * @returns {Promise<Object>} Stored form
+ * @throws {Error} If the lock is on and the app is locked
+ */
+async function sealSnapshot(snapshot) {
+  const key = secureStorage.getLocalKey();
+  if (!key) {
+    if (secureStorage.isLockEnabled()) {
+      throw new Error("LifeLab is locked");
+    }
+    return snapshot;
+  }
+  return sealRecord(key, snapshot, PLAIN_FIELDS);
+}
+
+/**
+ * Count records per type
+ * @param {Object} data - type -> value
+ * @returns {Object} type -> count (1 for settings-like types)
+ */
+export function countRecords(data) {
+  const counts = {};
+  SNAPSHOT_TYPES.forEach((type) => {
+    if (!data[type]) return;
+    counts[type] = isRecordType(type)
+      ? collectionToRecords(type, data[type]).length
+      : 1;
+  });
+  return counts;
+}
+
+/**
+ * Store a snapshot and prune old ones
+ * @param {string} reason - SnapshotReason value
+ * @param {Object} data - type -> value
+ * @param {number} schemaVersion - Schema version of the data
+ * @returns {Promise<Snapshot>} Stored snapshot
+ * @throws {Error} If it can't be stored
+ */
+export async function saveSnapshot(
+  reason,
+  data,
+  schemaVersion = SCHEMA_VERSION,
+) {
+  const takenAt = new Date().toISOString();
+  const snapshot = {
+    id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    takenAt,
+    reason,
+    schemaVersion,
+    counts: countRecords(data),
+    data,
+  };
+
+  const stored = await sealSnapshot(snapshot);
+  await withSnapshotStore("readwrite", (store) => store.put(stored));
+  console.log(`[Snapshots] Saved ${reason} snapshot`);
+
+  await pruneSnapshots();
+  return snapshot;
+}
+
+/**
+ * List snapshots, newest first, without their data
+ * @returns {Promise<Array<Object>>} Snapshot summaries
+ */
+export async function listSnapshots() {
+  try {
+    const stored = await withSnapshotStore("readonly", (store) =>
+      store.getAll(),
+    );
+    return stored
+      .map(({ id, takenAt, reason, schemaVersion, counts }) => ({
+        id,
+        takenAt,
+        reason,
+        schemaVersion,
+        counts,
+      }))
+      .sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  } catch (error) {
+    console.error("[Snapshots] Failed to list snapshots:", error);
+    return [];
+  }
+}
+
+/**
+ * Load one snapshot with its data
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Snapshot|null>} Snapshot or null
+ * @throws {Error} If it can't be decrypted
+ */
+export async function loadSnapshot(id) {
+  const stored = await withSnapshotStore("readonly", (store) => store.get(id));
+  return stored ? openRecord(secureStorage.getLocalKey(), stored) : null;
+}
+
+/**
+ * Load every snapshot with its data (re-encrypting after app lock changes)
+ * @returns {Promise<Array<Snapshot>>} Snapshots
+ * @throws {Error} If one can't be decrypted
+ */
+export async function loadAllSnapshots() {
+  const stored = await withSnapshotStore("readonly", (store) => store.getAll());
+  const key = secureStorage.getLocalKey();
+  return Promise.all(stored.map((snapshot) => openRecord(key, snapshot)));
+}
+
+/**
+ * Write snapshots back, encrypted with the current app lock key (if any)
+ * @param {Array<Snapshot>} snapshots - Snapshots from loadAllSnapshots
+ * @returns {Promise<void>}
+ */
+export async function saveAllSnapshots(snapshots) {
+  for (const snapshot of snapshots) {
+    const stored = await sealSnapshot(snapshot);
+    await withSnapshotStore("readwrite", (store) => store.put(stored));
+  }
+}
+
+/**
+ * Delete snapshots past the retention window
+ * @returns {Promise<void>}
+ */
+async function pruneSnapshots() {
+  const cutoff = Date.now() - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = (await listSnapshots())
+    .slice(MIN_SNAPSHOTS_KEPT)
+    .filter((snapshot) => new Date(snapshot.takenAt).getTime() < cutoff);
+
+  for (const snapshot of expired) {
+    await withSnapshotStore("readwrite", (store) => store.delete(snapshot.id));
+  }
+}
+
+/**
+ * Check whether today's daily snapshot was already taken
+ * @returns {Promise<boolean>} True if a daily snapshot exists for today
+ */
+export async function hasDailySnapshot() {
+  const today = new Date().toDateString();
+  return (await listSnapshots()).some(
+    (snapshot) =>
+      snapshot.reason === SnapshotReason.DAILY &&
+      new Date(snapshot.takenAt).toDateString() === today,
+  );
+}
+
+/**
+ * Compare a snapshot with current data
+ * Settings-like types count as one record.
+ * @param {Object} snapshotData - type -> value from the snapshot
+ * @param {Object} currentData - type -> value now
+ * @returns {Object} type -> { onlyInSnapshot, onlyInCurrent, changed, unchanged }
+ */
+export function diffSnapshot(snapshotData, currentData) {
+  const diff = {};
+
+  SNAPSHOT_TYPES.forEach((type) => {
+    const result = {
+      onlyInSnapshot: 0,
+      onlyInCurrent: 0,
+      changed: 0,
+      unchanged: 0,
+    };
+
+    if (!isRecordType(type)) {
+      const before = snapshotData[type];
+      const now = currentData[type];
+      if (before && now) {
+        result[isSameContent(before, now) ? "unchanged" : "changed"] = 1;
+      } else if (before) {
+        result.onlyInSnapshot = 1;
+      } else if (now) {
+        result.onlyInCurrent = 1;
+      }
+      diff[type] = result;
+      return;
+    }
+
+    const current = new Map(
+      collectionToRecords(type, currentData[type]).map((record) => [
+        String(getRecordId(type, record)),
+        record,
+      ]),
+    );
+
+    collectionToRecords(type, snapshotData[type]).forEach((record) => {
+      const id = String(getRecordId(type, record));
+      if (!current.has(id)) {
+        result.onlyInSnapshot++;
+      } else {
+        const same = isSameContent(record, current.get(id));
+        result[same ? "unchanged" : "changed"]++;
+        current.delete(id);
+      }
+    });
+    result.onlyInCurrent = current.size;
+
+    diff[type] = result;
+  });
+
+  return diff;
+}
@@ -0,0 +1,396 @@
+/**
+ * Sync Engine
+ *
+ * Reconciles local records with Firebase when a user signs in.
+ * Replaces the old "push the local export wholesale" behaviour, which let
+ * one device silently overwrite the other.
+ *
+ * RULES:
+ * - Records are matched by id (or date for entries and wins)
+ * - A record changed on only one side since the last sync simply wins
+ * - Records changed on both sides are merged field by field
+ * - Only fields that really differ on both sides are conflicts
+ * - Conflicts are resolved by policy AND kept in a review list - never lost
+ * - Deletes are not undone: a record deleted on this device (tombstone) is
+ *   deleted remotely, and a synced record missing remotely is deleted here,
+ *   unless the other copy changed after the delete
+ *
+ * Pure planning lives here; PersistenceManager applies the plan.
+ */
+
+import {
+  DataTypes,
+  RecordKeys,
+  isRecordType,
+  getRecordId,
+} from "./interface.js";
+import { secureStorage } from "../secureStorage.js";
+
+/**
+ * Conflict resolution policies
+ */
+export const ConflictPolicy = {
+  NEWEST_WINS: "newest-wins",
+  KEEP_BOTH: "keep-both",
+};
+
+export const DEFAULT_CONFLICT_POLICY = ConflictPolicy.NEWEST_WINS;
+
+/**
+ * Data types the engine reconciles
+ * Settings-like types are treated as a single record.
+ */
+export const SYNCED_TYPES = [
+  DataTypes.ENTRIES,
+  DataTypes.WINS,
+  DataTypes.REFLECTIONS,
+  DataTypes.BOARD_CARDS,
+  DataTypes.SETTINGS,
+  DataTypes.BOARD_SETTINGS,
+];
+
+const CONFLICTS_KEY = "lifelab_sync_conflicts";
+const LAST_SYNC_KEY = "lifelab_last_sync";
+const TOMBSTONES_KEY = "lifelab_sync_tombstones";
+
+/**
+ * Id used for single-value types (settings, board settings)
+ */
+const SINGLE_RECORD_ID = "__single";
+
+/**
+ * Fields that describe a record rather than its content
+ */
+const IGNORED_FIELDS = ["updatedAt"];
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : 0;
+}
+
+function latestStamp(a, b) {
+  const latest = Math.max(toTime(a), toTime(b));
+  return new Date(latest || Date.now()).toISOString();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Index records of a type by id
+ * @param {string} type - Data type
+ * @param {Array|Object|null} records - Records, or a single value
+ * @returns {Map<string, Object>} id -> record
+ */
+function indexRecords(type, records) {
+  const index = new Map();
+  if (!records) return index;
+
+  if (!isRecordType(type)) {
+    index.set(SINGLE_RECORD_ID, records);
+    return index;
+  }
+
+  records.forEach((record) => {
+    const id = getRecordId(type, record);
+    if (id !== undefined) index.set(String(id), record);
+  });
+  return index;
+}
+
+/**
+ * Merge two versions of a record field by field
+ * Nested objects (like a day's domains) are merged key by key.
+ * @param {Object} local - Local version
+ * @param {Object} remote - Remote version
+ * @param {boolean} preferLocal - Which side wins conflicting fields
+ * @param {string} path - Field path prefix (for nested objects)
+ * @returns {Object} { merged, conflicts: string[] }
+ */
+export function mergeFields(local, remote, preferLocal, path = "") {
+  const merged = {};
+  const conflicts = [];
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+  keys.forEach((key) => {
+    if (!path && IGNORED_FIELDS.includes(key)) return;
+
+    const fieldPath = path ? `${path}.${key}` : key;
+    const a = local[key];
+    const b = remote[key];
+
+    if (isEqual(a, b)) {
+      merged[key] = a;
+    } else if (a === undefined) {
+      merged[key] = b;
+    } else if (b === undefined) {
+      merged[key] = a;
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      const nested = mergeFields(a, b, preferLocal, fieldPath);
+      merged[key] = nested.merged;
+      conflicts.push(...nested.conflicts);
+    } else {
+      merged[key] = preferLocal ? a : b;
+      conflicts.push(fieldPath);
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+/**
+ * Plan how to reconcile one data type
+ * @param {string} type - Data type
+ * @param {Array|Object|null} localRecords - Local records (or single value)
+ * @param {Array|Object|null} remoteRecords - Remote records (or single value)
+ * @param {Object} options - { policy, lastSyncedAt, tombstones }
+ * @param {Array} [options.tombstones] - { id, deletedAt } deleted locally
+ * @returns {Object} { toLocal: [], toRemote: [], deleteLocal: [],
+ *   deleteRemote: [], conflicts: [] } - the delete lists hold ids
+ */
+export function planSync(type, localRecords, remoteRecords, options = {}) {
+  const policy = options.policy || DEFAULT_CONFLICT_POLICY;
+  const lastSync = toTime(options.lastSyncedAt);
+  const deletedAt = new Map(
+    (options.tombstones || []).map((t) => [String(t.id), toTime(t.deletedAt)]),
+  );
+
+  const local = indexRecords(type, localRecords);
+  const remote = indexRecords(type, remoteRecords);
+  const plan = {
+    toLocal: [],
+    toRemote: [],
+    deleteLocal: [],
+    deleteRemote: [],
+    conflicts: [],
+  };
+
+  const ids = new Set([...local.keys(), ...remote.keys()]);
+
+  ids.forEach((id) => {
+    const localRecord = local.get(id);
+    const remoteRecord = remote.get(id);
+
+    if (!remoteRecord) {
+      // Unchanged since it was last synced, so it was deleted remotely
+      const localTime = toTime(localRecord.updatedAt);
+      if (lastSync && localTime && localTime <= lastSync) {
+        plan.deleteLocal.push(id);
+      } else {
+        plan.toRemote.push(localRecord);
+      }
+      return;
+    }
+    if (!localRecord) {
+      // Deleted here - unless the remote copy was edited afterwards
+      if (deletedAt.get(id) >= toTime(remoteRecord.updatedAt)) {
+        plan.deleteRemote.push(id);
+      } else {
+        plan.toLocal.push(remoteRecord);
+      }
+      return;
+    }
+
+    const { merged, conflicts } = mergeFields(localRecord, remoteRecord, true);
+    const localTime = toTime(localRecord.updatedAt);
+    const remoteTime = toTime(remoteRecord.updatedAt);
+
+    if (conflicts.length === 0) {
+      // Both sides only added things - everyone gets the union
+      merged.updatedAt = latestStamp(
+        localRecord.updatedAt,
+        remoteRecord.updatedAt,
+      );
+      if (!isEqual(merged, localRecord)) plan.toLocal.push(merged);
+      if (!isEqual(merged, remoteRecord)) plan.toRemote.push(merged);
+      return;
+    }
+
+    // Without stamps we can't tell who changed what - treat as both changed
+    const localChanged = !lastSync || !localTime || localTime > lastSync;
+    const remoteChanged = !lastSync || !remoteTime || remoteTime > lastSync;
+
+    if (localChanged !== remoteChanged) {
+      // Only one side edited since the last sync: its fields win
+      const resolved = mergeFields(localRecord, remoteRecord, localChanged)
+        .merged;
+      resolved.updatedAt = latestStamp(
+        localRecord.updatedAt,
+        remoteRecord.updatedAt,
+      );
+      if (!isEqual(resolved, localRecord)) plan.toLocal.push(resolved);
+      if (!isEqual(resolved, remoteRecord)) plan.toRemote.push(resolved);
+      return;
+    }
+
+    // Real conflict: both sides edited the same fields
+    const localIsNewer = localTime > remoteTime;
+    const conflict = {
+      id: `${type}-${id}-${Date.now()}`,
+      type,
+      recordId: id === SINGLE_RECORD_ID ? null : id,
+      fields: conflicts,
+      local: localRecord,
+      remote: remoteRecord,
+      policy,
+      detectedAt: new Date().toISOString(),
+    };
+
+    if (policy === ConflictPolicy.KEEP_BOTH && RecordKeys[type] === "id") {
+      // Keep the remote record and save the local edit as its own copy
+      const copy = {
+        ...localRecord,
+        id: `${localRecord.id}-conflict-${Date.now().toString(36)}`,
+      };
+      plan.toLocal.push(remoteRecord, copy);
+      plan.toRemote.push(copy);
+      conflict.applied = "both";
+      conflict.copyId = copy.id;
+    } else {
+      // Newest wins (also the fallback for one-per-day records)
+      const resolved = mergeFields(
+        localRecord,
+        remoteRecord,
+        localIsNewer,
+      ).merged;
+      resolved.updatedAt = latestStamp(
+        localRecord.updatedAt,
+        remoteRecord.updatedAt,
+      );
+      plan.toLocal.push(resolved);
+      plan.toRemote.push(resolved);
+      conflict.applied = localIsNewer ? "local" : "remote";
+    }
+
+    plan.conflicts.push(conflict);
+  });
+
+  if (!isRecordType(type)) {
+    // Single values go back as values, not lists
+    plan.toLocal = plan.toLocal.slice(-1);
+    plan.toRemote = plan.toRemote.slice(-1);
+  }
+
+  return plan;
+}
+
+/**
+ * Load conflicts waiting for review
+ * @returns {Array} Conflicts (newest first)
+ */
+export function loadConflicts() {
+  try {
+    const stored = secureStorage.getItem(CONFLICTS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("[Sync] Failed to load conflicts:", error);
+    return [];
+  }
+}
+
+/**
+ * Add conflicts to the review list
+ * @param {Array} conflicts - New conflicts
+ */
+export function addConflicts(conflicts) {
+  if (conflicts.length === 0) return;
+  const all = [...conflicts, ...loadConflicts()];
+  secureStorage.setItem(CONFLICTS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Remove a conflict from the review list
+ * @param {string} conflictId - Conflict id
+ */
+export function dismissConflict(conflictId) {
+  const remaining = loadConflicts().filter((c) => c.id !== conflictId);
+  secureStorage.setItem(CONFLICTS_KEY, JSON.stringify(remaining));
+}
+
+/**
+ * Remember that a record was deleted on this device
+ * The next sync deletes the other copy instead of copying it back.
+ * @param {string} type - Record data type
+ * @param {string} id - Record id
+ */
+export function recordTombstone(type, id) {
+  try {
+    const tombstones = loadTombstones().filter(
+      (t) => !(t.type === type && t.id === String(id)),
+    );
+    tombstones.push({
+      type,
+      id: String(id),
+      deletedAt: new Date().toISOString(),
+    });
+    localStorage.setItem(TOMBSTONES_KEY, JSON.stringify(tombstones));
+  } catch (error) {
+    console.error("[Sync] Failed to record deletion:", error);
+  }
+}
+
+/**
+ * Deletions not yet synced
+ * @param {string} [type] - Only this data type
+ * @returns {Array} { type, id, deletedAt }
+ */
+export function loadTombstones(type = null) {
+  try {
+    const tombstones = JSON.parse(
+      localStorage.getItem(TOMBSTONES_KEY) || "[]",
+    );
+    return type ? tombstones.filter((t) => t.type === type) : tombstones;
+  } catch (error) {
+    console.error("[Sync] Failed to load deletions:", error);
+    return [];
+  }
+}
+
+/**
+ * Forget deletions a sync has dealt with
+ * @param {string} before - ISO timestamp; later deletions are kept
+ */
+export function clearTombstones(before) {
+  const remaining = loadTombstones().filter(
+    (t) => toTime(t.deletedAt) > toTime(before),
+  );
+  if (remaining.length === 0) {
+    localStorage.removeItem(TOMBSTONES_KEY);
+  } else {
+    localStorage.setItem(TOMBSTONES_KEY, JSON.stringify(remaining));
+  }
+}
+
+/**
+ * Last successful sync time for a user
+ * @param {string} uid - User ID
+ * @returns {string|null} ISO timestamp
+ */
+export function getLastSyncedAt(uid) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LAST_SYNC_KEY) || "{}");
+    return stored[uid] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record a successful sync for a user
+ * @param {string} uid - User ID
+ * @param {string} timestamp - ISO timestamp
+ */
+export function setLastSyncedAt(uid, timestamp) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LAST_SYNC_KEY) || "{}");
+    stored[uid] = timestamp;
+    localStorage.setItem(LAST_SYNC_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error("[Sync] Failed to save last sync time:", error);
+  }
+}
@@ -14,9 +14,26 @@
  * @see docs/AUTHENTICATION.md - Phase 8
  */
 
-import { collection, getDocs, deleteDoc, doc } from "firebase/firestore";
+import {
+  collection,
+  getDocs,
+  getDoc,
+  deleteDoc,
+  doc,
+} from "firebase/firestore";
 import { initFirebase } from "./firebaseConfig.js";
 import { getCurrentUserId } from "./authState.js";
+import { USER_COLLECTIONS } from "./userDataNamespace.js";
+
+/**
+ * Paths under users/{uid}/, split into collections and documents
+ * An even number of segments is a document (board/settings); the card
+ * documents live in the board/cards/items subcollection.
+ */
+const USER_PATHS = Object.values(USER_COLLECTIONS);
+const isDocumentPath = (path) => path.split("/").length % 2 === 0;
+const COLLECTION_PATHS = USER_PATHS.filter((path) => !isDocumentPath(path));
+const DOCUMENT_PATHS = USER_PATHS.filter(isDocumentPath);
 
 /**
  * Delete all user data from Firestore
@@ -45,22 +62,11 @@ export async function deleteUserData(uid = null) {
 
     console.log(`[User Data Cleanup] Deleting data for user ${userId}...`);
 
-    // Collections to delete under users/{uid}/
-    const collections = [
-      "wins",
-      "journal",
-      "reflections",
-      "board_cards",
-      "board_settings",
-      "settings",
-      "profile",
-    ];
-
     let deletedCount = 0;
     const errors = [];
 
     // Delete each collection
-    for (const collectionName of collections) {
+    for (const collectionName of COLLECTION_PATHS) {
       try {
         const collectionRef = collection(db, "users", userId, collectionName);
         const snapshot = await getDocs(collectionRef);
@@ -86,6 +92,24 @@ export async function deleteUserData(uid = null) {
       }
     }
 
+    // Delete standalone documents (board settings)
+    for (const documentPath of DOCUMENT_PATHS) {
+      try {
+        const documentRef = doc(db, "users", userId, documentPath);
+        if ((await getDoc(documentRef)).exists()) {
+          await deleteDoc(documentRef);
+          deletedCount++;
+        }
+        console.log(`[User Data Cleanup] Deleted ${documentPath}`);
+      } catch (error) {
+        console.error(
+          `[User Data Cleanup] Error deleting ${documentPath}:`,
+          error,
+        );
+        errors.push(`${documentPath}: ${error.message}`);
+      }
+    }
+
     // Delete user root document (if it exists)
     try {
       const userDocRef = doc(db, "users", userId);
@@ -142,18 +166,9 @@ export async function checkUserHasData(uid = null) {
       return { hasData: false, count: 0 };
     }
 
-    const collections = [
-      "wins",
-      "journal",
-      "reflections",
-      "board_cards",
-      "board_settings",
-      "settings",
-    ];
-
     let totalCount = 0;
 
-    for (const collectionName of collections) {
+    for (const collectionName of COLLECTION_PATHS) {
       try {
         const collectionRef = collection(db, "users", userId, collectionName);
         const snapshot = await getDocs(collectionRef);
@@ -166,6 +181,18 @@ export async function checkUserHasData(uid = null) {
       }
     }
 
+    for (const documentPath of DOCUMENT_PATHS) {
+      try {
+        const snapshot = await getDoc(doc(db, "users", userId, documentPath));
+        if (snapshot.exists()) totalCount++;
+      } catch (error) {
+        console.warn(
+          `[User Data Cleanup] Error checking ${documentPath}:`,
+          error,
+        );
+      }
+    }
+
     return {
       hasData: totalCount > 0,
       count: totalCount,
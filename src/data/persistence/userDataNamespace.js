@@ -29,17 +29,18 @@
  *         response
  *     board/
  *       cards/
- *         {cardId}/
- *           type
- *           content
- *           position
- *       settings/
- *         starter_template/
- *           dismissed
+ *         items/
+ *           {cardId}/
+ *             type
+ *             content
+ *             position
+ *       settings
+ *         starter_template_dismissed
  *     settings/
  *       domains
  *       firstDayOfWeek
  *       memoryAidsEnabled
+ *       encryption (key check only - salt and an encrypted known value)
  *
  * @see docs/AUTHENTICATION.md - Phase 4
  * @see src/data/persistence/authPhilosophy.js
@@ -55,7 +56,8 @@ export const USER_COLLECTIONS = {
   WINS: "wins",
   JOURNAL: "journal",
   REFLECTIONS: "reflections",
-  BOARD_CARDS: "board/cards",
+  // board/cards is a document, so the card documents live in its subcollection
+  BOARD_CARDS: "board/cards/items",
   BOARD_SETTINGS: "board/settings",
   SETTINGS: "settings",
 };
@@ -224,7 +226,7 @@ export const UserNamespace = {
   /**
    * Get board settings path
    * @param {string} uid - User ID (optional)
-   * @returns {string} Path to board settings collection
+   * @returns {string} Path to board settings document
    */
   boardSettingsPath: (uid = null) =>
     getUserCollectionPath(USER_COLLECTIONS.BOARD_SETTINGS, uid),
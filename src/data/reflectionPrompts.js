@@ -116,3 +116,11 @@ export function deletePrompt(promptId) {
   localStorage.setItem(PROMPTS_STORAGE_KEY, JSON.stringify(filtered));
   return true;
 }
+
+/**
+ * Replace every prompt (used when restoring an archive)
+ * @param {Array} prompts - Prompt objects
+ */
+export function replacePrompts(prompts) {
+  localStorage.setItem(PROMPTS_STORAGE_KEY, JSON.stringify(prompts));
+}
@@ -10,10 +10,9 @@
  * - Offline-first: save locally, sync when available
  */
 
-import { persistence } from "./persistence/manager.js";
+import { persistence, DataTypes } from "./persistence/manager.js";
 
-const STORAGE_KEY = "lifelab_reflections";
-const FIREBASE_COLLECTION = "reflections";
+const FIREBASE_COLLECTION = DataTypes.REFLECTIONS;
 
 /**
  * Get all reflections
@@ -42,8 +41,12 @@ export async function listReflections() {
  * @returns {Promise<Object|null>} Reflection object or null
  */
 export async function getReflection(id) {
-  const reflections = await listReflections();
-  return reflections.find((r) => r.id === id) || null;
+  try {
+    return await persistence.get(FIREBASE_COLLECTION, id);
+  } catch (error) {
+    console.warn("Fetch failed:", error);
+    return null;
+  }
 }
 
 /**
@@ -62,10 +65,11 @@ export async function saveReflection(reflection) {
   if (!reflection.createdAt) {
     reflection.createdAt = new Date().toISOString();
   }
+  reflection.updatedAt = new Date().toISOString();
 
   try {
     // Persistence manager handles localStorage vs Firebase based on auth
-    const success = await persistence.save(FIREBASE_COLLECTION, reflection);
+    const success = await persistence.put(FIREBASE_COLLECTION, reflection);
     return success;
   } catch (error) {
     console.error("Failed to save reflection:", error);
@@ -80,18 +84,8 @@ export async function saveReflection(reflection) {
  */
 export async function deleteReflection(id) {
   try {
-    // Get all reflections
-    const reflections = await listReflections();
-    const filtered = reflections.filter((r) => r.id !== id);
-
-    // Save updated list (persistence manager handles the provider)
-    // Note: This is a workaround - ideally we'd have a delete() method
-    // For now, we fetch all, filter, and save back
-    for (const reflection of filtered) {
-      await persistence.save(FIREBASE_COLLECTION, reflection);
-    }
-
-    return true;
+    // Persistence manager handles the provider
+    return await persistence.delete(FIREBASE_COLLECTION, id);
   } catch (error) {
     console.error("Failed to delete reflection:", error);
     return false;
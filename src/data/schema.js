@@ -5,6 +5,8 @@
  * Each day tracks multiple domains with different types:
  * - Percentage domains: 0-1 scale (health, skills, etc.)
  * - Checkbox domains: boolean (did task or not)
+ * - Count, duration, rating and numeric domains: raw numbers
+ *   (normalized against the domain config for visualization)
  * Extensible design - new domains can be added without breaking old data
  */
 
@@ -13,7 +15,7 @@ import { isValidDomainValue, DomainType } from "./domainTypes.js";
 /**
  * Creates a new day record
  * @param {string} date - ISO date string (YYYY-MM-DD)
- * @param {Object} domains - Object mapping domain names to scores (0-1) or booleans
+ * @param {Object} domains - Object mapping domain names to values (see DomainType)
  * @param {string} notes - Optional notes for the day
  * @returns {Object} Day record
  */
@@ -54,7 +56,7 @@ export function isValidDayRecord(day, domainConfigs = null) {
       if (!config) continue; // Unknown domain, skip
 
       const type = config.type || DomainType.PERCENTAGE;
-      if (!isValidDomainValue(value, type)) {
+      if (!isValidDomainValue(value, type, config)) {
         console.warn(
           `Invalid value for domain ${domain} (type: ${type}):`,
           value
@@ -63,9 +65,9 @@ export function isValidDayRecord(day, domainConfigs = null) {
       }
     }
   } else {
-    // Backward compatibility: allow numbers 0-1 or booleans
+    // Without configs the type is unknown: allow any finite number or boolean
     for (const [domain, value] of Object.entries(day.domains)) {
-      const isNumber = typeof value === "number" && value >= 0 && value <= 1;
+      const isNumber = typeof value === "number" && Number.isFinite(value);
       const isBoolean = typeof value === "boolean";
 
       if (!isNumber && !isBoolean) {
@@ -79,30 +81,9 @@ export function isValidDayRecord(day, domainConfigs = null) {
 
 /**
  * Calculates weighted daily score
- * Normalizes checkbox domains (true=1, false=0) to work with percentages
- * @param {Object} day - Day record
- * @param {Object} domainConfigs - Domain configurations from settings
- * @returns {number|null} Average score or null if no domains
+ * Implemented in scoring.js so every view shares one formula
  */
-export function calculateDailyScore(day, domainConfigs = null) {
-  if (!day || !day.domains) return null;
-
-  const scores = [];
-
-  Object.entries(day.domains).forEach(([domain, value]) => {
-    // Normalize value to 0-1 range
-    if (typeof value === "boolean") {
-      scores.push(value ? 1 : 0);
-    } else if (typeof value === "number") {
-      scores.push(value);
-    }
-  });
-
-  if (scores.length === 0) return null;
-
-  const sum = scores.reduce((acc, val) => acc + val, 0);
-  return sum / scores.length;
-}
+export { calculateDailyScore } from "./scoring.js";
 
 /**
  * Gets all unique domains across an array of day records
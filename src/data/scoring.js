@@ -0,0 +1,127 @@
+/**
+ * Daily Scoring
+ *
+ * Single source of truth for turning a day record into numbers.
+ * Every graph, insight and year statistic goes through this module
+ * so the dashboard, notebook and year review always agree.
+ *
+ * RULES:
+ * - Each domain value is normalized to 0-1 by its type (see domainTypes.js)
+ * - Daily score = weighted average of normalized domain values
+ * - Disabled domains and domains excluded from the score don't count
+ * - Domains without a config only count when no configs are given
+ *   (keeps old data and static JSON files working)
+ */
+
+import { normalizeValue, DomainType } from "./domainTypes.js";
+
+/**
+ * Default weight for a domain that doesn't specify one
+ */
+export const DEFAULT_WEIGHT = 1;
+
+/**
+ * Get the weight a domain contributes to the daily score
+ * @param {Object} config - Domain config
+ * @returns {number} Weight (0 means the domain is ignored)
+ */
+export function getDomainWeight(config) {
+  if (!config) return DEFAULT_WEIGHT;
+  if (config.enabled === false || config.includeInScore === false) return 0;
+
+  const weight = Number(config.weight);
+  return Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_WEIGHT;
+}
+
+/**
+ * Normalized 0-1 value of one domain on one day
+ * @param {Object} day - Day record
+ * @param {string} domain - Domain name
+ * @param {Object} domainConfigs - Domain configurations from settings
+ * @returns {number|null} Normalized value or null if not recorded
+ */
+export function calculateDomainScore(day, domain, domainConfigs = null) {
+  if (!day || !day.domains) return null;
+
+  const value = day.domains[domain];
+  if (value === undefined || value === null) return null;
+
+  const config = (domainConfigs && domainConfigs[domain]) || {
+    type: typeof value === "boolean" ? DomainType.CHECKBOX : DomainType.PERCENTAGE,
+  };
+
+  return normalizeValue(value, config.type, config);
+}
+
+/**
+ * Calculates weighted daily score
+ * @param {Object} day - Day record
+ * @param {Object} domainConfigs - Domain configurations from settings
+ * @returns {number|null} Weighted average (0-1) or null if nothing counts
+ */
+export function calculateDailyScore(day, domainConfigs = null) {
+  if (!day || !day.domains) return null;
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  Object.keys(day.domains).forEach((domain) => {
+    const config = domainConfigs ? domainConfigs[domain] : null;
+
+    // With configs, unknown domains are leftovers from removed settings
+    if (domainConfigs && !config) return;
+
+    const weight = getDomainWeight(config);
+    if (weight === 0) return;
+
+    const score = calculateDomainScore(day, domain, domainConfigs);
+    if (score === null) return;
+
+    weightedSum += score * weight;
+    totalWeight += weight;
+  });
+
+  if (totalWeight === 0) return null;
+
+  return weightedSum / totalWeight;
+}
+
+/**
+ * Daily scores for a list of days, skipping days with nothing to score
+ * @param {Array} days - Array of day records
+ * @param {Object} domainConfigs - Domain configurations from settings
+ * @returns {Array<number>} Scores (0-1)
+ */
+export function calculateDailyScores(days, domainConfigs = null) {
+  return days
+    .map((day) => calculateDailyScore(day, domainConfigs))
+    .filter((score) => score !== null);
+}
+
+/**
+ * Average daily score across a list of days
+ * @param {Array} days - Array of day records
+ * @param {Object} domainConfigs - Domain configurations from settings
+ * @returns {number|null} Average (0-1) or null if no day could be scored
+ */
+export function calculateAverageScore(days, domainConfigs = null) {
+  const scores = calculateDailyScores(days, domainConfigs);
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+}
+
+/**
+ * Average normalized value of one domain across a list of days
+ * @param {Array} days - Array of day records
+ * @param {string} domain - Domain name
+ * @param {Object} domainConfigs - Domain configurations from settings
+ * @returns {number|null} Average (0-1) or null if never recorded
+ */
+export function calculateDomainAverage(days, domain, domainConfigs = null) {
+  const scores = days
+    .map((day) => calculateDomainScore(day, domain, domainConfigs))
+    .filter((score) => score !== null);
+
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
+}
@@ -0,0 +1,261 @@
+/**
+ * Secure Storage
+ *
+ * Drop-in for localStorage.getItem/setItem/removeItem on the keys that
+ * hold journal content. With the app lock off it is plain localStorage.
+ * With the app lock on, those keys are stored encrypted and read from a
+ * decrypted in-memory copy that exists only while the app is unlocked.
+ *
+ * RULES:
+ * - Reads and writes stay synchronous (storage.js depends on it);
+ *   encryption happens in the background, in write order
+ * - Never write plaintext for a protected key while the lock is on
+ * - Keys that aren't journal content (flags, settings, queue) pass through
+ *
+ * @see src/data/appLock.js
+ */
+
+import { encryptValue, decryptValue } from "./persistence/encryption.js";
+
+/**
+ * localStorage key holding the app lock configuration (key check)
+ */
+export const APP_LOCK_KEY = "lifelab_app_lock";
+
+/**
+ * Keys holding journal content
+ */
+const PROTECTED_KEYS = [
+  "lifelab_data",
+  "lifelab_entries",
+  "lifelab_wins",
+  "lifelab_reflections",
+  "lifelab_board_cards",
+  "lifelab_memory_cache",
+  // Pending writes and sync conflicts carry copies of records
+  "lifelab_offline_queue",
+  "lifelab_sync_conflicts",
+];
+
+/**
+ * Prefix marking an encrypted localStorage value
+ */
+const ENCRYPTED_PREFIX = "lifelab-enc:";
+
+class SecureStorage {
+  constructor() {
+    this.activeKey = null; // { kid, key } while unlocked
+    this.cache = new Map(); // key -> plaintext string
+    this.pendingWrites = Promise.resolve();
+    this.pendingRefresh = Promise.resolve();
+
+    // Another tab wrote a protected key - refresh our decrypted copy
+    window.addEventListener("storage", (event) => {
+      this.pendingRefresh = this._refresh(event);
+    });
+  }
+
+  /**
+   * Check whether the app lock is on in this browser
+   * @returns {boolean} True if a passcode is set
+   */
+  isLockEnabled() {
+    return localStorage.getItem(APP_LOCK_KEY) !== null;
+  }
+
+  /**
+   * Key local data is encrypted with (null while locked or lock is off)
+   * @returns {Object|null} { kid, key }
+   */
+  getLocalKey() {
+    return this.activeKey;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - localStorage key
+   * @returns {string|null} Stored (decrypted) value
+   */
+  getItem(key) {
+    if (!isProtected(key)) {
+      return localStorage.getItem(key);
+    }
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const raw = localStorage.getItem(key);
+    if (raw && raw.startsWith(ENCRYPTED_PREFIX)) {
+      console.warn(`[Secure Storage] ${key} is locked`);
+      return null;
+    }
+    return raw;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - localStorage key
+   * @param {string} value - Value to store
+   * @throws {Error} If the lock is on and the app is locked
+   */
+  setItem(key, value) {
+    if (!isProtected(key) || !this.isLockEnabled()) {
+      this.cache.delete(key);
+      localStorage.setItem(key, value);
+      return;
+    }
+
+    if (!this.activeKey) {
+      throw new Error(`Cannot write ${key} while LifeLab is locked`);
+    }
+
+    this.cache.set(key, value);
+    this._queueWrite(key);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - localStorage key
+   */
+  removeItem(key) {
+    this.cache.delete(key);
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * Wait for background writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrites;
+  }
+
+  /**
+   * Wait until a value written by another tab has been decrypted
+   * Storage listeners that read a protected key await this first.
+   * @returns {Promise<void>}
+   */
+  refreshed() {
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Unlock: decrypt every protected key into memory
+   * Plain values (written before the lock was turned on) are encrypted now.
+   * @param {Object} key - { kid, key }
+   * @returns {Promise<void>}
+   * @throws {Error} If a value can't be decrypted with this key
+   */
+  async unlock(key) {
+    const decrypted = new Map();
+    const plain = [];
+
+    for (const storageKey of PROTECTED_KEYS) {
+      const raw = localStorage.getItem(storageKey);
+      if (raw === null) continue;
+
+      if (raw.startsWith(ENCRYPTED_PREFIX)) {
+        decrypted.set(storageKey, await decryptStored(key, raw));
+      } else {
+        decrypted.set(storageKey, raw);
+        plain.push(storageKey);
+      }
+    }
+
+    this.activeKey = key;
+    this.cache = decrypted;
+    plain.forEach((storageKey) => this._queueWrite(storageKey));
+
+    await this.flush();
+  }
+
+  /**
+   * Lock: forget the key and the decrypted copy
+   */
+  lock() {
+    this.activeKey = null;
+    this.cache.clear();
+  }
+
+  /**
+   * Turning the lock off: write every protected key back as plaintext
+   * Call while unlocked, after removing the lock configuration.
+   * @returns {Promise<void>}
+   */
+  async decryptAll() {
+    await this.flush();
+    this.cache.forEach((value, storageKey) => {
+      localStorage.setItem(storageKey, value);
+    });
+    this.lock();
+  }
+
+  /**
+   * Encrypt the current cached value of a key in the background
+   * Later writes to the same key always land after earlier ones.
+   * @param {string} key - Protected key
+   */
+  _queueWrite(key) {
+    this.pendingWrites = this.pendingWrites
+      .then(async () => {
+        if (!this.activeKey || !this.cache.has(key) || !this.isLockEnabled()) {
+          return;
+        }
+        const payload = await encryptValue(
+          this.activeKey.key,
+          this.activeKey.kid,
+          this.cache.get(key),
+        );
+        localStorage.setItem(key, ENCRYPTED_PREFIX + JSON.stringify(payload));
+      })
+      .catch((error) => {
+        console.error(`[Secure Storage] Failed to write ${key}:`, error);
+      });
+  }
+
+  /**
+   * Pick up a protected key written by another tab
+   * @param {StorageEvent} event - Storage event
+   */
+  async _refresh(event) {
+    if (!this.activeKey || !isProtected(event.key)) return;
+
+    if (event.newValue === null) {
+      this.cache.delete(event.key);
+      return;
+    }
+
+    try {
+      this.cache.set(
+        event.key,
+        event.newValue.startsWith(ENCRYPTED_PREFIX)
+          ? await decryptStored(this.activeKey, event.newValue)
+          : event.newValue,
+      );
+    } catch (error) {
+      console.error(`[Secure Storage] Failed to refresh ${event.key}:`, error);
+    }
+  }
+}
+
+function isProtected(key) {
+  return PROTECTED_KEYS.includes(key);
+}
+
+/**
+ * Decrypt a stored value
+ * @param {Object} key - { kid, key }
+ * @param {string} raw - Stored value
+ * @returns {Promise<string>} Plaintext
+ */
+async function decryptStored(key, raw) {
+  const payload = JSON.parse(raw.slice(ENCRYPTED_PREFIX.length));
+  if (payload.kid !== key.kid) {
+    throw new Error("Stored value is encrypted with another key");
+  }
+  return decryptValue(key.key, payload);
+}
+
+// Singleton instance
+export const secureStorage = new SecureStorage();
@@ -4,9 +4,15 @@
  *
  * NOTE: Gradually migrating to persistence layer (manager.js)
  * Direct localStorage calls will be phased out
+ *
+ * Entries already go through it: pages await loadEntries() once, then
+ * read synchronously from the copy the persistence layer keeps in memory
+ * (IndexedDB-backed; lifelab_data only where IndexedDB isn't available).
  */
 
 import { persistence, DataTypes } from "./persistence/manager.js";
+import { collectionToRecords } from "./persistence/interface.js";
+import { secureStorage } from "./secureStorage.js";
 import {
   migrateDomainSettings,
   createDomainConfig,
@@ -18,18 +24,24 @@ const STORAGE_KEY = "lifelab_data";
 const SETTINGS_KEY = "lifelab_settings";
 
 /**
- * Saves data to localStorage and Firebase
+ * Loads entries for this page (call once, after requireUnlock)
+ * @returns {Promise<void>}
+ */
+export async function loadEntries() {
+  try {
+    await persistence.loadEntries();
+  } catch (error) {
+    console.error("Failed to load entries:", error);
+  }
+}
+
+/**
+ * Saves data on this device and to Firebase when signed in
  * @param {Object} data - Data object mapping months to day arrays
  */
 export async function saveToLocalStorage(data) {
   try {
-    // Save to localStorage immediately
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-
-    // Save to Firebase (synchronous)
-    await persistence.save(DataTypes.ENTRIES, data);
-
-    return true;
+    return await persistence.save(DataTypes.ENTRIES, data);
   } catch (error) {
     console.error("Failed to save to storage:", error);
     return false;
@@ -37,13 +49,12 @@ export async function saveToLocalStorage(data) {
 }
 
 /**
- * Loads all data from localStorage
+ * Loads all data on this device (see loadEntries)
  * @returns {Object} Data object or empty object
  */
 export function loadFromLocalStorage() {
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : {};
+    return persistence.getEntries();
   } catch (error) {
     console.error("Failed to load from localStorage:", error);
     return {};
@@ -66,15 +77,36 @@ export async function loadAllData() {
 
 /**
  * Saves data for a specific month
+ * Only that month's days are written; days no longer in it are deleted.
  * @param {number} year - Year
  * @param {number} month - Month (1-12)
  * @param {Array} monthData - Array of day records
+ * @returns {Promise<boolean>} Success status
  */
 export async function saveMonth(year, month, monthData) {
-  const allData = loadFromLocalStorage();
-  const key = `${year}-${String(month).padStart(2, "0")}`;
-  allData[key] = monthData;
-  return await saveToLocalStorage(allData);
+  const keep = new Set(monthData.map((day) => day.date));
+
+  try {
+    for (const day of loadMonth(year, month)) {
+      if (
+        !keep.has(day.date) &&
+        !(await persistence.delete(DataTypes.ENTRIES, day.date))
+      ) {
+        return false;
+      }
+    }
+
+    for (const day of monthData) {
+      if (!(await persistence.put(DataTypes.ENTRIES, day))) {
+        return false;
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error("Failed to save month:", error);
+    return false;
+  }
 }
 
 /**
@@ -112,38 +144,30 @@ export async function loadMonthFromFirebase(year, month) {
  * @returns {boolean} Success status
  */
 export async function saveDayEntry(dayData) {
-  const date = new Date(dayData.date);
-  const year = date.getFullYear();
-  const month = date.getMonth() + 1;
-
-  let monthData = loadMonth(year, month);
-
-  // Remove existing entry for this date
-  monthData = monthData.filter((d) => d.date !== dayData.date);
-
-  // Add new entry
-  monthData.push(dayData);
-
-  // Sort by date
-  monthData.sort((a, b) => a.date.localeCompare(b.date));
-
-  return await saveMonth(year, month, monthData);
+  try {
+    // Stamped so sync can tell which copy is newer
+    return await persistence.put(DataTypes.ENTRIES, {
+      ...dayData,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Failed to save entry:", error);
+    return false;
+  }
 }
 
 /**
  * Deletes a day entry
  * @param {string} date - ISO date string
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export function deleteDayEntry(date) {
-  const dateObj = new Date(date);
-  const year = dateObj.getFullYear();
-  const month = dateObj.getMonth() + 1;
-
-  let monthData = loadMonth(year, month);
-  monthData = monthData.filter((d) => d.date !== date);
-
-  return saveMonth(year, month, monthData);
+export async function deleteDayEntry(date) {
+  try {
+    return await persistence.delete(DataTypes.ENTRIES, date);
+  } catch (error) {
+    console.error("Failed to delete entry:", error);
+    return false;
+  }
 }
 
 /**
@@ -167,16 +191,17 @@ export function getAvailableMonths() {
 /**
  * Saves settings
  * @param {Object} settings - Settings object
+ * @returns {Promise<boolean>} False if the settings couldn't be saved or synced
  */
 export async function saveSettings(settings) {
   try {
+    settings.updatedAt = new Date().toISOString();
+
     // Save to localStorage immediately
     localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
 
     // Save to Firebase (synchronous)
-    await persistence.save(DataTypes.SETTINGS, settings);
-
-    return true;
+    return await persistence.save(DataTypes.SETTINGS, settings);
   } catch (error) {
     console.error("Failed to save settings:", error);
     return false;
@@ -252,7 +277,8 @@ export function getEnabledDomains() {
       }
     } else if (config && config.enabled) {
       enabledDomains[domain] = getDefaultValue(
-        config.type || DomainType.PERCENTAGE
+        config.type || DomainType.PERCENTAGE,
+        config
       );
     }
   });
@@ -278,7 +304,7 @@ export function getEnabledDomainNames() {
 /**
  * Get domain configuration for a specific domain
  * @param {string} domain - Domain name
- * @returns {Object} Domain config {enabled, type}
+ * @returns {Object} Domain config {enabled, type, ...type options}
  */
 export function getDomainConfig(domain) {
   const settings = loadSettings();
@@ -303,12 +329,21 @@ export function getAllDomainConfigs() {
 
 /**
  * Clears all data (with confirmation)
- * @returns {boolean} Success status
+ * Each day is deleted, so synced copies in Firebase go too.
+ * @returns {Promise<boolean>} Success status
  */
-export function clearAllData() {
+export async function clearAllData() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
-    return true;
+    secureStorage.removeItem(STORAGE_KEY);
+
+    const days = collectionToRecords(DataTypes.ENTRIES, loadFromLocalStorage());
+    let success = true;
+    for (const day of days) {
+      if (!(await persistence.delete(DataTypes.ENTRIES, day.date))) {
+        success = false;
+      }
+    }
+    return success;
   } catch (error) {
     console.error("Failed to clear data:", error);
     return false;
@@ -318,8 +353,9 @@ export function clearAllData() {
 /**
  * Merges imported data with existing data
  * @param {Array} importedData - Array of day records to merge
+ * @returns {Promise<boolean>} Success status
  */
-export function mergeImportedData(importedData) {
+export async function mergeImportedData(importedData) {
   const grouped = {};
 
   // Group imported data by month
@@ -336,7 +372,8 @@ export function mergeImportedData(importedData) {
   });
 
   // Merge with existing data
-  Object.entries(grouped).forEach(([key, days]) => {
+  let success = true;
+  for (const [key, days] of Object.entries(grouped)) {
     const [year, month] = key.split("-");
     const existingData = loadMonth(parseInt(year), parseInt(month));
 
@@ -353,6 +390,45 @@ export function mergeImportedData(importedData) {
       a.date.localeCompare(b.date)
     );
 
-    saveMonth(parseInt(year), parseInt(month), mergedData);
-  });
+    if (!(await saveMonth(parseInt(year), parseInt(month), mergedData))) {
+      success = false;
+    }
+  }
+  return success;
+}
+
+/**
+ * Merges imported day records into entries, day by day
+ * Imported domain values replace existing ones for the same day; other
+ * domains are kept, and existing notes are kept unless the import has notes.
+ * @param {Array} days - Valid day records
+ * @returns {Promise<boolean>} Success status
+ */
+export async function mergeDayRecords(days) {
+  const allData = loadFromLocalStorage();
+  const updatedAt = new Date().toISOString();
+
+  try {
+    for (const day of days) {
+      const monthData = allData[day.date.slice(0, 7)] || [];
+      const existing = monthData.find((d) => d.date === day.date);
+      const merged = existing
+        ? {
+            ...existing,
+            domains: { ...existing.domains, ...day.domains },
+            notes: day.notes || existing.notes || "",
+          }
+        : day;
+
+      if (
+        !(await persistence.put(DataTypes.ENTRIES, { ...merged, updatedAt }))
+      ) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    console.error("Failed to merge entries:", error);
+    return false;
+  }
 }
@@ -23,6 +23,7 @@ import { persistence, DataTypes } from "./persistence/manager.js";
  * @property {string} date - ISO date string (YYYY-MM-DD, day-level precision)
  * @property {string} text - Free-form acknowledgement text
  * @property {string} createdAt - ISO timestamp of when the win was recorded
+ * @property {string} updatedAt - ISO timestamp of the last change (used by sync)
  */
 
 /**
@@ -60,29 +61,6 @@ async function loadWins() {
   }
 }
 
-/**
- * Save wins to persistence
- * @param {Object} wins - Object mapping dates to win entries
- * @returns {Promise<boolean>} Success status
- */
-async function saveWinsToStorage(wins) {
-  try {
-    // Convert to array for persistence
-    const winsArray = Object.entries(wins).map(([date, win]) => ({
-      ...win,
-      date,
-    }));
-
-    // Persistence manager handles localStorage vs Firebase based on auth
-    await persistence.save(DataTypes.WINS, winsArray);
-
-    return true;
-  } catch (error) {
-    console.error("Failed to save wins:", error);
-    return false;
-  }
-}
-
 /**
  * Save a win for a specific date
  * @param {string} date - ISO date string (YYYY-MM-DD)
@@ -94,10 +72,9 @@ export async function saveWin(date, text) {
     return { success: false, error: "Date and text are required" };
   }
 
-  const wins = await loadWins();
-
   // Prevent more than one win per day
-  if (wins[date]) {
+  const existing = await persistence.get(DataTypes.WINS, date);
+  if (existing) {
     return {
       success: false,
       error: "A win already exists for this date",
@@ -105,23 +82,33 @@ export async function saveWin(date, text) {
   }
 
   // Create win entry
+  const now = new Date().toISOString();
   const win = {
     id: generateId(),
     date: date,
     text: text.trim(),
-    createdAt: new Date().toISOString(),
+    createdAt: now,
+    updatedAt: now,
   };
 
-  wins[date] = win;
+  let saved = false;
+  try {
+    // Only this win is written, not the whole ledger
+    saved = await persistence.put(DataTypes.WINS, win);
+  } catch (error) {
+    console.error("Failed to save win:", error);
+  }
 
-  const saved = await saveWinsToStorage(wins);
+  const isFirstWin =
+    saved &&
+    (await persistence.query(DataTypes.WINS, { limit: 2 })).length === 1;
 
   // Return result with trigger flag for contextual auth invitation
   return {
     success: saved,
     error: saved ? null : "Failed to save win to storage",
     win: saved ? win : null,
-    isFirstWin: saved && Object.keys(wins).length === 1, // Flag for auth invitation
+    isFirstWin, // Flag for auth invitation
   };
 }
 
@@ -131,8 +118,12 @@ export async function saveWin(date, text) {
  * @returns {Promise<WinEntry|null>} Win entry or null if not found
  */
 export async function getWinByDate(date) {
-  const wins = await loadWins();
-  return wins[date] || null;
+  try {
+    return await persistence.get(DataTypes.WINS, date);
+  } catch (error) {
+    console.error("Failed to load win:", error);
+    return null;
+  }
 }
 
 /**
@@ -141,8 +132,7 @@ export async function getWinByDate(date) {
  * @returns {Promise<boolean>} True if win exists
  */
 export async function hasWinForDate(date) {
-  const wins = await loadWins();
-  return !!wins[date];
+  return !!(await getWinByDate(date));
 }
 
 /**
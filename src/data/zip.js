@@ -0,0 +1,237 @@
+/**
+ * Minimal ZIP Reader/Writer
+ *
+ * Just enough of the ZIP format for LifeLab archives, with no dependency.
+ *
+ * RULES:
+ * - Writes uncompressed (stored) entries with UTF-8 names
+ * - Reads stored entries, and deflated ones where the browser has
+ *   DecompressionStream (so archives re-zipped by other tools still open)
+ * - No ZIP64, encryption or multi-disk archives
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const VERSION = 20; // 2.0 - plain stored/deflated entries
+const UTF8_FLAG = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+let crcTable = null;
+
+/**
+ * CRC-32 of some bytes (as used by ZIP)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp
+ * @param {Date} date - Timestamp
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP file
+ * @param {Array<Object>} files - [{ path, data: Uint8Array }]
+ * @param {Date} modified - Timestamp stored for every entry
+ * @returns {Uint8Array} ZIP bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ path, data }) => {
+    const name = encoder.encode(path);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER, true);
+    central.setUint16(4, VERSION, true);
+    central.setUint16(6, VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([
+    ...localParts,
+    ...centralParts,
+    new Uint8Array(end.buffer),
+  ]);
+}
+
+/**
+ * Check for the ZIP signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the bytes start like a ZIP file
+ */
+export function isZip(bytes) {
+  return (
+    bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) ===
+      LOCAL_HEADER
+  );
+}
+
+/**
+ * Read every entry of a ZIP file
+ * @param {Uint8Array} bytes - ZIP bytes
+ * @returns {Promise<Map<string, Uint8Array>>} path -> contents (folders skipped)
+ * @throws {Error} If it isn't a ZIP this reader understands
+ */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory: last 22 bytes, or earlier if there's a comment
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error("Not a ZIP file");
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let cursor = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(cursor, true) !== CENTRAL_HEADER) {
+      throw new Error("Corrupt ZIP directory");
+    }
+
+    const method = view.getUint16(cursor + 10, true);
+    const crc = view.getUint32(cursor + 16, true);
+    const compressedSize = view.getUint32(cursor + 20, true);
+    const nameLength = view.getUint16(cursor + 28, true);
+    const extraLength = view.getUint16(cursor + 30, true);
+    const commentLength = view.getUint16(cursor + 32, true);
+    const localOffset = view.getUint32(cursor + 42, true);
+    const path = decoder.decode(
+      bytes.subarray(cursor + 46, cursor + 46 + nameLength),
+    );
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/")) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    const data = await decompress(raw, method, path);
+
+    if (crc32(data) !== crc) {
+      throw new Error(`Corrupt ZIP entry: ${path}`);
+    }
+    files.set(path, data);
+  }
+
+  return files;
+}
+
+/**
+ * Decompress one entry
+ * @param {Uint8Array} raw - Stored bytes
+ * @param {number} method - ZIP compression method
+ * @param {string} path - Entry path (for errors)
+ * @returns {Promise<Uint8Array>} Contents
+ */
+async function decompress(raw, method, path) {
+  if (method === METHOD_STORED) {
+    return raw.slice();
+  }
+
+  if (method === METHOD_DEFLATED && typeof DecompressionStream !== "undefined") {
+    const stream = new Blob([raw])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  throw new Error(`Unsupported compression in ${path}`);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0),
+  );
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
@@ -0,0 +1,263 @@
+/**
+ * Color Scales - shared score-to-color mapping for heatmaps
+ * Palettes are chosen in settings preferences and have light and dark
+ * variants. Scores are 0-1; diverging palettes center on 0.5.
+ */
+
+import { loadSettings } from "../data/storage.js";
+import { getActiveTheme } from "../components/theme.js";
+
+export const ColorPalette = {
+  NEUTRAL: "neutral",
+  VIRIDIS: "viridis",
+  CIVIDIS: "cividis",
+  HIGH_CONTRAST: "high-contrast",
+  RED_BLUE: "red-blue",
+  ORANGE_PURPLE: "orange-purple",
+};
+
+export const ColorBinning = {
+  DISCRETE: "discrete",
+  CONTINUOUS: "continuous",
+};
+
+export const DEFAULT_PALETTE = ColorPalette.NEUTRAL;
+export const DEFAULT_BINNING = ColorBinning.DISCRETE;
+
+/**
+ * Palette definitions
+ * Stops run from low to high score. `empty` fills cells with no value.
+ */
+export const PALETTES = {
+  [ColorPalette.NEUTRAL]: {
+    label: "Neutral blue-gray",
+    kind: "sequential",
+    colorblindSafe: false,
+    light: {
+      stops: ["#edf2f7", "#cbd5e0", "#a0aec0", "#718096", "#4a5568"],
+      empty: "#f7fafc",
+    },
+    dark: {
+      stops: ["#2d3748", "#4a5568", "#718096", "#a0aec0", "#e2e8f0"],
+      empty: "#1f2531",
+    },
+  },
+  [ColorPalette.VIRIDIS]: {
+    label: "Viridis",
+    kind: "sequential",
+    colorblindSafe: true,
+    light: {
+      stops: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+      empty: "#f7fafc",
+    },
+    dark: {
+      stops: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+      empty: "#1f2531",
+    },
+  },
+  [ColorPalette.CIVIDIS]: {
+    label: "Cividis",
+    kind: "sequential",
+    colorblindSafe: true,
+    light: {
+      stops: ["#00224e", "#414d6b", "#7c7b78", "#bcaf6f", "#fee838"],
+      empty: "#f7fafc",
+    },
+    dark: {
+      stops: ["#00224e", "#414d6b", "#7c7b78", "#bcaf6f", "#fee838"],
+      empty: "#1f2531",
+    },
+  },
+  [ColorPalette.HIGH_CONTRAST]: {
+    label: "High contrast",
+    kind: "sequential",
+    colorblindSafe: true,
+    light: {
+      stops: ["#d9d9d9", "#a6a6a6", "#737373", "#404040", "#000000"],
+      empty: "#ffffff",
+    },
+    dark: {
+      stops: ["#262626", "#595959", "#8c8c8c", "#bfbfbf", "#ffffff"],
+      empty: "#000000",
+    },
+  },
+  [ColorPalette.RED_BLUE]: {
+    label: "Red to blue (diverging)",
+    kind: "diverging",
+    colorblindSafe: true,
+    light: {
+      stops: ["#b2182b", "#ef8a62", "#f7f7f7", "#67a9cf", "#2166ac"],
+      empty: "#edf2f7",
+    },
+    dark: {
+      stops: ["#d6604d", "#a0524a", "#4a5568", "#4a7ca8", "#92c5de"],
+      empty: "#1f2531",
+    },
+  },
+  [ColorPalette.ORANGE_PURPLE]: {
+    label: "Orange to purple (diverging)",
+    kind: "diverging",
+    colorblindSafe: true,
+    light: {
+      stops: ["#e66101", "#fdb863", "#f7f7f7", "#b2abd2", "#5e3c99"],
+      empty: "#edf2f7",
+    },
+    dark: {
+      stops: ["#f1a340", "#a8693a", "#4a5568", "#7b6aa8", "#b2abd2"],
+      empty: "#1f2531",
+    },
+  },
+};
+
+let legendCount = 0;
+
+/**
+ * Build the color scale from the saved preferences
+ * @param {Object} options - Overrides for the saved preferences
+ * @param {string} [options.palette] - Palette from ColorPalette
+ * @param {string} [options.binning] - Binning from ColorBinning
+ * @param {string} [options.theme] - "light" or "dark", defaults to the page
+ * @returns {Object} Scale with color(score), textColor(score), stops, empty
+ */
+export function getColorScale(options = {}) {
+  const settings = loadSettings();
+  const requestedPalette = options.palette || settings.colorPalette;
+  const requestedBinning = options.binning || settings.colorBinning;
+  const palette = PALETTES[requestedPalette]
+    ? requestedPalette
+    : DEFAULT_PALETTE;
+  const binning = Object.values(ColorBinning).includes(requestedBinning)
+    ? requestedBinning
+    : DEFAULT_BINNING;
+  const theme = options.theme || getActiveTheme();
+  const { stops, empty } = PALETTES[palette][theme] || PALETTES[palette].light;
+
+  const color = (score) => {
+    if (score === null || score === undefined || Number.isNaN(score)) {
+      return empty;
+    }
+    const clamped = Math.min(Math.max(score, 0), 1);
+    return binning === ColorBinning.CONTINUOUS
+      ? interpolateStops(stops, clamped)
+      : stops[Math.min(Math.floor(clamped * stops.length), stops.length - 1)];
+  };
+
+  return {
+    palette,
+    binning,
+    kind: PALETTES[palette].kind,
+    stops,
+    empty,
+    color,
+    // Whichever of dark or white text contrasts more with the cell
+    textColor: (score) =>
+      getLuminance(color(score)) > 0.18 ? "#1a202c" : "#ffffff",
+  };
+}
+
+/**
+ * Append a low-to-high legend to a heatmap SVG
+ * Drawn inside the SVG so exported images keep it.
+ * @param {SVGSVGElement} svg - Heatmap SVG
+ * @param {Object} scale - Scale from getColorScale
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ */
+export function appendColorLegend(svg, scale, x, y) {
+  const ns = "http://www.w3.org/2000/svg";
+  const swatchWidth = 18;
+  const swatchHeight = 10;
+  const legendWidth = swatchWidth * scale.stops.length;
+
+  const group = document.createElementNS(ns, "g");
+  group.classList.add("color-legend");
+  group.setAttribute("aria-hidden", "true");
+
+  const addText = (text, textX, anchor) => {
+    const label = document.createElementNS(ns, "text");
+    label.setAttribute("x", textX);
+    label.setAttribute("y", y + swatchHeight - 1);
+    label.setAttribute("text-anchor", anchor);
+    label.setAttribute("font-size", "10px");
+    label.style.fill = "var(--color-text-muted)";
+    label.textContent = text;
+    group.appendChild(label);
+  };
+
+  const addSwatch = (swatchX, width, fill) => {
+    const rect = document.createElementNS(ns, "rect");
+    rect.setAttribute("x", swatchX);
+    rect.setAttribute("y", y);
+    rect.setAttribute("width", width);
+    rect.setAttribute("height", swatchHeight);
+    rect.setAttribute("fill", fill);
+    group.appendChild(rect);
+    return rect;
+  };
+
+  // "No data" swatch, then Low [scale] High
+  addSwatch(x, swatchHeight, scale.empty).style.stroke =
+    "var(--color-border-strong)";
+  addText("No data", x + swatchHeight + 4, "start");
+
+  const scaleX = x + 90;
+  addText("Low", scaleX - 4, "end");
+
+  if (scale.binning === ColorBinning.CONTINUOUS) {
+    const id = `color-legend-gradient-${++legendCount}`;
+    const defs = document.createElementNS(ns, "defs");
+    const gradient = document.createElementNS(ns, "linearGradient");
+    gradient.setAttribute("id", id);
+    scale.stops.forEach((stop, i) => {
+      const stopEl = document.createElementNS(ns, "stop");
+      stopEl.setAttribute(
+        "offset",
+        `${(i / (scale.stops.length - 1)) * 100}%`,
+      );
+      stopEl.setAttribute("stop-color", stop);
+      gradient.appendChild(stopEl);
+    });
+    defs.appendChild(gradient);
+    group.appendChild(defs);
+    addSwatch(scaleX, legendWidth, `url(#${id})`);
+  } else {
+    scale.stops.forEach((stop, i) => {
+      addSwatch(scaleX + i * swatchWidth, swatchWidth, stop);
+    });
+  }
+
+  addText("High", scaleX + legendWidth + 4, "start");
+  svg.appendChild(group);
+}
+
+/**
+ * Helper: Linear interpolation across evenly spaced hex stops
+ */
+function interpolateStops(stops, t) {
+  const position = t * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const local = position - index;
+  const from = hexToRgb(stops[index]);
+  const to = hexToRgb(stops[index + 1]);
+  const mixed = from.map((c, i) => Math.round(c + (to[i] - c) * local));
+  return `#${mixed.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Helper: "#rrggbb" to [r, g, b]
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Helper: Relative luminance (0 dark - 1 light)
+ */
+function getLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
@@ -1,17 +1,26 @@
 /**
  * Heatmap Visualization - Monthly domain overview
  * Shows domains as rows, days as columns
- * Handles both percentage (0-1) and checkbox (boolean) domains
+ * Handles every domain type by normalizing values to 0-1
  */
 
 import { getEnabledDomainNames, getAllDomainConfigs } from "../data/storage.js";
-import { normalizeValue, DomainType } from "../data/domainTypes.js";
+import {
+  normalizeValue,
+  formatValue,
+  getDomainDisplay,
+  DomainType,
+} from "../data/domainTypes.js";
+import { attachHeatmapInteraction } from "./heatmapInteraction.js";
+import { getColorScale, appendColorLegend } from "./colorScales.js";
 
 /**
  * Renders a monthly heatmap visualization
  * @param {Array} data - Array of day records for the month
  * @param {HTMLElement} container - DOM element to render into
  * @param {Object} options - Configuration options
+ * @param {Function} [options.onOpenDay] - (date) => void, defaults to
+ *   opening the day in the notebook edit form
  */
 export function renderHeatmap(data, container, options = {}) {
   const {
@@ -20,6 +29,7 @@ export function renderHeatmap(data, container, options = {}) {
     labelWidth = 100,
     year = new Date().getFullYear(),
     month = new Date().getMonth() + 1,
+    onOpenDay = openDayInNotebook,
   } = options;
 
   // Clear container
@@ -45,7 +55,8 @@ export function renderHeatmap(data, container, options = {}) {
   });
 
   const width = labelWidth + (cellSize + cellGap) * daysInMonth + 20;
-  const height = 40 + (cellSize + cellGap) * domains.length + 10;
+  const gridBottom = 40 + (cellSize + cellGap) * domains.length;
+  const height = gridBottom + 34;
 
   // Create SVG
   const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
@@ -60,7 +71,7 @@ export function renderHeatmap(data, container, options = {}) {
   border.setAttribute("width", (cellSize + cellGap) * daysInMonth + 5);
   border.setAttribute("height", (cellSize + cellGap) * domains.length + 5);
   border.setAttribute("fill", "none");
-  border.setAttribute("stroke", "#edf2f7");
+  border.style.stroke = "var(--color-border-light)";
   border.setAttribute("stroke-width", "2");
   border.setAttribute("rx", "6");
   svg.appendChild(border);
@@ -79,7 +90,7 @@ export function renderHeatmap(data, container, options = {}) {
     dayLabel.setAttribute("text-anchor", "middle");
     dayLabel.setAttribute("font-size", "10px");
     dayLabel.setAttribute("font-weight", "500");
-    dayLabel.setAttribute("fill", "#718096");
+    dayLabel.style.fill = "var(--color-text-muted)";
     dayLabel.setAttribute(
       "font-family",
       "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
@@ -90,29 +101,57 @@ export function renderHeatmap(data, container, options = {}) {
 
   // Add domain labels on left and render cells
   const domainConfigs = getAllDomainConfigs();
+  const scale = getColorScale();
+  const displays = Object.fromEntries(
+    domains.map((domain) => [
+      domain,
+      getDomainDisplay(domain, domainConfigs[domain]),
+    ]),
+  );
+  // Leave room for color swatches if any domain has one
+  const labelOffset = domains.some((d) => displays[d].color) ? 20 : 10;
 
   domains.forEach((domain, domainIdx) => {
     const config = domainConfigs[domain] || { type: DomainType.PERCENTAGE };
+    const { label, icon, description } = displays[domain];
+    const rowMiddle = 40 + domainIdx * (cellSize + cellGap) + cellSize / 2;
+
+    if (displays[domain].color) {
+      const swatch = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "circle",
+      );
+      swatch.setAttribute("cx", labelWidth - 12);
+      swatch.setAttribute("cy", rowMiddle);
+      swatch.setAttribute("r", 4);
+      swatch.setAttribute("fill", displays[domain].color);
+      svg.appendChild(swatch);
+    }
 
     // Domain label
     const domainLabel = document.createElementNS(
       "http://www.w3.org/2000/svg",
       "text",
     );
-    domainLabel.setAttribute("x", labelWidth - 10);
-    domainLabel.setAttribute(
-      "y",
-      40 + domainIdx * (cellSize + cellGap) + cellSize / 2 + 5,
-    );
+    domainLabel.setAttribute("x", labelWidth - labelOffset);
+    domainLabel.setAttribute("y", rowMiddle + 5);
     domainLabel.setAttribute("text-anchor", "end");
     domainLabel.setAttribute("font-size", "11px");
     domainLabel.setAttribute("font-weight", "600");
-    domainLabel.setAttribute("fill", "#4a5568");
+    domainLabel.style.fill = "var(--color-text-secondary)";
     domainLabel.setAttribute(
       "font-family",
       "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
     );
-    domainLabel.textContent = capitalizeFirst(domain);
+    domainLabel.textContent = icon ? `${icon} ${label}` : label;
+    if (description) {
+      const labelTitle = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "title",
+      );
+      labelTitle.textContent = description;
+      domainLabel.appendChild(labelTitle);
+    }
     svg.appendChild(domainLabel);
 
     // Render cells for each day
@@ -130,66 +169,125 @@ export function renderHeatmap(data, container, options = {}) {
       rect.setAttribute("height", cellSize);
       rect.setAttribute("rx", 3);
       rect.classList.add("heatmap-cell");
+      rect.dataset.row = domainIdx;
+      rect.dataset.col = day - 1;
+      rect.dataset.domain = domain;
+      rect.dataset.date = toDateString(year, month, day);
 
       // Get score for this domain on this day
       const dayData = dataByDate.get(day);
       const rawValue =
         (dayData && dayData.domains && dayData.domains[domain]) ?? null;
 
-      // Normalize value for color (handles both percentage and checkbox)
+      // Normalize value for color (uses the domain's target or scale)
       const normalizedScore =
-        rawValue !== null ? normalizeValue(rawValue, config.type) : 0;
+        rawValue !== null
+          ? normalizeValue(rawValue, config.type, config)
+          : null;
 
-      const color = getHeatmapColor(normalizedScore);
-      rect.setAttribute("fill", color);
+      rect.setAttribute("fill", scale.color(normalizedScore));
 
       // Add subtle animation delay
       rect.style.animationDelay = `${(domainIdx * daysInMonth + day) * 2}ms`;
 
-      // Tooltip
-      const title = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "title",
-      );
-      const dateStr = `${year}-${String(month).padStart(2, "0")}-${String(
-        day,
-      ).padStart(2, "0")}`;
-      title.textContent = `${capitalizeFirst(
-        domain,
-      )} on ${dateStr}: ${normalizedScore.toFixed(2)}`;
-      rect.appendChild(title);
-
       svg.appendChild(rect);
     }
   });
 
+  appendColorLegend(svg, scale, labelWidth, gridBottom + 14);
   container.appendChild(svg);
+
+  const formatDomainValue = (day, domain) => {
+    const config = domainConfigs[domain] || { type: DomainType.PERCENTAGE };
+    const value = day?.domains?.[domain] ?? null;
+    return value !== null ? formatValue(value, config.type, config) : "—";
+  };
+
+  attachHeatmapInteraction(svg, container, {
+    label: "Monthly domain heatmap",
+    describe: (cell) => {
+      const { domain, date } = cell.dataset;
+      const day = dataByDate.get(Number(cell.dataset.col) + 1);
+      const value = formatDomainValue(day, domain);
+      return `${displays[domain].label} on ${formatDate(date)}: ${value}`;
+    },
+    tooltip: (cell) => {
+      const { domain, date } = cell.dataset;
+      const day = dataByDate.get(Number(cell.dataset.col) + 1);
+      const rows = domains
+        .map(
+          (d) => `
+        <li${d === domain ? ' class="is-current"' : ""}>
+          <span>${escapeHtml(displays[d].label)}</span>
+          <strong>${escapeHtml(formatDomainValue(day, d))}</strong>
+        </li>`,
+        )
+        .join("");
+      const notes = day?.notes?.trim();
+
+      return `
+        <div class="heatmap-tooltip-title">${formatDate(date)}</div>
+        ${
+          day
+            ? `<ul class="heatmap-tooltip-values">${rows}</ul>`
+            : '<p class="heatmap-tooltip-empty">No entry</p>'
+        }
+        ${
+          notes
+            ? `<p class="heatmap-tooltip-note">${escapeHtml(
+                truncateNotes(notes),
+              )}</p>`
+            : ""
+        }
+      `;
+    },
+    open: (cell) => onOpenDay(cell.dataset.date),
+  });
+}
+
+/**
+ * Open a day in the notebook edit form
+ * @param {string} date - ISO date
+ */
+function openDayInNotebook(date) {
+  window.location.href = `./notebook.html?date=${date}`;
+}
+
+/**
+ * Helper: ISO date string for a day of the month
+ */
+function toDateString(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(
+    2,
+    "0",
+  )}`;
+}
+
+/**
+ * Helper: Format date for display
+ */
+function formatDate(dateStr) {
+  return new Date(dateStr + "T00:00:00").toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
 }
 
 /**
- * Helper: Capitalize first letter
+ * Helper: Truncate notes for the tooltip preview
  */
-function capitalizeFirst(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function truncateNotes(notes, maxLength = 120) {
+  if (notes.length <= maxLength) return notes;
+  return notes.substring(0, maxLength) + "...";
 }
 
 /**
- * Gets refined heatmap color based on score
- * @param {number} score - Score value (0-1)
- * @returns {string} Hex color
+ * Helper: Escape text for HTML
  */
-function getHeatmapColor(score) {
-  if (score === 0) return "#edf2f7";
-
-  // Sophisticated blue-gray gradient - calm, focused, minimal
-  const colors = [
-    "#edf2f7", // 0-0.2 - very light
-    "#cbd5e0", // 0.2-0.4 - light
-    "#a0aec0", // 0.4-0.6 - medium
-    "#718096", // 0.6-0.8 - darker
-    "#4a5568", // 0.8-1.0 - darkest
-  ];
-
-  const index = Math.min(Math.floor(score * 5), 4);
-  return colors[index];
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
 }
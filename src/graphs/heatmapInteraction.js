@@ -0,0 +1,124 @@
+/**
+ * Heatmap Interaction - tooltips, drill-down and keyboard navigation
+ * Shared by the month and year heatmaps.
+ *
+ * Cells carry data-row and data-col. Like the board cards, cells are
+ * focusable with a screen-reader label and open with Enter; arrow keys
+ * move between cells. Only one cell is in the tab order at a time, so
+ * Tab moves past the heatmap instead of through every cell.
+ */
+
+/**
+ * Make a rendered heatmap interactive
+ * @param {SVGSVGElement} svg - Heatmap SVG (already in the container)
+ * @param {HTMLElement} container - Element the SVG is rendered into
+ * @param {Object} handlers - Cell callbacks
+ * @param {string} handlers.label - Accessible name of the whole heatmap
+ * @param {Function} handlers.describe - (cell) => screen-reader label text
+ * @param {Function} handlers.tooltip - (cell) => tooltip HTML
+ * @param {Function} handlers.open - (cell) => called on click, Enter or Space
+ */
+export function attachHeatmapInteraction(svg, container, handlers) {
+  const cells = [...svg.querySelectorAll("[data-row][data-col]")];
+  if (cells.length === 0) return;
+
+  svg.setAttribute("role", "group");
+  svg.setAttribute(
+    "aria-label",
+    `${handlers.label}. Arrow keys move between cells, Enter opens.`,
+  );
+
+  cells.forEach((cell, i) => {
+    cell.setAttribute("tabindex", i === 0 ? "0" : "-1");
+    cell.setAttribute("role", "button");
+    cell.setAttribute("aria-label", handlers.describe(cell));
+  });
+
+  container.classList.add("heatmap-interactive");
+  const tooltip = document.createElement("div");
+  tooltip.className = "heatmap-tooltip";
+  tooltip.setAttribute("role", "tooltip");
+  tooltip.hidden = true;
+  container.appendChild(tooltip);
+
+  const showTooltip = (cell) => {
+    tooltip.innerHTML = handlers.tooltip(cell);
+    tooltip.hidden = false;
+
+    // Centered above the cell, kept inside the container
+    const box = container.getBoundingClientRect();
+    const rect = cell.getBoundingClientRect();
+    const left = rect.left - box.left + container.scrollLeft + rect.width / 2;
+    const maxLeft = container.scrollWidth - tooltip.offsetWidth / 2;
+    tooltip.style.left = `${Math.min(
+      Math.max(left, tooltip.offsetWidth / 2),
+      maxLeft,
+    )}px`;
+    tooltip.style.top = `${rect.top - box.top + container.scrollTop}px`;
+  };
+  const hideTooltip = () => {
+    tooltip.hidden = true;
+  };
+
+  const findCell = (row, col) =>
+    svg.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+
+  const moveFocus = (from, to) => {
+    if (!to) return;
+    from.setAttribute("tabindex", "-1");
+    to.setAttribute("tabindex", "0");
+    to.focus();
+  };
+
+  cells.forEach((cell) => {
+    cell.addEventListener("mouseenter", () => showTooltip(cell));
+    cell.addEventListener("mouseleave", hideTooltip);
+    cell.addEventListener("focus", () => showTooltip(cell));
+    cell.addEventListener("blur", hideTooltip);
+    cell.addEventListener("click", () => handlers.open(cell));
+  });
+
+  svg.addEventListener("keydown", (e) => {
+    const cell = e.target;
+    if (!cell.dataset || cell.dataset.row === undefined) return;
+
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    const rowCells = cells.filter((c) => Number(c.dataset.row) === row);
+
+    switch (e.key) {
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        handlers.open(cell);
+        break;
+      case "Escape":
+        hideTooltip();
+        break;
+      case "ArrowLeft":
+        e.preventDefault();
+        moveFocus(cell, findCell(row, col - 1));
+        break;
+      case "ArrowRight":
+        e.preventDefault();
+        moveFocus(cell, findCell(row, col + 1));
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        moveFocus(cell, findCell(row - 1, col));
+        break;
+      case "ArrowDown":
+        e.preventDefault();
+        moveFocus(cell, findCell(row + 1, col));
+        break;
+      case "Home":
+        e.preventDefault();
+        moveFocus(cell, rowCells[0]);
+        break;
+      case "End":
+        e.preventDefault();
+        moveFocus(cell, rowCells[rowCells.length - 1]);
+        break;
+    }
+  });
+}
@@ -1,55 +1,177 @@
 /**
  * Line Graph Renderer - Pure SVG, no libraries
- * Shows monthly trends with clean, readable output
- * Handles both percentage (0-1) and checkbox (boolean) domains
+ * Plots the daily score and any domains over a date range
+ * Handles every domain type by normalizing values to 0-1
+ *
+ * RULES:
+ * - The X axis is every calendar day in the range; untracked days are
+ *   gaps in the line, never connected across
+ * - Domains use their configured color, or a fallback from SERIES_COLORS
+ * - Interactive graphs add a legend that toggles series, a rolling
+ *   average option and brush-to-zoom on the X axis
  */
 
-import { getEnabledDomainNames, getAllDomainConfigs } from "../data/storage.js";
-import { normalizeValue, DomainType } from "../data/domainTypes.js";
+import { getAllDomainConfigs, getEnabledDomainNames } from "../data/storage.js";
+import { calculateDailyScore, calculateDomainScore } from "../data/scoring.js";
+import { getDomainDisplay } from "../data/domainTypes.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Series key for the weighted daily score (other keys are domain names)
+ */
+export const SCORE_SERIES = "score";
+
+/**
+ * Rolling average windows offered by interactive graphs (0 = off)
+ */
+export const ROLLING_WINDOWS = [0, 7, 14, 30];
+
+/**
+ * Fallback colors for domains without a configured color
+ */
+const SERIES_COLORS = [
+  "#38a169",
+  "#d69e2e",
+  "#805ad5",
+  "#e53e3e",
+  "#319795",
+  "#dd6b20",
+  "#d53f8c",
+  "#2b6cb0",
+];
 
 /**
  * Creates an SVG line graph from daily data
  * @param {Array} data - Array of day records with scores
  * @param {HTMLElement} container - DOM element to render into
  * @param {Object} options - Configuration options
+ * @param {number} [options.width=800] - ViewBox width
+ * @param {number} [options.height=300] - ViewBox height
+ * @param {Array<string>} [options.series] - Series to show (SCORE_SERIES and/or domain names)
+ * @param {string} [options.startDate] - First day (YYYY-MM-DD), defaults to the start of the first month with data
+ * @param {string} [options.endDate] - Last day (YYYY-MM-DD), defaults to the end of the last month with data
+ * @param {number} [options.rollingWindow=0] - Days in the rolling average overlay (0 = off)
+ * @param {boolean} [options.interactive=false] - Add legend toggles, rolling average and brush zoom
  */
 export function renderLineGraph(data, container, options = {}) {
   const {
-    width = 800,
-    height = 300,
-    marginTop = 20,
-    marginRight = 20,
-    marginBottom = 40,
-    marginLeft = 50,
+    series = [SCORE_SERIES],
+    startDate,
+    endDate,
+    rollingWindow = 0,
+    interactive = false,
+    ...layout
   } = options;
 
+  const fullRange = resolveRange(data, startDate, endDate);
+  const state = {
+    visible: new Set(series),
+    rollingWindow,
+    range: fullRange,
+  };
+
   // Clear container
   container.innerHTML = "";
 
-  // Calculate dimensions
-  const chartWidth = width - marginLeft - marginRight;
-  const chartHeight = height - marginTop - marginBottom;
+  if (!interactive) {
+    container.appendChild(buildGraph(data, state, layout));
+    return;
+  }
+
+  const draw = () => {
+    container.innerHTML = "";
+    container.appendChild(renderControls(state, fullRange, draw));
+
+    const svg = buildGraph(data, state, layout);
+    attachBrush(svg, state, layout, draw);
+    container.appendChild(svg);
+  };
+
+  draw();
+}
+
+/**
+ * Values of one series for every day in a list of dates
+ * @param {Array} data - Day records
+ * @param {string} key - SCORE_SERIES or a domain name
+ * @param {Array<string>} dates - Consecutive ISO dates
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {Array<number|null>} 0-1 value per date, null when untracked
+ */
+export function buildSeries(data, key, dates, domainConfigs) {
+  const byDate = new Map(data.map((day) => [day.date, day]));
+
+  return dates.map((date) => {
+    const day = byDate.get(date);
+    if (!day) return null;
+    return key === SCORE_SERIES
+      ? calculateDailyScore(day, domainConfigs)
+      : calculateDomainScore(day, key, domainConfigs);
+  });
+}
+
+/**
+ * Trailing rolling average over a series with gaps
+ * Averages the tracked values in the last `window` days; days with none
+ * stay null so the overlay has gaps where the data does.
+ * @param {Array<number|null>} values - One value per day
+ * @param {number} window - Window length in days
+ * @returns {Array<number|null>}
+ */
+export function rollingAverage(values, window) {
+  return values.map((_, i) => {
+    const slice = values
+      .slice(Math.max(0, i - window + 1), i + 1)
+      .filter((value) => value !== null);
+    return slice.length > 0
+      ? slice.reduce((sum, value) => sum + value, 0) / slice.length
+      : null;
+  });
+}
+
+/**
+ * Every ISO date from start to end, inclusive
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+export function listDates(start, end) {
+  const dates = [];
+  const last = Date.parse(`${end}T00:00:00Z`);
+  for (let t = Date.parse(`${start}T00:00:00Z`); t <= last; t += DAY_MS) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Build the SVG for the current state
+ */
+function buildGraph(data, state, layout) {
+  const { width, height, marginTop, marginLeft, chartWidth, chartHeight } =
+    resolveLayout(layout);
 
   // Create SVG
-  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  const svg = document.createElementNS(SVG_NS, "svg");
   svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
   svg.classList.add("svg-graph");
 
   // Create chart group
-  const chartGroup = document.createElementNS(
-    "http://www.w3.org/2000/svg",
-    "g"
-  );
+  const chartGroup = document.createElementNS(SVG_NS, "g");
   chartGroup.setAttribute(
     "transform",
     `translate(${marginLeft}, ${marginTop})`
   );
 
-  // Get max day number for X axis
-  const maxDay = Math.max(...data.map((d) => new Date(d.date).getDate()));
+  const dates = listDates(state.range.start, state.range.end);
+  const xFor = (i) =>
+    dates.length > 1 ? (i / (dates.length - 1)) * chartWidth : chartWidth / 2;
+  const yFor = (value) => chartHeight - value * chartHeight;
 
   // Draw X axis
-  const xAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  const xAxis = document.createElementNS(SVG_NS, "line");
   xAxis.setAttribute("x1", 0);
   xAxis.setAttribute("y1", chartHeight);
   xAxis.setAttribute("x2", chartWidth);
@@ -58,7 +180,7 @@ export function renderLineGraph(data, container, options = {}) {
   chartGroup.appendChild(xAxis);
 
   // Draw Y axis
-  const yAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
+  const yAxis = document.createElementNS(SVG_NS, "line");
   yAxis.setAttribute("x1", 0);
   yAxis.setAttribute("y1", 0);
   yAxis.setAttribute("x2", 0);
@@ -69,12 +191,9 @@ export function renderLineGraph(data, container, options = {}) {
   // Add Y axis labels (0 to 1.0)
   for (let i = 0; i <= 4; i++) {
     const value = i * 0.25;
-    const y = chartHeight - value * chartHeight;
+    const y = yFor(value);
 
-    const label = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "text"
-    );
+    const label = document.createElementNS(SVG_NS, "text");
     label.setAttribute("x", -10);
     label.setAttribute("y", y + 4);
     label.setAttribute("text-anchor", "end");
@@ -82,115 +201,369 @@ export function renderLineGraph(data, container, options = {}) {
     chartGroup.appendChild(label);
 
     // Grid line
-    const gridLine = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "line"
-    );
+    const gridLine = document.createElementNS(SVG_NS, "line");
     gridLine.setAttribute("x1", 0);
     gridLine.setAttribute("y1", y);
     gridLine.setAttribute("x2", chartWidth);
     gridLine.setAttribute("y2", y);
-    gridLine.setAttribute("stroke", "#e0e0e0");
+    gridLine.style.stroke = "var(--color-graph-grid)";
     gridLine.setAttribute("stroke-dasharray", "2,2");
     chartGroup.appendChild(gridLine);
   }
 
-  // Calculate points for line
-  const points = data.map((d) => {
-    const day = new Date(d.date).getDate();
-    const score = calculateScore(d);
+  // Add X axis ticks (day numbers within a month, dates otherwise)
+  const singleMonth =
+    state.range.start.slice(0, 7) === state.range.end.slice(0, 7);
+  getTickIndexes(dates.length).forEach((i) => {
+    const tick = document.createElementNS(SVG_NS, "text");
+    tick.setAttribute("x", xFor(i));
+    tick.setAttribute("y", chartHeight + 16);
+    tick.setAttribute("text-anchor", "middle");
+    tick.classList.add("axis-tick");
+    tick.textContent = singleMonth
+      ? String(Number(dates[i].slice(8)))
+      : formatShortDate(dates[i]);
+    chartGroup.appendChild(tick);
+  });
 
-    const x = (day / maxDay) * chartWidth;
-    const y = chartHeight - score * chartHeight;
+  // Series lines, rolling overlays and points
+  const domainConfigs = getAllDomainConfigs();
+  const byDate = new Map(data.map((day) => [day.date, day]));
 
-    return { x, y, day, score };
-  });
+  getSeriesList(domainConfigs)
+    .filter((s) => state.visible.has(s.key))
+    .forEach((s) => {
+      const isScore = s.key === SCORE_SERIES;
+      const values = buildSeries(data, s.key, dates, domainConfigs);
+
+      if (state.rollingWindow > 0) {
+        const overlay = createPath(
+          rollingAverage(values, state.rollingWindow),
+          xFor,
+          yFor
+        );
+        if (overlay) {
+          overlay.classList.add("rolling-line");
+          overlay.style.stroke = s.color;
+          chartGroup.appendChild(overlay);
+        }
+      }
 
-  // Sort by day
-  points.sort((a, b) => a.day - b.day);
-
-  // Create line path
-  if (points.length > 0) {
-    const pathData = points
-      .map((p, i) => {
-        return `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`;
-      })
-      .join(" ");
-
-    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    path.setAttribute("d", pathData);
-    path.classList.add("data-line");
-    chartGroup.appendChild(path);
-
-    // Add data points
-    points.forEach((p) => {
-      const circle = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "circle"
-      );
-      circle.setAttribute("cx", p.x);
-      circle.setAttribute("cy", p.y);
-      circle.setAttribute("r", 3);
-      circle.classList.add("data-point");
-
-      // Tooltip
-      const title = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "title"
-      );
-      title.textContent = `Day ${p.day}: ${p.score.toFixed(2)}`;
-      circle.appendChild(title);
-
-      chartGroup.appendChild(circle);
+      const path = createPath(values, xFor, yFor);
+      if (path) {
+        path.classList.add(isScore ? "data-line" : "series-line");
+        if (!isScore) path.style.stroke = s.color;
+        chartGroup.appendChild(path);
+      }
+
+      values.forEach((value, i) => {
+        if (value === null) return;
+
+        const circle = document.createElementNS(SVG_NS, "circle");
+        circle.setAttribute("cx", xFor(i));
+        circle.setAttribute("cy", yFor(value));
+        circle.setAttribute("r", isScore ? 3 : 2.5);
+        circle.classList.add(isScore ? "data-point" : "series-point");
+        if (!isScore) circle.style.fill = s.color;
+
+        // Tooltip (the score lists every domain of the day)
+        const title = document.createElementNS(SVG_NS, "title");
+        title.textContent = [
+          `${formatShortDate(dates[i])} · ${s.label}: ${value.toFixed(2)}`,
+          ...(isScore ? getBreakdown(byDate.get(dates[i]), domainConfigs) : []),
+        ].join("\n");
+        circle.appendChild(title);
+
+        chartGroup.appendChild(circle);
+      });
     });
-  }
 
   // Add X axis label
-  const xLabel = document.createElementNS("http://www.w3.org/2000/svg", "text");
+  const xLabel = document.createElementNS(SVG_NS, "text");
   xLabel.setAttribute("x", chartWidth / 2);
-  xLabel.setAttribute("y", chartHeight + 30);
+  xLabel.setAttribute("y", chartHeight + 34);
   xLabel.setAttribute("text-anchor", "middle");
-  xLabel.textContent = "Day of Month";
+  xLabel.textContent = singleMonth ? "Day of Month" : "Date";
   chartGroup.appendChild(xLabel);
 
   // Add Y axis label
-  const yLabel = document.createElementNS("http://www.w3.org/2000/svg", "text");
+  const yLabel = document.createElementNS(SVG_NS, "text");
   yLabel.setAttribute("x", -chartHeight / 2);
   yLabel.setAttribute("y", -35);
   yLabel.setAttribute("text-anchor", "middle");
   yLabel.setAttribute("transform", `rotate(-90, -${chartHeight / 2}, -35)`);
-  yLabel.textContent = "Daily Score";
+  yLabel.textContent = "Score";
   chartGroup.appendChild(yLabel);
 
   svg.appendChild(chartGroup);
-  container.appendChild(svg);
+  return svg;
 }
 
 /**
- * Calculate average score for a day (only enabled domains)
- * Normalizes checkbox values (true=1, false=0) for averaging
- * @param {Object} day - Day record
- * @returns {number} Average score (0-1)
+ * Legend toggles, rolling average select and zoom reset
  */
-function calculateScore(day) {
-  if (!day.domains) return 0;
+function renderControls(state, fullRange, redraw) {
+  const controls = document.createElement("div");
+  controls.className = "graph-controls";
 
-  const enabledDomains = getEnabledDomainNames();
-  const domainConfigs = getAllDomainConfigs();
+  const zoomed =
+    state.range.start !== fullRange.start || state.range.end !== fullRange.end;
 
-  const scores = [];
+  controls.innerHTML = `
+    <div class="graph-legend" role="group" aria-label="Series">
+      ${getSeriesList(getAllDomainConfigs())
+        .map(
+          (s) => `
+        <button
+          type="button"
+          class="graph-legend-item"
+          data-series="${s.key}"
+          aria-pressed="${state.visible.has(s.key)}"
+        >
+          <span class="graph-legend-swatch" style="background: ${
+            s.color
+          }"></span>
+          ${escapeHtml(s.label)}
+        </button>
+      `
+        )
+        .join("")}
+    </div>
+    <div class="graph-options">
+      <label>
+        Rolling average
+        <select class="graph-rolling">
+          ${ROLLING_WINDOWS.map(
+            (days) =>
+              `<option value="${days}" ${
+                days === state.rollingWindow ? "selected" : ""
+              }>${days === 0 ? "Off" : `${days} days`}</option>`
+          ).join("")}
+        </select>
+      </label>
+      ${
+        zoomed
+          ? `<span class="graph-hint">${formatShortDate(
+              state.range.start
+            )} – ${formatShortDate(state.range.end)}</span>
+             <button type="button" class="btn-secondary graph-zoom-reset">Reset zoom</button>`
+          : '<span class="graph-hint">Drag across the graph to zoom</span>'
+      }
+    </div>
+  `;
 
-  enabledDomains.forEach((domain) => {
-    const rawValue = day.domains[domain];
-    if (rawValue !== undefined && rawValue !== null) {
-      const config = domainConfigs[domain] || { type: DomainType.PERCENTAGE };
-      // Normalize to 0-1 range (handles both percentage and checkbox)
-      scores.push(normalizeValue(rawValue, config.type));
+  controls.querySelectorAll(".graph-legend-item").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const key = btn.dataset.series;
+      if (state.visible.has(key)) {
+        state.visible.delete(key);
+      } else {
+        state.visible.add(key);
+      }
+      redraw();
+    });
+  });
+
+  controls.querySelector(".graph-rolling").addEventListener("change", (e) => {
+    state.rollingWindow = Number(e.target.value);
+    redraw();
+  });
+
+  const reset = controls.querySelector(".graph-zoom-reset");
+  if (reset) {
+    reset.addEventListener("click", () => {
+      state.range = fullRange;
+      redraw();
+    });
+  }
+
+  return controls;
+}
+
+/**
+ * Brush-to-zoom: drag across the chart to narrow the date range
+ */
+function attachBrush(svg, state, layout, redraw) {
+  const { width, marginTop, marginLeft, chartWidth, chartHeight } =
+    resolveLayout(layout);
+  const dates = listDates(state.range.start, state.range.end);
+  if (dates.length < 3) return;
+
+  const selection = document.createElementNS(SVG_NS, "rect");
+  selection.setAttribute("y", marginTop);
+  selection.setAttribute("height", chartHeight);
+  selection.setAttribute("width", 0);
+  selection.classList.add("graph-brush");
+  svg.appendChild(selection);
+  svg.classList.add("svg-graph-brushable");
+
+  // Pointer position in chart coordinates, clamped to the chart
+  const toChartX = (event) => {
+    const rect = svg.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * width - marginLeft;
+    return Math.min(Math.max(x, 0), chartWidth);
+  };
+  const toIndex = (x) => Math.round((x / chartWidth) * (dates.length - 1));
+
+  let startX = null;
+
+  svg.addEventListener("pointerdown", (event) => {
+    startX = toChartX(event);
+    svg.setPointerCapture(event.pointerId);
+  });
+
+  svg.addEventListener("pointermove", (event) => {
+    if (startX === null) return;
+    const x = toChartX(event);
+    selection.setAttribute("x", marginLeft + Math.min(startX, x));
+    selection.setAttribute("width", Math.abs(x - startX));
+  });
+
+  svg.addEventListener("pointerup", (event) => {
+    if (startX === null) return;
+    const x = toChartX(event);
+    const from = toIndex(Math.min(startX, x));
+    const to = toIndex(Math.max(startX, x));
+    startX = null;
+    selection.setAttribute("width", 0);
+
+    // Ignore clicks and selections under two days
+    if (to - from < 1) return;
+
+    state.range = { start: dates[from], end: dates[to] };
+    redraw();
+  });
+}
+
+/**
+ * Score plus enabled domains, with labels and colors
+ */
+function getSeriesList(domainConfigs) {
+  const domains = getEnabledDomainNames().sort();
+  return [
+    { key: SCORE_SERIES, label: "Daily score", color: "var(--color-accent)" },
+    ...domains.map((domain, i) => {
+      const { label, color } = getDomainDisplay(domain, domainConfigs[domain]);
+      return {
+        key: domain,
+        label,
+        color: color || SERIES_COLORS[i % SERIES_COLORS.length],
+      };
+    }),
+  ];
+}
+
+/**
+ * Per-domain lines for the score tooltip, by display label
+ */
+function getBreakdown(day, domainConfigs) {
+  if (!day) return [];
+
+  return Object.keys(day.domains || {})
+    .filter((domain) => domainConfigs[domain]?.enabled)
+    .map((domain) => {
+      const { label, icon } = getDomainDisplay(domain, domainConfigs[domain]);
+      const score = calculateDomainScore(day, domain, domainConfigs);
+      return `${icon ? `${icon} ` : ""}${label}: ${
+        score !== null ? score.toFixed(2) : "—"
+      }`;
+    });
+}
+
+/**
+ * Path with a new segment after every gap, or null if nothing to draw
+ */
+function createPath(values, xFor, yFor) {
+  let pathData = "";
+  let penDown = false;
+
+  values.forEach((value, i) => {
+    if (value === null) {
+      penDown = false;
+      return;
     }
+    pathData += `${penDown ? "L" : "M"} ${xFor(i)} ${yFor(value)} `;
+    penDown = true;
   });
 
-  if (scores.length === 0) return 0;
+  if (!pathData) return null;
+
+  const path = document.createElementNS(SVG_NS, "path");
+  path.setAttribute("d", pathData.trim());
+  return path;
+}
+
+/**
+ * Size options with defaults, plus the inner chart size
+ */
+function resolveLayout(layout) {
+  const {
+    width = 800,
+    height = 300,
+    marginTop = 20,
+    marginRight = 20,
+    marginBottom = 40,
+    marginLeft = 50,
+  } = layout;
+
+  return {
+    width,
+    height,
+    marginTop,
+    marginLeft,
+    chartWidth: width - marginLeft - marginRight,
+    chartHeight: height - marginTop - marginBottom,
+  };
+}
+
+/**
+ * Default range: whole months around the data
+ */
+function resolveRange(data, startDate, endDate) {
+  const sorted = data.map((d) => d.date).sort();
+  const today = new Date().toISOString().slice(0, 10);
+  const first = sorted[0] || today;
+  const last = sorted[sorted.length - 1] || today;
+
+  const [year, month] = last.split("-").map(Number);
+  const monthEnd = `${last.slice(0, 7)}-${String(
+    new Date(year, month, 0).getDate()
+  ).padStart(2, "0")}`;
+
+  return {
+    start: startDate || `${first.slice(0, 7)}-01`,
+    end: endDate || monthEnd,
+  };
+}
+
+/**
+ * Up to ~8 evenly spaced tick positions, always including the last day
+ */
+function getTickIndexes(count) {
+  if (count <= 1) return count === 1 ? [0] : [];
+
+  const step = Math.max(1, Math.ceil((count - 1) / 7));
+  const indexes = [];
+  for (let i = 0; i < count - 1; i += step) indexes.push(i);
+
+  // Drop a tick that would crowd the last one
+  if (count - 1 - indexes[indexes.length - 1] < step / 2) indexes.pop();
+  indexes.push(count - 1);
+  return indexes;
+}
+
+/**
+ * Helper: "Jan 5" from an ISO date
+ */
+function formatShortDate(iso) {
+  return new Date(`${iso}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+}
 
-  const sum = scores.reduce((acc, val) => acc + val, 0);
-  return sum / scores.length;
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
 }
@@ -0,0 +1,162 @@
+/**
+ * Graph Export - standalone SVG and PNG files from rendered graphs
+ *
+ * Graphs are styled by components.css (classes and CSS variables), so a
+ * bare copy of the SVG loses its colors outside the app. The export
+ * clones the live SVG and writes each element's computed presentation
+ * properties onto the clone as attributes, which resolves the variables.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Presentation properties worth carrying over (others are layout or motion)
+const STYLE_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+];
+
+export const PNG_SCALES = [1, 2, 3];
+
+/**
+ * Serialize a rendered graph as a standalone SVG document
+ * @param {SVGSVGElement} svg - SVG element currently in the page
+ * @returns {{text: string, width: number, height: number}} Markup and pixel size
+ */
+export function serializeSvg(svg) {
+  const [, , width, height] = svg
+    .getAttribute("viewBox")
+    .split(/[\s,]+/)
+    .map(Number);
+
+  const clone = svg.cloneNode(true);
+  const sources = [svg, ...svg.querySelectorAll("*")];
+  const targets = [clone, ...clone.querySelectorAll("*")];
+
+  sources.forEach((source, i) => {
+    const target = targets[i];
+    const computed = getComputedStyle(source);
+
+    STYLE_PROPERTIES.forEach((property) => {
+      const value = computed.getPropertyValue(property);
+      if (value) target.setAttribute(property, value);
+    });
+
+    // Inline styles only carry animation delays and page sizing
+    target.removeAttribute("style");
+    target.removeAttribute("class");
+  });
+
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+
+  // Graphs are transparent in the page; give the file the surface color
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute(
+    "fill",
+    getComputedStyle(svg).getPropertyValue("--color-surface").trim() ||
+      "#ffffff",
+  );
+  clone.insertBefore(background, clone.firstChild);
+
+  const text = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(
+    clone,
+  )}`;
+
+  return { text, width, height };
+}
+
+/**
+ * Download a graph as an .svg file
+ * @param {SVGSVGElement} svg - SVG element currently in the page
+ * @param {string} filename - File name without extension
+ * @returns {{success: boolean, error?: string}}
+ */
+export function exportSvg(svg, filename) {
+  try {
+    const { text } = serializeSvg(svg);
+    downloadBlob(
+      new Blob([text], { type: "image/svg+xml" }),
+      `${filename}.svg`,
+    );
+
+    console.log(`[GraphExport] Exported ${filename}.svg`);
+    return { success: true };
+  } catch (error) {
+    console.error("[GraphExport] SVG export failed:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Download a graph as a .png file
+ * @param {SVGSVGElement} svg - SVG element currently in the page
+ * @param {string} filename - File name without extension
+ * @param {number} scale - Pixel multiplier over the graph's own size
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function exportPng(svg, filename, scale = 2) {
+  let url = null;
+
+  try {
+    const { text, width, height } = serializeSvg(svg);
+    url = URL.createObjectURL(new Blob([text], { type: "image/svg+xml" }));
+
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error("Could not rasterize the graph"));
+      image.src = url;
+    });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (result) =>
+          result ? resolve(result) : reject(new Error("PNG encoding failed")),
+        "image/png",
+      );
+    });
+    downloadBlob(blob, `${filename}.png`);
+
+    console.log(`[GraphExport] Exported ${filename}.png at ${scale}x`);
+    return { success: true };
+  } catch (error) {
+    console.error("[GraphExport] PNG export failed:", error);
+    return { success: false, error: error.message };
+  } finally {
+    if (url) URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Helper: Download a blob
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
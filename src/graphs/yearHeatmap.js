@@ -0,0 +1,305 @@
+/**
+ * Year Heatmap - domains as rows, months as columns
+ * Each cell is the domain's average normalized score for the month
+ */
+
+import { getEnabledDomainNames } from "../data/storage.js";
+import { calculateDomainAverage } from "../data/scoring.js";
+import {
+  getDomainDisplay,
+  formatValue,
+  DomainType,
+} from "../data/domainTypes.js";
+import { MONTH_NAMES, getMonthData } from "../insights/yearReview.js";
+import { attachHeatmapInteraction } from "./heatmapInteraction.js";
+import { getColorScale, appendColorLegend } from "./colorScales.js";
+
+/**
+ * Render a full year heatmap showing all 12 months
+ * @param {Array} yearData - Day records for the year
+ * @param {HTMLElement} container - DOM element to render into
+ * @param {Object} domainConfigs - Domain configs
+ * @param {Object} options - Configuration options
+ * @param {Function} [options.onOpenMonth] - (year, month) => void, defaults
+ *   to opening the month in the notebook
+ */
+export function renderYearHeatmap(
+  yearData,
+  container,
+  domainConfigs,
+  options = {}
+) {
+  const {
+    year = Number(yearData[0]?.date.slice(0, 4)) || new Date().getFullYear(),
+    onOpenMonth = openMonthInNotebook,
+  } = options;
+  const domains = getEnabledDomainNames().sort();
+
+  // Calculate average score for each domain in each month
+  const monthlyData = [];
+  const monthlyDomainScores = [];
+  for (let month = 1; month <= 12; month++) {
+    const monthData = getMonthData(yearData, month);
+    monthlyData.push(monthData);
+    const monthScores = {};
+
+    domains.forEach((domain) => {
+      monthScores[domain] = calculateDomainAverage(
+        monthData,
+        domain,
+        domainConfigs
+      );
+    });
+
+    monthlyDomainScores.push(monthScores);
+  }
+
+  const cellSize = 50;
+  const cellGap = 4;
+  const labelWidth = 100;
+  const labelHeight = 40;
+
+  const width = labelWidth + (cellSize + cellGap) * 12 + 20;
+  const gridBottom = labelHeight + (cellSize + cellGap) * domains.length;
+  const height = gridBottom + 34;
+  const scale = getColorScale();
+
+  // Create SVG
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.style.width = "100%";
+  svg.style.height = "auto";
+
+  // Add border
+  const border = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  border.setAttribute("x", labelWidth - 5);
+  border.setAttribute("y", labelHeight - 5);
+  border.setAttribute("width", (cellSize + cellGap) * 12 + 5);
+  border.setAttribute("height", (cellSize + cellGap) * domains.length + 5);
+  border.setAttribute("fill", "none");
+  border.style.stroke = "var(--color-border-light)";
+  border.setAttribute("stroke-width", "2");
+  border.setAttribute("rx", "6");
+  svg.appendChild(border);
+
+  // Add month labels at top
+  MONTH_NAMES.forEach((monthName, idx) => {
+    const label = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "text"
+    );
+    label.setAttribute(
+      "x",
+      labelWidth + idx * (cellSize + cellGap) + cellSize / 2
+    );
+    label.setAttribute("y", labelHeight - 15);
+    label.setAttribute("text-anchor", "middle");
+    label.setAttribute("font-size", "12px");
+    label.setAttribute("font-weight", "600");
+    label.style.fill = "var(--color-text-muted)";
+    label.textContent = monthName;
+    svg.appendChild(label);
+  });
+
+  const displays = Object.fromEntries(
+    domains.map((domain) => [
+      domain,
+      getDomainDisplay(domain, domainConfigs[domain]),
+    ])
+  );
+  // Leave room for color swatches if any domain has one
+  const labelOffset = domains.some((d) => displays[d].color) ? 20 : 10;
+
+  // Add domain labels and cells
+  domains.forEach((domain, domainIdx) => {
+    const { label, color, icon, description } = displays[domain];
+    const rowMiddle =
+      labelHeight + domainIdx * (cellSize + cellGap) + cellSize / 2;
+
+    if (color) {
+      const swatch = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "circle"
+      );
+      swatch.setAttribute("cx", labelWidth - 12);
+      swatch.setAttribute("cy", rowMiddle);
+      swatch.setAttribute("r", 4);
+      swatch.setAttribute("fill", color);
+      svg.appendChild(swatch);
+    }
+
+    // Domain label on left
+    const domainLabel = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "text"
+    );
+    domainLabel.setAttribute("x", labelWidth - labelOffset);
+    domainLabel.setAttribute("y", rowMiddle + 5);
+    domainLabel.setAttribute("text-anchor", "end");
+    domainLabel.setAttribute("font-size", "13px");
+    domainLabel.setAttribute("font-weight", "500");
+    domainLabel.style.fill = "var(--color-text)";
+    domainLabel.textContent = icon ? `${icon} ${label}` : label;
+    if (description) {
+      const labelTitle = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "title"
+      );
+      labelTitle.textContent = description;
+      domainLabel.appendChild(labelTitle);
+    }
+    svg.appendChild(domainLabel);
+
+    // Render cells for each month
+    for (let monthIdx = 0; monthIdx < 12; monthIdx++) {
+      const score = monthlyDomainScores[monthIdx][domain];
+      const x = labelWidth + monthIdx * (cellSize + cellGap);
+      const y = labelHeight + domainIdx * (cellSize + cellGap);
+
+      const cell = document.createElementNS(
+        "http://www.w3.org/2000/svg",
+        "rect"
+      );
+      cell.setAttribute("x", x);
+      cell.setAttribute("y", y);
+      cell.setAttribute("width", cellSize);
+      cell.setAttribute("height", cellSize);
+      cell.setAttribute("rx", "4");
+      cell.classList.add("year-heatmap-cell");
+      cell.dataset.row = domainIdx;
+      cell.dataset.col = monthIdx;
+      cell.dataset.domain = domain;
+
+      cell.setAttribute("fill", scale.color(score));
+      if (score === null) cell.classList.add("is-empty");
+
+      svg.appendChild(cell);
+
+      // Add score text if available
+      if (score !== null) {
+        const text = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "text"
+        );
+        text.setAttribute("x", x + cellSize / 2);
+        text.setAttribute("y", y + cellSize / 2 + 5);
+        text.setAttribute("text-anchor", "middle");
+        text.setAttribute("font-size", "11px");
+        text.setAttribute("font-weight", "600");
+        text.setAttribute("fill", scale.textColor(score));
+        text.textContent = score.toFixed(2);
+        svg.appendChild(text);
+      }
+    }
+  });
+
+  appendColorLegend(svg, scale, labelWidth, gridBottom + 14);
+
+  container.innerHTML = "";
+  container.appendChild(svg);
+
+  const monthTitle = (monthIdx) => `${MONTH_NAMES[monthIdx]} ${year}`;
+
+  attachHeatmapInteraction(svg, container, {
+    label: `Year heatmap for ${year}`,
+    describe: (cell) => {
+      const { domain } = cell.dataset;
+      const monthIdx = Number(cell.dataset.col);
+      const value = formatMonthValue(
+        monthlyData[monthIdx],
+        domain,
+        domainConfigs[domain]
+      );
+      return `${displays[domain].label} in ${monthTitle(monthIdx)}: ${value}`;
+    },
+    tooltip: (cell) => {
+      const { domain } = cell.dataset;
+      const monthIdx = Number(cell.dataset.col);
+      const monthData = monthlyData[monthIdx];
+      if (monthData.length === 0) {
+        return `
+          <div class="heatmap-tooltip-title">${monthTitle(monthIdx)}</div>
+          <p class="heatmap-tooltip-empty">No entries</p>
+        `;
+      }
+
+      const rows = domains
+        .map(
+          (d) => `
+        <li${d === domain ? ' class="is-current"' : ""}>
+          <span>${escapeHtml(displays[d].label)}</span>
+          <strong>${escapeHtml(
+            formatMonthValue(monthData, d, domainConfigs[d])
+          )}</strong>
+        </li>`
+        )
+        .join("");
+      const noteDays = monthData.filter((d) => d.notes?.trim()).length;
+      let summary = `${monthData.length} day${
+        monthData.length === 1 ? "" : "s"
+      } tracked`;
+      if (noteDays) summary += `, ${noteDays} with notes`;
+
+      return `
+        <div class="heatmap-tooltip-title">${monthTitle(monthIdx)}</div>
+        <ul class="heatmap-tooltip-values">${rows}</ul>
+        <p class="heatmap-tooltip-note">${summary}</p>
+      `;
+    },
+    open: (cell) => onOpenMonth(year, Number(cell.dataset.col) + 1),
+  });
+}
+
+/**
+ * Open a month in the notebook
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ */
+function openMonthInNotebook(year, month) {
+  window.location.href = `./notebook.html?month=${year}-${String(
+    month
+  ).padStart(2, "0")}`;
+}
+
+/**
+ * Format a domain's monthly average in its own units
+ * Checkboxes show how many tracked days were done
+ * @param {Array} monthData - Day records for the month
+ * @param {string} domain - Domain name
+ * @param {Object} config - Domain config
+ * @returns {string} Display value
+ */
+function formatMonthValue(monthData, domain, config) {
+  const type = config?.type || DomainType.PERCENTAGE;
+  const values = monthData
+    .map((day) => day.domains?.[domain])
+    .filter((value) => value !== undefined && value !== null);
+
+  if (values.length === 0) return "—";
+
+  if (type === DomainType.CHECKBOX) {
+    const done = values.filter((value) => value === true).length;
+    return `${done}/${values.length} days`;
+  }
+
+  const numbers = values.filter((value) => typeof value === "number");
+  if (numbers.length === 0) return "—";
+
+  const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+  const rounded =
+    type === DomainType.PERCENTAGE
+      ? mean
+      : type === DomainType.DURATION
+        ? Math.round(mean)
+        : Math.round(mean * 10) / 10;
+  return `avg ${formatValue(rounded, type, config)}`;
+}
+
+/**
+ * Helper: Escape text for HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
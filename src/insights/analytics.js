@@ -3,12 +3,18 @@
  * Focus on patterns, not scores
  */
 
+import {
+  calculateDailyScore,
+  calculateDomainAverage,
+} from "../data/scoring.js";
+
 /**
  * Analyzes monthly data and generates insights
  * @param {Array} data - Array of day records
+ * @param {Object} domainConfigs - Domain configurations (types, weights)
  * @returns {Array} Array of insight objects
  */
-export function generateInsights(data) {
+export function generateInsights(data, domainConfigs = null) {
   if (!data || data.length === 0) {
     return [
       {
@@ -23,15 +29,15 @@ export function generateInsights(data) {
   const insights = [];
 
   // Calculate overall trend
-  const trend = analyzeTrend(data);
+  const trend = analyzeTrend(data, domainConfigs);
   if (trend) insights.push(trend);
 
   // Find energy patterns
-  const energyPattern = analyzeEnergyPattern(data);
+  const energyPattern = analyzeEnergyPattern(data, domainConfigs);
   if (energyPattern) insights.push(energyPattern);
 
   // Domain correlation
-  const correlation = analyzeDomainCorrelation(data);
+  const correlation = analyzeDomainCorrelation(data, domainConfigs);
   if (correlation) insights.push(correlation);
 
   // Consistency check
@@ -39,7 +45,7 @@ export function generateInsights(data) {
   if (consistency) insights.push(consistency);
 
   // Weekend vs weekday
-  const weekendPattern = analyzeWeekendPattern(data);
+  const weekendPattern = analyzeWeekendPattern(data, domainConfigs);
   if (weekendPattern) insights.push(weekendPattern);
 
   return insights.length > 0
@@ -57,9 +63,9 @@ export function generateInsights(data) {
 /**
  * Analyzes overall trend direction
  */
-function analyzeTrend(data) {
+function analyzeTrend(data, domainConfigs) {
   const scores = data
-    .map((d) => calculateDailyScore(d))
+    .map((d) => calculateDailyScore(d, domainConfigs))
     .filter((s) => s !== null);
   if (scores.length < 5) return null;
 
@@ -98,11 +104,11 @@ function analyzeTrend(data) {
 /**
  * Analyzes energy patterns across the month
  */
-function analyzeEnergyPattern(data) {
+function analyzeEnergyPattern(data, domainConfigs) {
   const scores = data
     .map((d, i) => ({
       day: i + 1,
-      score: calculateDailyScore(d),
+      score: calculateDailyScore(d, domainConfigs),
     }))
     .filter((s) => s.score !== null);
 
@@ -137,24 +143,17 @@ function analyzeEnergyPattern(data) {
 /**
  * Analyzes correlation between domains
  */
-function analyzeDomainCorrelation(data) {
+function analyzeDomainCorrelation(data, domainConfigs) {
   const domains = getAllDomains(data);
   if (domains.length < 2) return null;
 
-  const domainScores = {};
-  domains.forEach((domain) => {
-    domainScores[domain] = data
-      .filter((d) => d.domains && d.domains[domain] !== undefined)
-      .map((d) => d.domains[domain]);
-  });
-
-  // Find domain with lowest average
+  // Find domain with lowest average (normalized by domain type)
   let lowestDomain = null;
   let lowestAvg = 1;
 
-  for (const [domain, scores] of Object.entries(domainScores)) {
-    if (scores.length === 0) continue;
-    const avg = average(scores);
+  for (const domain of domains) {
+    const avg = calculateDomainAverage(data, domain, domainConfigs);
+    if (avg === null) continue;
     if (avg < lowestAvg) {
       lowestAvg = avg;
       lowestDomain = domain;
@@ -202,14 +201,14 @@ function analyzeConsistency(data) {
 /**
  * Analyzes weekend vs weekday patterns
  */
-function analyzeWeekendPattern(data) {
+function analyzeWeekendPattern(data, domainConfigs) {
   const weekdays = [];
   const weekends = [];
 
   data.forEach((d) => {
     const date = new Date(d.date);
     const day = date.getDay();
-    const score = calculateDailyScore(d);
+    const score = calculateDailyScore(d, domainConfigs);
 
     if (score === null) return;
 
@@ -251,13 +250,6 @@ function analyzeWeekendPattern(data) {
  * Helper functions
  */
 
-function calculateDailyScore(day) {
-  if (!day || !day.domains) return null;
-  const scores = Object.values(day.domains);
-  if (scores.length === 0) return null;
-  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
-}
-
 function average(numbers) {
   if (numbers.length === 0) return 0;
   return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
@@ -0,0 +1,265 @@
+/**
+ * Year Review Calculations
+ * Stats, monthly comparison, domain trends and insights for one year.
+ * Shared by the Year Review page and the printable year report.
+ *
+ * Pure: every function takes the year's day records and domain configs.
+ */
+
+import { getAllDomains } from "../data/schema.js";
+import {
+  calculateDailyScore,
+  calculateDomainAverage,
+  calculateDomainScore,
+} from "../data/scoring.js";
+
+export const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/**
+ * Day records for one month
+ * @param {Array} yearData - Day records for the year
+ * @param {number} month - Month (1-12)
+ * @returns {Array} Day records
+ */
+export function getMonthData(yearData, month) {
+  return yearData.filter((d) => Number(d.date.slice(5, 7)) === month);
+}
+
+/**
+ * Average daily score of some days
+ * @param {Array} days - Day records
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {number|null} Average, or null if no day has a score
+ */
+export function averageScore(days, domainConfigs) {
+  const scores = days
+    .map((d) => calculateDailyScore(d, domainConfigs))
+    .filter((s) => s !== null);
+  return scores.length > 0
+    ? scores.reduce((sum, s) => sum + s, 0) / scores.length
+    : null;
+}
+
+/**
+ * Calculate year statistics
+ * @param {Array} yearData - Day records for the year
+ * @param {number} year - Year
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {Object} { totalDays, coverage, avgScore, bestMonth, longestStreak, topDomain }
+ */
+export function calculateYearStats(yearData, year, domainConfigs) {
+  const totalDays = yearData.length;
+  const daysInYear = isLeapYear(year) ? 366 : 365;
+  const coverage = totalDays / daysInYear;
+
+  const avgScore = averageScore(yearData, domainConfigs) ?? 0;
+
+  // Best month
+  const bestMonthObj = calculateMonthlyComparison(yearData, domainConfigs).sort(
+    (a, b) => b.avg - a.avg,
+  )[0];
+  const bestMonth = bestMonthObj ? bestMonthObj.label : "—";
+
+  const longestStreak = calculateLongestStreak(yearData);
+
+  // Top domain
+  let topDomain = "—";
+  let maxAvg = 0;
+  getAllDomains(yearData).forEach((domain) => {
+    const avg = calculateDomainAverage(yearData, domain, domainConfigs) ?? 0;
+    if (avg > maxAvg) {
+      maxAvg = avg;
+      topDomain = capitalizeFirst(domain);
+    }
+  });
+
+  return {
+    totalDays,
+    coverage,
+    avgScore,
+    bestMonth,
+    longestStreak,
+    topDomain,
+  };
+}
+
+/**
+ * Average score per month, for months with data
+ * @param {Array} yearData - Day records for the year
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {Array} [{ month, label, avg, count }]
+ */
+export function calculateMonthlyComparison(yearData, domainConfigs) {
+  const months = [];
+
+  for (let m = 1; m <= 12; m++) {
+    const monthData = getMonthData(yearData, m);
+    if (monthData.length > 0) {
+      months.push({
+        month: m,
+        label: MONTH_NAMES[m - 1],
+        avg: averageScore(monthData, domainConfigs) ?? 0,
+        count: monthData.length,
+      });
+    }
+  }
+
+  return months;
+}
+
+/**
+ * Average and trend for every domain, best first
+ * @param {Array} yearData - Day records for the year
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {Array} [{ domain, avg, trend, count }]
+ */
+export function calculateDomainTrends(yearData, domainConfigs) {
+  const domainStats = [];
+
+  getAllDomains(yearData).forEach((domain) => {
+    const count = yearData.filter(
+      (d) => d.domains && d.domains[domain] !== undefined,
+    ).length;
+
+    const avg = calculateDomainAverage(yearData, domain, domainConfigs) ?? 0;
+    const trend = calculateTrend(yearData, domain, domainConfigs);
+
+    domainStats.push({ domain, avg, trend, count });
+  });
+
+  return domainStats.sort((a, b) => b.avg - a.avg);
+}
+
+/**
+ * Generate insights for the year
+ * @param {Array} yearData - Day records for the year
+ * @param {number} year - Year
+ * @param {Object} domainConfigs - Domain configs
+ * @returns {Array<string>} Insight sentences
+ */
+export function generateYearInsights(yearData, year, domainConfigs) {
+  const insights = [];
+  const stats = calculateYearStats(yearData, year, domainConfigs);
+
+  // Coverage insight
+  if (stats.coverage > 0.9) {
+    insights.push(
+      `Excellent consistency: tracked ${(stats.coverage * 100).toFixed(
+        0,
+      )}% of days`,
+    );
+  } else if (stats.coverage < 0.5) {
+    insights.push(
+      `Low tracking coverage: only ${(stats.coverage * 100).toFixed(
+        0,
+      )}% of days recorded`,
+    );
+  }
+
+  // Performance insight
+  if (stats.avgScore > 0.7) {
+    insights.push(
+      `Strong year overall with ${stats.avgScore.toFixed(2)} average score`,
+    );
+  } else if (stats.avgScore < 0.4) {
+    insights.push(
+      `Challenging year with ${stats.avgScore.toFixed(2)} average score`,
+    );
+  }
+
+  // Streak insight
+  if (stats.longestStreak > 30) {
+    insights.push(`Impressive ${stats.longestStreak}-day tracking streak`);
+  }
+
+  // Seasonal patterns
+  const q1 = getQuarterAvg(yearData, 1, domainConfigs);
+  const q4 = getQuarterAvg(yearData, 4, domainConfigs);
+  if (q1 !== null && q4 !== null) {
+    const diff = q4 - q1;
+    if (diff > 0.15) {
+      insights.push(
+        `Strong finish: Q4 outperformed Q1 by ${(diff * 100).toFixed(0)}%`,
+      );
+    } else if (diff < -0.15) {
+      insights.push(
+        `Started strong: Q1 outperformed Q4 by ${(Math.abs(diff) * 100).toFixed(
+          0,
+        )}%`,
+      );
+    }
+  }
+
+  return insights.length > 0 ? insights : ["Gathering yearly patterns..."];
+}
+
+/**
+ * Helper functions
+ */
+
+function calculateLongestStreak(data) {
+  if (data.length === 0) return 0;
+
+  const dates = data.map((d) => new Date(d.date)).sort((a, b) => a - b);
+  let longest = 1;
+  let current = 1;
+
+  for (let i = 1; i < dates.length; i++) {
+    const dayDiff = (dates[i] - dates[i - 1]) / (1000 * 60 * 60 * 24);
+    if (dayDiff === 1) {
+      current++;
+      longest = Math.max(longest, current);
+    } else {
+      current = 1;
+    }
+  }
+
+  return longest;
+}
+
+function calculateTrend(data, domain, domainConfigs) {
+  const scores = data
+    .map((d) => calculateDomainScore(d, domain, domainConfigs))
+    .filter((s) => s !== null);
+  if (scores.length < 10) return 0;
+
+  const firstHalf = scores.slice(0, Math.floor(scores.length / 2));
+  const secondHalf = scores.slice(Math.floor(scores.length / 2));
+
+  const firstAvg = firstHalf.reduce((sum, s) => sum + s, 0) / firstHalf.length;
+  const secondAvg =
+    secondHalf.reduce((sum, s) => sum + s, 0) / secondHalf.length;
+
+  return secondAvg - firstAvg;
+}
+
+function getQuarterAvg(yearData, quarter, domainConfigs) {
+  const firstMonth = (quarter - 1) * 3 + 1;
+  const quarterData = [firstMonth, firstMonth + 1, firstMonth + 2].flatMap(
+    (month) => getMonthData(yearData, month),
+  );
+
+  if (quarterData.length === 0) return null;
+  return averageScore(quarterData, domainConfigs);
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function capitalizeFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
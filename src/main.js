@@ -8,9 +8,15 @@ import "./styles/layout.css";
 import "./styles/components.css";
 import "./styles/mobile.css";
 
-import { loadMonth, loadSettings } from "./data/storage.js";
+import {
+  loadEntries,
+  loadMonth,
+  loadSettings,
+  getAllDomainConfigs,
+} from "./data/storage.js";
 import { renderLineGraph } from "./graphs/lineGraph.js";
 import { renderHeatmap } from "./graphs/heatmap.js";
+import { renderGraphExport } from "./components/graphExportMenu.js";
 import { generateInsights } from "./insights/analytics.js";
 import { autoMigrate } from "./data/migrate.js";
 import { renderWinSummary } from "./components/winCounter.js";
@@ -19,11 +25,18 @@ import { getTodaysMemory } from "./data/memoryQuery.js";
 import { renderMemoryCard } from "./components/memoryCard.js";
 import { initAuthState } from "./data/persistence/authState.js";
 import { initOfflineIndicator } from "./components/offlineIndicator.js";
+import { initServiceWorker } from "./components/updatePrompt.js";
+import { initTheme, onThemeChange } from "./components/theme.js";
+import { requireUnlock } from "./components/lockScreen.js";
 
 /**
  * Initialize the application
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+
   try {
     // Initialize auth state first (starts listening to auth changes)
     initAuthState();
@@ -33,6 +46,7 @@ async function init() {
 
     // Initialize persistence (auth-aware, will auto-select provider)
     await persistence.init();
+    await loadEntries();
 
     showLoading();
 
@@ -68,33 +82,48 @@ async function init() {
  */
 function renderVisualizations(data) {
   const now = new Date();
+  const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(
+    2,
+    "0",
+  )}`;
 
   // Line graph
   const lineGraphContainer = document.getElementById("line-graph");
   if (lineGraphContainer) {
-    try {
-      renderLineGraph(data, lineGraphContainer);
-    } catch (error) {
-      console.error("Line graph error:", error);
-      lineGraphContainer.innerHTML = `
-        <div class="empty-state">
-          <p>Error: ${error.message}</p>
-        </div>
-      `;
-    }
+    const rangeSelect = document.getElementById("trend-range");
+    renderTrend(lineGraphContainer, Number(rangeSelect.value));
+    rangeSelect.addEventListener("change", () =>
+      renderTrend(lineGraphContainer, Number(rangeSelect.value)),
+    );
+    renderGraphExport(
+      document.getElementById("line-graph-export"),
+      lineGraphContainer,
+      () =>
+        rangeSelect.value === "1"
+          ? `lifelab-trend-${monthKey}`
+          : `lifelab-trend-${monthKey}-last-${rangeSelect.value}-months`,
+    );
   }
 
   // Heatmap (show current month data with month/year context)
   const heatmapContainer = document.getElementById("heatmap");
   if (heatmapContainer) {
-    renderHeatmap(data, heatmapContainer, {
+    const heatmapOptions = {
       year: now.getFullYear(),
       month: now.getMonth() + 1,
-    });
+    };
+    renderHeatmap(data, heatmapContainer, heatmapOptions);
+    // Cell colors come from the palette's light or dark variant
+    onThemeChange(() => renderHeatmap(data, heatmapContainer, heatmapOptions));
+    renderGraphExport(
+      document.getElementById("heatmap-export"),
+      heatmapContainer,
+      () => `lifelab-overview-${monthKey}`,
+    );
   }
 
   // Insights
-  const insights = generateInsights(data);
+  const insights = generateInsights(data, getAllDomainConfigs());
   const insightsList = document.getElementById("insights-list");
   if (insightsList) {
     insightsList.innerHTML = insights
@@ -109,6 +138,48 @@ function renderVisualizations(data) {
   }
 }
 
+/**
+ * Render the trend graph over the last few months
+ * @param {HTMLElement} container - Graph container
+ * @param {number} months - Months to show, ending with the current one
+ */
+function renderTrend(container, months) {
+  const now = new Date();
+  const data = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    data.push(...loadMonth(date.getFullYear(), date.getMonth() + 1));
+  }
+
+  const first = new Date(now.getFullYear(), now.getMonth() - months + 1, 1);
+  const last = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+
+  try {
+    renderLineGraph(data, container, {
+      interactive: true,
+      startDate: toISODate(first),
+      endDate: toISODate(last),
+    });
+  } catch (error) {
+    console.error("Line graph error:", error);
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>Error: ${error.message}</p>
+      </div>
+    `;
+  }
+}
+
+/**
+ * Helper: Local date as YYYY-MM-DD
+ */
+function toISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0",
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
 /**
  * Renders an insight card with icon and styling
  */
@@ -30,6 +30,8 @@ import {
   dismissMigration,
   clearLocalData,
 } from "../data/persistence/migration.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme } from "../components/theme.js";
 
 // Auth mode state
 let isSignUpMode = false;
@@ -38,6 +40,9 @@ let isSignUpMode = false;
  * Initialize auth page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+
   console.log("Auth page initialized");
 
   // Check if user is already authenticated
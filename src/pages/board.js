@@ -24,6 +24,9 @@ import {
   getStarterDismissed,
   saveStarterDismissed,
 } from "../data/boardStore.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme } from "../components/theme.js";
+import { requireUnlock } from "../components/lockScreen.js";
 
 // State management
 let cardIdCounter = 0;
@@ -34,6 +37,10 @@ let dragOffset = { x: 0, y: 0 };
  * Initialize the Visualization Board
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+
   console.log(
     "Visualization Board - Phase 9-10: Accessibility & Final Review complete",
   );
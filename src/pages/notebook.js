@@ -9,6 +9,7 @@ import "../styles/components.css";
 import "../styles/mobile.css";
 
 import {
+  loadEntries,
   loadMonth,
   saveDayEntry,
   deleteDayEntry,
@@ -24,11 +25,23 @@ import {
 } from "../data/export.js";
 import { getTodaysMemory } from "../data/memoryQuery.js";
 import { renderMemoryCard } from "../components/memoryCard.js";
-import { formatValue, DomainType } from "../data/domainTypes.js";
+import {
+  formatValue,
+  getDomainDisplay,
+  DomainType,
+} from "../data/domainTypes.js";
+import { calculateDailyScore } from "../data/scoring.js";
 import {
   inviteAfterEntry,
   inviteAfterFullDay,
 } from "../components/authInvitation.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme } from "../components/theme.js";
+import { requireUnlock } from "../components/lockScreen.js";
+import {
+  ShortcutAction,
+  consumeLaunchAction,
+} from "../components/appShortcuts.js";
 
 let currentYear = new Date().getFullYear();
 let currentMonth = new Date().getMonth() + 1;
@@ -38,12 +51,49 @@ let currentData = [];
  * Initialize notebook page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+  await loadEntries();
+
+  const requestedDate = consumeRequestedPeriod();
+
   updateMonthDisplay();
   loadMonthData();
   setupNavigation();
   renderQuickEntryWidget();
   renderExportOptions();
   await renderMemoryAid();
+
+  // Heatmap drill-down opens the clicked day for editing
+  if (requestedDate) {
+    const dayData = currentData.find((d) => d.date === requestedDate);
+    showEditForm(requestedDate, dayData || null);
+  }
+}
+
+/**
+ * Read a ?date=YYYY-MM-DD or ?month=YYYY-MM link, and consume it
+ * Switches the notebook to that month. The parameter is removed so a
+ * reload doesn't reopen the edit form.
+ * @returns {string|null} Requested day to edit, if any
+ */
+function consumeRequestedPeriod() {
+  const url = new URL(window.location.href);
+  const date = url.searchParams.get("date");
+  const month = url.searchParams.get("month");
+  if (!date && !month) return null;
+
+  url.searchParams.delete("date");
+  url.searchParams.delete("month");
+  window.history.replaceState(null, "", url.pathname + url.search + url.hash);
+
+  const match = (date || month).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+
+  currentYear = Number(match[1]);
+  currentMonth = Number(match[2]);
+  return date && match[3] ? date : null;
 }
 
 /**
@@ -109,13 +159,16 @@ function renderNotebookTable() {
 
   // Get enabled domains from settings
   const domainList = getEnabledDomainNames().sort();
+  const domainConfigs = getAllDomainConfigs();
 
   const table = `
     <table class="data-table">
       <thead>
         <tr>
           <th>Date</th>
-          ${domainList.map((d) => `<th>${capitalizeFirst(d)}</th>`).join("")}
+          ${domainList
+            .map((d) => renderDomainHeader(d, domainConfigs[d]))
+            .join("")}
           <th>Avg</th>
           <th>Notes</th>
           <th>Actions</th>
@@ -139,16 +192,30 @@ function renderNotebookTable() {
   });
 
   container.querySelectorAll(".btn-delete").forEach((btn) => {
-    btn.addEventListener("click", (e) => {
+    btn.addEventListener("click", async (e) => {
       const date = e.target.dataset.date;
       if (confirm(`Delete entry for ${date}?`)) {
-        deleteDayEntry(date);
+        if (!(await deleteDayEntry(date))) {
+          alert("Failed to delete entry");
+        }
         loadMonthData();
       }
     });
   });
 }
 
+/**
+ * Render a domain column header with its display metadata
+ */
+function renderDomainHeader(domain, config) {
+  const { label, color, icon, description } = getDomainDisplay(domain, config);
+  return `
+    <th title="${escapeAttr(description)}"${
+      color ? ` style="border-bottom: 3px solid ${escapeAttr(color)}"` : ""
+    }>${icon ? `${escapeHtml(icon)} ` : ""}${escapeHtml(label)}</th>
+  `;
+}
+
 /**
  * Render a single table row
  */
@@ -159,9 +226,9 @@ function renderTableRow(day, domainList) {
     const value = day.domains[d];
     const config = domainConfigs[d] || { type: DomainType.PERCENTAGE };
     if (value === undefined || value === null) return "—";
-    return formatValue(value, config.type);
+    return formatValue(value, config.type, config);
   });
-  const avg = calculateAverage(day);
+  const avg = calculateDailyScore(day, domainConfigs);
   const formattedDate = new Date(day.date + "T00:00:00").toLocaleDateString(
     "en-US",
     {
@@ -199,18 +266,6 @@ function renderTableRow(day, domainList) {
   `;
 }
 
-/**
- * Calculate average score for a day
- */
-function calculateAverage(day) {
-  if (!day.domains) return null;
-  const scores = Object.values(day.domains).filter(
-    (s) => typeof s === "number",
-  );
-  if (scores.length === 0) return null;
-  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
-}
-
 /**
  * Truncate notes for table display
  */
@@ -261,6 +316,11 @@ function renderQuickEntryWidget() {
   // Track if this is the first entry
   const isFirstEntry = currentData.length === 0;
 
+  // "Quick entry" home-screen shortcut jumps to the widget
+  if (consumeLaunchAction(ShortcutAction.QUICK_ENTRY)) {
+    focusQuickEntry(container);
+  }
+
   renderQuickEntry(container, async (data) => {
     await saveDayEntry(data);
     loadMonthData();
@@ -288,6 +348,18 @@ function renderQuickEntryWidget() {
   });
 }
 
+/**
+ * Scroll to the quick entry widget and focus its first field
+ * @param {HTMLElement} container - Quick entry container
+ */
+function focusQuickEntry(container) {
+  requestAnimationFrame(() => {
+    container.scrollIntoView({ block: "start" });
+    const firstField = container.querySelector("input, select, textarea");
+    if (firstField) firstField.focus();
+  });
+}
+
 /**
  * Render export options
  */
@@ -317,10 +389,19 @@ function renderExportOptions() {
 }
 
 /**
- * Helper: Capitalize first letter
+ * Helper: Escape text for HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Helper: Escape text for a double-quoted attribute
  */
-function capitalizeFirst(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
 }
 
 /**
@@ -22,6 +22,14 @@ import {
   deleteReflection,
 } from "../data/reflectionStore.js";
 import { getPrompts } from "../data/reflectionPrompts.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme } from "../components/theme.js";
+import { requireUnlock } from "../components/lockScreen.js";
+import { renderMarkdownExport } from "../components/markdownExportForm.js";
+import {
+  ShortcutAction,
+  consumeLaunchAction,
+} from "../components/appShortcuts.js";
 
 let currentView = "list"; // "list" | "write" | "read"
 let currentReflectionId = null;
@@ -31,6 +39,16 @@ let selectedPrompt = null;
  * Initialize reflection page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+
+  // "New reflection" home-screen shortcut skips the list
+  if (consumeLaunchAction(ShortcutAction.NEW_REFLECTION)) {
+    renderWriteView();
+    return;
+  }
+
   renderListView();
 }
 
@@ -70,9 +88,15 @@ async function renderListView() {
                 .join("")
         }
       </div>
+
+      <div id="reflection-export"></div>
     </div>
   `;
 
+  if (reflections.length > 0) {
+    renderMarkdownExport(document.getElementById("reflection-export"));
+  }
+
   // Event listeners
   document
     .getElementById("new-reflection-btn")
@@ -0,0 +1,54 @@
+/**
+ * Page Registry
+ *
+ * Every HTML page in the app, in navigation order.
+ * The build (vite.config.js) checks this list against the *.html files
+ * at the project root, and the shared navigation is generated from it -
+ * a page missing here fails the build instead of silently disappearing.
+ *
+ * Plain data only: this module is also imported by vite.config.js (Node).
+ */
+
+/**
+ * Registered page
+ * @typedef {Object} PageDefinition
+ * @property {string} name - Build input name
+ * @property {string} file - HTML file at the project root
+ * @property {string} label - Navigation label
+ * @property {boolean} nav - Whether the page appears in the navigation
+ */
+
+/** @type {Array<PageDefinition>} */
+export const PAGES = [
+  { name: "main", file: "index.html", label: "Home", nav: true },
+  { name: "notebook", file: "notebook.html", label: "Notebook", nav: true },
+  { name: "wins", file: "wins.html", label: "Win Ledger", nav: true },
+  {
+    name: "reflection",
+    file: "reflection.html",
+    label: "Reflection",
+    nav: true,
+  },
+  { name: "board", file: "board.html", label: "Board", nav: true },
+  { name: "year", file: "year.html", label: "Year Review", nav: true },
+  { name: "about", file: "about.html", label: "About", nav: true },
+  // Reached from the settings icon and sign-in prompts, not the nav
+  { name: "settings", file: "settings.html", label: "Settings", nav: false },
+  { name: "auth", file: "auth.html", label: "Sign In", nav: false },
+  // Opened from Year Review
+  {
+    name: "yearReport",
+    file: "year-report.html",
+    label: "Year Report",
+    nav: false,
+  },
+];
+
+/**
+ * Find a page by its HTML file
+ * @param {string} file - HTML file name (e.g. "wins.html")
+ * @returns {PageDefinition|undefined} Page definition
+ */
+export function getPage(file) {
+  return PAGES.find((page) => page.file === file);
+}
@@ -9,20 +9,47 @@ import "../styles/components.css";
 import "../styles/mobile.css";
 
 import {
+  loadEntries,
   loadSettings,
   saveSettings,
   clearAllData,
   loadFromLocalStorage,
+  saveDayEntry,
 } from "../data/storage.js";
 import { renderImportExportUI, exportFullBackup } from "../data/export.js";
 import { mergeImportedData } from "../data/storage.js";
 import { renderExportImportUI } from "../data/exportImport.js";
-import { persistence } from "../data/persistence/manager.js";
+import {
+  persistence,
+  DataTypes,
+  EncryptionStatus,
+  SnapshotReason,
+} from "../data/persistence/manager.js";
+import {
+  SNAPSHOT_RETENTION_DAYS,
+  SNAPSHOT_TYPES,
+  listSnapshots,
+} from "../data/persistence/snapshotStore.js";
+import {
+  ConflictPolicy,
+  DEFAULT_CONFLICT_POLICY,
+  loadConflicts,
+  dismissConflict,
+} from "../data/persistence/syncEngine.js";
 import {
   DomainType,
+  DomainTypeLabels,
   createDomainConfig,
+  getTypeDefaults,
+  getTypeOptionsError,
+  getDomainDisplay,
   migrateDomainSettings,
 } from "../data/domainTypes.js";
+import {
+  renameDomain,
+  mergeDomains,
+  setDomainArchived,
+} from "../data/domainLifecycle.js";
 import {
   isAuthenticated,
   onAuthStateChange,
@@ -32,6 +59,31 @@ import { getFirebaseAuth } from "../data/persistence/firebaseConfig.js";
 import { signOut, deleteUser } from "firebase/auth";
 import { exportToFile } from "../data/exportImport.js";
 import { deleteUserData } from "../data/persistence/userDataCleanup.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import {
+  Theme,
+  DEFAULT_THEME,
+  initTheme,
+  applyTheme,
+} from "../components/theme.js";
+import { requireUnlock, lockNow } from "../components/lockScreen.js";
+import {
+  AUTO_LOCK_OPTIONS,
+  DEFAULT_AUTO_LOCK_MINUTES,
+  MIN_PASSCODE_LENGTH,
+  isAppLockEnabled,
+  getAutoLockMinutes,
+  setAutoLockMinutes,
+  enableAppLock,
+  disableAppLock,
+} from "../data/appLock.js";
+import {
+  PALETTES,
+  ColorBinning,
+  DEFAULT_PALETTE,
+  DEFAULT_BINNING,
+  getColorScale,
+} from "../graphs/colorScales.js";
 
 let currentSettings = {};
 
@@ -39,12 +91,20 @@ let currentSettings = {};
  * Initialize settings page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+  await loadEntries();
+
   currentSettings = loadSettings();
   renderDomainConfig();
   renderDataStats();
   renderExportImport();
   renderDangerZone();
   renderPreferences();
+  renderSyncConflicts();
+  renderEncryption();
+  renderSnapshots();
 }
 
 /**
@@ -56,9 +116,13 @@ function renderDomainConfig() {
   // Migrate domains if needed
   currentSettings.domains = migrateDomainSettings(currentSettings.domains);
 
+  const entries = Object.entries(currentSettings.domains);
+  const active = entries.filter(([_, config]) => !config.archived);
+  const archived = entries.filter(([_, config]) => config.archived);
+
   container.innerHTML = `
     <div class="domain-list">
-      ${Object.entries(currentSettings.domains)
+      ${active
         .map(
           ([domain, config]) => `
         <div class="domain-item-row">
@@ -69,21 +133,54 @@ function renderDomainConfig() {
               data-domain="${domain}" 
               ${config.enabled ? "checked" : ""}
             />
-            <span>${capitalizeFirst(domain)}</span>
+            ${renderDomainName(domain, config)}
           </label>
           <select class="domain-type-select" data-domain="${domain}">
-            <option value="${DomainType.PERCENTAGE}" ${
-              config.type === DomainType.PERCENTAGE ? "selected" : ""
-            }>Percentage (0-100%)</option>
-            <option value="${DomainType.CHECKBOX}" ${
-              config.type === DomainType.CHECKBOX ? "selected" : ""
-            }>Checkbox (Done/Not Done)</option>
+            ${renderTypeOptions(config.type)}
           </select>
+          <div class="domain-type-options" data-domain="${domain}">
+            ${renderTypeSettings(config)}
+          </div>
+          <div class="domain-score-options" data-domain="${domain}">
+            <label>Weight
+              <input type="number" class="domain-weight" min="0" max="10" step="0.5" value="${
+                config.weight ?? 1
+              }" />
+            </label>
+            <label>
+              <input type="checkbox" class="domain-include-score" ${
+                config.includeInScore === false ? "" : "checked"
+              } />
+              Count in daily score
+            </label>
+          </div>
+          ${renderDomainManage(domain, config, active)}
         </div>
       `,
         )
         .join("")}
     </div>
+
+    ${
+      archived.length > 0
+        ? `
+      <div class="domain-archived">
+        <h3>Archived</h3>
+        <p class="preference-description">Hidden from entry and graphs. Their history is kept.</p>
+        ${archived
+          .map(
+            ([domain, config]) => `
+          <div class="domain-archived-row">
+            ${renderDomainName(domain, config)}
+            <button class="btn-secondary domain-restore-btn" data-domain="${domain}">Restore</button>
+          </div>
+        `,
+          )
+          .join("")}
+      </div>
+    `
+        : ""
+    }
     
     <div class="add-domain">
       <input 
@@ -92,8 +189,7 @@ function renderDomainConfig() {
         placeholder="Add new domain" 
       />
       <select id="new-domain-type">
-        <option value="${DomainType.PERCENTAGE}">Percentage</option>
-        <option value="${DomainType.CHECKBOX}">Checkbox</option>
+        ${renderTypeOptions(DomainType.PERCENTAGE)}
       </select>
       <button class="btn-secondary" id="add-domain-btn">Add</button>
     </div>
@@ -101,6 +197,30 @@ function renderDomainConfig() {
     <button class="btn-primary" id="save-domains">Save Changes</button>
   `;
 
+  // Swap the type-specific fields when a domain's type changes
+  container.querySelectorAll(".domain-type-select").forEach((select) => {
+    select.addEventListener("change", () => {
+      const options = container.querySelector(
+        `.domain-type-options[data-domain="${select.dataset.domain}"]`,
+      );
+      options.innerHTML = renderTypeSettings(createDomainConfig(select.value));
+    });
+  });
+
+  // Color pickers can't be empty, so track whether a color was chosen
+  container.querySelectorAll('[data-meta="color"]').forEach((input) => {
+    input.addEventListener("input", () => {
+      input.dataset.set = "true";
+    });
+  });
+  container.querySelectorAll(".domain-color-clear").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      btn.previousElementSibling.dataset.set = "";
+    });
+  });
+
+  setupDomainLifecycle(container);
+
   // Attach event listeners
   container
     .querySelector("#add-domain-btn")
@@ -110,6 +230,295 @@ function renderDomainConfig() {
     .addEventListener("click", saveDomainSettings);
 }
 
+/**
+ * Render a domain's swatch, icon and label
+ * @param {string} domain - Domain name
+ * @param {Object} config - Domain config
+ * @returns {string} HTML string
+ */
+function renderDomainName(domain, config) {
+  const { label, color, icon, description } = getDomainDisplay(domain, config);
+  return `
+    <span class="domain-name-display" title="${escapeAttr(description)}">
+      ${
+        color
+          ? `<span class="domain-swatch" style="background: ${escapeAttr(
+              color,
+            )}"></span>`
+          : ""
+      }
+      ${icon ? `<span class="domain-icon">${escapeHtml(icon)}</span>` : ""}
+      ${escapeHtml(label)}
+    </span>
+  `;
+}
+
+/**
+ * Render display metadata fields and rename/merge/archive actions
+ * @param {string} domain - Domain name
+ * @param {Object} config - Domain config
+ * @param {Array} active - [name, config] pairs of non-archived domains
+ * @returns {string} HTML string
+ */
+function renderDomainManage(domain, config, active) {
+  const mergeTargets = active.filter(
+    ([other, otherConfig]) =>
+      other !== domain && otherConfig.type === config.type,
+  );
+
+  return `
+    <details class="domain-manage" data-domain="${domain}">
+      <summary>Manage</summary>
+      <div class="domain-meta">
+        <label>Label
+          <input type="text" data-meta="label" value="${escapeAttr(
+            config.label || "",
+          )}" placeholder="${escapeAttr(capitalizeFirst(domain))}" />
+        </label>
+        <label>Icon
+          <input type="text" data-meta="icon" maxlength="4" value="${escapeAttr(
+            config.icon || "",
+          )}" placeholder="🏃" />
+        </label>
+        <label>Color
+          <input type="color" data-meta="color" value="${
+            config.color || "#4299e1"
+          }" data-set="${config.color ? "true" : ""}" />
+          <button type="button" class="btn-icon domain-color-clear" title="No color">×</button>
+        </label>
+        <label class="domain-meta-description">Description
+          <input type="text" data-meta="description" value="${escapeAttr(
+            config.description || "",
+          )}" placeholder="What this domain tracks" />
+        </label>
+      </div>
+      <div class="domain-lifecycle">
+        <div class="domain-lifecycle-action">
+          <input type="text" class="domain-rename-input" placeholder="New name" />
+          <button type="button" class="btn-secondary domain-rename-btn">Rename</button>
+        </div>
+        <div class="domain-lifecycle-action">
+          <select class="domain-merge-select" ${
+            mergeTargets.length === 0 ? "disabled" : ""
+          }>
+            ${
+              mergeTargets.length === 0
+                ? "<option>No domain of the same type</option>"
+                : mergeTargets
+                    .map(
+                      ([other, otherConfig]) =>
+                        `<option value="${other}">${escapeHtml(
+                          getDomainDisplay(other, otherConfig).label,
+                        )}</option>`,
+                    )
+                    .join("")
+            }
+          </select>
+          <button type="button" class="btn-secondary domain-merge-btn" ${
+            mergeTargets.length === 0 ? "disabled" : ""
+          }>Merge into</button>
+        </div>
+        <button type="button" class="btn-secondary domain-archive-btn">Archive</button>
+      </div>
+      <p class="preference-description">Renaming and merging rewrite every stored day. A snapshot is taken first.</p>
+    </details>
+  `;
+}
+
+/**
+ * Wire rename, merge, archive and restore buttons
+ * These apply immediately and reload settings from storage.
+ * @param {HTMLElement} container - Domain config container
+ */
+function setupDomainLifecycle(container) {
+  const afterChange = (result, message) => {
+    if (!result.success) {
+      alert(`Failed: ${result.error}`);
+      return;
+    }
+    alert(message);
+    currentSettings = loadSettings();
+    renderDomainConfig();
+    renderSnapshots();
+  };
+
+  container.querySelectorAll(".domain-manage").forEach((manage) => {
+    const domain = manage.dataset.domain;
+
+    manage
+      .querySelector(".domain-rename-btn")
+      .addEventListener("click", async () => {
+        const newName = manage
+          .querySelector(".domain-rename-input")
+          .value.trim()
+          .toLowerCase();
+        if (!newName) {
+          alert("Please enter a domain name");
+          return;
+        }
+        if (
+          !confirm(
+            `Rename "${domain}" to "${newName}" everywhere in your history?\n\n` +
+              "Unsaved changes on this page will be discarded.",
+          )
+        ) {
+          return;
+        }
+
+        const result = await renameDomain(domain, newName);
+        afterChange(
+          result,
+          `Renamed "${domain}" to "${newName}" (${result.changedDays} days updated).`,
+        );
+      });
+
+    manage
+      .querySelector(".domain-merge-btn")
+      .addEventListener("click", async () => {
+        const target = manage.querySelector(".domain-merge-select").value;
+        if (
+          !confirm(
+            `Merge "${domain}" into "${target}"?\n\n` +
+              `"${domain}" is removed and its values move to "${target}". ` +
+              `On days with both, "${target}" keeps its value.\n\n` +
+              "Unsaved changes on this page will be discarded.",
+          )
+        ) {
+          return;
+        }
+
+        const result = await mergeDomains(domain, target);
+        afterChange(
+          result,
+          `Merged "${domain}" into "${target}" (${result.changedDays} days updated` +
+            (result.droppedValues
+              ? `, ${result.droppedValues} overlapping values dropped).`
+              : ")."),
+        );
+      });
+
+    manage
+      .querySelector(".domain-archive-btn")
+      .addEventListener("click", async () => {
+        if (
+          !confirm(
+            `Archive "${domain}"? It will be hidden but its history is kept.\n\n` +
+              "Unsaved changes on this page will be discarded.",
+          )
+        ) {
+          return;
+        }
+
+        afterChange(
+          await setDomainArchived(domain, true),
+          `Archived "${domain}".`,
+        );
+      });
+  });
+
+  container.querySelectorAll(".domain-restore-btn").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const domain = btn.dataset.domain;
+      afterChange(
+        await setDomainArchived(domain, false),
+        `Restored "${domain}".`,
+      );
+    });
+  });
+}
+
+/**
+ * Read display metadata fields back into a config object
+ * @param {HTMLElement} manageEl - .domain-manage element
+ * @returns {Object} {label, color, icon, description} (unset fields omitted)
+ */
+function collectDomainMeta(manageEl) {
+  const meta = {};
+
+  ["label", "icon", "description"].forEach((key) => {
+    const value = manageEl.querySelector(`[data-meta="${key}"]`).value.trim();
+    if (value) meta[key] = value;
+  });
+
+  const color = manageEl.querySelector('[data-meta="color"]');
+  if (color.dataset.set) meta.color = color.value;
+
+  return meta;
+}
+
+/**
+ * Render <option> list for every domain type
+ * @param {string} selectedType - Currently selected type
+ * @returns {string} HTML string
+ */
+function renderTypeOptions(selectedType) {
+  return Object.values(DomainType)
+    .map(
+      (type) =>
+        `<option value="${type}" ${type === selectedType ? "selected" : ""}>${
+          DomainTypeLabels[type]
+        }</option>`,
+    )
+    .join("");
+}
+
+/**
+ * Render type-specific fields (target, scale, unit) for a domain
+ * @param {Object} config - Domain config
+ * @returns {string} HTML string
+ */
+function renderTypeSettings(config) {
+  const scale = { ...getTypeDefaults(config.type), ...config };
+
+  switch (config.type) {
+    case DomainType.COUNT:
+    case DomainType.DURATION:
+      return `
+        <label>Target${config.type === DomainType.DURATION ? " (min)" : ""}
+          <input type="number" data-option="target" min="1" step="1" value="${scale.target}" />
+        </label>`;
+    case DomainType.RATING:
+      return `
+        <label>Scale 1 to
+          <input type="number" data-option="max" min="2" max="10" step="1" value="${scale.max}" />
+        </label>`;
+    case DomainType.NUMERIC:
+      return `
+        <label>Min
+          <input type="number" data-option="min" step="any" value="${scale.min}" />
+        </label>
+        <label>Max
+          <input type="number" data-option="max" step="any" value="${scale.max}" />
+        </label>
+        <label>Unit
+          <input type="text" data-option="unit" value="${scale.unit}" placeholder="kg, km…" />
+        </label>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Read type-specific fields back into a config object
+ * @param {HTMLElement} optionsEl - .domain-type-options element
+ * @param {string} type - Selected domain type
+ * @returns {Object} Options to merge into the domain config
+ */
+function collectTypeSettings(optionsEl, type) {
+  const options = getTypeDefaults(type);
+
+  optionsEl.querySelectorAll("[data-option]").forEach((input) => {
+    const key = input.dataset.option;
+    if (key === "unit") {
+      options.unit = input.value.trim();
+    } else if (input.value !== "" && !isNaN(parseFloat(input.value))) {
+      options[key] = parseFloat(input.value);
+    }
+  });
+
+  return options;
+}
+
 /**
  * Add a new domain
  */
@@ -141,6 +550,24 @@ async function saveDomainSettings() {
   const checkboxes = document.querySelectorAll(".domain-checkbox");
   const typeSelects = document.querySelectorAll(".domain-type-select");
 
+  // The inputs' min/max attributes aren't enforced on save
+  const problems = [...typeSelects]
+    .map((select) => {
+      const optionsEl = document.querySelector(
+        `.domain-type-options[data-domain="${select.dataset.domain}"]`,
+      );
+      const error = getTypeOptionsError(
+        select.value,
+        collectTypeSettings(optionsEl, select.value),
+      );
+      return error ? `• ${select.dataset.domain}: ${error}` : null;
+    })
+    .filter(Boolean);
+  if (problems.length > 0) {
+    alert(`Domain settings not saved:\n\n${problems.join("\n")}`);
+    return;
+  }
+
   // Update enabled status
   checkboxes.forEach((cb) => {
     const domain = cb.dataset.domain;
@@ -149,11 +576,39 @@ async function saveDomainSettings() {
     }
   });
 
-  // Update domain types
+  // Update domain types, type-specific options and scoring
   typeSelects.forEach((select) => {
     const domain = select.dataset.domain;
     if (currentSettings.domains[domain]) {
-      currentSettings.domains[domain].type = select.value;
+      const optionsEl = document.querySelector(
+        `.domain-type-options[data-domain="${domain}"]`,
+      );
+      const scoreEl = document.querySelector(
+        `.domain-score-options[data-domain="${domain}"]`,
+      );
+      const manageEl = document.querySelector(
+        `.domain-manage[data-domain="${domain}"]`,
+      );
+      const weight = parseFloat(scoreEl.querySelector(".domain-weight").value);
+      const {
+        target,
+        min,
+        max,
+        unit,
+        label,
+        color,
+        icon,
+        description,
+        ...rest
+      } = currentSettings.domains[domain];
+      currentSettings.domains[domain] = {
+        ...rest,
+        type: select.value,
+        ...collectTypeSettings(optionsEl, select.value),
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : 1,
+        includeInScore: scoreEl.querySelector(".domain-include-score").checked,
+        ...collectDomainMeta(manageEl),
+      };
     }
   });
 
@@ -276,25 +731,32 @@ function renderDangerZone() {
   }
 
   // Clear local data
-  container.querySelector("#clear-all-data").addEventListener("click", () => {
-    const confirmed = confirm(
-      "Are you ABSOLUTELY SURE you want to delete all data?\n\n" +
-        "This action cannot be undone!\n\n" +
-        "Make sure you have exported your data first.",
-    );
+  container
+    .querySelector("#clear-all-data")
+    .addEventListener("click", async () => {
+      const confirmed = confirm(
+        "Are you ABSOLUTELY SURE you want to delete all data?\n\n" +
+          "This action cannot be undone!\n\n" +
+          "Make sure you have exported your data first.",
+      );
 
-    if (!confirmed) return;
+      if (!confirmed) return;
 
-    const doubleCheck = prompt('Type "DELETE ALL" to confirm:');
-    if (doubleCheck === "DELETE ALL") {
-      if (clearAllData()) {
-        alert("All data has been cleared");
-        renderDataStats();
-      } else {
-        alert("Failed to clear data");
+      const doubleCheck = prompt('Type "DELETE ALL" to confirm:');
+      if (doubleCheck === "DELETE ALL") {
+        if (!(await takeSafetySnapshot(SnapshotReason.CLEAR))) return;
+
+        if (await clearAllData()) {
+          alert(
+            "All data has been cleared. It can be restored from Snapshots.",
+          );
+          renderDataStats();
+          renderSnapshots();
+        } else {
+          alert("Failed to clear data");
+        }
       }
-    }
-  });
+    });
 }
 
 /**
@@ -302,9 +764,29 @@ function renderDangerZone() {
  */
 function renderPreferences() {
   const container = document.getElementById("preferences");
+  const policy = currentSettings.syncConflictPolicy || DEFAULT_CONFLICT_POLICY;
+  const palette = currentSettings.colorPalette || DEFAULT_PALETTE;
+  const binning = currentSettings.colorBinning || DEFAULT_BINNING;
+  const theme = currentSettings.theme || DEFAULT_THEME;
 
   container.innerHTML = `
     <div class="preference-list">
+      <div class="preference-item">
+        <label for="theme-select">Theme</label>
+        <select id="theme-select">
+          <option value="${Theme.LIGHT}" ${
+            theme === Theme.LIGHT ? "selected" : ""
+          }>Light</option>
+          <option value="${Theme.DARK}" ${
+            theme === Theme.DARK ? "selected" : ""
+          }>Dark</option>
+          <option value="${Theme.SYSTEM}" ${
+            theme === Theme.SYSTEM ? "selected" : ""
+          }>Match system</option>
+        </select>
+        <p class="preference-description">Dark is easier on the eyes for late-night journaling. Graphs and heatmaps follow it.</p>
+      </div>
+
       <div class="preference-item">
         <label>First Day of Week</label>
         <select id="first-day-select">
@@ -328,24 +810,815 @@ function renderPreferences() {
         </label>
         <p class="preference-description">Show past entries from the same date or month. Optional and dismissible.</p>
       </div>
+
+      <div class="preference-item">
+        <label>When Devices Disagree</label>
+        <select id="conflict-policy-select">
+          <option value="${ConflictPolicy.NEWEST_WINS}" ${
+            policy === ConflictPolicy.NEWEST_WINS ? "selected" : ""
+          }>Newest edit wins</option>
+          <option value="${ConflictPolicy.KEEP_BOTH}" ${
+            policy === ConflictPolicy.KEEP_BOTH ? "selected" : ""
+          }>Keep both copies</option>
+        </select>
+        <p class="preference-description">Used when the same thing was edited on two devices before syncing. Conflicts are always listed under Sync Review.</p>
+      </div>
+
+      <div class="preference-item">
+        <label for="color-palette-select">Heatmap Colors</label>
+        <select id="color-palette-select">
+          ${renderPaletteOptions("sequential", "Sequential", palette)}
+          ${renderPaletteOptions("diverging", "Diverging", palette)}
+        </select>
+        <select id="color-binning-select">
+          <option value="${ColorBinning.DISCRETE}" ${
+            binning === ColorBinning.DISCRETE ? "selected" : ""
+          }>Discrete steps</option>
+          <option value="${ColorBinning.CONTINUOUS}" ${
+            binning === ColorBinning.CONTINUOUS ? "selected" : ""
+          }>Continuous gradient</option>
+        </select>
+        <div class="color-scale-preview" id="color-scale-preview"></div>
+        <p class="preference-description">Used by every heatmap. Diverging palettes split scores around the middle.</p>
+      </div>
+
+      <div class="preference-item" id="app-lock-preference"></div>
     </div>
     
     <button class="btn-primary" id="save-preferences">Save Changes</button>
   `;
 
-  container.querySelector("#save-preferences").addEventListener("click", () => {
+  const paletteSelect = container.querySelector("#color-palette-select");
+  const binningSelect = container.querySelector("#color-binning-select");
+  const updatePreview = () =>
+    renderColorScalePreview(paletteSelect.value, binningSelect.value);
+  paletteSelect.addEventListener("change", updatePreview);
+  binningSelect.addEventListener("change", updatePreview);
+  updatePreview();
+
+  container.querySelector("#save-preferences").addEventListener("click", async () => {
+    currentSettings.theme = document.getElementById("theme-select").value;
     currentSettings.firstDayOfWeek = parseInt(
       document.getElementById("first-day-select").value,
     );
     currentSettings.memoryAidsEnabled =
       document.getElementById("memory-aids-toggle").checked;
+    currentSettings.syncConflictPolicy = document.getElementById(
+      "conflict-policy-select",
+    ).value;
+    currentSettings.colorPalette = document.getElementById(
+      "color-palette-select",
+    ).value;
+    currentSettings.colorBinning = document.getElementById(
+      "color-binning-select",
+    ).value;
+
+    if (isAppLockEnabled()) {
+      setAutoLockMinutes(
+        parseInt(document.getElementById("auto-lock-select").value),
+      );
+    }
 
-    if (saveSettings(currentSettings)) {
+    if (await saveSettings(currentSettings)) {
+      applyTheme(currentSettings.theme);
+      updatePreview();
       alert("Preferences saved!");
     } else {
       alert("Failed to save preferences");
     }
   });
+
+  renderAppLock();
+}
+
+/**
+ * Options for one kind of heatmap palette
+ * @param {string} kind - "sequential" or "diverging"
+ * @param {string} groupLabel - Optgroup label
+ * @param {string} selected - Selected palette
+ * @returns {string} Optgroup markup
+ */
+function renderPaletteOptions(kind, groupLabel, selected) {
+  const options = Object.entries(PALETTES)
+    .filter(([, palette]) => palette.kind === kind)
+    .map(
+      ([id, palette]) => `
+        <option value="${id}" ${id === selected ? "selected" : ""}>
+          ${palette.label}${palette.colorblindSafe ? " (colorblind-safe)" : ""}
+        </option>`,
+    )
+    .join("");
+  return `<optgroup label="${groupLabel}">${options}</optgroup>`;
+}
+
+/**
+ * Show the chosen palette as a low-to-high strip
+ * @param {string} palette - Palette from ColorPalette
+ * @param {string} binning - Binning from ColorBinning
+ */
+function renderColorScalePreview(palette, binning) {
+  const preview = document.getElementById("color-scale-preview");
+  const scale = getColorScale({ palette, binning });
+  const steps = binning === ColorBinning.CONTINUOUS ? 40 : scale.stops.length;
+
+  preview.innerHTML = Array.from({ length: steps }, (_, i) => {
+    const score = steps === 1 ? 0 : i / (steps - 1);
+    return `<span style="background: ${scale.color(score)}"></span>`;
+  }).join("");
+}
+
+/**
+ * Options for the auto-lock select
+ * @param {number} selected - Selected minutes
+ * @returns {string} Option markup
+ */
+function renderAutoLockOptions(selected) {
+  return AUTO_LOCK_OPTIONS.map(
+    (minutes) => `
+      <option value="${minutes}" ${minutes === selected ? "selected" : ""}>
+        After ${minutes} ${minutes === 1 ? "minute" : "minutes"} without activity
+      </option>`,
+  ).join("");
+}
+
+/**
+ * Render the app lock preference (passcode for this browser)
+ */
+function renderAppLock() {
+  const container = document.getElementById("app-lock-preference");
+
+  if (!isAppLockEnabled()) {
+    container.innerHTML = `
+      <label>App Lock</label>
+      <p class="preference-description">Ask for a passcode before showing your journal in this browser. Local data is stored encrypted with it. A forgotten passcode can't be reset.</p>
+      <form class="encryption-form" id="app-lock-enable-form">
+        <input type="password" id="app-lock-new" placeholder="New passcode (${MIN_PASSCODE_LENGTH}+ characters)" autocomplete="new-password" required />
+        <input type="password" id="app-lock-confirm" placeholder="Repeat passcode" autocomplete="new-password" required />
+        <select id="auto-lock-select">
+          ${renderAutoLockOptions(DEFAULT_AUTO_LOCK_MINUTES)}
+        </select>
+        <button type="submit" class="btn-secondary">Turn On Lock</button>
+      </form>
+    `;
+    container
+      .querySelector("#app-lock-enable-form")
+      .addEventListener("submit", handleEnableAppLock);
+    return;
+  }
+
+  container.innerHTML = `
+    <label>App Lock</label>
+    <select id="auto-lock-select">
+      ${renderAutoLockOptions(getAutoLockMinutes())}
+    </select>
+    <p class="preference-description">Local data is encrypted. LifeLab asks for the passcode when a page opens and locks after this much inactivity.</p>
+    <button type="button" class="btn-secondary" id="lock-now-btn">Lock Now</button>
+    <form class="encryption-form" id="app-lock-disable-form">
+      <input type="password" id="app-lock-current" placeholder="Current passcode" autocomplete="current-password" required />
+      <button type="submit" class="btn-secondary">Turn Off Lock</button>
+    </form>
+  `;
+  container.querySelector("#lock-now-btn").addEventListener("click", lockNow);
+  container
+    .querySelector("#app-lock-disable-form")
+    .addEventListener("submit", handleDisableAppLock);
+}
+
+/**
+ * Handle turning the app lock on
+ * @param {SubmitEvent} event - Form submit
+ */
+async function handleEnableAppLock(event) {
+  event.preventDefault();
+  const passcode = document.getElementById("app-lock-new").value;
+  const repeated = document.getElementById("app-lock-confirm").value;
+
+  if (passcode.length < MIN_PASSCODE_LENGTH) {
+    alert(
+      `Please use at least ${MIN_PASSCODE_LENGTH} characters for your passcode.`,
+    );
+    return;
+  }
+  if (passcode !== repeated) {
+    alert("The passcodes don't match.");
+    return;
+  }
+
+  const restore = setFormBusy(event.target, "Encrypting...");
+  const result = await enableAppLock(
+    passcode,
+    parseInt(document.getElementById("auto-lock-select").value),
+  );
+  restore();
+
+  if (!result.success) {
+    alert(`Unable to turn on the lock: ${result.error}`);
+    return;
+  }
+  await requireUnlock();
+  alert("App lock is on. You'll need your passcode after inactivity.");
+  renderAppLock();
+}
+
+/**
+ * Handle turning the app lock off
+ * @param {SubmitEvent} event - Form submit
+ */
+async function handleDisableAppLock(event) {
+  event.preventDefault();
+  const passcode = document.getElementById("app-lock-current").value;
+
+  const restore = setFormBusy(event.target, "Decrypting...");
+  const result = await disableAppLock(passcode);
+  restore();
+
+  if (!result.success) {
+    alert(`Unable to turn off the lock: ${result.error}`);
+    return;
+  }
+  alert("App lock is off. Local data is no longer encrypted.");
+  renderAppLock();
+}
+
+/**
+ * Shortest passphrase accepted for encryption
+ */
+const MIN_PASSPHRASE_LENGTH = 10;
+
+const PASSPHRASE_LOSS_WARNING =
+  "There is no reset. If you forget your passphrase, your synced data cannot be recovered by anyone - including you.";
+
+/**
+ * Render end-to-end encryption status and passphrase forms
+ */
+async function renderEncryption() {
+  const container = document.getElementById("encryption");
+
+  if (!isAuthenticated()) {
+    container.innerHTML = `
+      <p class="preference-description">Encryption protects data synced to your account. Sign in to set it up - data that stays in this browser never leaves it.</p>
+    `;
+    return;
+  }
+
+  container.innerHTML = `<p class="preference-description">Checking encryption...</p>`;
+  const status = await persistence.getEncryptionStatus();
+
+  switch (status) {
+    case EncryptionStatus.OFF:
+      container.innerHTML = `
+        <p class="encryption-status">Off</p>
+        <p class="preference-description">Encrypt notes, wins, reflections and board cards in this browser before they are synced. Dates stay readable so devices can sync.</p>
+        <p class="encryption-warning">${PASSPHRASE_LOSS_WARNING}</p>
+        <form class="encryption-form" id="encryption-enable-form">
+          <input type="password" id="encryption-new" placeholder="New passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)" autocomplete="new-password" required />
+          <input type="password" id="encryption-confirm" placeholder="Repeat passphrase" autocomplete="new-password" required />
+          <label class="checkbox-label">
+            <input type="checkbox" id="encryption-understood" required />
+            <span>I understand a lost passphrase means lost data</span>
+          </label>
+          <button type="submit" class="btn-primary">Turn On Encryption</button>
+        </form>
+      `;
+      container
+        .querySelector("#encryption-enable-form")
+        .addEventListener("submit", handleEnableEncryption);
+      break;
+
+    case EncryptionStatus.LOCKED:
+      container.innerHTML = `
+        <p class="encryption-status">Locked on this device</p>
+        <p class="preference-description">Your synced data is encrypted. Enter your passphrase to read and sync it here. Changes you make meanwhile are kept and sync once unlocked.</p>
+        <form class="encryption-form" id="encryption-unlock-form">
+          <input type="password" id="encryption-passphrase" placeholder="Passphrase" autocomplete="current-password" required />
+          <button type="submit" class="btn-primary">Unlock</button>
+        </form>
+      `;
+      container
+        .querySelector("#encryption-unlock-form")
+        .addEventListener("submit", handleUnlockEncryption);
+      break;
+
+    case EncryptionStatus.UNLOCKED:
+      container.innerHTML = `
+        <p class="encryption-status">On</p>
+        <p class="preference-description">Notes, wins, reflections and board cards are encrypted before they leave this browser.</p>
+        <p class="encryption-warning">${PASSPHRASE_LOSS_WARNING}</p>
+        <form class="encryption-form" id="encryption-change-form">
+          <input type="password" id="encryption-current" placeholder="Current passphrase" autocomplete="current-password" required />
+          <input type="password" id="encryption-new" placeholder="New passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)" autocomplete="new-password" required />
+          <input type="password" id="encryption-confirm" placeholder="Repeat new passphrase" autocomplete="new-password" required />
+          <button type="submit" class="btn-secondary">Change Passphrase</button>
+        </form>
+      `;
+      container
+        .querySelector("#encryption-change-form")
+        .addEventListener("submit", handleChangePassphrase);
+      break;
+
+    default:
+      container.innerHTML = `
+        <p class="preference-description">Encryption status can't be checked right now. Check your connection and reload this page.</p>
+      `;
+  }
+}
+
+/**
+ * Read and check the new passphrase fields
+ * @returns {string|null} New passphrase, or null (after alerting) if invalid
+ */
+function readNewPassphrase() {
+  const passphrase = document.getElementById("encryption-new").value;
+  const repeated = document.getElementById("encryption-confirm").value;
+
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    alert(
+      `Please use at least ${MIN_PASSPHRASE_LENGTH} characters for your passphrase.`,
+    );
+    return null;
+  }
+  if (passphrase !== repeated) {
+    alert("The passphrases don't match.");
+    return null;
+  }
+  return passphrase;
+}
+
+/**
+ * Disable a form's button while a slow encryption task runs
+ * @param {HTMLFormElement} form - Form
+ * @param {string} label - Button text while busy
+ * @returns {Function} Restores the button
+ */
+function setFormBusy(form, label) {
+  const button = form.querySelector("button[type='submit']");
+  const originalText = button.textContent;
+  button.disabled = true;
+  button.textContent = label;
+
+  return () => {
+    button.disabled = false;
+    button.textContent = originalText;
+  };
+}
+
+/**
+ * Handle turning encryption on
+ * @param {SubmitEvent} event - Form submit
+ */
+async function handleEnableEncryption(event) {
+  event.preventDefault();
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+
+  const confirmed = confirm(
+    "Turn on encryption?\n\n" +
+      "Write your passphrase down somewhere safe. " +
+      PASSPHRASE_LOSS_WARNING +
+      "\n\nKeep this page open until it finishes.",
+  );
+  if (!confirmed) return;
+
+  const restore = setFormBusy(event.target, "Encrypting...");
+  const result = await persistence.enableEncryption(passphrase);
+  restore();
+
+  alert(
+    result.success
+      ? "Encryption is on. Use the same passphrase to unlock your other devices."
+      : `Unable to turn on encryption: ${result.error}`,
+  );
+  renderEncryption();
+}
+
+/**
+ * Handle unlocking encrypted data on this device
+ * @param {SubmitEvent} event - Form submit
+ */
+async function handleUnlockEncryption(event) {
+  event.preventDefault();
+  const passphrase = document.getElementById("encryption-passphrase").value;
+
+  const restore = setFormBusy(event.target, "Unlocking...");
+  const result = await persistence.unlockEncryption(passphrase);
+  restore();
+
+  if (!result.success) {
+    alert(`Unable to unlock: ${result.error}`);
+    return;
+  }
+  renderEncryption();
+  renderSyncConflicts();
+}
+
+/**
+ * Handle changing the passphrase
+ * @param {SubmitEvent} event - Form submit
+ */
+async function handleChangePassphrase(event) {
+  event.preventDefault();
+  const current = document.getElementById("encryption-current").value;
+  const passphrase = readNewPassphrase();
+  if (!passphrase) return;
+
+  const confirmed = confirm(
+    "Change your passphrase?\n\n" +
+      "All synced data will be re-encrypted - keep this page open until it finishes. " +
+      "Your other devices will ask for the new passphrase.",
+  );
+  if (!confirmed) return;
+
+  const restore = setFormBusy(event.target, "Re-encrypting...");
+  const result = await persistence.changeEncryptionPassphrase(
+    current,
+    passphrase,
+  );
+  restore();
+
+  alert(
+    result.success
+      ? "Passphrase changed."
+      : `Unable to change passphrase: ${result.error}`,
+  );
+  renderEncryption();
+}
+
+/**
+ * Why each snapshot was taken, as shown in the list
+ */
+const SNAPSHOT_REASON_LABELS = {
+  [SnapshotReason.DAILY]: "Daily",
+  [SnapshotReason.MANUAL]: "Taken by you",
+  [SnapshotReason.CLEAR]: "Before clearing data",
+  [SnapshotReason.IMPORT]: "Before an import",
+  [SnapshotReason.UPGRADE]: "Before an app upgrade",
+  [SnapshotReason.RESTORE]: "Before restoring a snapshot",
+  [SnapshotReason.DELETE_ACCOUNT]: "Before deleting the account",
+  [SnapshotReason.DOMAIN_CHANGE]: "Before renaming or merging a domain",
+  [SnapshotReason.SYNC]: "Before syncing with your account",
+};
+
+/**
+ * Collection names in the snapshot list
+ */
+const SNAPSHOT_TYPE_LABELS = {
+  [DataTypes.ENTRIES]: "Notebook entries",
+  [DataTypes.WINS]: "Wins",
+  [DataTypes.REFLECTIONS]: "Reflections",
+  [DataTypes.SETTINGS]: "Settings",
+  [DataTypes.BOARD_CARDS]: "Board cards",
+  [DataTypes.BOARD_SETTINGS]: "Board settings",
+};
+
+/**
+ * Snapshot current data before a destructive action
+ * @param {string} reason - SnapshotReason value
+ * @returns {Promise<boolean>} True if it's OK to continue
+ */
+async function takeSafetySnapshot(reason) {
+  const result = await persistence.takeSnapshot(reason);
+  if (result.success) return true;
+
+  return confirm(
+    `A safety snapshot couldn't be taken (${result.error}).\n\n` +
+      "Continue anyway? This can't be undone.",
+  );
+}
+
+/**
+ * Render automatic snapshots and restore options
+ */
+async function renderSnapshots() {
+  const container = document.getElementById("snapshots");
+  const snapshots = await listSnapshots();
+
+  container.innerHTML = `
+    <p class="preference-description">Taken daily and before clearing, importing, upgrading, renaming or merging domains, or deleting your account. Kept in this browser for ${SNAPSHOT_RETENTION_DAYS} days.</p>
+    <button class="btn-secondary" id="take-snapshot-btn">Take Snapshot Now</button>
+    ${
+      snapshots.length === 0
+        ? '<p class="preference-description">No snapshots yet.</p>'
+        : `<div class="snapshot-list">${snapshots.map(renderSnapshotItem).join("")}</div>`
+    }
+  `;
+
+  container
+    .querySelector("#take-snapshot-btn")
+    .addEventListener("click", async () => {
+      const result = await persistence.takeSnapshot(SnapshotReason.MANUAL);
+      if (!result.success) {
+        alert(`Unable to take snapshot: ${result.error}`);
+      }
+      renderSnapshots();
+    });
+
+  container.querySelectorAll("[data-snapshot-action]").forEach((button) => {
+    button.addEventListener("click", () =>
+      handleSnapshotAction(
+        button.dataset.snapshotId,
+        button.dataset.snapshotAction,
+        button.dataset.snapshotType,
+      ),
+    );
+  });
+}
+
+/**
+ * Render one snapshot in the list
+ * @param {Object} snapshot - Snapshot summary
+ * @returns {string} HTML
+ */
+function renderSnapshotItem(snapshot) {
+  const counts = SNAPSHOT_TYPES.filter((type) => snapshot.counts[type])
+    .map(
+      (type) =>
+        `${snapshot.counts[type]} ${SNAPSHOT_TYPE_LABELS[type].toLowerCase()}`,
+    )
+    .join(" · ");
+
+  return `
+    <div class="snapshot-item">
+      <div class="sync-conflict-header">
+        <strong>${new Date(snapshot.takenAt).toLocaleString()}</strong>
+        <span class="sync-conflict-date">${SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}</span>
+      </div>
+      <p class="snapshot-counts">${counts || "Empty"}</p>
+      <div class="sync-conflict-actions">
+        <button class="btn-secondary" data-snapshot-id="${snapshot.id}" data-snapshot-action="compare">Compare</button>
+        <button class="btn-secondary" data-snapshot-id="${snapshot.id}" data-snapshot-action="restore">Restore All</button>
+      </div>
+      <div class="snapshot-diff" data-snapshot-diff="${snapshot.id}"></div>
+    </div>
+  `;
+}
+
+/**
+ * Render how a snapshot differs from current data
+ * @param {string} snapshotId - Snapshot id
+ * @param {Object} diff - type -> { onlyInSnapshot, onlyInCurrent, changed, unchanged }
+ * @returns {string} HTML
+ */
+function renderSnapshotDiff(snapshotId, diff) {
+  const rows = SNAPSHOT_TYPES.map((type) => {
+    const counts = diff[type];
+    const differs =
+      counts.onlyInSnapshot > 0 ||
+      counts.onlyInCurrent > 0 ||
+      counts.changed > 0;
+
+    return `
+      <tr>
+        <td>${SNAPSHOT_TYPE_LABELS[type]}</td>
+        <td>${counts.onlyInSnapshot}</td>
+        <td>${counts.onlyInCurrent}</td>
+        <td>${counts.changed}</td>
+        <td>${counts.unchanged}</td>
+        <td>${
+          differs
+            ? `<button class="btn-secondary" data-snapshot-id="${snapshotId}" data-snapshot-action="restore" data-snapshot-type="${type}">Restore</button>`
+            : ""
+        }</td>
+      </tr>
+    `;
+  }).join("");
+
+  return `
+    <table class="sync-conflict-fields">
+      <thead>
+        <tr><th></th><th>Only in snapshot</th><th>Only now</th><th>Changed</th><th>Same</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Handle compare/restore on a snapshot
+ * @param {string} snapshotId - Snapshot id
+ * @param {string} action - "compare" or "restore"
+ * @param {string} type - Restore only this type (optional)
+ */
+async function handleSnapshotAction(snapshotId, action, type) {
+  if (action === "compare") {
+    const result = await persistence.compareSnapshot(snapshotId);
+    if (!result.success) {
+      alert(`Unable to compare: ${result.error}`);
+      return;
+    }
+
+    const target = document.querySelector(
+      `[data-snapshot-diff="${snapshotId}"]`,
+    );
+    target.innerHTML = renderSnapshotDiff(snapshotId, result.diff);
+    target.querySelectorAll("[data-snapshot-action]").forEach((button) => {
+      button.addEventListener("click", () =>
+        handleSnapshotAction(
+          button.dataset.snapshotId,
+          button.dataset.snapshotAction,
+          button.dataset.snapshotType,
+        ),
+      );
+    });
+    return;
+  }
+
+  const what = type ? SNAPSHOT_TYPE_LABELS[type] : "All data";
+  const confirmed = confirm(
+    `Restore ${what.toLowerCase()} from this snapshot?\n\n` +
+      "Current data is replaced, including anything added since. " +
+      "It's snapshotted first, so this can be undone.",
+  );
+  if (!confirmed) return;
+
+  const result = await persistence.restoreSnapshot(
+    snapshotId,
+    type ? [type] : undefined,
+  );
+  if (!result.success) {
+    alert(`Unable to restore: ${result.error}`);
+    return;
+  }
+
+  alert(`${what} restored. Reload other open LifeLab pages to see it.`);
+  currentSettings = loadSettings();
+  renderDomainConfig();
+  renderPreferences();
+  renderDataStats();
+  renderSnapshots();
+}
+
+/**
+ * Labels for data types in the sync review list
+ */
+const SYNC_TYPE_LABELS = {
+  [DataTypes.ENTRIES]: "Notebook entry",
+  [DataTypes.WINS]: "Win",
+  [DataTypes.REFLECTIONS]: "Reflection",
+  [DataTypes.BOARD_CARDS]: "Board card",
+  [DataTypes.SETTINGS]: "Settings",
+  [DataTypes.BOARD_SETTINGS]: "Board settings",
+};
+
+/**
+ * Render sync conflicts waiting for review
+ */
+function renderSyncConflicts() {
+  const container = document.getElementById("sync-conflicts");
+  const conflicts = loadConflicts();
+
+  if (conflicts.length === 0) {
+    container.innerHTML = `
+      <p class="preference-description">No sync conflicts. Edits made on different devices merged cleanly.</p>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="preference-description">These were edited on two devices before syncing. The version marked "kept" is in use - nothing has been thrown away.</p>
+    <div class="sync-conflict-list">
+      ${conflicts.map(renderConflictItem).join("")}
+    </div>
+  `;
+
+  container.querySelectorAll("[data-conflict-action]").forEach((button) => {
+    button.addEventListener("click", () =>
+      handleConflictAction(
+        button.dataset.conflictId,
+        button.dataset.conflictAction,
+      ),
+    );
+  });
+}
+
+/**
+ * Render one conflict with both versions of each disputed field
+ * @param {Object} conflict - Conflict from the sync engine
+ * @returns {string} HTML
+ */
+function renderConflictItem(conflict) {
+  const label =
+    SYNC_TYPE_LABELS[conflict.type] || capitalizeFirst(conflict.type);
+  const detected = new Date(conflict.detectedAt).toLocaleString();
+
+  const fields = conflict.fields
+    .map(
+      (field) => `
+        <tr>
+          <td>${escapeHtml(field)}</td>
+          <td class="${conflict.applied === "local" ? "sync-kept" : ""}">${escapeHtml(formatConflictValue(getFieldValue(conflict.local, field)))}</td>
+          <td class="${conflict.applied === "remote" ? "sync-kept" : ""}">${escapeHtml(formatConflictValue(getFieldValue(conflict.remote, field)))}</td>
+        </tr>
+      `,
+    )
+    .join("");
+
+  const actions =
+    conflict.applied === "both"
+      ? `
+        <button class="btn-secondary" data-conflict-id="${conflict.id}" data-conflict-action="dismiss">Keep both</button>
+        <button class="btn-secondary" data-conflict-id="${conflict.id}" data-conflict-action="remove-copy">Remove this device's copy</button>
+      `
+      : `
+        <button class="btn-secondary" data-conflict-id="${conflict.id}" data-conflict-action="local">Use this device's</button>
+        <button class="btn-secondary" data-conflict-id="${conflict.id}" data-conflict-action="remote">Use other device's</button>
+        <button class="btn-secondary" data-conflict-id="${conflict.id}" data-conflict-action="dismiss">Looks right</button>
+      `;
+
+  return `
+    <div class="sync-conflict-item">
+      <div class="sync-conflict-header">
+        <strong>${label}${conflict.recordId ? ` · ${escapeHtml(conflict.recordId)}` : ""}</strong>
+        <span class="sync-conflict-date">${detected}</span>
+      </div>
+      <table class="sync-conflict-fields">
+        <thead>
+          <tr><th>Field</th><th>This device</th><th>Other device</th></tr>
+        </thead>
+        <tbody>${fields}</tbody>
+      </table>
+      <div class="sync-conflict-actions">${actions}</div>
+    </div>
+  `;
+}
+
+/**
+ * Apply a review decision
+ * @param {string} conflictId - Conflict id
+ * @param {string} action - local | remote | remove-copy | dismiss
+ */
+async function handleConflictAction(conflictId, action) {
+  const conflict = loadConflicts().find((c) => c.id === conflictId);
+  if (!conflict) return;
+
+  try {
+    if (action === "local" || action === "remote") {
+      const chosen = {
+        ...conflict[action],
+        updatedAt: new Date().toISOString(),
+      };
+      const saved = await saveConflictVersion(conflict.type, chosen);
+      if (!saved) {
+        alert("Failed to apply that version. Please try again.");
+        return;
+      }
+    } else if (action === "remove-copy") {
+      await persistence.delete(conflict.type, conflict.copyId);
+    }
+
+    dismissConflict(conflictId);
+    renderSyncConflicts();
+  } catch (error) {
+    console.error("[Settings] Conflict resolution failed:", error);
+    alert("Failed to resolve conflict: " + error.message);
+  }
+}
+
+/**
+ * Write a chosen version through the same path the app normally uses
+ * @param {string} type - Data type
+ * @param {Object} record - Version to keep
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveConflictVersion(type, record) {
+  switch (type) {
+    case DataTypes.ENTRIES:
+      return saveDayEntry(record);
+    case DataTypes.SETTINGS:
+      currentSettings = record;
+      return saveSettings(record);
+    case DataTypes.BOARD_SETTINGS:
+      return persistence.save(type, record);
+    default:
+      return persistence.put(type, record);
+  }
+}
+
+/**
+ * Read a dotted field path ("domains.health") from a record
+ */
+function getFieldValue(record, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function formatConflictValue(value) {
+  if (value === undefined) return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Helper: Escape text for a double-quoted attribute
+ */
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, "&quot;");
 }
 
 /**
@@ -364,7 +1637,7 @@ async function handleExportData() {
 
     if (result.success) {
       alert(
-        "Your data has been exported successfully.\n\nThe file contains all your wins, reflections, journal entries, and settings.",
+        "Your data has been exported successfully.\n\nThe archive contains all your wins, reflections, journal entries, board images, prompts, and settings.",
       );
     } else {
       alert(`Export failed: ${result.error}`);
@@ -384,6 +1657,9 @@ async function handleSignOut() {
   if (!confirmed) return;
 
   try {
+    // The encryption key belongs to the account, not the browser
+    await persistence.forgetEncryptionKey();
+
     const auth = getFirebaseAuth();
     await signOut(auth);
     console.log("Signed out successfully");
@@ -420,6 +1696,8 @@ async function handleDeleteAccount() {
     return;
   }
 
+  if (!(await takeSafetySnapshot(SnapshotReason.DELETE_ACCOUNT))) return;
+
   try {
     const auth = getFirebaseAuth();
     const user = auth.currentUser;
@@ -447,6 +1725,8 @@ async function handleDeleteAccount() {
       console.warn("Some data may not have been deleted:", dataResult.errors);
     }
 
+    await persistence.forgetEncryptionKey();
+
     // Delete user account from Firebase Auth
     deleteBtn.textContent = "Deleting account...";
     await deleteUser(user);
@@ -454,7 +1734,7 @@ async function handleDeleteAccount() {
     console.log("Account deleted successfully");
 
     // Clear local data as well
-    clearAllData();
+    await clearAllData();
 
     // Redirect to auth page
     alert(
@@ -492,6 +1772,7 @@ onAuthStateChange((authState) => {
   // Re-render danger zone when auth state changes
   if (!authState.isLoading) {
     renderDangerZone();
+    renderEncryption();
   }
 });
 
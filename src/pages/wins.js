@@ -16,11 +16,22 @@ import {
   renderWinTimeline,
   renderWinFilters,
 } from "../components/winTimeline.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme } from "../components/theme.js";
+import { requireUnlock } from "../components/lockScreen.js";
+import {
+  ShortcutAction,
+  consumeLaunchAction,
+} from "../components/appShortcuts.js";
 
 /**
  * Initialize wins page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+
   renderWinEntrySection();
   renderStatsSection();
   renderTimelineSection();
@@ -29,14 +40,21 @@ async function init() {
 /**
  * Render win entry for today
  */
-function renderWinEntrySection() {
+async function renderWinEntrySection() {
   const container = document.getElementById("win-entry-container");
 
-  renderWinEntry(container, () => {
+  await renderWinEntry(container, () => {
     // On save, refresh stats and timeline
     renderStatsSection();
     renderTimelineSection();
   });
+
+  // "Today's win" home-screen shortcut opens the entry straight away
+  if (consumeLaunchAction(ShortcutAction.TODAYS_WIN)) {
+    const toggle = container.querySelector("#win-entry-toggle");
+    if (toggle) toggle.click();
+    container.scrollIntoView({ block: "start" });
+  }
 }
 
 /**
@@ -8,21 +8,54 @@ import "../styles/layout.css";
 import "../styles/components.css";
 import "../styles/mobile.css";
 
-import { getAvailableMonths, loadMonth } from "../data/storage.js";
-import { renderHeatmap } from "../graphs/heatmap.js";
-import { getEnabledDomainNames } from "../data/storage.js";
-import { getAllDomains } from "../data/schema.js";
+import {
+  loadEntries,
+  loadMonth,
+  getAllDomainConfigs,
+} from "../data/storage.js";
+import { renderYearHeatmap } from "../graphs/yearHeatmap.js";
+import { renderGraphExport } from "../components/graphExportMenu.js";
+import {
+  calculateYearStats,
+  calculateMonthlyComparison,
+  calculateDomainTrends,
+  generateYearInsights,
+} from "../insights/yearReview.js";
+import {
+  renderYearStats,
+  renderMonthlyComparison,
+  renderDomainTrends,
+  renderYearInsights,
+} from "../components/yearSummary.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { initTheme, onThemeChange } from "../components/theme.js";
+import { requireUnlock } from "../components/lockScreen.js";
 
 let currentYear = new Date().getFullYear();
 let yearData = [];
+let domainConfigs = {};
 
 /**
  * Initialize year page
  */
 async function init() {
+  initTheme();
+  initServiceWorker();
+  await requireUnlock();
+  await loadEntries();
+
   updateYearDisplay();
   loadYearData();
   setupNavigation();
+
+  // Cell colors come from the palette's light or dark variant
+  onThemeChange(() => renderYearVisualization());
+
+  renderGraphExport(
+    document.getElementById("year-heatmap-export"),
+    document.getElementById("year-heatmap"),
+    () => `lifelab-year-${currentYear}`,
+  );
 }
 
 /**
@@ -30,6 +63,7 @@ async function init() {
  */
 function loadYearData() {
   yearData = [];
+  domainConfigs = getAllDomainConfigs();
 
   for (let month = 1; month <= 12; month++) {
     const monthData = loadMonth(currentYear, month);
@@ -37,10 +71,24 @@ function loadYearData() {
   }
 
   renderYearVisualization();
-  renderYearStats();
-  renderMonthlyComparison();
-  renderDomainTrends();
-  renderYearInsights();
+  renderYearStats(
+    document.getElementById("year-stats"),
+    calculateYearStats(yearData, currentYear, domainConfigs),
+  );
+  renderMonthlyComparison(
+    document.getElementById("monthly-comparison"),
+    calculateMonthlyComparison(yearData, domainConfigs),
+  );
+  renderDomainTrends(
+    document.getElementById("domain-trends"),
+    calculateDomainTrends(yearData, domainConfigs),
+  );
+  renderYearInsights(
+    document.getElementById("year-insights"),
+    yearData.length > 0
+      ? generateYearInsights(yearData, currentYear, domainConfigs)
+      : null,
+  );
 }
 
 /**
@@ -48,6 +96,8 @@ function loadYearData() {
  */
 function updateYearDisplay() {
   document.getElementById("current-year-display").textContent = currentYear;
+  document.getElementById("year-report-link").href =
+    `./year-report.html?year=${currentYear}`;
 }
 
 /**
@@ -82,556 +132,7 @@ function renderYearVisualization() {
     return;
   }
 
-  renderYearlyHeatmap(container);
-}
-
-/**
- * Render a full year heatmap showing all 12 months
- */
-function renderYearlyHeatmap(container) {
-  const domains = getEnabledDomainNames().sort();
-  const monthNames = [
-    "Jan",
-    "Feb",
-    "Mar",
-    "Apr",
-    "May",
-    "Jun",
-    "Jul",
-    "Aug",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Dec",
-  ];
-
-  // Calculate average score for each domain in each month
-  const monthlyDomainScores = [];
-  for (let month = 1; month <= 12; month++) {
-    const monthData = yearData.filter(
-      (d) => new Date(d.date).getMonth() + 1 === month
-    );
-    const monthScores = {};
-
-    domains.forEach((domain) => {
-      const domainScores = monthData
-        .filter((d) => d.domains && d.domains[domain] !== undefined)
-        .map((d) => d.domains[domain]);
-
-      monthScores[domain] =
-        domainScores.length > 0
-          ? domainScores.reduce((sum, s) => sum + s, 0) / domainScores.length
-          : null;
-    });
-
-    monthlyDomainScores.push(monthScores);
-  }
-
-  const cellSize = 50;
-  const cellGap = 4;
-  const labelWidth = 100;
-  const labelHeight = 40;
-
-  const width = labelWidth + (cellSize + cellGap) * 12 + 20;
-  const height = labelHeight + (cellSize + cellGap) * domains.length + 10;
-
-  // Create SVG
-  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
-  svg.style.width = "100%";
-  svg.style.height = "auto";
-
-  // Add border
-  const border = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-  border.setAttribute("x", labelWidth - 5);
-  border.setAttribute("y", labelHeight - 5);
-  border.setAttribute("width", (cellSize + cellGap) * 12 + 5);
-  border.setAttribute("height", (cellSize + cellGap) * domains.length + 5);
-  border.setAttribute("fill", "none");
-  border.setAttribute("stroke", "#edf2f7");
-  border.setAttribute("stroke-width", "2");
-  border.setAttribute("rx", "6");
-  svg.appendChild(border);
-
-  // Add month labels at top
-  monthNames.forEach((monthName, idx) => {
-    const label = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "text"
-    );
-    label.setAttribute(
-      "x",
-      labelWidth + idx * (cellSize + cellGap) + cellSize / 2
-    );
-    label.setAttribute("y", labelHeight - 15);
-    label.setAttribute("text-anchor", "middle");
-    label.setAttribute("font-size", "12px");
-    label.setAttribute("font-weight", "600");
-    label.setAttribute("fill", "#718096");
-    label.textContent = monthName;
-    svg.appendChild(label);
-  });
-
-  // Add domain labels and cells
-  domains.forEach((domain, domainIdx) => {
-    // Domain label on left
-    const domainLabel = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "text"
-    );
-    domainLabel.setAttribute("x", labelWidth - 10);
-    domainLabel.setAttribute(
-      "y",
-      labelHeight + domainIdx * (cellSize + cellGap) + cellSize / 2 + 5
-    );
-    domainLabel.setAttribute("text-anchor", "end");
-    domainLabel.setAttribute("font-size", "13px");
-    domainLabel.setAttribute("font-weight", "500");
-    domainLabel.setAttribute("fill", "#2d3748");
-    domainLabel.textContent = capitalizeFirst(domain);
-    svg.appendChild(domainLabel);
-
-    // Render cells for each month
-    for (let monthIdx = 0; monthIdx < 12; monthIdx++) {
-      const score = monthlyDomainScores[monthIdx][domain];
-      const x = labelWidth + monthIdx * (cellSize + cellGap);
-      const y = labelHeight + domainIdx * (cellSize + cellGap);
-
-      const cell = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "rect"
-      );
-      cell.setAttribute("x", x);
-      cell.setAttribute("y", y);
-      cell.setAttribute("width", cellSize);
-      cell.setAttribute("height", cellSize);
-      cell.setAttribute("rx", "4");
-
-      if (score === null) {
-        cell.setAttribute("fill", "#f7fafc");
-        cell.setAttribute("stroke", "#e2e8f0");
-        cell.setAttribute("stroke-width", "1");
-      } else {
-        const fillColor = getHeatmapColor(score);
-        cell.setAttribute("fill", fillColor);
-        cell.setAttribute("stroke", "none");
-      }
-
-      svg.appendChild(cell);
-
-      // Add score text if available
-      if (score !== null) {
-        const text = document.createElementNS(
-          "http://www.w3.org/2000/svg",
-          "text"
-        );
-        text.setAttribute("x", x + cellSize / 2);
-        text.setAttribute("y", y + cellSize / 2 + 5);
-        text.setAttribute("text-anchor", "middle");
-        text.setAttribute("font-size", "11px");
-        text.setAttribute("font-weight", "600");
-        text.setAttribute("fill", score > 0.5 ? "#ffffff" : "#2d3748");
-        text.textContent = score.toFixed(2);
-        svg.appendChild(text);
-      }
-    }
-  });
-
-  container.innerHTML = "";
-  container.appendChild(svg);
-}
-
-/**
- * Get heatmap color based on score
- */
-function getHeatmapColor(score) {
-  if (score >= 0.75) return "#2d3748"; // Dark
-  if (score >= 0.5) return "#4a5568"; // Medium-dark
-  if (score >= 0.25) return "#a0aec0"; // Medium-light
-  return "#e2e8f0"; // Light
-}
-
-/**
- * Render year statistics
- */
-function renderYearStats() {
-  const container = document.getElementById("year-stats");
-
-  if (yearData.length === 0) {
-    container.innerHTML = '<p class="empty-state">No data available</p>';
-    return;
-  }
-
-  const stats = calculateYearStats();
-
-  container.innerHTML = `
-    <div class="stat-card">
-      <div class="stat-value">${stats.totalDays}</div>
-      <div class="stat-label">Days Tracked</div>
-    </div>
-    <div class="stat-card">
-      <div class="stat-value">${(stats.coverage * 100).toFixed(0)}%</div>
-      <div class="stat-label">Coverage</div>
-    </div>
-    <div class="stat-card">
-      <div class="stat-value">${stats.avgScore.toFixed(2)}</div>
-      <div class="stat-label">Average Score</div>
-    </div>
-    <div class="stat-card">
-      <div class="stat-value">${stats.bestMonth}</div>
-      <div class="stat-label">Best Month</div>
-    </div>
-    <div class="stat-card">
-      <div class="stat-value">${stats.longestStreak}</div>
-      <div class="stat-label">Longest Streak</div>
-    </div>
-    <div class="stat-card">
-      <div class="stat-value">${stats.topDomain}</div>
-      <div class="stat-label">Top Domain</div>
-    </div>
-  `;
-}
-
-/**
- * Calculate year statistics
- */
-function calculateYearStats() {
-  const totalDays = yearData.length;
-  const daysInYear = isLeapYear(currentYear) ? 366 : 365;
-  const coverage = totalDays / daysInYear;
-
-  // Average score
-  const scores = yearData
-    .map((d) => calculateDayScore(d))
-    .filter((s) => s !== null);
-  const avgScore =
-    scores.length > 0
-      ? scores.reduce((sum, s) => sum + s, 0) / scores.length
-      : 0;
-
-  // Best month
-  const monthlyAvgs = [];
-  for (let m = 1; m <= 12; m++) {
-    const monthData = yearData.filter(
-      (d) => new Date(d.date).getMonth() + 1 === m
-    );
-    if (monthData.length > 0) {
-      const monthScores = monthData
-        .map((d) => calculateDayScore(d))
-        .filter((s) => s !== null);
-      const avg =
-        monthScores.reduce((sum, s) => sum + s, 0) / monthScores.length;
-      monthlyAvgs.push({ month: m, avg });
-    }
-  }
-  const bestMonthObj = monthlyAvgs.sort((a, b) => b.avg - a.avg)[0];
-  const bestMonth = bestMonthObj
-    ? new Date(currentYear, bestMonthObj.month - 1).toLocaleDateString(
-        "en-US",
-        { month: "short" }
-      )
-    : "—";
-
-  // Longest streak
-  const longestStreak = calculateLongestStreak(yearData);
-
-  // Top domain
-  const domains = getAllDomains(yearData);
-  let topDomain = "—";
-  let maxAvg = 0;
-
-  domains.forEach((domain) => {
-    const domainScores = yearData
-      .filter((d) => d.domains && d.domains[domain] !== undefined)
-      .map((d) => d.domains[domain]);
-    const avg =
-      domainScores.reduce((sum, s) => sum + s, 0) / domainScores.length;
-    if (avg > maxAvg) {
-      maxAvg = avg;
-      topDomain = capitalizeFirst(domain);
-    }
-  });
-
-  return {
-    totalDays,
-    coverage,
-    avgScore,
-    bestMonth,
-    longestStreak,
-    topDomain,
-  };
-}
-
-/**
- * Render monthly comparison
- */
-function renderMonthlyComparison() {
-  const container = document.getElementById("monthly-comparison");
-
-  const monthlyData = [];
-  const monthNames = [
-    "Jan",
-    "Feb",
-    "Mar",
-    "Apr",
-    "May",
-    "Jun",
-    "Jul",
-    "Aug",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Dec",
-  ];
-
-  for (let m = 1; m <= 12; m++) {
-    const monthData = yearData.filter(
-      (d) => new Date(d.date).getMonth() + 1 === m
-    );
-    if (monthData.length > 0) {
-      const scores = monthData
-        .map((d) => calculateDayScore(d))
-        .filter((s) => s !== null);
-      const avg = scores.reduce((sum, s) => sum + s, 0) / scores.length;
-      monthlyData.push({
-        month: monthNames[m - 1],
-        avg,
-        count: monthData.length,
-      });
-    }
-  }
-
-  if (monthlyData.length === 0) {
-    container.innerHTML = '<p class="empty-state">No monthly data</p>';
-    return;
-  }
-
-  const maxAvg = Math.max(...monthlyData.map((m) => m.avg));
-
-  container.innerHTML = `
-    <div class="monthly-bars">
-      ${monthlyData
-        .map(
-          (m) => `
-        <div class="month-bar">
-          <div class="bar-fill" style="height: ${
-            (m.avg / maxAvg) * 100
-          }%"></div>
-          <div class="bar-label">${m.month}</div>
-          <div class="bar-value">${m.avg.toFixed(2)}</div>
-        </div>
-      `
-        )
-        .join("")}
-    </div>
-  `;
-}
-
-/**
- * Render domain trends
- */
-function renderDomainTrends() {
-  const container = document.getElementById("domain-trends");
-
-  const domains = getAllDomains(yearData);
-  if (domains.size === 0) {
-    container.innerHTML = '<p class="empty-state">No domain data</p>';
-    return;
-  }
-
-  const domainStats = [];
-  domains.forEach((domain) => {
-    const scores = yearData
-      .filter((d) => d.domains && d.domains[domain] !== undefined)
-      .map((d) => d.domains[domain]);
-
-    const avg = scores.reduce((sum, s) => sum + s, 0) / scores.length;
-    const trend = calculateTrend(yearData, domain);
-
-    domainStats.push({ domain, avg, trend, count: scores.length });
-  });
-
-  domainStats.sort((a, b) => b.avg - a.avg);
-
-  container.innerHTML = `
-    <div class="domain-trends-list">
-      ${domainStats
-        .map(
-          (d) => `
-        <div class="domain-trend-item">
-          <div class="domain-name">${capitalizeFirst(d.domain)}</div>
-          <div class="domain-bar">
-            <div class="domain-bar-fill" style="width: ${d.avg * 100}%"></div>
-          </div>
-          <div class="domain-avg">${d.avg.toFixed(2)}</div>
-          <div class="domain-trend ${
-            d.trend > 0 ? "positive" : d.trend < 0 ? "negative" : "neutral"
-          }">
-            ${d.trend > 0 ? "↗" : d.trend < 0 ? "↘" : "→"} ${Math.abs(
-            d.trend * 100
-          ).toFixed(1)}%
-          </div>
-        </div>
-      `
-        )
-        .join("")}
-    </div>
-  `;
-}
-
-/**
- * Render year insights
- */
-function renderYearInsights() {
-  const container = document.getElementById("year-insights");
-
-  if (yearData.length === 0) {
-    container.innerHTML = "<li>No data to analyze</li>";
-    return;
-  }
-
-  const insights = generateYearInsights();
-
-  container.innerHTML = insights
-    .map((insight) => `<li>${insight}</li>`)
-    .join("");
-}
-
-/**
- * Generate insights for the year
- */
-function generateYearInsights() {
-  const insights = [];
-  const stats = calculateYearStats();
-
-  // Coverage insight
-  if (stats.coverage > 0.9) {
-    insights.push(
-      `Excellent consistency: tracked ${(stats.coverage * 100).toFixed(
-        0
-      )}% of days`
-    );
-  } else if (stats.coverage < 0.5) {
-    insights.push(
-      `Low tracking coverage: only ${(stats.coverage * 100).toFixed(
-        0
-      )}% of days recorded`
-    );
-  }
-
-  // Performance insight
-  if (stats.avgScore > 0.7) {
-    insights.push(
-      `Strong year overall with ${stats.avgScore.toFixed(2)} average score`
-    );
-  } else if (stats.avgScore < 0.4) {
-    insights.push(
-      `Challenging year with ${stats.avgScore.toFixed(2)} average score`
-    );
-  }
-
-  // Streak insight
-  if (stats.longestStreak > 30) {
-    insights.push(`Impressive ${stats.longestStreak}-day tracking streak`);
-  }
-
-  // Seasonal patterns
-  const q1 = getQuarterAvg(1);
-  const q4 = getQuarterAvg(4);
-  if (q1 !== null && q4 !== null) {
-    const diff = q4 - q1;
-    if (diff > 0.15) {
-      insights.push(
-        `Strong finish: Q4 outperformed Q1 by ${(diff * 100).toFixed(0)}%`
-      );
-    } else if (diff < -0.15) {
-      insights.push(
-        `Started strong: Q1 outperformed Q4 by ${(Math.abs(diff) * 100).toFixed(
-          0
-        )}%`
-      );
-    }
-  }
-
-  return insights.length > 0 ? insights : ["Gathering yearly patterns..."];
-}
-
-/**
- * Helper functions
- */
-
-function calculateDayScore(day) {
-  if (!day || !day.domains) return null;
-  const scores = Object.values(day.domains);
-  if (scores.length === 0) return null;
-  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
-}
-
-function calculateLongestStreak(data) {
-  if (data.length === 0) return 0;
-
-  const dates = data.map((d) => new Date(d.date)).sort((a, b) => a - b);
-  let longest = 1;
-  let current = 1;
-
-  for (let i = 1; i < dates.length; i++) {
-    const dayDiff = (dates[i] - dates[i - 1]) / (1000 * 60 * 60 * 24);
-    if (dayDiff === 1) {
-      current++;
-      longest = Math.max(longest, current);
-    } else {
-      current = 1;
-    }
-  }
-
-  return longest;
-}
-
-function calculateTrend(data, domain) {
-  const filtered = data.filter(
-    (d) => d.domains && d.domains[domain] !== undefined
-  );
-  if (filtered.length < 10) return 0;
-
-  const firstHalf = filtered.slice(0, Math.floor(filtered.length / 2));
-  const secondHalf = filtered.slice(Math.floor(filtered.length / 2));
-
-  const firstAvg =
-    firstHalf.reduce((sum, d) => sum + d.domains[domain], 0) / firstHalf.length;
-  const secondAvg =
-    secondHalf.reduce((sum, d) => sum + d.domains[domain], 0) /
-    secondHalf.length;
-
-  return secondAvg - firstAvg;
-}
-
-function getQuarterAvg(quarter) {
-  const months =
-    quarter === 1
-      ? [1, 2, 3]
-      : quarter === 2
-      ? [4, 5, 6]
-      : quarter === 3
-      ? [7, 8, 9]
-      : [10, 11, 12];
-  const quarterData = yearData.filter((d) =>
-    months.includes(new Date(d.date).getMonth() + 1)
-  );
-
-  if (quarterData.length === 0) return null;
-
-  const scores = quarterData
-    .map((d) => calculateDayScore(d))
-    .filter((s) => s !== null);
-  return scores.reduce((sum, s) => sum + s, 0) / scores.length;
-}
-
-function isLeapYear(year) {
-  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
-}
-
-function capitalizeFirst(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+  renderYearHeatmap(yearData, container, domainConfigs);
 }
 
 // Initialize
@@ -0,0 +1,337 @@
+/**
+ * Year Report Page
+ * Printable year in review: cover, heatmap, one page per month
+ * (line graph, notes, wins) and a reflections appendix.
+ *
+ * Laid out for paper by src/styles/report.css; "Save as PDF" is the
+ * browser's print dialog.
+ */
+
+import "../styles/base.css";
+import "../styles/layout.css";
+import "../styles/components.css";
+import "../styles/report.css";
+
+import {
+  loadEntries,
+  loadMonth,
+  getAllDomainConfigs,
+} from "../data/storage.js";
+import { getAllWins } from "../data/winLedger.js";
+import { listReflections } from "../data/reflectionStore.js";
+import { getPrompts } from "../data/reflectionPrompts.js";
+import { renderYearHeatmap } from "../graphs/yearHeatmap.js";
+import { renderLineGraph } from "../graphs/lineGraph.js";
+import {
+  getMonthData,
+  averageScore,
+  calculateYearStats,
+  calculateMonthlyComparison,
+  calculateDomainTrends,
+  generateYearInsights,
+} from "../insights/yearReview.js";
+import {
+  renderYearStats,
+  renderMonthlyComparison,
+  renderDomainTrends,
+  renderYearInsights,
+} from "../components/yearSummary.js";
+import { initServiceWorker } from "../components/updatePrompt.js";
+import { requireUnlock } from "../components/lockScreen.js";
+
+let currentYear =
+  Number(new URLSearchParams(window.location.search).get("year")) ||
+  new Date().getFullYear();
+
+/**
+ * Initialize report page
+ */
+async function init() {
+  // No initTheme: the report is meant for paper and always prints light
+  initServiceWorker();
+  await requireUnlock();
+  await loadEntries();
+
+  setupToolbar();
+  await showReport();
+}
+
+/**
+ * Year navigation and print button
+ */
+function setupToolbar() {
+  const changeYear = (delta) => {
+    currentYear += delta;
+    history.replaceState(null, "", `?year=${currentYear}`);
+    showReport();
+  };
+
+  document
+    .getElementById("report-prev-year")
+    .addEventListener("click", () => changeYear(-1));
+  document
+    .getElementById("report-next-year")
+    .addEventListener("click", () => changeYear(1));
+  document
+    .getElementById("print-report")
+    .addEventListener("click", () => window.print());
+}
+
+/**
+ * Render the report, showing an error in its place if that fails
+ */
+async function showReport() {
+  const year = currentYear;
+  try {
+    await renderReport();
+  } catch (error) {
+    console.error("[Year Report] Failed to render:", error);
+    // A newer year's report has taken over the page
+    if (year !== currentYear) return;
+    document.getElementById("year-report").innerHTML = `
+      <div class="empty-state">
+        <p>Could not build the ${year} report: ${escapeHtml(error.message)}</p>
+      </div>
+    `;
+  }
+}
+
+/**
+ * Build the whole report for the current year
+ * Stops after each await if the year was changed meanwhile.
+ */
+async function renderReport() {
+  const year = currentYear;
+  document.getElementById("report-year").textContent = year;
+  document.title = `${year} in Review — LifeLab`;
+
+  const domainConfigs = getAllDomainConfigs();
+  const yearData = [];
+  for (let month = 1; month <= 12; month++) {
+    yearData.push(...loadMonth(year, month));
+  }
+
+  const wins = (await getAllWins()).filter((win) =>
+    win.date.startsWith(`${year}-`),
+  );
+  if (year !== currentYear) return;
+  const reflections = (await listReflections())
+    .filter((r) => new Date(r.createdAt).getFullYear() === year)
+    .reverse();
+  if (year !== currentYear) return;
+  const promptText = new Map(getPrompts().map((p) => [p.promptId, p.text]));
+
+  // Months with anything to show get a page
+  const months = [];
+  for (let month = 1; month <= 12; month++) {
+    const prefix = `${year}-${String(month).padStart(2, "0")}`;
+    const monthData = getMonthData(yearData, month);
+    const monthWins = wins.filter((win) => win.date.startsWith(prefix));
+    if (monthData.length > 0 || monthWins.length > 0) {
+      months.push({ month, monthData, monthWins });
+    }
+  }
+
+  const main = document.getElementById("year-report");
+  main.innerHTML = `
+    ${renderCover(year, yearData, wins, reflections)}
+    ${renderOverviewPage(year)}
+    ${months
+      .map((m) => renderMonthPage(year, m, domainConfigs))
+      .join("")}
+    ${renderAppendix(year, reflections, promptText)}
+  `;
+
+  // SVG and shared blocks are filled in once their containers exist
+  const hasData = yearData.length > 0;
+  renderYearStats(
+    document.getElementById("report-stats"),
+    calculateYearStats(yearData, year, domainConfigs),
+  );
+  renderYearInsights(
+    document.getElementById("report-insights"),
+    hasData ? generateYearInsights(yearData, year, domainConfigs) : null,
+  );
+
+  if (hasData) {
+    renderYearHeatmap(
+      yearData,
+      document.getElementById("report-heatmap"),
+      domainConfigs,
+    );
+  }
+  renderMonthlyComparison(
+    document.getElementById("report-monthly"),
+    calculateMonthlyComparison(yearData, domainConfigs),
+  );
+  renderDomainTrends(
+    document.getElementById("report-trends"),
+    calculateDomainTrends(yearData, domainConfigs),
+  );
+
+  months.forEach(({ month, monthData }) => {
+    if (monthData.length === 0) return;
+    renderLineGraph(
+      monthData,
+      document.getElementById(`report-graph-${month}`),
+      { width: 700, height: 240 },
+    );
+  });
+}
+
+/**
+ * Cover page
+ */
+function renderCover(year, yearData, wins, reflections) {
+  return `
+    <section class="report-page report-cover">
+      <p class="report-kicker">LifeLab</p>
+      <h1>${year} in Review</h1>
+      <p class="report-cover-summary">
+        ${yearData.length} days tracked · ${wins.length} wins · ${reflections.length} reflections
+      </p>
+      <div id="report-stats" class="stats-grid"></div>
+      <h2>Insights</h2>
+      <ul id="report-insights" class="insights-list"></ul>
+      <p class="report-generated">Generated ${new Date().toLocaleDateString(
+        "en-US",
+        { year: "numeric", month: "long", day: "numeric" },
+      )}</p>
+    </section>
+  `;
+}
+
+/**
+ * Heatmap page with the monthly comparison and domain trends
+ */
+function renderOverviewPage(year) {
+  return `
+    <section class="report-page">
+      <header class="report-page-header">${year} in Review</header>
+      <h2>Full Year Heatmap</h2>
+      <div id="report-heatmap" class="report-heatmap">
+        <p class="empty-state">No data for ${year}.</p>
+      </div>
+      <h2>Monthly Comparison</h2>
+      <div id="report-monthly"></div>
+      <h2>Domain Trends</h2>
+      <div id="report-trends"></div>
+    </section>
+  `;
+}
+
+/**
+ * One page per month: line graph, notes and wins
+ */
+function renderMonthPage(year, { month, monthData, monthWins }, domainConfigs) {
+  const title = new Date(year, month - 1).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+  const avg = averageScore(monthData, domainConfigs);
+  const notes = monthData
+    .filter((day) => day.notes && day.notes.trim())
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return `
+    <section class="report-page">
+      <header class="report-page-header">${year} in Review</header>
+      <h2>${title}</h2>
+      <p class="report-month-summary">
+        ${monthData.length} days tracked${
+          avg !== null ? ` · average score ${avg.toFixed(2)}` : ""
+        }${monthWins.length ? ` · ${monthWins.length} wins` : ""}
+      </p>
+      ${
+        monthData.length > 0
+          ? `<div id="report-graph-${month}" class="report-graph"></div>`
+          : ""
+      }
+      ${
+        notes.length > 0
+          ? `
+        <h3>Notes</h3>
+        <dl class="report-entries">
+          ${notes
+            .map(
+              (day) => `
+            <dt>${formatDate(day.date)}</dt>
+            <dd>${escapeHtml(day.notes)}</dd>
+          `,
+            )
+            .join("")}
+        </dl>
+      `
+          : ""
+      }
+      ${
+        monthWins.length > 0
+          ? `
+        <h3>Wins</h3>
+        <dl class="report-entries">
+          ${monthWins
+            .map(
+              (win) => `
+            <dt>${formatDate(win.date)}</dt>
+            <dd>${escapeHtml(win.text)}</dd>
+          `,
+            )
+            .join("")}
+        </dl>
+      `
+          : ""
+      }
+    </section>
+  `;
+}
+
+/**
+ * Reflections appendix, oldest first
+ */
+function renderAppendix(year, reflections, promptText) {
+  return `
+    <section class="report-page report-appendix">
+      <header class="report-page-header">${year} in Review</header>
+      <h2>Appendix: Reflections</h2>
+      ${
+        reflections.length === 0
+          ? `<p class="empty-state">No reflections in ${year}.</p>`
+          : reflections
+              .map((r) => {
+                const prompt = r.promptId && promptText.get(r.promptId);
+                return `
+            <article class="report-reflection">
+              <h3>${escapeHtml(r.title || "Reflection")}</h3>
+              <time>${formatDate(r.createdAt)}</time>
+              ${prompt ? `<blockquote>${escapeHtml(prompt)}</blockquote>` : ""}
+              <p>${escapeHtml(r.content)}</p>
+            </article>
+          `;
+              })
+              .join("")
+      }
+    </section>
+  `;
+}
+
+/**
+ * Helper functions
+ */
+
+function formatDate(value) {
+  const date = new Date(value.length === 10 ? `${value}T00:00:00` : value);
+  return date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Initialize
+init();
@@ -0,0 +1,101 @@
+/**
+ * LifeLab Service Worker
+ *
+ * Makes every page load offline. Data is already local (IndexedDB /
+ * localStorage) - this only caches the app itself.
+ *
+ * RULES:
+ * - Precache every built page and asset at install
+ * - Serve same-origin GET requests cache-first
+ * - Never touch Firebase / Google traffic (the offline queue handles writes)
+ * - A new build waits until the user chooses to update (no surprise reloads)
+ *
+ * This file is a template: the build (vite.config.js) fills in the
+ * precache list and cache version and emits it as sw.js.
+ */
+
+const CACHE_VERSION = "__CACHE_VERSION__";
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+
+const CACHE_PREFIX = "lifelab-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Resolve build-relative paths against the scope (handles the /lifelab/ base)
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map(scopeUrl))),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  // Sent by the update prompt when the user accepts the new version
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Serve from cache, falling back to the network (and caching the result)
+ * Offline navigations to an unknown URL get the home page.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  // "notebook.html?date=..." is still notebook.html
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  // "/lifelab/" is served as index.html
+  if (request.mode === "navigate") {
+    const url = new URL(request.url);
+    if (url.pathname.endsWith("/")) {
+      const index = await cache.match(scopeUrl("index.html"));
+      if (index) return index;
+    }
+  }
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && response.type === "basic") {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    if (request.mode === "navigate") {
+      const fallback = await cache.match(scopeUrl("index.html"));
+      if (fallback) return fallback;
+    }
+    throw error;
+  }
+}
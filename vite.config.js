@@ -1,8 +1,314 @@
 import { defineConfig } from "vite";
-import { resolve } from "path";
+import { resolve, relative } from "path";
+import { readFileSync, readdirSync, statSync } from "fs";
+import { createHash } from "crypto";
+import sharp from "sharp";
+import { PAGES, getPage } from "./src/pages/registry.js";
+import { renderNavLinks } from "./src/components/siteNav.js";
+
+/**
+ * List every file under a directory (paths relative to it, "/" separated)
+ */
+function listFiles(dir, root = dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const path = resolve(dir, name);
+    return statSync(path).isDirectory()
+      ? listFiles(path, root)
+      : [relative(root, path).split("\\").join("/")];
+  });
+}
+
+/**
+ * Build input for every HTML page at the project root
+ * Each page must be registered in src/pages/registry.js (and vice versa),
+ * so a new page can't be left out of the build or the navigation.
+ * @returns {Object} input name -> HTML path
+ */
+function discoverPages() {
+  const htmlFiles = readdirSync(__dirname).filter((name) =>
+    name.endsWith(".html"),
+  );
+
+  const unregistered = htmlFiles.filter((file) => !getPage(file));
+  if (unregistered.length > 0) {
+    throw new Error(
+      `[Pages] Not in src/pages/registry.js: ${unregistered.join(", ")}`,
+    );
+  }
+
+  const missing = PAGES.filter((page) => !htmlFiles.includes(page.file));
+  if (missing.length > 0) {
+    throw new Error(
+      `[Pages] Registered but missing: ${missing.map((p) => p.file).join(", ")}`,
+    );
+  }
+
+  return Object.fromEntries(
+    PAGES.map((page) => [page.name, resolve(__dirname, page.file)]),
+  );
+}
+
+/**
+ * Fill each page's <nav data-site-nav> from the page registry
+ */
+function siteNavPlugin() {
+  return {
+    name: "lifelab-site-nav",
+
+    transformIndexHtml(html, ctx) {
+      const file = relative(__dirname, ctx.filename).split("\\").join("/");
+      return html.replace(
+        /<nav class="nav-links" data-site-nav><\/nav>/,
+        `<nav class="nav-links">\n${renderNavLinks(file)}\n</nav>`,
+      );
+    },
+  };
+}
+
+/**
+ * Pages that always render light (the printable report)
+ */
+const LIGHT_ONLY_PAGES = ["year-report.html"];
+
+/**
+ * Set data-theme before first paint, so dark mode doesn't flash light
+ * while the bundle loads. Mirrors resolveTheme in src/components/theme.js,
+ * which takes over once the page script runs.
+ */
+const THEME_BOOT_SCRIPT = `
+(function () {
+  try {
+    var settings = JSON.parse(localStorage.getItem("lifelab_settings")) || {};
+    var theme = settings.theme;
+    if (theme === "system") {
+      theme = matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+    }
+    document.documentElement.dataset.theme = theme === "dark" ? "dark" : "light";
+  } catch (error) {}
+})();
+`;
+
+/**
+ * Inline the theme boot script at the top of each page's <head>
+ */
+function themePlugin() {
+  return {
+    name: "lifelab-theme",
+
+    transformIndexHtml(html, ctx) {
+      const file = relative(__dirname, ctx.filename).split("\\").join("/");
+      if (LIGHT_ONLY_PAGES.includes(file)) return [];
+
+      return [
+        { tag: "script", children: THEME_BOOT_SCRIPT, injectTo: "head" },
+      ];
+    },
+  };
+}
+
+/**
+ * Web app manifest
+ * Shortcut URLs carry ?action=... (see src/components/appShortcuts.js).
+ */
+const APP_MANIFEST = {
+  name: "LifeLab",
+  short_name: "LifeLab",
+  description: "A thinking surface for self-tracking",
+  start_url: "./index.html",
+  scope: "./",
+  display: "standalone",
+  background_color: "#fafafa",
+  theme_color: "#fafafa",
+  icons: [
+    { src: "icons/icon-192.png", sizes: "192x192", type: "image/png" },
+    { src: "icons/icon-512.png", sizes: "512x512", type: "image/png" },
+    {
+      src: "icons/maskable-512.png",
+      sizes: "512x512",
+      type: "image/png",
+      purpose: "maskable",
+    },
+  ],
+  shortcuts: [
+    {
+      name: "Quick Entry",
+      short_name: "Log today",
+      url: "./notebook.html?action=quick-entry",
+      icons: [{ src: "icons/icon-192.png", sizes: "192x192" }],
+    },
+    {
+      name: "Today's Win",
+      short_name: "Win",
+      url: "./wins.html?action=todays-win",
+      icons: [{ src: "icons/icon-192.png", sizes: "192x192" }],
+    },
+    {
+      name: "New Reflection",
+      short_name: "Reflect",
+      url: "./reflection.html?action=new-reflection",
+      icons: [{ src: "icons/icon-192.png", sizes: "192x192" }],
+    },
+  ],
+};
+
+/**
+ * Background behind maskable and Apple icons (favicon gradient end)
+ */
+const ICON_BACKGROUND = "#3182ce";
+
+/**
+ * Render the PNG icon set from public/favicon.svg
+ * @returns {Promise<Object>} fileName -> PNG buffer
+ */
+async function renderIcons() {
+  const svg = readFileSync(resolve(__dirname, "public/favicon.svg"));
+  const render = (size) =>
+    sharp(svg, { density: 1200 }).resize(size, size).png().toBuffer();
+
+  // Maskable/Apple icons are full-bleed: artwork inside the 80% safe zone
+  const padded = async (size) => {
+    const inner = Math.round(size * 0.8);
+    return sharp({
+      create: {
+        width: size,
+        height: size,
+        channels: 4,
+        background: ICON_BACKGROUND,
+      },
+    })
+      .composite([{ input: await render(inner), gravity: "center" }])
+      .png()
+      .toBuffer();
+  };
+
+  return {
+    "icons/icon-192.png": await render(192),
+    "icons/icon-512.png": await render(512),
+    "icons/maskable-512.png": await padded(512),
+    "icons/apple-touch-icon.png": await padded(180),
+  };
+}
+
+/**
+ * Manifest, icons and install tags for every page
+ * Emitted at build time; served from memory by the dev server.
+ */
+function pwaPlugin() {
+  let base = "/";
+  let iconsPromise = null;
+  const getIcons = () => (iconsPromise ??= renderIcons());
+
+  return {
+    name: "lifelab-pwa",
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const path = req.url.split("?")[0].slice(base.length);
+        if (path === "manifest.webmanifest") {
+          res.setHeader("Content-Type", "application/manifest+json");
+          res.end(JSON.stringify(APP_MANIFEST, null, 2));
+          return;
+        }
+        const icons = await getIcons();
+        if (icons[path]) {
+          res.setHeader("Content-Type", "image/png");
+          res.end(icons[path]);
+          return;
+        }
+        next();
+      });
+    },
+
+    transformIndexHtml() {
+      return [
+        {
+          tag: "link",
+          attrs: { rel: "manifest", href: `${base}manifest.webmanifest` },
+          injectTo: "head",
+        },
+        {
+          tag: "link",
+          attrs: {
+            rel: "apple-touch-icon",
+            href: `${base}icons/apple-touch-icon.png`,
+          },
+          injectTo: "head",
+        },
+      ];
+    },
+
+    async generateBundle() {
+      this.emitFile({
+        type: "asset",
+        fileName: "manifest.webmanifest",
+        source: JSON.stringify(APP_MANIFEST, null, 2),
+      });
+
+      const icons = await getIcons();
+      Object.entries(icons).forEach(([fileName, source]) => {
+        this.emitFile({ type: "asset", fileName, source });
+      });
+    },
+  };
+}
+
+/**
+ * Emit sw.js from src/sw.js with the precache list filled in
+ * The cache version is a hash of the build output, so every deploy
+ * that changes anything gets a new cache and an update prompt.
+ */
+function serviceWorkerPlugin() {
+  return {
+    name: "lifelab-service-worker",
+    apply: "build",
+    // After Vite's HTML plugin, so the pages are in the bundle and the hash
+    enforce: "post",
+    generateBundle(options, bundle) {
+      const hash = createHash("sha256");
+      const builtFiles = Object.keys(bundle)
+        .filter((fileName) => !fileName.endsWith(".map"))
+        .sort();
+
+      builtFiles.forEach((fileName) => {
+        const item = bundle[fileName];
+        hash.update(fileName);
+        hash.update(item.type === "chunk" ? item.code : item.source);
+      });
+
+      const publicDir = resolve(__dirname, "public");
+      const publicFiles = listFiles(publicDir).sort();
+      publicFiles.forEach((fileName) => {
+        hash.update(fileName);
+        hash.update(readFileSync(resolve(publicDir, fileName)));
+      });
+
+      const template = readFileSync(resolve(__dirname, "src/sw.js"), "utf-8");
+      const source = template
+        .replace("__CACHE_VERSION__", hash.digest("hex").slice(0, 12))
+        .replace(
+          "__PRECACHE_MANIFEST__",
+          JSON.stringify([...builtFiles, ...publicFiles], null, 2),
+        );
+
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
 
 // https://vite.dev/config/
 export default defineConfig({
+  // pwaPlugin first so its manifest and icons land in the precache list
+  plugins: [
+    siteNavPlugin(),
+    themePlugin(),
+    pwaPlugin(),
+    serviceWorkerPlugin(),
+  ],
+
   // Set base for GitHub Pages deployment
   // Change 'lifelab' to your repository name
   base: process.env.NODE_ENV === "production" ? "/lifelab/" : "/",
@@ -21,13 +327,7 @@ export default defineConfig({
     minify: "terser",
 
     rollupOptions: {
-      input: {
-        main: resolve(__dirname, "index.html"),
-        notebook: resolve(__dirname, "notebook.html"),
-        year: resolve(__dirname, "year.html"),
-        settings: resolve(__dirname, "settings.html"),
-        about: resolve(__dirname, "about.html"),
-      },
+      input: discoverPages(),
       output: {
         // Manual chunk splitting for better caching
         manualChunks: {